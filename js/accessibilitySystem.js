@@ -24,14 +24,18 @@ class AccessibilitySystem {
         
         // Keyboard shortcuts
         this.keyboardShortcuts = {
-            'KeyH': { action: 'hint', description: 'Get hint' },
-            'KeyS': { action: 'solve', description: 'Auto-solve puzzle' },
+            'KeyH': { action: 'hint', assist: 'hints', description: 'Get hint' },
+            'KeyS': { action: 'solve', assist: 'solver', description: 'Auto-solve puzzle' },
             'KeyP': { action: 'pause', description: 'Pause/Resume auto-solve' },
             'KeyR': { action: 'reset', description: 'Reset game', ctrlKey: true },
-            'KeyZ': { action: 'undo', description: 'Undo last move', ctrlKey: true },
+            'KeyZ': { action: 'undo', shiftAction: 'redo', assist: 'undo', description: 'Undo last move (Ctrl+Shift+Z to redo)', ctrlKey: true },
+            'KeyY': { action: 'redo', description: 'Redo undone move', ctrlKey: true },
             'Digit1': { action: 'selectRod', rod: 0, description: 'Select left rod' },
             'Digit2': { action: 'selectRod', rod: 1, description: 'Select middle rod' },
             'Digit3': { action: 'selectRod', rod: 2, description: 'Select right rod' },
+            'Digit4': { action: 'selectRod', rod: 3, description: 'Select rod 4' },
+            'Digit5': { action: 'selectRod', rod: 4, description: 'Select rod 5' },
+            'Digit6': { action: 'selectRod', rod: 5, description: 'Select rod 6' },
             'F1': { action: 'help', description: 'Show help' },
             'Escape': { action: 'cancel', description: 'Cancel current action' }
         };
@@ -45,7 +49,12 @@ class AccessibilitySystem {
             gameWon: (moves, optimal) => `Congratulations! Puzzle solved in ${moves} moves. Optimal solution is ${optimal} moves.`,
             hintGiven: (fromRod, toRod) => `Hint: Move disk from ${this.getRodName(fromRod)} to ${this.getRodName(toRod)}.`,
             gameReset: "Game reset. All disks are now on the left rod.",
-            undoMove: (disk, fromRod, toRod) => `Move undone: Disk ${disk} returned from ${this.getRodName(fromRod)} to ${this.getRodName(toRod)}.`
+            undoMove: (disk, fromRod, toRod) => `Move undone: Disk ${disk} returned from ${this.getRodName(fromRod)} to ${this.getRodName(toRod)}.`,
+            redoMove: (disk, fromRod, toRod) => `Move redone: Disk ${disk} moved again from ${this.getRodName(fromRod)} to ${this.getRodName(toRod)}.`,
+            historyJump: (moveCount) => `Returned to the position after move ${moveCount}.`,
+            timeUp: (moves) => `Time is up! The game is over after ${moves} moves. Reset to try again.`,
+            outOfMoves: (budget) => `Out of moves! The budget of ${budget} moves is spent and the puzzle has failed. Reset to try again.`,
+            assistDisabled: (assist, difficulty) => `${{ hints: 'Hints are', solver: 'Auto-solve is', undo: 'Undo is' }[assist]} off in ${difficulty} mode.`
         };
         
         // Initialize accessibility features
@@ -187,7 +196,17 @@ class AccessibilitySystem {
      * Execute keyboard shortcut action
      */
     executeShortcutAction(shortcut, event) {
-        switch (shortcut.action) {
+        const action = event.shiftKey && shortcut.shiftAction ? shortcut.shiftAction : shortcut.action;
+        
+        // Help the difficulty turns off stays off from the keyboard too
+        if (action === shortcut.action && shortcut.assist && window.gameState && window.GameState &&
+            !window.GameState.isAssistAllowed(window.gameState, shortcut.assist)) {
+            const difficulty = window.GameState.getDifficulty(window.gameState);
+            this.announce(this.announcements.assistDisabled(shortcut.assist, difficulty), 'polite');
+            return;
+        }
+        
+        switch (action) {
             case 'hint':
                 this.triggerHint();
                 break;
@@ -203,6 +222,9 @@ class AccessibilitySystem {
             case 'undo':
                 this.triggerUndo();
                 break;
+            case 'redo':
+                this.triggerRedo();
+                break;
             case 'selectRod':
                 this.selectRod(shortcut.rod);
                 break;
@@ -323,6 +345,7 @@ class AccessibilitySystem {
         const descriptions = {
             'reset-btn': 'Starts a new game with all disks on the left rod',
             'undo-btn': 'Reverses the last move you made',
+            'redo-btn': 'Replays the last move you undid',
             'hint-btn': 'Shows you the next optimal move to make',
             'solve-btn': 'Automatically solves the puzzle step by step',
             'pause-btn': 'Pauses or resumes the automatic solution',
@@ -336,12 +359,65 @@ class AccessibilitySystem {
      * Setup game state announcements
      */
     setupGameStateAnnouncements() {
-        // Listen for game state changes
-        if (window.addEventListener) {
-            window.addEventListener('gameStateChanged', (event) => {
-                this.handleGameStateChange(event.detail);
-            });
-        }
+        if (typeof GameEvents === 'undefined') return;
+        
+        // Only announce events about the game on the page
+        const on = (type, handler) => GameEvents.on(type, (detail) => {
+            if (GameEvents.isAbout(detail, window.gameState)) {
+                handler(detail);
+            }
+        });
+        
+        // Map game events onto announcement types
+        on('move', (detail) => {
+            this.handleGameStateChange({ type: 'diskMoved', ...detail });
+        });
+        on('select', (detail) => {
+            if (detail.disk !== null) {
+                this.handleGameStateChange({ type: 'diskSelected', ...detail });
+            }
+        });
+        on('undo', (detail) => {
+            this.handleGameStateChange({ type: 'moveUndone', ...detail });
+        });
+        on('redo', (detail) => {
+            this.handleGameStateChange({ type: 'moveRedone', ...detail });
+        });
+        on('win', (detail) => {
+            this.handleGameStateChange({ type: 'gameWon', moves: detail.moveCount, optimal: detail.optimalMoves });
+        });
+        on('reset', () => {
+            this.handleGameStateChange({ type: 'gameReset' });
+        });
+        on('settingsChanged', (detail) => {
+            if (detail.restarted) {
+                this.handleGameStateChange({ type: 'gameReset' });
+            }
+        });
+        on('historyJump', (detail) => {
+            this.handleGameStateChange({ type: 'historyJump', moveCount: detail.moveCount });
+        });
+        on('invalidMove', (detail) => {
+            this.handleGameStateChange({ type: 'invalidMove', reason: this.getInvalidMoveReason(detail.error) });
+        });
+        on('timeUp', (detail) => {
+            this.handleGameStateChange({ type: 'timeUp', moveCount: detail.moveCount });
+        });
+        on('outOfMoves', (detail) => {
+            this.handleGameStateChange({ type: 'outOfMoves', moveBudget: detail.moveBudget });
+        });
+    }
+    
+    /**
+     * Explain a rejected move, adding the explanation of the rule it broke
+     * @param {Object} error - Move error from the game engine
+     * @returns {string} Reason to announce
+     */
+    getInvalidMoveReason(error) {
+        const ruleName = error.details && error.details.rule;
+        const rule = ruleName && typeof RuleSets !== 'undefined' ? RuleSets.getRule(ruleName) : null;
+        
+        return rule ? `${error.message}. ${rule.explanation}` : error.message;
     }
     
     /**
@@ -528,7 +604,7 @@ class AccessibilitySystem {
         let description = `Game state: `;
         
         // Describe each rod
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < gameState.rods.length; i++) {
             const rod = gameState.rods[i];
             const rodName = this.getRodName(i);
             
@@ -561,8 +637,12 @@ class AccessibilitySystem {
      * Get rod name for announcements
      */
     getRodName(rodIndex) {
-        const names = ['left rod', 'middle rod', 'right rod'];
-        return names[rodIndex] || `rod ${rodIndex + 1}`;
+        const numRods = window.gameState ? window.gameState.rods.length : 3;
+        
+        if (rodIndex === 0) return 'left rod';
+        if (rodIndex === numRods - 1) return 'right rod';
+        if (numRods === 3 && rodIndex === 1) return 'middle rod';
+        return `rod ${rodIndex + 1}`;
     }
     
     /**
@@ -575,9 +655,13 @@ class AccessibilitySystem {
             'KeyP': 'P',
             'KeyR': 'R',
             'KeyZ': 'Z',
+            'KeyY': 'Y',
             'Digit1': '1',
             'Digit2': '2',
             'Digit3': '3',
+            'Digit4': '4',
+            'Digit5': '5',
+            'Digit6': '6',
             'F1': 'F1',
             'Escape': 'Escape'
         };
@@ -648,7 +732,6 @@ class AccessibilitySystem {
         const resetBtn = document.getElementById('reset-btn');
         if (resetBtn && !resetBtn.disabled) {
             resetBtn.click();
-            this.announce('Game reset', 'assertive');
         }
     }
     
@@ -659,7 +742,16 @@ class AccessibilitySystem {
         const undoBtn = document.getElementById('undo-btn');
         if (undoBtn && !undoBtn.disabled) {
             undoBtn.click();
-            this.announce('Move undone', 'polite');
+        }
+    }
+    
+    /**
+     * Trigger redo action
+     */
+    triggerRedo() {
+        const redoBtn = document.getElementById('redo-btn');
+        if (redoBtn && !redoBtn.disabled) {
+            redoBtn.click();
         }
     }
     
@@ -667,6 +759,11 @@ class AccessibilitySystem {
      * Select rod by index
      */
     selectRod(rodIndex) {
+        // Ignore shortcuts for rods that are not in the current game
+        if (window.gameState && rodIndex >= window.gameState.rods.length) {
+            return;
+        }
+        
         if (window.inputHandler) {
             // Simulate rod click
             window.inputHandler.handleRodClick(rodIndex, { x: 0, y: 0 });
@@ -705,7 +802,7 @@ class AccessibilitySystem {
         if (window.gameState) {
             if (window.gameState.selectedDisk === null) {
                 // No disk selected, select first available
-                for (let i = 0; i < 3; i++) {
+                for (let i = 0; i < window.gameState.rods.length; i++) {
                     if (window.gameState.rods[i].disks.length > 0) {
                         this.selectRod(i);
                         break;
@@ -764,6 +861,21 @@ class AccessibilitySystem {
             case 'gameReset':
                 this.announce(this.announcements.gameReset, 'assertive');
                 break;
+            case 'moveUndone':
+                this.announce(this.announcements.undoMove(changeInfo.disk, changeInfo.fromRod, changeInfo.toRod), 'polite');
+                break;
+            case 'moveRedone':
+                this.announce(this.announcements.redoMove(changeInfo.disk, changeInfo.fromRod, changeInfo.toRod), 'polite');
+                break;
+            case 'historyJump':
+                this.announce(this.announcements.historyJump(changeInfo.moveCount), 'polite');
+                break;
+            case 'timeUp':
+                this.announce(this.announcements.timeUp(changeInfo.moveCount), 'assertive');
+                break;
+            case 'outOfMoves':
+                this.announce(this.announcements.outOfMoves(changeInfo.moveBudget), 'assertive');
+                break;
         }
     }
     
@@ -122,8 +122,8 @@ class AnimationSystem {
     /**
      * Animate a disk move from one rod to another
      * @param {number} diskSize - Size of the disk to move
-     * @param {number} fromRod - Source rod index (0, 1, or 2)
-     * @param {number} toRod - Destination rod index (0, 1, or 2)
+     * @param {number} fromRod - Source rod index (0 to numRods - 1)
+     * @param {number} toRod - Destination rod index (0 to numRods - 1)
      * @param {Function} onComplete - Callback when animation completes
      */
     animateDiskMove(diskSize, fromRod, toRod, onComplete = null) {
@@ -15,6 +15,15 @@ class CelebrationSystem {
         this.gameState = gameState;
         this.animationSystem = animationSystem;
         
+        // Best result for each seeded puzzle (random starts and daily challenges)
+        this.seedResultsKey = 'toh_seed_results';
+        
+        // Stars earned, totalled by disk count
+        this.starTotalsKey = 'toh_star_totals';
+        
+        // Best hardcore result for each disk count, kept apart from other results
+        this.hardcoreBestsKey = 'toh_hardcore_bests';
+        
         // Celebration state
         this.celebrationState = {
             isActive: false,
@@ -30,9 +39,9 @@ class CelebrationSystem {
             perfectSolution: {
                 id: 'perfect',
                 name: 'Perfect Solution!',
-                description: 'Solved with optimal number of moves',
+                description: 'Solved with optimal number of moves, without hints or auto-solve',
                 icon: '🏆',
-                condition: (stats) => stats.isOptimalSolution
+                condition: (stats) => stats.isOptimalSolution && !stats.assisted
             },
             speedDemon: {
                 id: 'speed',
@@ -61,6 +70,13 @@ class CelebrationSystem {
                 description: 'Completed your first puzzle',
                 icon: '🌟',
                 condition: () => !localStorage.getItem('toh_first_win')
+            },
+            hardcore: {
+                id: 'hardcore',
+                name: 'Hardcore Victory',
+                description: 'Solved a puzzle in hardcore mode, without undo, hints or auto-solve',
+                icon: '💀',
+                condition: (stats) => stats.difficulty === 'hardcore'
             }
         };
         
@@ -110,6 +126,15 @@ class CelebrationSystem {
         
         // Analyze performance and show feedback
         const performanceAnalysis = this.analyzePerformance(gameStats);
+        if (gameStats.difficulty === 'hardcore') {
+            performanceAnalysis.hardcoreResult = this.recordHardcoreResult(gameStats);
+        } else if (gameStats.seed !== undefined && gameStats.seed !== null) {
+            performanceAnalysis.seedResult = this.recordSeedResult(gameStats);
+        }
+        // Stars are only for puzzles the player solved, not the solver
+        if (performanceAnalysis.stars !== null && !gameStats.autoSolveMoves) {
+            performanceAnalysis.starTotal = this.recordStars(gameStats.diskCount, performanceAnalysis.stars);
+        }
         this.showPerformanceFeedback(performanceAnalysis);
         
         // Check and award achievements
@@ -129,6 +154,9 @@ class CelebrationSystem {
     
     /**
      * Analyze player performance
+     * Solutions earn stars against the puzzle's par (see GameState.getStarRating)
+     * for every move used, undone ones included; weighted games compare the
+     * cost used, undone moves included, with the cheapest cost instead of moves.
      * @param {Object} gameStats - Game statistics
      * @returns {Object} Performance analysis
      */
@@ -138,31 +166,40 @@ class CelebrationSystem {
         const moveCount = gameStats.moveCount || 0;
         const optimalMoves = gameStats.optimalMoves || 0;
         
-        let performanceLevel;
-        let grade;
-        
-        if (gameStats.isOptimalSolution) {
-            performanceLevel = 'perfect';
-            grade = 'A+';
-        } else if (efficiency >= 80) {
-            performanceLevel = 'excellent';
-            grade = 'A';
-        } else if (efficiency >= 60) {
-            performanceLevel = 'good';
-            grade = 'B';
-        } else {
-            performanceLevel = 'needsWork';
-            grade = 'C';
-        }
+        const scoredByCost = gameStats.totalCost !== undefined;
+        const par = scoredByCost ? gameStats.optimalCost : gameStats.optimalMoves;
+        const hasPar = par !== null && par !== undefined;
+        const moveBudget = (!scoredByCost && gameStats.moveBudget) || (hasPar ? GameState.calculateMoveBudget(par) : null);
+        const movesUsed = gameStats.movesUsed !== undefined ? gameStats.movesUsed : moveCount;
+        const costUsed = gameStats.costUsed !== undefined ? gameStats.costUsed : gameStats.totalCost;
+        const stars = GameState.getStarRating(scoredByCost ? costUsed : movesUsed, par, moveBudget);
+        
+        // Help from the solver, or any move short of three stars, rules out a perfect rating
+        const isPerfect = Boolean(gameStats.isOptimalSolution && !gameStats.assisted && stars === 3);
+        const performanceLevels = ['needsWork', 'good', 'excellent', 'excellent'];
+        const performanceLevel = isPerfect ? 'perfect' : performanceLevels[stars || 0];
         
         return {
             level: performanceLevel,
-            grade,
+            stars,
+            par,
+            moveBudget,
+            diskCount: gameStats.diskCount,
             efficiency,
             timeElapsed,
             moveCount,
             optimalMoves,
             isOptimalSolution: gameStats.isOptimalSolution,
+            isPerfect,
+            score: gameStats.score,
+            hintsUsed: gameStats.hintsUsed || 0,
+            undos: gameStats.undos || 0,
+            autoSolveMoves: gameStats.autoSolveMoves || 0,
+            totalCost: gameStats.totalCost,
+            optimalCost: gameStats.optimalCost,
+            seed: gameStats.seed,
+            dailyChallenge: gameStats.dailyChallenge,
+            difficulty: gameStats.difficulty || 'normal',
             message: this.getRandomMessage(performanceLevel)
         };
     }
@@ -186,11 +223,59 @@ class CelebrationSystem {
         
         let message = `${analysis.message}\n\n`;
         message += `📊 Performance Summary:\n`;
-        message += `Grade: ${analysis.grade}\n`;
-        message += `Moves: ${analysis.moveCount}/${analysis.optimalMoves} (${analysis.efficiency}% efficient)\n`;
+        if (analysis.stars !== null) {
+            message += `Stars: ${this.formatStars(analysis.stars)} (par ${analysis.par}, budget ${analysis.moveBudget})\n`;
+        }
+        if (analysis.totalCost !== undefined) {
+            // Weighted games are graded on cost
+            message += `Moves: ${analysis.moveCount} (fewest possible: ${analysis.optimalMoves})\n`;
+            message += `Cost: ${analysis.totalCost}/${analysis.optimalCost} (${analysis.efficiency}% cost efficient)\n`;
+        } else {
+            message += `Moves: ${analysis.moveCount}/${analysis.optimalMoves} (${analysis.efficiency}% efficient)\n`;
+        }
         message += `Time: ${timeStr}\n`;
         
-        if (analysis.isOptimalSolution) {
+        // Hints, undos and auto-solve all cost points
+        const help = [
+            analysis.hintsUsed > 0 ? `${analysis.hintsUsed} hint${analysis.hintsUsed !== 1 ? 's' : ''}` : null,
+            analysis.undos > 0 ? `${analysis.undos} undo${analysis.undos !== 1 ? 's' : ''}` : null,
+            analysis.autoSolveMoves > 0 ? `${analysis.autoSolveMoves} auto-solved move${analysis.autoSolveMoves !== 1 ? 's' : ''}` : null
+        ].filter(Boolean);
+        if (help.length > 0) {
+            message += `Help used: ${help.join(', ')}\n`;
+        }
+        if (analysis.score !== undefined && analysis.score !== null) {
+            message += `Score: ${analysis.score}\n`;
+        }
+        
+        // Seeded puzzles can be replayed, so compare with the best result for the seed
+        if (analysis.seed !== undefined && analysis.seed !== null) {
+            message += analysis.dailyChallenge ?
+                `Daily Challenge: ${analysis.dailyChallenge} (seed ${analysis.seed})\n` :
+                `Random start: seed ${analysis.seed}\n`;
+            
+            const seedResult = analysis.seedResult;
+            if (seedResult && seedResult.isNewBest) {
+                message += `New best for this puzzle!\n`;
+            } else if (seedResult) {
+                const bestScore = seedResult.best.score !== undefined ? `score ${seedResult.best.score}, ` : '';
+                message += `Best for this puzzle: ${bestScore}${seedResult.best.moveCount} moves in ${this.formatTime(seedResult.best.timeElapsed)}\n`;
+            }
+        }
+        
+        // Hardcore games have their own personal bests
+        const hardcoreResult = analysis.hardcoreResult;
+        if (hardcoreResult && hardcoreResult.isNewBest) {
+            message += `New hardcore best with ${analysis.diskCount} disks!\n`;
+        } else if (hardcoreResult) {
+            message += `Hardcore best with ${analysis.diskCount} disks: score ${hardcoreResult.best.score}, ${hardcoreResult.best.moveCount} moves in ${this.formatTime(hardcoreResult.best.timeElapsed)}\n`;
+        }
+        
+        if (analysis.starTotal) {
+            message += `Total stars with ${analysis.diskCount} disks: ${analysis.starTotal.stars}\n`;
+        }
+        
+        if (analysis.isPerfect) {
             message += `\n🏆 PERFECT SOLUTION! 🏆`;
         }
         
@@ -203,6 +288,32 @@ class CelebrationSystem {
         console.log('Performance Feedback:', message);
     }
     
+    /**
+     * Show the summary of a lost game
+     * @param {Object} gameStats - Game statistics with lossReason ('timeUp' with timeLimit,
+     *   or 'outOfMoves' with moveBudget) and, when known, what was left to do
+     */
+    showLossSummary(gameStats) {
+        let message = gameStats.lossReason === 'outOfMoves'
+            ? `🚫 Out of moves! The budget of ${gameStats.moveBudget} moves is spent.\n\n`
+            : `⏰ Time's up! The ${this.formatTime(gameStats.timeLimit)} time limit ran out.\n\n`;
+        message += `📊 Summary:\n`;
+        message += `Moves made: ${gameStats.moveCount}\n`;
+        if (gameStats.costLeft !== undefined) {
+            message += `Cost still to go: ${gameStats.costLeft}\n`;
+        } else if (gameStats.movesLeft !== undefined) {
+            message += `Moves still needed: ${gameStats.movesLeft}\n`;
+        }
+        message += `\nClick Reset to try again.`;
+        
+        // Show message through the game's message system
+        if (window.showMessage) {
+            window.showMessage(message, 'error');
+        }
+        
+        console.log('Loss summary:', message);
+    }
+    
     /**
      * Check which achievements were earned
      * @param {Object} gameStats - Game statistics
@@ -479,6 +590,175 @@ class CelebrationSystem {
         return earned;
     }
     
+    /**
+     * Get the stored best results of seeded puzzles
+     * @returns {Object} Best result by puzzle key (see getSeedResultKey): { seed, dailyChallenge, diskCount,
+     *   rodCount, gameMode, timeLimit, parMode, score, moveCount, optimalMoves, timeElapsed, plays, completedAt }
+     */
+    getSeedResults() {
+        try {
+            const stored = localStorage.getItem(this.seedResultsKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('Failed to read seeded puzzle results:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Get the key a seeded puzzle's results are kept under
+     * A seed only names a start position for a given disk count, rod count and
+     * mode, and time attack and par mode games rank apart from free play.
+     * @param {Object} gameStats - Game statistics with seed, diskCount, rodCount, gameMode, timeLimit and parMode
+     * @returns {string} Key such as "42/5 disks/3 rods/classic/untimed/free"
+     */
+    getSeedResultKey(gameStats) {
+        return [
+            gameStats.seed,
+            `${gameStats.diskCount} disks`,
+            `${gameStats.rodCount || 3} rods`,
+            gameStats.gameMode || 'classic',
+            gameStats.timeLimit ? `${gameStats.timeLimit}s` : 'untimed',
+            gameStats.parMode ? 'par' : 'free'
+        ].join('/');
+    }
+    
+    /**
+     * Record a solved seeded puzzle, keeping the best result for the puzzle
+     * (see getSeedResultKey). Results rank by score (see GameEngine.calculateScore
+     * and isBetterResult).
+     * @param {Object} gameStats - Game statistics with seed, diskCount, rodCount, gameMode, timeLimit,
+     *   parMode, score, moveCount and timeElapsed
+     * @returns {Object} { best, isNewBest } - Best result for the puzzle after this game
+     */
+    recordSeedResult(gameStats) {
+        const results = this.getSeedResults();
+        const key = this.getSeedResultKey(gameStats);
+        const previous = results[key];
+        const isNewBest = this.isBetterResult(gameStats, previous);
+        
+        const best = isNewBest ? {
+            seed: gameStats.seed,
+            dailyChallenge: gameStats.dailyChallenge || null,
+            diskCount: gameStats.diskCount,
+            rodCount: gameStats.rodCount || 3,
+            gameMode: gameStats.gameMode || 'classic',
+            timeLimit: gameStats.timeLimit || null,
+            parMode: Boolean(gameStats.parMode),
+            score: gameStats.score,
+            moveCount: gameStats.moveCount,
+            optimalMoves: gameStats.optimalMoves,
+            timeElapsed: gameStats.timeElapsed,
+            completedAt: Date.now()
+        } : previous;
+        best.plays = (previous ? previous.plays : 0) + 1;
+        
+        results[key] = best;
+        localStorage.setItem(this.seedResultsKey, JSON.stringify(results));
+        
+        return { best, isNewBest };
+    }
+    
+    /**
+     * Get the stored best hardcore results
+     * @returns {Object} Best result by disk count: { score, moveCount, optimalMoves, timeElapsed, plays, completedAt }
+     */
+    getHardcoreBests() {
+        try {
+            const stored = localStorage.getItem(this.hardcoreBestsKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('Failed to read hardcore bests:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Record a puzzle solved in hardcore mode, keeping the best result for its
+     * disk count; results rank as for seeded puzzles
+     * @param {Object} gameStats - Game statistics with diskCount, score, moveCount and timeElapsed
+     * @returns {Object} { best, isNewBest } - Best hardcore result for the disk count after this game
+     */
+    recordHardcoreResult(gameStats) {
+        const bests = this.getHardcoreBests();
+        const previous = bests[gameStats.diskCount];
+        const isNewBest = this.isBetterResult(gameStats, previous);
+        
+        const best = isNewBest ? {
+            score: gameStats.score,
+            moveCount: gameStats.moveCount,
+            optimalMoves: gameStats.optimalMoves,
+            timeElapsed: gameStats.timeElapsed,
+            completedAt: Date.now()
+        } : previous;
+        best.plays = (previous ? previous.plays : 0) + 1;
+        
+        bests[gameStats.diskCount] = best;
+        localStorage.setItem(this.hardcoreBestsKey, JSON.stringify(bests));
+        
+        return { best, isNewBest };
+    }
+    
+    /**
+     * Check whether a result beats a stored one: the higher score wins and the
+     * faster time breaks a tie. Results saved before scoring rank below any scored one.
+     * @param {Object} result - New result with score and timeElapsed
+     * @param {Object} previous - Stored result, if any
+     * @returns {boolean} True if the new result should replace the stored one
+     */
+    isBetterResult(result, previous) {
+        if (!previous) return true;
+        
+        const previousScore = previous.score !== undefined ? previous.score : -1;
+        return result.score > previousScore ||
+            (result.score === previousScore && result.timeElapsed < previous.timeElapsed);
+    }
+    
+    /**
+     * Get the stored star totals
+     * @returns {Object} Totals by disk count: { stars, games, bestStars }
+     */
+    getStarTotals() {
+        try {
+            const stored = localStorage.getItem(this.starTotalsKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('Failed to read star totals:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Add the stars of a solved puzzle to the total for its disk count
+     * @param {number} diskCount - Number of disks in the puzzle
+     * @param {number} stars - Stars earned (0 to 3)
+     * @returns {Object} Updated total: { stars, games, bestStars }
+     */
+    recordStars(diskCount, stars) {
+        const totals = this.getStarTotals();
+        const previous = totals[diskCount] || { stars: 0, games: 0, bestStars: 0 };
+        
+        const total = {
+            stars: previous.stars + stars,
+            games: previous.games + 1,
+            bestStars: Math.max(previous.bestStars, stars)
+        };
+        
+        totals[diskCount] = total;
+        localStorage.setItem(this.starTotalsKey, JSON.stringify(totals));
+        
+        return total;
+    }
+    
+    /**
+     * Format a star rating, e.g. ★★☆
+     * @param {number} stars - Stars earned (0 to 3)
+     * @returns {string} Filled and empty stars
+     */
+    formatStars(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+    }
+    
     /**
      * Clear all achievements (for testing)
      */
@@ -487,6 +767,9 @@ class CelebrationSystem {
             localStorage.removeItem(`toh_achievement_${achievement.id}`);
         }
         localStorage.removeItem('toh_first_win');
+        localStorage.removeItem(this.seedResultsKey);
+        localStorage.removeItem(this.starTotalsKey);
+        localStorage.removeItem(this.hardcoreBestsKey);
     }
     
     /**
@@ -7,6 +7,7 @@
 
 /**
  * Error types for move validation
+ * Rules added by puzzle variants report their own types (see ruleSets.js).
  */
 const MoveError = {
     INVALID_SOURCE_ROD: 'INVALID_SOURCE_ROD',
@@ -35,10 +36,103 @@ function createMoveError(type, message, details = {}) {
 }
 
 /**
- * Validates if a move is legal according to Towers of Hanoi rules
+ * Creates the error for acting on a lost game, saying how it was lost
+ * @param {Object} gameState - Lost game state
+ * @returns {Object} Move error object
+ */
+function createGameLostError(gameState) {
+    if (GameState.isMoveBudgetSpent(gameState)) {
+        return createMoveError(
+            'OVER_BUDGET',
+            'The move budget is spent: the puzzle has failed',
+            { moveBudget: GameState.getMoveBudget(gameState) }
+        );
+    }
+
+    return createMoveError(
+        'TIME_UP',
+        'Time is up: the game is over',
+        { timeLimit: gameState.settings.timeLimit }
+    );
+}
+
+// Names of the kinds of help a difficulty can turn off, for error messages
+const ASSIST_NAMES = {
+    undo: 'Undo',
+    hints: 'Hints',
+    solver: 'Auto-solve'
+};
+
+/**
+ * Creates the error for help the game's difficulty does not allow
+ * @param {Object} gameState - Current game state
+ * @param {string} kind - 'undo', 'hints' or 'solver'
+ * @returns {Object} Move error object
+ */
+function createAssistDisabledError(gameState, kind) {
+    const difficulty = GameState.getDifficulty(gameState);
+
+    return createMoveError(
+        'ASSIST_DISABLED',
+        `${ASSIST_NAMES[kind]} is off in ${difficulty} mode`,
+        { difficulty, assist: kind }
+    );
+}
+
+/**
+ * Points in the composite score (see calculateScore)
+ */
+const SCORE_POINTS = {
+    moves: 1000,        // for a solution at par, scaled by efficiency
+    timeBonus: 200,     // for taking at most a second per optimal move
+    hint: 50,           // taken off for each hint
+    undo: 20            // taken off for each move taken back
+};
+
+/**
+ * Adds to one of the game's assistance counts
+ * @param {Object} gameState - Current game state (will be modified)
+ * @param {string} kind - 'hints', 'undos', 'undoneCost' or 'autoSolveMoves'
+ * @param {number} amount - How much to add
+ */
+function countAssistance(gameState, kind, amount = 1) {
+    if (!gameState.assistance) {
+        gameState.assistance = GameState.createAssistance();
+    }
+    gameState.assistance[kind] += amount;
+}
+
+// Set while the pure API works on a private copy, which publishes nothing
+let eventsMuted = false;
+
+// Solver class games started by updateSettings find their par with (see setParSolver)
+let parSolver = null;
+
+/**
+ * Sets the solver that games started by updateSettings use for optimal counts
+ * with no formula (see GameState.createGameState); without one they are null
+ * @param {Function|null} Solver - Solver class, e.g. SolverEngine
+ */
+function setParSolver(Solver) {
+    parSolver = Solver || null;
+}
+
+/**
+ * Publishes an event on the game event bus when it is loaded
+ * @param {string} type - Event type (see GameEventType in gameEvents.js)
+ * @param {Object} detail - Event detail
+ */
+function emitGameEvent(type, detail) {
+    if (!eventsMuted && typeof GameEvents !== 'undefined') {
+        GameEvents.emit(type, detail);
+    }
+}
+
+/**
+ * Validates if a move is legal under the rule set of the game's mode
  * @param {Object} gameState - Current game state
- * @param {number} fromRod - Source rod (0, 1, or 2)
- * @param {number} toRod - Destination rod (0, 1, or 2)
+ * @param {number} fromRod - Source rod (0 to numRods - 1)
+ * @param {number} toRod - Destination rod (0 to numRods - 1)
  * @returns {Object} Validation result { isValid: boolean, error?: Object }
  */
 function validateMove(gameState, fromRod, toRod) {
@@ -56,95 +150,20 @@ function validateMove(gameState, fromRod, toRod) {
         };
     }
 
-    // Check if game is already complete
-    if (gameState.gameComplete) {
-        return {
-            isValid: false,
-            error: createMoveError(
-                MoveError.GAME_COMPLETE,
-                'Game is already complete',
-                { fromRod, toRod }
-            )
-        };
-    }
+    // Check the move against the rules of the game mode
+    const violation = RuleSets.checkMove(gameState, fromRod, toRod);
 
-    // Validate rod indices
-    if (!Number.isInteger(fromRod) || fromRod < 0 || fromRod > 2) {
+    if (violation) {
         return {
             isValid: false,
             error: createMoveError(
-                MoveError.INVALID_SOURCE_ROD,
-                `Invalid source rod: ${fromRod}. Must be 0, 1, or 2`,
-                { fromRod, toRod }
+                violation.rule.errorType,
+                violation.message,
+                { fromRod, toRod, rule: violation.rule.name, ...violation.details }
             )
         };
     }
 
-    if (!Number.isInteger(toRod) || toRod < 0 || toRod > 2) {
-        return {
-            isValid: false,
-            error: createMoveError(
-                MoveError.INVALID_TARGET_ROD,
-                `Invalid target rod: ${toRod}. Must be 0, 1, or 2`,
-                { fromRod, toRod }
-            )
-        };
-    }
-
-    // Check if trying to move to the same rod
-    if (fromRod === toRod) {
-        return {
-            isValid: false,
-            error: createMoveError(
-                MoveError.SAME_ROD,
-                'Cannot move disk to the same rod',
-                { fromRod, toRod }
-            )
-        };
-    }
-
-    const sourceRod = gameState.rods[fromRod];
-    const targetRod = gameState.rods[toRod];
-
-    // Check if source rod is empty
-    if (sourceRod.disks.length === 0) {
-        return {
-            isValid: false,
-            error: createMoveError(
-                MoveError.EMPTY_SOURCE_ROD,
-                `Cannot move from empty rod ${fromRod}`,
-                { fromRod, toRod, sourceRodDisks: sourceRod.disks }
-            )
-        };
-    }
-
-    // Get the disk to be moved (top disk on source rod)
-    const diskToMove = sourceRod.disks[sourceRod.disks.length - 1];
-
-    // Check if target rod is empty (always valid) or if disk can be placed
-    if (targetRod.disks.length > 0) {
-        const topDiskOnTarget = targetRod.disks[targetRod.disks.length - 1];
-        
-        // Rule: Can only place smaller disk on larger disk
-        if (diskToMove >= topDiskOnTarget) {
-            return {
-                isValid: false,
-                error: createMoveError(
-                    MoveError.LARGER_ON_SMALLER,
-                    `Cannot place disk ${diskToMove} on smaller disk ${topDiskOnTarget}`,
-                    { 
-                        fromRod, 
-                        toRod, 
-                        diskToMove, 
-                        topDiskOnTarget,
-                        sourceRodDisks: [...sourceRod.disks],
-                        targetRodDisks: [...targetRod.disks]
-                    }
-                )
-            };
-        }
-    }
-
     // Move is valid
     return { isValid: true };
 }
@@ -152,8 +171,8 @@ function validateMove(gameState, fromRod, toRod) {
 /**
  * Gets detailed information about a potential move
  * @param {Object} gameState - Current game state
- * @param {number} fromRod - Source rod (0, 1, or 2)
- * @param {number} toRod - Destination rod (0, 1, or 2)
+ * @param {number} fromRod - Source rod (0 to numRods - 1)
+ * @param {number} toRod - Destination rod (0 to numRods - 1)
  * @returns {Object} Move information
  */
 function getMoveInfo(gameState, fromRod, toRod) {
@@ -195,7 +214,7 @@ function canMoveDisk(gameState, diskId) {
     let rodIndex = -1;
     let diskPosition = -1;
 
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < gameState.rods.length; i++) {
         const rod = gameState.rods[i];
         const position = rod.disks.indexOf(diskId);
         if (position !== -1) {
@@ -248,10 +267,11 @@ function canMoveDisk(gameState, diskId) {
  */
 function getValidMoves(gameState) {
     const validMoves = [];
+    const numRods = gameState.rods.length;
 
     // Check all possible rod combinations
-    for (let fromRod = 0; fromRod < 3; fromRod++) {
-        for (let toRod = 0; toRod < 3; toRod++) {
+    for (let fromRod = 0; fromRod < numRods; fromRod++) {
+        for (let toRod = 0; toRod < numRods; toRod++) {
             if (fromRod !== toRod) {
                 const validation = validateMove(gameState, fromRod, toRod);
                 if (validation.isValid) {
@@ -268,13 +288,13 @@ function getValidMoves(gameState) {
 /**
  * Gets all valid destination rods for a specific source rod
  * @param {Object} gameState - Current game state
- * @param {number} fromRod - Source rod (0, 1, or 2)
+ * @param {number} fromRod - Source rod (0 to numRods - 1)
  * @returns {Array} Array of valid destination rod indices
  */
 function getValidDestinations(gameState, fromRod) {
     const validDestinations = [];
 
-    for (let toRod = 0; toRod < 3; toRod++) {
+    for (let toRod = 0; toRod < gameState.rods.length; toRod++) {
         if (fromRod !== toRod) {
             const validation = validateMove(gameState, fromRod, toRod);
             if (validation.isValid) {
@@ -301,8 +321,27 @@ function validateMoveSequence(gameState, moves) {
         };
     }
 
+    // One private copy takes each move in turn, publishing nothing
+    const currentState = GameState.cloneGameState(gameState);
+    const wasMuted = eventsMuted;
+    eventsMuted = true;
+
+    try {
+        return validateMovesOnCopy(currentState, moves);
+    } finally {
+        eventsMuted = wasMuted;
+    }
+}
+
+/**
+ * Validates each move of a sequence against a private copy of the game,
+ * applying it before checking the next
+ * @param {Object} currentState - Private game state copy (will be modified)
+ * @param {Array} moves - Array of move objects [{fromRod, toRod}, ...]
+ * @returns {Object} Validation result with details
+ */
+function validateMovesOnCopy(currentState, moves) {
     const validatedMoves = [];
-    let currentState = GameState.cloneGameState(gameState);
 
     for (let i = 0; i < moves.length; i++) {
         const move = moves[i];
@@ -336,9 +375,7 @@ function validateMoveSequence(gameState, moves) {
         });
 
         // Simulate the move for next iteration
-        const diskToMove = currentState.rods[move.fromRod].disks.pop();
-        currentState.rods[move.toRod].disks.push(diskToMove);
-        currentState.moveCount++;
+        applyMove(currentState, move.fromRod, move.toRod);
     }
 
     return {
@@ -350,12 +387,86 @@ function validateMoveSequence(gameState, moves) {
 
 /**
  * Executes a move and updates the game state
+ * Publishes `move`, and `win` when the move solves the puzzle, or
+ * `invalidMove` when it breaks a rule.
+ * @param {Object} gameState - Current game state (will be modified)
+ * @param {number} fromRod - Source rod (0 to numRods - 1)
+ * @param {number} toRod - Destination rod (0 to numRods - 1)
+ * @param {Object} options - Move options
+ * @param {boolean} options.autoSolve - The solver made the move, which counts as assistance
+ *   and is refused at difficulties without auto-solve
+ * @returns {Object} Result with success status and details
+ */
+function makeMove(gameState, fromRod, toRod, options = {}) {
+    if (options.autoSolve && !GameState.isAssistAllowed(gameState, 'solver')) {
+        return {
+            success: false,
+            error: createAssistDisabledError(gameState, 'solver'),
+            gameState: gameState
+        };
+    }
+
+    const result = applyMove(gameState, fromRod, toRod, options);
+
+    if (result.success) {
+        if (options.autoSolve) {
+            countAssistance(gameState, 'autoSolveMoves');
+        }
+        emitMoveEvents('move', result);
+    } else {
+        emitGameEvent('invalidMove', { gameState, fromRod, toRod, error: result.error });
+
+        // A move made after the time ran out ends the game
+        if (result.error.type === 'TIME_UP') {
+            checkTimeLimit(gameState);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Publishes the events for a completed move or redo
+ * @param {string} type - 'move' or 'redo'
+ * @param {Object} result - Successful move result
+ */
+function emitMoveEvents(type, result) {
+    const gameState = result.gameState;
+
+    emitGameEvent(type, {
+        gameState,
+        move: result.move,
+        disk: result.diskMoved,
+        fromRod: result.fromRod,
+        toRod: result.toRod
+    });
+
+    if (result.justWon) {
+        emitGameEvent('win', {
+            gameState,
+            moveCount: gameState.moveCount,
+            optimalMoves: gameState.metadata.optimalMoves
+        });
+    }
+
+    if (result.justFailed) {
+        emitGameEvent('outOfMoves', {
+            gameState,
+            moveCount: gameState.moveCount,
+            moveBudget: GameState.getMoveBudget(gameState)
+        });
+    }
+}
+
+/**
+ * Executes a move without publishing events
  * @param {Object} gameState - Current game state (will be modified)
- * @param {number} fromRod - Source rod (0, 1, or 2)
- * @param {number} toRod - Destination rod (0, 1, or 2)
+ * @param {number} fromRod - Source rod (0 to numRods - 1)
+ * @param {number} toRod - Destination rod (0 to numRods - 1)
+ * @param {Object} options - Move options, as for makeMove
  * @returns {Object} Result with success status and details
  */
-function makeMove(gameState, fromRod, toRod) {
+function applyMove(gameState, fromRod, toRod, options = {}) {
     // Validate the move first
     const validation = validateMove(gameState, fromRod, toRod);
     
@@ -372,16 +483,29 @@ function makeMove(gameState, fromRod, toRod) {
     const diskToMove = moveInfo.diskToMove;
 
     // Create move record
-    const move = GameState.createMove(fromRod, toRod, diskToMove, gameState.moveCount + 1);
+    const move = GameState.createMove(fromRod, toRod, diskToMove, gameState.moveCount + 1, gameState.rods.length);
+
+    // Keep the redo stack only while the player retraces it
+    const redoStack = gameState.redoStack;
+    if (redoStack && redoStack.length > 0) {
+        const nextRedo = redoStack[redoStack.length - 1];
+        if (nextRedo.fromRod === fromRod && nextRedo.toRod === toRod) {
+            redoStack.pop();
+        } else {
+            redoStack.length = 0;
+        }
+    }
 
-    // Execute the move
+    // Execute the move (magnetic disks turn over on the way)
     const movedDisk = gameState.rods[fromRod].disks.pop();
     gameState.rods[toRod].disks.push(movedDisk);
+    GameState.flipDisk(gameState, movedDisk);
 
     // Update game state
     gameState.moveCount++;
     gameState.moveHistory.push(move);
     gameState.metadata.lastMoveTime = new Date();
+    recordHistoryMove(gameState, move);
 
     // Clear selection
     gameState.selectedDisk = null;
@@ -389,10 +513,29 @@ function makeMove(gameState, fromRod, toRod) {
 
     // Check for win condition
     const isWon = GameState.isGameWon(gameState);
-    if (isWon && !gameState.gameComplete) {
+    const justWon = isWon && !gameState.gameComplete;
+    if (justWon) {
         gameState.gameComplete = true;
+    }
+
+    // In par mode, the last move of the budget fails the puzzle unless it won
+    const justFailed = !isWon && !gameState.gameLost && GameState.isMoveBudgetSpent(gameState);
+    if (justFailed) {
+        gameState.gameLost = true;
+    }
+
+    // The player moving carries on a paused game; auto-solve carrying on in a
+    // hidden tab does not
+    if (gameState.clock && !options.autoSolve) {
+        gameState.clock.paused = false;
+    }
+    updateClock(gameState);
+
+    if (justWon) {
+        gameState.metadata.gameEndTime = new Date();
+        gameState.metadata.totalGameTime = GameState.getElapsedTime(gameState);
+    } else if (justFailed) {
         gameState.metadata.gameEndTime = new Date();
-        gameState.metadata.totalGameTime = gameState.metadata.gameEndTime - gameState.metadata.gameStartTime;
     }
 
     return {
@@ -402,6 +545,8 @@ function makeMove(gameState, fromRod, toRod) {
         fromRod: fromRod,
         toRod: toRod,
         gameComplete: gameState.gameComplete,
+        justWon: justWon,
+        justFailed: justFailed,
         gameState: gameState
     };
 }
@@ -412,6 +557,14 @@ function makeMove(gameState, fromRod, toRod) {
  * @returns {Object} Result with success status and details
  */
 function undoLastMove(gameState) {
+    if (!GameState.isAssistAllowed(gameState, 'undo')) {
+        return {
+            success: false,
+            error: createAssistDisabledError(gameState, 'undo'),
+            gameState: gameState
+        };
+    }
+
     if (gameState.moveHistory.length === 0) {
         return {
             success: false,
@@ -436,12 +589,33 @@ function undoLastMove(gameState) {
         };
     }
 
-    // Get the last move
+    if (gameState.gameLost) {
+        return {
+            success: false,
+            error: createGameLostError(gameState),
+            gameState: gameState
+        };
+    }
+
+    // Get the last move and keep it for redo
     const lastMove = gameState.moveHistory.pop();
+    countAssistance(gameState, 'undos');
+    countAssistance(gameState, 'undoneCost', GameState.getMoveCost(gameState, lastMove.diskId));
+    if (!gameState.redoStack) {
+        gameState.redoStack = [];
+    }
+    gameState.redoStack.push(lastMove);
+
+    // Step back in the history tree; the branch stays for later
+    if (gameState.historyTree) {
+        const tree = gameState.historyTree;
+        tree.currentNodeId = tree.nodes[tree.currentNodeId].parentId;
+    }
     
     // Reverse the move
     const diskToMove = gameState.rods[lastMove.toRod].disks.pop();
     gameState.rods[lastMove.fromRod].disks.push(diskToMove);
+    GameState.flipDisk(gameState, diskToMove);
 
     // Update game state
     gameState.moveCount--;
@@ -453,6 +627,14 @@ function undoLastMove(gameState) {
     gameState.selectedDisk = null;
     gameState.selectedRod = null;
 
+    emitGameEvent('undo', {
+        gameState,
+        move: lastMove,
+        disk: diskToMove,
+        fromRod: lastMove.toRod,
+        toRod: lastMove.fromRod
+    });
+
     return {
         success: true,
         undoneMove: lastMove,
@@ -463,6 +645,463 @@ function undoLastMove(gameState) {
     };
 }
 
+/**
+ * Records a move in the history tree, reusing the branch if it was played before
+ * @param {Object} gameState - Current game state (will be modified)
+ * @param {Object} move - Move that was just made
+ */
+function recordHistoryMove(gameState, move) {
+    const tree = gameState.historyTree;
+    if (!tree) return;
+
+    const current = tree.nodes[tree.currentNodeId];
+    const existingId = current.children.find(id =>
+        tree.nodes[id].move.fromRod === move.fromRod && tree.nodes[id].move.toRod === move.toRod
+    );
+
+    if (existingId !== undefined) {
+        tree.currentNodeId = existingId;
+        return;
+    }
+
+    const node = { id: tree.nodes.length, parentId: current.id, move: { ...move }, children: [] };
+    tree.nodes.push(node);
+    current.children.push(node.id);
+    tree.currentNodeId = node.id;
+}
+
+/**
+ * Jumps to any position in the history tree by replaying its moves from the start
+ * Moves between the new position and the old one, if it lies further down the
+ * same line, become the redo stack. Finished games, won or lost, cannot jump.
+ * @param {Object} gameState - Current game state (will be modified)
+ * @param {number} nodeId - History node to jump to
+ * @returns {Object} Result with success status and details
+ */
+function jumpToHistoryNode(gameState, nodeId) {
+    const tree = gameState.historyTree;
+
+    if (!tree || !tree.nodes[nodeId]) {
+        return {
+            success: false,
+            error: createMoveError(
+                'INVALID_HISTORY_NODE',
+                'That position is not in the move history',
+                { nodeId }
+            ),
+            gameState: gameState
+        };
+    }
+
+    // A solved puzzle stays solved, as with undo
+    if (gameState.gameComplete) {
+        return {
+            success: false,
+            error: createMoveError(
+                'CANNOT_JUMP_COMPLETE_GAME',
+                'Cannot jump through the history after game is complete',
+                { gameComplete: true }
+            ),
+            gameState: gameState
+        };
+    }
+
+    if (gameState.gameLost) {
+        return {
+            success: false,
+            error: createGameLostError(gameState),
+            gameState: gameState
+        };
+    }
+
+    // Jumping through the history is undo by another name
+    if (!GameState.isAssistAllowed(gameState, 'undo')) {
+        return {
+            success: false,
+            error: createAssistDisabledError(gameState, 'undo'),
+            gameState: gameState
+        };
+    }
+
+    const path = GameState.getHistoryPath(tree, nodeId);
+    const previousPath = GameState.getHistoryPath(tree, tree.currentNodeId);
+
+    // Replay the line from the starting position
+    const start = gameState.settings.startConfiguration ||
+        GameState.createTowerConfiguration(gameState.settings.numDisks, gameState.rods.length, 0);
+    gameState.rods.forEach((rod, i) => {
+        rod.disks = [...start[i]];
+    });
+    if (gameState.diskOrientations) {
+        gameState.diskOrientations = GameState.createDiskOrientations(gameState.diskOrientations.length);
+    }
+    path.forEach(node => {
+        const disk = gameState.rods[node.move.fromRod].disks.pop();
+        gameState.rods[node.move.toRod].disks.push(disk);
+        GameState.flipDisk(gameState, disk);
+    });
+
+    const isAncestor = path.length === 0 ||
+        (previousPath.length >= path.length && previousPath[path.length - 1].id === nodeId);
+
+    // Moves on the old line past the branch point are taken back
+    let shared = 0;
+    while (shared < path.length && shared < previousPath.length && path[shared].id === previousPath[shared].id) {
+        shared++;
+    }
+    const takenBack = previousPath.slice(shared);
+    countAssistance(gameState, 'undos', takenBack.length);
+    countAssistance(gameState, 'undoneCost', takenBack.reduce((total, node) => total + GameState.getMoveCost(gameState, node.move.diskId), 0));
+
+    gameState.moveHistory = path.map(node => ({ ...node.move }));
+    gameState.moveCount = path.length;
+    gameState.redoStack = isAncestor
+        ? previousPath.slice(path.length).reverse().map(node => ({ ...node.move }))
+        : [];
+    tree.currentNodeId = nodeId;
+
+    // Clear selection
+    gameState.selectedDisk = null;
+    gameState.selectedRod = null;
+
+    gameState.gameComplete = GameState.isGameWon(gameState);
+    gameState.metadata.lastMoveTime = path.length > 0 ? path[path.length - 1].move.timestamp : null;
+    if (!gameState.gameComplete) {
+        gameState.metadata.gameEndTime = null;
+    }
+    updateClock(gameState);
+
+    emitGameEvent('historyJump', { gameState, nodeId, moveCount: gameState.moveCount });
+
+    return {
+        success: true,
+        nodeId: nodeId,
+        moveCount: gameState.moveCount,
+        gameComplete: gameState.gameComplete,
+        gameState: gameState
+    };
+}
+
+/**
+ * Starts the game over from its starting position
+ * Publishes `reset` with the new state.
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Result with success status and the new game state
+ */
+function resetGame(gameState) {
+    const newState = GameState.resetGameState(gameState);
+
+    emitGameEvent('reset', { gameState: newState, previousGameState: gameState });
+
+    return {
+        success: true,
+        gameState: newState
+    };
+}
+
+/**
+ * Runs the game clock while the game is being played: from the first move
+ * until the game is won or lost, except while it is paused
+ * @param {Object} gameState - Current game state (will be modified)
+ */
+function updateClock(gameState) {
+    const clock = gameState.clock;
+    if (!clock) return;
+
+    const started = gameState.moveCount > 0 || clock.elapsed > 0 || GameState.isClockRunning(gameState);
+
+    if (started && !clock.paused && !gameState.gameComplete && !gameState.gameLost) {
+        GameState.startClock(gameState);
+    } else {
+        GameState.stopClock(gameState);
+    }
+}
+
+/**
+ * Pauses the game clock, for example while the page is hidden
+ * The next move or resumeGame starts it again. Publishes `pause`.
+ * @param {Object} gameState - Current game state (will be modified)
+ * @returns {Object} Result with success status and details
+ */
+function pauseGame(gameState) {
+    if (!gameState.clock || gameState.clock.paused) {
+        return {
+            success: false,
+            error: createMoveError(
+                'ALREADY_PAUSED',
+                'The game is already paused',
+                {}
+            ),
+            gameState: gameState
+        };
+    }
+
+    gameState.clock.paused = true;
+    updateClock(gameState);
+
+    emitGameEvent('pause', { gameState, elapsedTime: GameState.getElapsedTime(gameState) });
+
+    return {
+        success: true,
+        elapsedTime: GameState.getElapsedTime(gameState),
+        gameState: gameState
+    };
+}
+
+/**
+ * Resumes a paused game; the clock runs again if the game has started
+ * Publishes `resume`.
+ * @param {Object} gameState - Current game state (will be modified)
+ * @returns {Object} Result with success status and details
+ */
+function resumeGame(gameState) {
+    if (!gameState.clock || !gameState.clock.paused) {
+        return {
+            success: false,
+            error: createMoveError(
+                'NOT_PAUSED',
+                'The game is not paused',
+                {}
+            ),
+            gameState: gameState
+        };
+    }
+
+    gameState.clock.paused = false;
+    updateClock(gameState);
+
+    emitGameEvent('resume', { gameState, elapsedTime: GameState.getElapsedTime(gameState) });
+
+    return {
+        success: true,
+        elapsedTime: GameState.getElapsedTime(gameState),
+        gameState: gameState
+    };
+}
+
+/**
+ * Ends a time attack game as lost once its clock reaches the time limit
+ * Call it while the clock runs; moves are refused from the moment time is up
+ * either way. Publishes `timeUp` when the game ends.
+ * @param {Object} gameState - Current game state (will be modified)
+ * @param {number} now - Current time from Date.now() (defaults to now)
+ * @returns {Object} Result with timeUp (the game is lost) and justTimedUp (it ended now)
+ */
+function checkTimeLimit(gameState, now = Date.now()) {
+    const timeLimit = gameState.settings.timeLimit;
+    const justTimedUp = Boolean(timeLimit) && !gameState.gameComplete && !gameState.gameLost &&
+        GameState.isTimeUp(gameState, now);
+
+    if (justTimedUp) {
+        gameState.gameLost = true;
+        GameState.stopClock(gameState, now);
+        gameState.clock.elapsed = timeLimit * 1000;
+        gameState.selectedDisk = null;
+        gameState.selectedRod = null;
+        gameState.metadata.gameEndTime = new Date(now);
+
+        emitGameEvent('timeUp', { gameState, moveCount: gameState.moveCount, timeLimit });
+    }
+
+    return {
+        success: true,
+        timeUp: Boolean(gameState.gameLost),
+        justTimedUp: justTimedUp,
+        gameState: gameState
+    };
+}
+
+/**
+ * Records that the player asked for a hint
+ * Publishes `hint`.
+ * @param {Object} gameState - Current game state (will be modified)
+ * @param {Object} move - Suggested move, e.g. { disk: 1, from: 0, to: 2 }
+ * @returns {Object} Result with success status and the number of hints used
+ */
+function recordHint(gameState, move) {
+    if (gameState.gameComplete) {
+        return {
+            success: false,
+            error: createMoveError(
+                'GAME_COMPLETE',
+                'Puzzle is already solved',
+                { gameComplete: true }
+            ),
+            gameState: gameState
+        };
+    }
+
+    if (!GameState.isAssistAllowed(gameState, 'hints')) {
+        return {
+            success: false,
+            error: createAssistDisabledError(gameState, 'hints'),
+            gameState: gameState
+        };
+    }
+
+    countAssistance(gameState, 'hints');
+
+    emitGameEvent('hint', { gameState, move });
+
+    return {
+        success: true,
+        hintsUsed: gameState.assistance.hints,
+        gameState: gameState
+    };
+}
+
+/**
+ * Changes game settings
+ * A new disk count, rod count or game mode starts a new game that keeps the
+ * player's other settings, as do a seed, which starts the new game from a
+ * random position (see GameState.getDailyChallenge for the daily one), a new
+ * time limit, turning par mode on or off and a new difficulty. A new start or
+ * goal configuration, move costs or constraints restart the game too, as the
+ * same puzzle with those changed. Only showHints, animationSpeed and
+ * autoSolveSpeed are applied in place; other settings are refused. A restart
+ * with the same disks, rods and mode and no new seed replays the same puzzle:
+ * its start, goal, seed (and daily challenge), move costs and constraints
+ * carry over unless changed; a new start drops the seed.
+ * Publishes `settingsChanged`.
+ * @param {Object} gameState - Current game state (modified unless the game restarts)
+ * @param {Object} changes - Settings to change, e.g. { numDisks: 5 }, { seed: 42 } or { showHints: false }
+ * @returns {Object} Result with success status, the game state to use and whether it restarted
+ */
+function updateSettings(gameState, changes) {
+    const currentMode = gameState.settings.gameMode || 'classic';
+    const {
+        numDisks = gameState.settings.numDisks,
+        numRods = gameState.rods.length,
+        gameMode = currentMode,
+        seed,
+        dailyChallenge,
+        startConfiguration,
+        goalConfiguration,
+        diskCosts,
+        constraints,
+        ...preferences
+    } = changes;
+    const currentTimeLimit = gameState.settings.timeLimit || null;
+    const timeLimit = preferences.timeLimit !== undefined ? preferences.timeLimit : currentTimeLimit;
+    delete preferences.timeLimit;
+    const currentParMode = Boolean(gameState.settings.parMode);
+    const parMode = preferences.parMode !== undefined ? preferences.parMode : currentParMode;
+    delete preferences.parMode;
+    const currentDifficulty = GameState.getDifficulty(gameState);
+    const difficulty = preferences.difficulty !== undefined ? preferences.difficulty : currentDifficulty;
+    delete preferences.difficulty;
+
+    try {
+        GameState.validatePreferences(preferences);
+    } catch (error) {
+        return {
+            success: false,
+            error: createMoveError('INVALID_SETTINGS', error.message, { changes }),
+            gameState: gameState
+        };
+    }
+
+    // Settings that define the puzzle restart it with the new rules
+    const puzzleChanges = Object.fromEntries(
+        Object.entries({ startConfiguration, goalConfiguration, diskCosts, constraints })
+            .filter(([, value]) => value !== undefined)
+    );
+    const newPuzzle = Object.keys(puzzleChanges).length > 0;
+    const restarted = newPuzzle || numDisks !== gameState.settings.numDisks || numRods !== gameState.rods.length ||
+        gameMode !== currentMode || seed !== undefined || timeLimit !== currentTimeLimit || parMode !== currentParMode ||
+        difficulty !== currentDifficulty;
+    const samePuzzle = numDisks === gameState.settings.numDisks && numRods === gameState.rods.length &&
+        gameMode === currentMode && seed === undefined;
+    let newState = gameState;
+
+    if (restarted) {
+        const puzzle = samePuzzle ? {
+            startConfiguration: gameState.settings.startConfiguration,
+            goalConfiguration: gameState.settings.goalConfiguration,
+            seed: gameState.settings.seed,
+            dailyChallenge: gameState.settings.dailyChallenge,
+            diskCosts: gameState.settings.diskCosts,
+            constraints: gameState.settings.constraints,
+            ...puzzleChanges
+        } : puzzleChanges;
+
+        // A seed names its start, so a new start is no longer that seed's puzzle
+        if (samePuzzle && startConfiguration !== undefined) {
+            puzzle.seed = undefined;
+            puzzle.dailyChallenge = undefined;
+        }
+
+        try {
+            newState = GameState.createGameState(numDisks, numRods, {
+                gameMode, seed, dailyChallenge, ...puzzle, timeLimit, parMode, difficulty, solver: parSolver
+            });
+        } catch (error) {
+            return {
+                success: false,
+                error: createMoveError(
+                    'INVALID_SETTINGS',
+                    error.message,
+                    { changes }
+                ),
+                gameState: gameState
+            };
+        }
+
+        // Keep the player's preferences for the new game
+        const { showHints, animationSpeed, autoSolveSpeed } = gameState.settings;
+        Object.assign(newState.settings, { showHints, animationSpeed, autoSolveSpeed });
+    }
+
+    Object.assign(newState.settings, preferences);
+
+    emitGameEvent('settingsChanged', {
+        gameState: newState,
+        changes,
+        restarted,
+        previousGameState: gameState
+    });
+
+    return {
+        success: true,
+        gameState: newState,
+        restarted: restarted
+    };
+}
+
+/**
+ * Replays the most recently undone move
+ * @param {Object} gameState - Current game state (will be modified)
+ * @returns {Object} Result with success status and details
+ */
+function redoMove(gameState) {
+    if (!gameState.redoStack || gameState.redoStack.length === 0) {
+        return {
+            success: false,
+            error: createMoveError(
+                'NO_MOVES_TO_REDO',
+                'No moves to redo',
+                { moveCount: gameState.moveCount }
+            ),
+            gameState: gameState
+        };
+    }
+
+    // The move consumes the redo entry because it matches it
+    const nextMove = gameState.redoStack[gameState.redoStack.length - 1];
+    const result = applyMove(gameState, nextMove.fromRod, nextMove.toRod);
+
+    if (!result.success) {
+        return result;
+    }
+
+    emitMoveEvents('redo', result);
+
+    return {
+        ...result,
+        redoneMove: nextMove
+    };
+}
+
 /**
  * Selects a disk for moving
  * @param {Object} gameState - Current game state (will be modified)
@@ -470,7 +1109,7 @@ function undoLastMove(gameState) {
  * @returns {Object} Result with success status and details
  */
 function selectDisk(gameState, rodIndex) {
-    if (!Number.isInteger(rodIndex) || rodIndex < 0 || rodIndex > 2) {
+    if (!Number.isInteger(rodIndex) || rodIndex < 0 || rodIndex >= gameState.rods.length) {
         return {
             success: false,
             error: createMoveError(
@@ -500,6 +1139,8 @@ function selectDisk(gameState, rodIndex) {
     gameState.selectedDisk = topDisk;
     gameState.selectedRod = rodIndex;
 
+    emitGameEvent('select', { gameState, disk: topDisk, rod: rodIndex });
+
     return {
         success: true,
         selectedDisk: topDisk,
@@ -522,6 +1163,10 @@ function clearSelection(gameState) {
     gameState.selectedDisk = null;
     gameState.selectedRod = null;
 
+    if (previousSelection.disk !== null) {
+        emitGameEvent('select', { gameState, disk: null, rod: null });
+    }
+
     return {
         success: true,
         previousSelection: previousSelection
@@ -531,7 +1176,7 @@ function clearSelection(gameState) {
 /**
  * Attempts to move the currently selected disk to a target rod
  * @param {Object} gameState - Current game state (will be modified)
- * @param {number} targetRod - Destination rod (0, 1, or 2)
+ * @param {number} targetRod - Destination rod (0 to numRods - 1)
  * @returns {Object} Result with success status and details
  */
 function moveSelectedDisk(gameState, targetRod) {
@@ -551,6 +1196,11 @@ function moveSelectedDisk(gameState, targetRod) {
 
 /**
  * Gets the current game statistics
+ * A solution is optimal only when the moves used, undone ones included, match
+ * the optimal count. Games with disk costs (weighted mode) also report
+ * totalCost, costUsed (undone moves included), optimalCost and costEfficiency,
+ * and are scored by cost: the solution is optimal when the cost used is no
+ * more than the cheapest one, whatever its move count.
  * @param {Object} gameState - Current game state
  * @returns {Object} Game statistics
  */
@@ -559,14 +1209,10 @@ function getGameStats(gameState) {
     const currentMoves = gameState.moveCount;
     const efficiency = currentMoves > 0 ? Math.round((optimalMoves / currentMoves) * 100) : 100;
     
-    let gameTime = null;
-    if (gameState.gameComplete && gameState.metadata.gameEndTime) {
-        gameTime = gameState.metadata.gameEndTime - gameState.metadata.gameStartTime;
-    } else if (gameState.metadata.gameStartTime) {
-        gameTime = new Date() - gameState.metadata.gameStartTime;
-    }
+    // Time on the game clock, which stops while the game is paused and once it ends
+    const gameTime = GameState.getElapsedTime(gameState);
 
-    return {
+    const stats = {
         moveCount: currentMoves,
         optimalMoves: optimalMoves,
         efficiency: efficiency,
@@ -574,8 +1220,82 @@ function getGameStats(gameState) {
         gameTime: gameTime,
         gameTimeFormatted: gameTime ? formatGameTime(gameTime) : null,
         movesRemaining: Math.max(0, optimalMoves - currentMoves),
-        isOptimalSolution: gameState.gameComplete && currentMoves === optimalMoves
+        isOptimalSolution: gameState.gameComplete && GameState.getMovesUsed(gameState) === optimalMoves,
+        movesUsed: GameState.getMovesUsed(gameState),
+        difficulty: GameState.getDifficulty(gameState)
     };
+
+    if (gameState.settings.timeLimit) {
+        stats.timeLimit = gameState.settings.timeLimit;
+        stats.timeRemaining = GameState.getRemainingTime(gameState);
+        stats.gameLost = Boolean(gameState.gameLost);
+    }
+
+    const moveBudget = GameState.getMoveBudget(gameState);
+    if (moveBudget !== null) {
+        stats.moveBudget = moveBudget;
+        stats.movesLeft = GameState.getMovesLeft(gameState);
+        stats.gameLost = Boolean(gameState.gameLost);
+    }
+
+    // Random starts are identified by their seed so results can be compared
+    if (gameState.settings.seed !== undefined && gameState.settings.seed !== null) {
+        stats.seed = gameState.settings.seed;
+        stats.dailyChallenge = gameState.settings.dailyChallenge || null;
+    }
+
+    if (gameState.settings.diskCosts) {
+        const totalCost = GameState.getTotalMoveCost(gameState);
+        const optimalCost = gameState.metadata.optimalCost;
+
+        stats.totalCost = totalCost;
+        stats.costUsed = GameState.getCostUsed(gameState);
+        stats.optimalCost = optimalCost;
+        stats.costEfficiency = totalCost > 0 ? Math.round((optimalCost / totalCost) * 100) : 100;
+        stats.isOptimalSolution = gameState.gameComplete && stats.costUsed <= optimalCost;
+    }
+
+    // Help from the solver and taking moves back lower the score
+    const assistance = gameState.assistance || GameState.createAssistance();
+    stats.hintsUsed = assistance.hints;
+    stats.undos = assistance.undos;
+    stats.autoSolveMoves = assistance.autoSolveMoves;
+    stats.assisted = assistance.hints > 0 || assistance.autoSolveMoves > 0;
+    stats.score = gameState.gameComplete ? calculateScore({
+        efficiency: stats.costEfficiency !== undefined ? stats.costEfficiency : efficiency,
+        optimalMoves,
+        moveCount: currentMoves,
+        gameTime,
+        ...assistance
+    }) : null;
+
+    return stats;
+}
+
+/**
+ * Calculates the composite score of a solved game, used to rank results
+ *
+ *   score = (movePoints + timeBonus) × playerShare − 50 × hints − 20 × undos
+ *
+ * movePoints is 10 points per percent of efficiency, so 1000 at par (weighted
+ * games use cost efficiency). timeBonus is 200 × optimal moves ÷ seconds taken,
+ * at most 200. playerShare is the share of all moves made, undone ones included,
+ * that the player made rather than auto-solve, so a puzzle auto-solved from the
+ * start scores nothing. Undos count every move taken back. The score never
+ * drops below 0.
+ * @param {Object} results - { efficiency, optimalMoves, moveCount, gameTime (ms), hints, undos, autoSolveMoves }
+ * @returns {number} Score, a whole number of points
+ */
+function calculateScore({ efficiency, optimalMoves, moveCount, gameTime, hints = 0, undos = 0, autoSolveMoves = 0 }) {
+    const movePoints = SCORE_POINTS.moves * Math.min(100, Math.max(0, efficiency || 0)) / 100;
+    const seconds = Math.max(1, gameTime / 1000);
+    const timeBonus = Math.min(SCORE_POINTS.timeBonus, SCORE_POINTS.timeBonus * (optimalMoves || 0) / seconds);
+    const movesMade = moveCount + undos;
+    const playerShare = movesMade > 0 ? Math.max(0, movesMade - autoSolveMoves) / movesMade : 1;
+
+    const score = (movePoints + timeBonus) * playerShare - SCORE_POINTS.hint * hints - SCORE_POINTS.undo * undos;
+
+    return Math.max(0, Math.round(score));
 }
 
 /**
@@ -682,6 +1402,57 @@ function executeMoveSequence(gameState, moves) {
     }
 }
 
+/**
+ * Runs a state-changing operation on a copy of the game state
+ * @param {Object} gameState - Game state to leave untouched
+ * @param {Function} operation - Mutating operation, called with the copy
+ * @returns {Object} Operation result with the frozen copy as `gameState`, or
+ *     the original state when the operation fails
+ */
+function applyToCopy(gameState, operation) {
+    const copy = GameState.cloneGameState(gameState);
+    const wasMuted = eventsMuted;
+    let result;
+
+    // Pure operations can nest, e.g. sequence validation inside a pure sequence
+    eventsMuted = true;
+    try {
+        result = operation(copy);
+    } finally {
+        eventsMuted = wasMuted;
+    }
+
+    return {
+        ...result,
+        gameState: result.success ? GameState.freezeGameState(copy) : gameState
+    };
+}
+
+/**
+ * Pure versions of the state-changing operations
+ * Each takes the same arguments as its mutating namesake but never modifies
+ * the state it is given. It returns the same result object with `gameState`
+ * set to a new frozen state, so old states stay valid as snapshots. A failed
+ * operation returns the state it was given. No game events are published.
+ *
+ * @example
+ * const { gameState: next } = GameEngine.pure.makeMove(state, 0, 2);
+ */
+const pure = Object.freeze({
+    makeMove: (gameState, fromRod, toRod, options) => applyToCopy(gameState, copy => makeMove(copy, fromRod, toRod, options)),
+    undoLastMove: (gameState) => applyToCopy(gameState, undoLastMove),
+    redoMove: (gameState) => applyToCopy(gameState, redoMove),
+    jumpToHistoryNode: (gameState, nodeId) => applyToCopy(gameState, copy => jumpToHistoryNode(copy, nodeId)),
+    selectDisk: (gameState, rodIndex) => applyToCopy(gameState, copy => selectDisk(copy, rodIndex)),
+    clearSelection: (gameState) => applyToCopy(gameState, clearSelection),
+    moveSelectedDisk: (gameState, targetRod) => applyToCopy(gameState, copy => moveSelectedDisk(copy, targetRod)),
+    executeMoveSequence: (gameState, moves) => applyToCopy(gameState, copy => executeMoveSequence(copy, moves)),
+    pauseGame: (gameState) => applyToCopy(gameState, pauseGame),
+    resumeGame: (gameState) => applyToCopy(gameState, resumeGame),
+    checkTimeLimit: (gameState, now) => applyToCopy(gameState, copy => checkTimeLimit(copy, now)),
+    recordHint: (gameState, move) => applyToCopy(gameState, copy => recordHint(copy, move))
+});
+
 // Export functions for use by other modules
 if (typeof module !== 'undefined' && module.exports) {
     // Node.js environment (for testing)
@@ -696,13 +1467,24 @@ if (typeof module !== 'undefined' && module.exports) {
         validateMoveSequence,
         makeMove,
         undoLastMove,
+        redoMove,
+        jumpToHistoryNode,
+        resetGame,
+        updateSettings,
+        setParSolver,
+        pauseGame,
+        resumeGame,
+        checkTimeLimit,
+        recordHint,
         selectDisk,
         clearSelection,
         moveSelectedDisk,
         getGameStats,
+        calculateScore,
         formatGameTime,
         validateGameConfiguration,
-        executeMoveSequence
+        executeMoveSequence,
+        pure
     };
 } else {
     // Browser environment
@@ -717,12 +1499,23 @@ if (typeof module !== 'undefined' && module.exports) {
         validateMoveSequence,
         makeMove,
         undoLastMove,
+        redoMove,
+        jumpToHistoryNode,
+        resetGame,
+        updateSettings,
+        setParSolver,
+        pauseGame,
+        resumeGame,
+        checkTimeLimit,
+        recordHint,
         selectDisk,
         clearSelection,
         moveSelectedDisk,
         getGameStats,
+        calculateScore,
         formatGameTime,
         validateGameConfiguration,
-        executeMoveSequence
+        executeMoveSequence,
+        pure
     };
 }
\ No newline at end of file
@@ -183,6 +183,7 @@ function runGameEngineTests() {
         const result1 = GameEngine.validateMoveSequence(state, validSequence);
         if (!result1.isValid) throw new Error('Valid sequence should be accepted');
         if (result1.validatedMoves.length !== 2) throw new Error('Should validate 2 moves');
+        if (state.moveCount !== 0 || state.rods[0].disks.length !== 3 || state.moveHistory.length !== 0) throw new Error('Validating a sequence should leave the game alone');
 
         // Invalid sequence: try to move disk 3 first
         const invalidSequence = [
@@ -680,6 +681,567 @@ function runGameEngineTests() {
         }
     });
 
+    // Test 37: Four-rod move validation
+    test('Should validate moves across four rods', () => {
+        const state = GameState.createGameState(3, 4);
+
+        const destinations = GameEngine.getValidDestinations(state, 0);
+        if (destinations.length !== 3) throw new Error('Rod 0 should have 3 valid destinations');
+        if (!destinations.includes(3)) throw new Error('Rod 3 should be a valid destination');
+
+        const result = GameEngine.makeMove(state, 0, 3);
+        if (!result.success) throw new Error('Move to rod 3 should succeed');
+        if (state.rods[3].disks[0] !== 1) throw new Error('Rod 3 should hold disk 1');
+
+        const invalid = GameEngine.validateMove(state, 0, 4);
+        if (invalid.isValid) throw new Error('Should reject rod 4 in a four-rod game');
+        if (invalid.error.type !== GameEngine.MoveError.INVALID_TARGET_ROD) {
+            throw new Error('Should have INVALID_TARGET_ROD error type');
+        }
+    });
+
+    // Test 38: Redo undone moves
+    test('Should redo undone moves in order', () => {
+        const state = GameState.createGameState(3);
+        GameEngine.makeMove(state, 0, 2);
+        GameEngine.makeMove(state, 0, 1);
+        GameEngine.undoLastMove(state);
+        GameEngine.undoLastMove(state);
+
+        const redo1 = GameEngine.redoMove(state);
+        const redo2 = GameEngine.redoMove(state);
+        const redo3 = GameEngine.redoMove(state);
+
+        if (!redo1.success || !redo2.success) throw new Error('Both undone moves should be redone');
+        if (redo1.fromRod !== 0 || redo1.toRod !== 2) throw new Error('First redo should replay the first move');
+        if (redo2.diskMoved !== 2 || redo2.toRod !== 1) throw new Error('Second redo should replay the second move');
+        if (redo3.success) throw new Error('Redo should fail when nothing is left');
+        if (redo3.error.type !== 'NO_MOVES_TO_REDO') throw new Error('Should have NO_MOVES_TO_REDO error type');
+        if (state.moveCount !== 2 || state.moveHistory.length !== 2) throw new Error('Redo should restore the move history');
+
+        GameState.validateGameState(state);
+    });
+
+    // Test 39: Diverging move clears redo stack
+    test('Should clear redo stack when a new move diverges', () => {
+        const state = GameState.createGameState(3);
+        GameEngine.makeMove(state, 0, 2);
+        GameEngine.makeMove(state, 0, 1);
+        GameEngine.undoLastMove(state);
+        GameEngine.undoLastMove(state);
+
+        // Retracing the first undone move keeps the rest
+        GameEngine.makeMove(state, 0, 2);
+        if (state.redoStack.length !== 1) throw new Error('Matching move should keep the remaining redo');
+
+        // A different move drops it
+        GameEngine.makeMove(state, 2, 1);
+        if (state.redoStack.length !== 0) throw new Error('Diverging move should clear the redo stack');
+        if (GameEngine.redoMove(state).success) throw new Error('Redo should fail after diverging');
+    });
+
+    // Test 40: Branching history tree
+    test('Should keep alternative lines as branches in the history tree', () => {
+        const state = GameState.createGameState(3);
+        GameEngine.makeMove(state, 0, 2);
+        GameEngine.makeMove(state, 0, 1);
+        GameEngine.undoLastMove(state);
+        GameEngine.makeMove(state, 2, 1);
+
+        const tree = state.historyTree;
+        const firstMove = tree.nodes[tree.nodes[0].children[0]];
+        if (tree.nodes.length !== 4) throw new Error('Tree should hold the start position and three moves');
+        if (firstMove.children.length !== 2) throw new Error('Playing a different move should create a branch');
+        if (tree.nodes[tree.currentNodeId].move.fromRod !== 2) throw new Error('Current position should be the new branch');
+
+        // Replaying a known move follows the existing branch
+        GameEngine.undoLastMove(state);
+        GameEngine.makeMove(state, 0, 1);
+        if (tree.nodes.length !== 4) throw new Error('Known move should not add a node');
+
+        GameState.validateGameState(state);
+    });
+
+    // Test 41: Jump to history node
+    test('Should jump to any position in the history tree', () => {
+        const state = GameState.createGameState(3);
+        GameEngine.makeMove(state, 0, 2);
+        GameEngine.makeMove(state, 0, 1);
+        const branchEnd = state.historyTree.currentNodeId;
+        GameEngine.undoLastMove(state);
+        GameEngine.makeMove(state, 2, 1);
+
+        const jump = GameEngine.jumpToHistoryNode(state, branchEnd);
+        if (!jump.success) throw new Error('Jump should succeed');
+        if (state.moveCount !== 2 || state.rods[1].disks[0] !== 2) throw new Error('Jump should replay the other branch');
+        if (state.redoStack.length !== 0) throw new Error('Jumping across branches should clear redo');
+
+        GameEngine.jumpToHistoryNode(state, 0);
+        if (state.moveCount !== 0 || state.rods[0].disks.length !== 3) throw new Error('Jump to start should restore the start position');
+        if (state.redoStack.length !== 2) throw new Error('Moves back to the old position should be redoable');
+        if (!GameEngine.redoMove(state).success) throw new Error('Redo should follow the old line');
+
+        const invalid = GameEngine.jumpToHistoryNode(state, 99);
+        if (invalid.success || invalid.error.type !== 'INVALID_HISTORY_NODE') throw new Error('Unknown node should be rejected');
+
+        GameState.validateGameState(state);
+    });
+
+    // Test 42: No history jumps after a win
+    test('Should refuse history jumps once the puzzle is solved', () => {
+        const state = GameState.createGameState(3);
+        [[0, 2], [0, 1], [2, 1], [0, 2], [1, 0], [1, 2], [0, 2]].forEach(([from, to]) => GameEngine.makeMove(state, from, to));
+
+        const jump = GameEngine.jumpToHistoryNode(state, 0);
+        if (jump.success || jump.error.type !== 'CANNOT_JUMP_COMPLETE_GAME') throw new Error('Jumps should be refused after a win');
+        if (!state.gameComplete || state.moveCount !== 7) throw new Error('A refused jump should leave the solved game alone');
+    });
+
+    // Test 43: Game events from engine operations
+    test('Should publish game events for moves, undo, redo, selection and wins', () => {
+        const events = [];
+        const unsubscribe = GameEvents.on('*', (detail, type) => events.push(type));
+
+        try {
+            const state = GameState.createGameState(3);
+            GameEngine.selectDisk(state, 0);
+            GameEngine.clearSelection(state);
+            GameEngine.makeMove(state, 0, 2);
+            GameEngine.undoLastMove(state);
+            GameEngine.redoMove(state);
+            GameEngine.makeMove(state, 1, 2); // Invalid: empty rod
+
+            const expected = ['select', 'select', 'move', 'undo', 'redo', 'invalidMove'];
+            if (events.join() !== expected.join()) throw new Error(`Expected ${expected.join()}, got ${events.join()}`);
+
+            events.length = 0;
+            [[0, 1], [2, 1], [0, 2], [1, 0], [1, 2], [0, 2]].forEach(([from, to]) => GameEngine.makeMove(state, from, to));
+            if (events.filter(type => type === 'win').length !== 1) throw new Error('Solving the puzzle should publish one win event');
+            if (events[events.length - 1] !== 'win') throw new Error('Win should follow the winning move');
+        } finally {
+            unsubscribe();
+        }
+    });
+
+    // Test 44: Reset and settings changes
+    test('Should reset and change settings through the engine', () => {
+        const events = [];
+        const unsubscribe = GameEvents.on('*', (detail, type) => events.push({ type, detail }));
+
+        try {
+            const state = GameState.createGameState(3);
+            GameEngine.makeMove(state, 0, 2);
+
+            const reset = GameEngine.resetGame(state);
+            if (reset.gameState.moveCount !== 0) throw new Error('Reset should return a fresh game');
+            if (events[1].type !== 'reset' || events[1].detail.gameState !== reset.gameState) {
+                throw new Error('Reset event should carry the new game state');
+            }
+
+            const hints = GameEngine.updateSettings(reset.gameState, { showHints: false });
+            if (hints.restarted || hints.gameState !== reset.gameState) throw new Error('Hint setting should apply in place');
+
+            const bigger = GameEngine.updateSettings(reset.gameState, { numDisks: 5, numRods: 4 });
+            if (!bigger.restarted || bigger.gameState.rods.length !== 4 || bigger.gameState.settings.numDisks !== 5) {
+                throw new Error('Disk and rod changes should start a new game');
+            }
+            if (bigger.gameState.settings.showHints !== false) throw new Error('New game should keep player preferences');
+            if (events[events.length - 1].type !== 'settingsChanged') throw new Error('Should publish settingsChanged');
+
+            const invalid = GameEngine.updateSettings(reset.gameState, { numDisks: 99 });
+            if (invalid.success) throw new Error('Invalid disk count should be rejected');
+
+            const badSpeed = GameEngine.updateSettings(reset.gameState, { animationSpeed: 'fast' });
+            if (badSpeed.success || badSpeed.error.type !== 'INVALID_SETTINGS' || reset.gameState.settings.animationSpeed !== 300) {
+                throw new Error('Invalid preferences should be rejected and leave the settings alone');
+            }
+            if (GameEngine.updateSettings(reset.gameState, { optimalMoves: 1 }).success) throw new Error('Unknown settings should be rejected');
+
+            GameEngine.setParSolver(class {
+                canSolve() { return true; }
+                getDistanceToGoal() { return 11; }
+            });
+            const constrained = GameEngine.updateSettings(reset.gameState, { constraints: [{ type: 'forbiddenRod', disk: 1, rod: 1 }] });
+            GameEngine.setParSolver(null);
+            if (!constrained.restarted || constrained.gameState === reset.gameState || reset.gameState.settings.constraints.length !== 0) {
+                throw new Error('New constraints should start a new game');
+            }
+            if (constrained.gameState.settings.constraints.length !== 1 || constrained.gameState.metadata.optimalMoves !== 11) {
+                throw new Error('The new game should be played and rated under the new constraints');
+            }
+        } finally {
+            unsubscribe();
+        }
+    });
+
+    // Test 45: Pure engine API
+    test('Should return new frozen states from the pure API', () => {
+        const events = [];
+        const unsubscribe = GameEvents.on('*', (detail, type) => events.push(type));
+
+        try {
+            const start = GameState.freezeGameState(GameState.createGameState(3));
+            const moved = GameEngine.pure.makeMove(start, 0, 2);
+
+            if (!moved.success || moved.gameState === start) throw new Error('Move should return a new state');
+            if (start.moveCount !== 0 || start.rods[0].disks.length !== 3) throw new Error('Original state should be untouched');
+            if (moved.gameState.moveCount !== 1 || !Object.isFrozen(moved.gameState.rods[2].disks)) {
+                throw new Error('New state should have the move and be frozen');
+            }
+
+            const undone = GameEngine.pure.undoLastMove(moved.gameState);
+            if (undone.gameState.moveCount !== 0 || moved.gameState.moveCount !== 1) throw new Error('Undo should leave the snapshot alone');
+
+            const redone = GameEngine.pure.redoMove(undone.gameState);
+            if (redone.gameState.rods[2].disks[0] !== 1) throw new Error('Redo should replay the move');
+
+            const selected = GameEngine.pure.selectDisk(redone.gameState, 0);
+            if (selected.gameState.selectedDisk !== 2 || redone.gameState.selectedDisk !== null) throw new Error('Selection should be on the new state');
+
+            const invalid = GameEngine.pure.makeMove(start, 1, 2);
+            if (invalid.success || invalid.gameState !== start) throw new Error('Failed move should return the original state');
+
+            const sequence = GameEngine.pure.executeMoveSequence(start, [{ fromRod: 0, toRod: 2 }, { fromRod: 0, toRod: 1 }]);
+            if (!sequence.success || sequence.gameState.moveCount !== 2) throw new Error('Sequence should run on a copy');
+
+            if (events.length !== 0) throw new Error('Pure API should not publish events');
+            GameState.validateGameState(sequence.gameState);
+        } finally {
+            unsubscribe();
+        }
+    });
+
+    // Test 46: Rule sets
+    test('Should validate moves with the rule set of the game mode', () => {
+        const state = GameState.createGameState(3);
+        GameEngine.makeMove(state, 0, 1);
+
+        const classic = GameEngine.validateMove(state, 0, 1);
+        if (classic.error.details.rule !== 'smallerOnLarger') throw new Error('Error should name the broken rule');
+        if (!RuleSets.getRule('smallerOnLarger').explanation) throw new Error('Rule should have an explanation');
+
+        if (!RuleSets.hasGameMode('test-no-middle')) {
+            RuleSets.registerRule({
+                name: 'testAvoidMiddleRod',
+                errorType: 'MIDDLE_ROD_CLOSED',
+                explanation: 'The middle rod is closed in this mode.',
+                help: 'Use the outer rods.',
+                check: (gameState, move) => move.toRod === 1 ? { message: 'The middle rod is closed' } : null
+            });
+            RuleSets.registerRuleSet('test-no-middle', [...RuleSets.CORE_RULES, 'testAvoidMiddleRod', 'smallerOnLarger']);
+        }
+
+        const variant = GameState.createGameState(3, 3, { gameMode: 'test-no-middle' });
+        const blocked = GameEngine.validateMove(variant, 0, 1);
+        if (blocked.isValid || blocked.error.type !== 'MIDDLE_ROD_CLOSED') throw new Error('Variant rule should block the move');
+        if (GameEngine.getValidDestinations(variant, 0).join() !== '2') throw new Error('Valid destinations should follow the rule set');
+
+        const restarted = GameEngine.updateSettings(variant, { gameMode: 'classic' });
+        if (!restarted.restarted || restarted.gameState.settings.gameMode !== 'classic') throw new Error('Changing mode should start a new game');
+
+        let threw = false;
+        try {
+            GameState.createGameState(3, 3, { gameMode: 'no-such-mode' });
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) throw new Error('Unknown game mode should be rejected');
+    });
+
+    // Test 47: Cyclic mode
+    test('Should only allow clockwise moves in cyclic mode', () => {
+        const state = GameState.createGameState(3, 3, { gameMode: 'cyclic' });
+
+        if (state.metadata.optimalMoves !== 21) throw new Error('Cyclic tower of 3 disks should take 21 moves');
+        if (GameState.calculateOptimalMoves(5, 3, 'cyclic') !== 163) throw new Error('Cyclic tower of 5 disks should take 163 moves');
+
+        const backwards = GameEngine.validateMove(state, 0, 2);
+        if (backwards.isValid || backwards.error.type !== 'NOT_CLOCKWISE') throw new Error('Moving anticlockwise should be rejected');
+        if (GameEngine.getValidDestinations(state, 0).join() !== '1') throw new Error('Only the next rod clockwise should be valid');
+
+        GameEngine.makeMove(state, 0, 1);
+        GameEngine.makeMove(state, 1, 2);
+        if (!GameEngine.makeMove(state, 2, 0).success) throw new Error('Moving from the last rod to the first should wrap around');
+
+        const reset = GameEngine.resetGame(state).gameState;
+        if (reset.settings.gameMode !== 'cyclic' || reset.metadata.optimalMoves !== 21) throw new Error('Reset should keep the game mode');
+
+        let threw = false;
+        try {
+            GameState.createGameState(3, 4, { gameMode: 'cyclic' });
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) throw new Error('Cyclic mode should need exactly three rods');
+    });
+
+    // Test 48: Linear mode
+    test('Should only allow moves between neighbouring rods in linear mode', () => {
+        const state = GameState.createGameState(3, 3, { gameMode: 'linear' });
+
+        if (state.metadata.optimalMoves !== 26) throw new Error('Linear tower of 3 disks should take 3^3 - 1 moves');
+
+        const skip = GameEngine.validateMove(state, 0, 2);
+        if (skip.isValid || skip.error.type !== 'NOT_ADJACENT') throw new Error('Moving past the middle rod should be rejected');
+
+        GameEngine.makeMove(state, 0, 1);
+        const moves = GameEngine.getValidMoves(state).map(move => `${move.sourceRod}-${move.targetRod}`).sort().join();
+        if (moves !== '1-0,1-2') throw new Error(`Valid moves should only use neighbouring rods, got ${moves}`);
+    });
+
+    // Test 49: Bicolor mode
+    test('Should let equal sizes stack but not larger on smaller in bicolor mode', () => {
+        const state = GameState.createGameState(3, 3, { gameMode: 'bicolor' });
+
+        if (!GameEngine.makeMove(state, 0, 1).success) throw new Error('Should move the top disk');
+        if (!GameEngine.makeMove(state, 0, 1).success) throw new Error('Should stack a disk on one of the same size');
+
+        const result = GameEngine.makeMove(state, 0, 1);
+        if (result.success || result.error.type !== 'LARGER_ON_SMALLER') throw new Error('Should reject a size 2 disk on a size 1 disk');
+        if (result.error.message !== 'Cannot place a size 2 disk on a smaller size 1 disk') throw new Error(`Unexpected message: ${result.error.message}`);
+    });
+
+    // Test 50: Magnetic mode
+    test('Should turn disks over and keep like poles apart in magnetic mode', () => {
+        const state = GameState.createGameState(3, 3, { gameMode: 'magnetic' });
+
+        GameEngine.makeMove(state, 0, 2);
+        GameEngine.makeMove(state, 0, 1);
+        if (state.diskOrientations.join('') !== 'SSN') throw new Error('Moved disks should be south face up');
+
+        const result = GameEngine.makeMove(state, 2, 1);
+        if (result.success || result.error.type !== 'REPELLING_FACES') throw new Error('Should reject placing a south face on a south face');
+        if (!result.error.message.includes('its S face would touch the S face of disk 2')) throw new Error(`Unexpected message: ${result.error.message}`);
+
+        GameEngine.undoLastMove(state);
+        if (GameState.getDiskOrientation(state, 2) !== 'N') throw new Error('Undo should turn the disk back over');
+
+        GameEngine.makeMove(state, 0, 1);
+        GameEngine.jumpToHistoryNode(state, 0);
+        if (state.diskOrientations.join('') !== 'NNN') throw new Error('Jumping to the start should restore the orientations');
+    });
+
+    // Test 51: Weighted mode
+    test('Should score weighted games by total cost', () => {
+        const state = GameState.createGameState(3, 3, { gameMode: 'weighted' });
+
+        // Disk 1 wanders there and back before the classic solution
+        [[0, 1], [1, 0], [0, 2], [0, 1], [2, 1], [0, 2], [1, 0], [1, 2], [0, 2]].forEach(([from, to]) => {
+            GameEngine.makeMove(state, from, to);
+        });
+
+        const stats = GameEngine.getGameStats(state);
+        if (stats.totalCost !== 13 || stats.optimalCost !== 11) throw new Error(`Expected cost 13 of 11, got ${stats.totalCost} of ${stats.optimalCost}`);
+        if (stats.costEfficiency !== 85 || stats.efficiency !== 78) throw new Error('Cost and move efficiency should both be reported');
+        if (stats.isOptimalSolution) throw new Error('A dearer solution should not count as optimal');
+
+        // Undone moves stay paid for: 6 undos of disk 1 and a jump back over disks 1 and 2
+        const retried = GameState.createGameState(3, 3, { gameMode: 'weighted' });
+        for (let i = 0; i < 6; i++) {
+            GameEngine.makeMove(retried, 0, 1);
+            GameEngine.undoLastMove(retried);
+        }
+        GameEngine.makeMove(retried, 0, 2);
+        GameEngine.makeMove(retried, 0, 1);
+        GameEngine.jumpToHistoryNode(retried, 0);
+        [[0, 2], [0, 1], [2, 1], [0, 2], [1, 0], [1, 2], [0, 2]].forEach(([from, to]) => GameEngine.makeMove(retried, from, to));
+        const retriedStats = GameEngine.getGameStats(retried);
+        if (retriedStats.totalCost !== 11 || retriedStats.costUsed !== 20) throw new Error(`Expected cost 11 and 20 used, got ${retriedStats.totalCost} and ${retriedStats.costUsed}`);
+        if (retriedStats.isOptimalSolution) throw new Error('Undone moves should rule out an optimal weighted solution');
+
+        if (GameEngine.getGameStats(GameState.createGameState(3)).totalCost !== undefined) throw new Error('Classic games should not report costs');
+
+        const custom = GameState.createGameState(4, 3, { gameMode: 'weighted', diskCosts: [5, 1, 1, 1] });
+        const hardcore = GameEngine.updateSettings(custom, { difficulty: 'hardcore' }).gameState;
+        if (hardcore.settings.diskCosts.join() !== '5,1,1,1') throw new Error('Restarting the same puzzle should keep its move costs');
+    });
+
+    // Test 52: Puzzle constraints
+    test('Should enforce puzzle constraints on moves', () => {
+        const state = GameState.createGameState(3, 4, { constraints: [
+            { type: 'rodCapacity', rod: 1, maxDisks: 1 },
+            { type: 'forbiddenRod', disk: 1, rod: 2 },
+            { type: 'lockedDisk', disk: 2, untilMove: 3 }
+        ] });
+
+        let result = GameEngine.validateMove(state, 0, 2);
+        if (result.error.type !== 'FORBIDDEN_ROD') throw new Error('Disk 1 should not be allowed on rod 2');
+
+        GameEngine.makeMove(state, 0, 1);
+        result = GameEngine.validateMove(state, 0, 2);
+        if (result.error.type !== 'DISK_LOCKED' || result.error.details.untilMove !== 3) throw new Error('Disk 2 should be glued until move 3');
+
+        GameEngine.makeMove(state, 1, 3);
+        if (!GameEngine.makeMove(state, 0, 1).success) throw new Error('Disk 2 should move on move 3');
+
+        result = GameEngine.validateMove(state, 3, 1);
+        if (result.error.type !== 'ROD_FULL' || result.error.details.maxDisks !== 1) throw new Error('Rod 1 should hold one disk at most');
+
+        const timed = GameEngine.updateSettings(state, { timeLimit: 60 }).gameState;
+        if (timed.settings.constraints.length !== 3 || timed.moveCount !== 0) throw new Error('Restarting the same puzzle should keep its constraints');
+    });
+
+    // Test 53: Seeded games
+    test('Should restart from a seeded start and report the seed', () => {
+        const state = GameState.createGameState(3);
+        const challenge = GameState.getDailyChallenge(new Date('2026-03-14T12:00:00Z'));
+        const result = GameEngine.updateSettings(state, challenge);
+
+        if (!result.restarted) throw new Error('A seed should start a new game');
+        const daily = result.gameState;
+        if (daily.settings.numDisks !== 6 || daily.settings.dailyChallenge !== '2026-03-14') throw new Error('Daily challenge settings should be applied');
+
+        const stats = GameEngine.getGameStats(daily);
+        if (stats.seed !== 20260314 || stats.dailyChallenge !== '2026-03-14') throw new Error('Stats should report the seed and challenge date');
+        if (GameEngine.getGameStats(state).seed !== undefined) throw new Error('Tower starts should not report a seed');
+
+        const restarted = GameEngine.updateSettings(daily, { numDisks: 4 }).gameState;
+        if (restarted.settings.seed !== null || restarted.settings.dailyChallenge !== null) throw new Error('A plain restart should leave the challenge');
+
+        const par = GameEngine.updateSettings(daily, { parMode: true }).gameState;
+        if (par.settings.seed !== 20260314 || par.settings.dailyChallenge !== '2026-03-14') throw new Error('Turning on par mode should keep the challenge');
+        if (JSON.stringify(par.rods) !== JSON.stringify(daily.settings.startConfiguration.map((disks, id) => ({ id, disks })))) throw new Error('Turning on par mode should keep the start position');
+    });
+
+    // Test 54: Game clock and time attack
+    test('Should run the game clock and end time attack games at the limit', () => {
+        const state = GameEngine.updateSettings(GameState.createGameState(3), { timeLimit: 30 }).gameState;
+        if (state.settings.timeLimit !== 30) throw new Error('A time limit should start a time attack game');
+        if (GameState.isClockRunning(state)) throw new Error('The clock should wait for the first move');
+
+        GameEngine.makeMove(state, 0, 2);
+        if (!GameState.isClockRunning(state)) throw new Error('The first move should start the clock');
+
+        if (!GameEngine.pauseGame(state).success || GameState.isClockRunning(state)) throw new Error('Pausing should stop the clock');
+        if (GameEngine.pauseGame(state).success) throw new Error('A paused game should not pause again');
+        if (!GameEngine.resumeGame(state).success || !GameState.isClockRunning(state)) throw new Error('Resuming should restart the clock');
+
+        GameEngine.pauseGame(state);
+        GameEngine.makeMove(state, 2, 1, { autoSolve: true });
+        if (GameState.isClockRunning(state)) throw new Error('Auto-solve moves should not resume a paused game');
+        GameEngine.makeMove(state, 1, 2);
+        if (!GameState.isClockRunning(state)) throw new Error('Player moves should resume a paused game');
+
+        if (GameEngine.checkTimeLimit(state).timeUp) throw new Error('Time should not be up yet');
+        const result = GameEngine.checkTimeLimit(state, Date.now() + 30000);
+        if (!result.justTimedUp || !state.gameLost || GameState.getRemainingTime(state) !== 0) throw new Error('Reaching the limit should lose the game');
+        if (GameState.isClockRunning(state)) throw new Error('A lost game should stop the clock');
+
+        if (GameEngine.makeMove(state, 0, 1).error.type !== 'TIME_UP') throw new Error('Moves should be refused once time is up');
+        if (GameEngine.undoLastMove(state).error.type !== 'TIME_UP') throw new Error('A lost game should not be undone');
+        if (GameEngine.getGameStats(state).timeRemaining !== 0) throw new Error('Stats should report the time left');
+
+        const retry = GameEngine.resetGame(state).gameState;
+        if (retry.gameLost || retry.settings.timeLimit !== 30) throw new Error('Reset should start again with the same limit');
+    });
+
+    // Test 55: Par mode
+    test('Should fail a par mode game that spends its move budget', () => {
+        const state = GameEngine.updateSettings(GameState.createGameState(3), { parMode: true }).gameState;
+        if (!state.settings.parMode) throw new Error('Par mode should start a new game');
+
+        // Shuffle the smallest disk back and forth: 11 moves without solving
+        let result;
+        for (let i = 0; i < 11; i++) {
+            result = GameEngine.makeMove(state, i % 2 === 0 ? 0 : 1, i % 2 === 0 ? 1 : 0);
+        }
+        if (!result.justFailed || !state.gameLost) throw new Error('The last move of the budget should fail the puzzle');
+        if (GameEngine.makeMove(state, 0, 2).error.type !== 'OVER_BUDGET') throw new Error('Moves should be refused once the budget is spent');
+        if (GameEngine.undoLastMove(state).error.type !== 'OVER_BUDGET') throw new Error('A failed puzzle should not be undone');
+
+        const stats = GameEngine.getGameStats(state);
+        if (stats.moveBudget !== 11 || stats.movesLeft !== 0 || !stats.gameLost) throw new Error('Stats should report the spent budget');
+
+        const solved = GameState.createGameState(3, 3, { parMode: true });
+        [[0, 2], [0, 1], [2, 1], [0, 2], [1, 0], [1, 2], [0, 2]].forEach(([from, to]) => GameEngine.makeMove(solved, from, to));
+        if (!solved.gameComplete || solved.gameLost) throw new Error('Solving within the budget should win');
+
+        // Undone moves stay spent: 9 moves and 9 undos leave 2 of the 11
+        const undone = GameState.createGameState(3, 3, { parMode: true });
+        for (let i = 0; i < 9; i++) {
+            GameEngine.makeMove(undone, i % 2 === 0 ? 0 : 1, i % 2 === 0 ? 1 : 0);
+        }
+        for (let i = 0; i < 9; i++) {
+            GameEngine.undoLastMove(undone);
+        }
+        if (undone.moveCount !== 0 || GameState.getMovesLeft(undone) !== 2) throw new Error('Undo should not give moves back to the budget');
+        GameEngine.makeMove(undone, 0, 2);
+        GameEngine.makeMove(undone, 0, 1);
+        if (!undone.gameLost || GameEngine.getGameStats(undone).movesUsed !== 11) throw new Error('Moves made before an undo should count towards the budget');
+
+        // The optimal line after undone moves is not an optimal solution
+        const retried = GameState.createGameState(3, 3);
+        for (let i = 0; i < 6; i++) {
+            GameEngine.makeMove(retried, 0, 1);
+            GameEngine.undoLastMove(retried);
+        }
+        [[0, 2], [0, 1], [2, 1], [0, 2], [1, 0], [1, 2], [0, 2]].forEach(([from, to]) => GameEngine.makeMove(retried, from, to));
+        const retriedStats = GameEngine.getGameStats(retried);
+        if (!retried.gameComplete || retriedStats.moveCount !== 7 || retriedStats.movesUsed !== 13) throw new Error('The retried game should be solved in 7 of 13 moves used');
+        if (retriedStats.isOptimalSolution) throw new Error('Undone moves should rule out an optimal solution');
+    });
+
+    // Test 56: Composite score
+    test('Should track hints, undos and auto-solve in the score', () => {
+        const solution = [[0, 2], [0, 1], [2, 1], [0, 2], [1, 0], [1, 2], [0, 2]];
+
+        const clean = GameState.createGameState(3);
+        solution.forEach(([from, to]) => GameEngine.makeMove(clean, from, to));
+        const cleanStats = GameEngine.getGameStats(clean);
+        if (cleanStats.assisted || cleanStats.score < 1000) throw new Error(`Unassisted optimal play should score at least 1000, got ${cleanStats.score}`);
+
+        const helped = GameState.createGameState(3);
+        GameEngine.recordHint(helped, { disk: 1, from: 0, to: 2 });
+        GameEngine.makeMove(helped, 0, 1);
+        GameEngine.undoLastMove(helped);
+        solution.forEach(([from, to], i) => GameEngine.makeMove(helped, from, to, { autoSolve: i >= 4 }));
+        const helpedStats = GameEngine.getGameStats(helped);
+        if (helpedStats.hintsUsed !== 1 || helpedStats.undos !== 1 || helpedStats.autoSolveMoves !== 3) throw new Error('Assistance should be counted');
+        if (!helpedStats.assisted || helpedStats.score >= cleanStats.score) throw new Error('Assisted games should score lower');
+
+        const jumped = GameState.createGameState(3);
+        solution.slice(0, 3).forEach(([from, to]) => GameEngine.makeMove(jumped, from, to));
+        GameEngine.jumpToHistoryNode(jumped, 1);
+        if (GameEngine.getGameStats(jumped).undos !== 2) throw new Error('Jumping back should count the moves taken back');
+
+        // Auto-solved moves that were undone still count among the moves made: 7 of 12 were the player's
+        const retried = GameState.createGameState(3);
+        solution.slice(0, 5).forEach(([from, to]) => GameEngine.makeMove(retried, from, to, { autoSolve: true }));
+        for (let i = 0; i < 5; i++) {
+            GameEngine.undoLastMove(retried);
+        }
+        solution.forEach(([from, to]) => GameEngine.makeMove(retried, from, to));
+        const retriedScore = GameEngine.getGameStats(retried).score;
+        if (retriedScore !== 600) throw new Error(`Expected a score of 600 after undoing auto-solved moves, got ${retriedScore}`);
+
+        const score = GameEngine.calculateScore({ efficiency: 50, optimalMoves: 7, moveCount: 14, gameTime: 14000, hints: 2, undos: 1, autoSolveMoves: 7 });
+        if (score !== 200) throw new Error(`Expected a score of 200, got ${score}`);
+        if (GameEngine.calculateScore({ efficiency: 100, optimalMoves: 7, moveCount: 7, gameTime: 0, autoSolveMoves: 7 }) !== 0) throw new Error('Auto-solved games should score nothing');
+    });
+
+    // Test 57: Hardcore mode
+    test('Should refuse undo, hints and auto-solve in hardcore mode', () => {
+        const state = GameEngine.updateSettings(GameState.createGameState(3), { difficulty: 'hardcore' }).gameState;
+        if (GameState.getDifficulty(state) !== 'hardcore') throw new Error('Changing the difficulty should start a new game');
+
+        GameEngine.makeMove(state, 0, 2);
+        GameEngine.makeMove(state, 0, 1);
+        const refusals = [
+            GameEngine.undoLastMove(state),
+            GameEngine.jumpToHistoryNode(state, 1),
+            GameEngine.recordHint(state, { disk: 1, from: 2, to: 1 }),
+            GameEngine.makeMove(state, 2, 1, { autoSolve: true })
+        ];
+        if (refusals.some(result => result.success || result.error.type !== 'ASSIST_DISABLED')) throw new Error('Help should be refused with ASSIST_DISABLED');
+        if (state.moveCount !== 2 || state.assistance.hints !== 0) throw new Error('Refused help should leave the game alone');
+
+        const stats = GameEngine.getGameStats(state);
+        if (stats.difficulty !== 'hardcore' || stats.assisted) throw new Error('Stats should report an unassisted hardcore game');
+
+        const next = GameEngine.updateSettings(state, { numDisks: 4 }).gameState;
+        if (GameState.getDifficulty(next) !== 'hardcore') throw new Error('New games should keep the difficulty');
+    });
+
     console.log(`\n📊 Game Engine Test Results: ${passed} passed, ${failed} failed`);
 
     if (failed === 0) {
@@ -0,0 +1,139 @@
+/**
+ * Game Event Bus for Towers of Hanoi
+ *
+ * This module provides a central event emitter for game state changes.
+ * GameEngine and SolverEngine publish events; the renderer, accessibility,
+ * message and stats code subscribe to them instead of being called by hand.
+ */
+
+/**
+ * Event types published on the game event bus
+ *
+ * Every event detail carries the affected `gameState`. Events that replace the
+ * state object (reset, settingsChanged with `restarted`) carry the new state.
+ */
+const GameEventType = {
+    MOVE: 'move',                       // { gameState, move, disk, fromRod, toRod }
+    UNDO: 'undo',                       // { gameState, move, disk, fromRod, toRod }
+    REDO: 'redo',                       // { gameState, move, disk, fromRod, toRod }
+    RESET: 'reset',                     // { gameState, previousGameState }
+    SELECT: 'select',                   // { gameState, disk, rod } (null disk when cleared)
+    WIN: 'win',                         // { gameState, moveCount, optimalMoves }
+    INVALID_MOVE: 'invalidMove',        // { gameState, fromRod, toRod, error }
+    SETTINGS_CHANGED: 'settingsChanged', // { gameState, changes, restarted, previousGameState }
+    AUTO_SOLVE_STEP: 'autoSolveStep',   // { gameState, move, currentStep, totalSteps }
+    HISTORY_JUMP: 'historyJump',        // { gameState, nodeId, moveCount }
+    PAUSE: 'pause',                     // { gameState, elapsedTime }
+    RESUME: 'resume',                   // { gameState, elapsedTime }
+    TIME_UP: 'timeUp',                  // { gameState, moveCount, timeLimit }
+    OUT_OF_MOVES: 'outOfMoves',         // { gameState, moveCount, moveBudget }
+    HINT: 'hint'                        // { gameState, move }
+};
+
+/**
+ * Game Event Bus class for publishing and subscribing to game events
+ */
+class GameEventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event type, or to every event with '*'
+     * @param {string} type - Event type from GameEventType, or '*'
+     * @param {Function} listener - Called with (detail, type)
+     * @returns {Function} Function that removes the subscription
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event type only
+     * @param {string} type - Event type from GameEventType, or '*'
+     * @param {Function} listener - Called with (detail, type)
+     * @returns {Function} Function that removes the subscription
+     */
+    once(type, listener) {
+        const wrapper = (detail, eventType) => {
+            this.off(type, wrapper);
+            listener(detail, eventType);
+        };
+
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Remove a subscription
+     * @param {string} type - Event type the listener was added for
+     * @param {Function} listener - Listener to remove
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Publish an event to its subscribers and to '*' subscribers
+     * A failing listener is logged and does not stop the others.
+     * @param {string} type - Event type from GameEventType
+     * @param {Object} detail - Event detail
+     */
+    emit(type, detail = {}) {
+        const listeners = [
+            ...(this.listeners.get(type) || []),
+            ...(this.listeners.get('*') || [])
+        ];
+
+        for (const listener of listeners) {
+            try {
+                listener(detail, type);
+            } catch (error) {
+                console.error(`Game event listener for "${type}" failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Check whether an event concerns a game state, either directly or by
+     * replacing it. Tests and tools working on other states publish on the same
+     * bus, so subscribers that follow one game filter with this.
+     * @param {Object} detail - Event detail
+     * @param {Object} gameState - Game state the subscriber follows
+     * @returns {boolean} True if the event is about that game
+     */
+    isAbout(detail, gameState) {
+        return detail.gameState === gameState || detail.previousGameState === gameState;
+    }
+
+    /**
+     * Remove every subscription (for testing)
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+// Shared bus used by all game modules
+const GameEvents = new GameEventBus();
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment (for testing)
+    module.exports = { GameEventBus, GameEventType, GameEvents };
+} else {
+    // Browser environment
+    window.GameEventBus = GameEventBus;
+    window.GameEventType = GameEventType;
+    window.GameEvents = GameEvents;
+}
@@ -6,16 +6,380 @@
  * Also includes Disk and Move data models.
  */
 
+// Game modes with two disks of every size, one of each color. Disk ids stay
+// unique: size s has ids 2s - 1 (first color) and 2s (second color).
+const PAIRED_DISK_MODES = ['bicolor', 'bicolor-swap'];
+
+// Colors of the two towers in paired-disk modes
+const PAIRED_DISK_COLORS = ['#dd6b20', '#2b6cb0'];
+
+// Game modes where every disk is a magnet with a north ('N') and a south ('S')
+// face, and turns over each time it moves
+const MAGNETIC_DISK_MODES = ['magnetic'];
+
+// Colors of the two faces of a magnetic disk
+const POLE_COLORS = { N: '#e53e3e', S: '#3182ce' };
+
+// Game modes where every move costs the moved disk's cost (settings.diskCosts)
+// and the game is scored by total cost instead of move count
+const WEIGHTED_DISK_MODES = ['weighted'];
+
+// Largest cost a single disk move may have
+const MAX_DISK_COST = 99;
+
+// Puzzle constraints a game may add on top of its mode's rules (settings.constraints):
+//   { type: 'rodCapacity', rod, maxDisks }  - the rod may hold at most maxDisks disks
+//   { type: 'forbiddenRod', disk, rod }     - the disk may never be placed on the rod
+//   { type: 'lockedDisk', disk, untilMove } - the disk is glued in place: move untilMove is the first that may move it
+// Rods are indexes and disks ids, as everywhere else in the game state.
+const CONSTRAINT_TYPES = ['rodCapacity', 'forbiddenRod', 'lockedDisk'];
+
+// Constraint puzzles offered in the puzzle picker, each a classic tower with
+// one kind of constraint
+const CONSTRAINT_PUZZLES = {
+    'narrow-rods': { numDisks: 5, numRods: 4, constraints: [
+        { type: 'rodCapacity', rod: 1, maxDisks: 1 },
+        { type: 'rodCapacity', rod: 2, maxDisks: 2 }
+    ] },
+    'smallest-avoids-middle': { numDisks: 4, numRods: 3, constraints: [
+        { type: 'forbiddenRod', disk: 1, rod: 1 }
+    ] },
+    'glued-base': { numDisks: 4, numRods: 3, constraints: [
+        { type: 'lockedDisk', disk: 4, untilMove: 12 }
+    ] }
+};
+
+// Largest seed for random starts (seeds are unsigned 32-bit integers)
+const MAX_SEED = 0xFFFFFFFF;
+
+// Random starts that break the puzzle's constraints are drawn again, at most
+// this many times before the seed is refused
+const MAX_CONSTRAINED_DRAWS = 1000;
+
+// Puzzle everyone plays in the daily challenge; only the seed changes each day
+const DAILY_CHALLENGE = { numDisks: 6, numRods: 3, gameMode: 'classic' };
+
+// Daily challenges are named by their UTC date
+const CHALLENGE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest time limit for time attack (settings.timeLimit), in seconds
+const MAX_TIME_LIMIT = 3600;
+
+// Every puzzle's move budget is its par (the optimal move count) plus half
+// again, rounded up; in par mode (settings.parMode) the budget is a hard limit
+const MOVE_BUDGET_FACTOR = 1.5;
+
+// Solutions at most this share over par earn two stars
+const TWO_STAR_MARGIN = 0.1;
+
+// Difficulty presets (settings.difficulty) and the help each one allows:
+// undo (with jumping back in the history), hints, auto-solve and the
+// valid-destination highlights drawn for a selected disk
+const DIFFICULTY_PRESETS = {
+    normal: { undo: true, hints: true, solver: true, destinationHighlights: true },
+    hardcore: { undo: false, hints: false, solver: false, destinationHighlights: false }
+};
+
+/**
+ * Checks whether a game mode has two disks of every size
+ * @param {string} gameMode - Game mode name
+ * @returns {boolean} True for the bicolor modes
+ */
+function hasPairedDisks(gameMode) {
+    return PAIRED_DISK_MODES.includes(gameMode);
+}
+
+/**
+ * Gets the size of a disk from its id
+ * @param {number} diskId - Disk id as stored on the rods
+ * @param {string} gameMode - Game mode (defaults to 'classic', where id and size match)
+ * @returns {number} Disk size (1 = smallest)
+ */
+function getDiskSize(diskId, gameMode = 'classic') {
+    return hasPairedDisks(gameMode) ? Math.ceil(diskId / 2) : diskId;
+}
+
+/**
+ * Gets which of the two towers a disk belongs to in paired-disk modes
+ * @param {number} diskId - Disk id as stored on the rods
+ * @param {string} gameMode - Game mode
+ * @returns {number|null} 0 or 1, or null in modes without paired disks
+ */
+function getDiskColorGroup(diskId, gameMode = 'classic') {
+    return hasPairedDisks(gameMode) ? (diskId - 1) % 2 : null;
+}
+
+/**
+ * Gets the number of disks in a game
+ * @param {number} numDisks - Number of disk sizes (the numDisks setting)
+ * @param {string} gameMode - Game mode
+ * @returns {number} Disk count, twice the sizes in paired-disk modes
+ */
+function getTotalDisks(numDisks, gameMode = 'classic') {
+    return hasPairedDisks(gameMode) ? numDisks * 2 : numDisks;
+}
+
+/**
+ * Checks whether a game mode has magnetic disks
+ * @param {string} gameMode - Game mode name
+ * @returns {boolean} True for magnetic mode
+ */
+function hasMagneticDisks(gameMode) {
+    return MAGNETIC_DISK_MODES.includes(gameMode);
+}
+
+/**
+ * Creates the starting disk orientations of a magnetic game
+ * Every disk starts with its north face up, so touching faces attract.
+ * @param {number} totalDisks - Number of disks
+ * @returns {Array} Pole facing up, by disk id - 1
+ */
+function createDiskOrientations(totalDisks) {
+    return new Array(totalDisks).fill('N');
+}
+
+/**
+ * Gets which face of a disk points up
+ * @param {Object} gameState - Game state
+ * @param {number} diskId - Disk id
+ * @returns {string|null} 'N' or 'S', or null if the game has no magnetic disks
+ */
+function getDiskOrientation(gameState, diskId) {
+    return gameState.diskOrientations ? gameState.diskOrientations[diskId - 1] : null;
+}
+
+/**
+ * Turns a magnetic disk over, as every move does (no-op in other modes)
+ * @param {Object} gameState - Game state (modified)
+ * @param {number} diskId - Disk id
+ */
+function flipDisk(gameState, diskId) {
+    if (gameState.diskOrientations) {
+        gameState.diskOrientations[diskId - 1] = gameState.diskOrientations[diskId - 1] === 'N' ? 'S' : 'N';
+    }
+}
+
+/**
+ * Checks whether a game mode gives disks a move cost
+ * @param {string} gameMode - Game mode name
+ * @returns {boolean} True for weighted mode
+ */
+function hasMoveCosts(gameMode) {
+    return WEIGHTED_DISK_MODES.includes(gameMode);
+}
+
+/**
+ * Creates the default disk costs of a weighted game: each disk costs its size
+ * @param {number} numDisks - Number of disks
+ * @returns {Array} Move cost by disk size - 1
+ */
+function createDiskCosts(numDisks) {
+    return Array.from({ length: numDisks }, (_, i) => i + 1);
+}
+
+/**
+ * Validates the disk costs of a weighted game
+ * @param {Array} diskCosts - Move cost by disk size - 1
+ * @param {number} numDisks - Number of disks in the game
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validateDiskCosts(diskCosts, numDisks) {
+    if (!Array.isArray(diskCosts) || diskCosts.length !== numDisks) {
+        throw new Error(`Disk costs must list a cost for each of the ${numDisks} disks`);
+    }
+
+    if (!diskCosts.every(cost => Number.isInteger(cost) && cost >= 1 && cost <= MAX_DISK_COST)) {
+        throw new Error(`Disk costs must be integers between 1 and ${MAX_DISK_COST}`);
+    }
+
+    return true;
+}
+
+/**
+ * Gets what moving a disk costs
+ * @param {Object} gameState - Game state
+ * @param {number} diskId - Disk id
+ * @returns {number} Move cost, 1 in games without disk costs
+ */
+function getMoveCost(gameState, diskId) {
+    const diskCosts = gameState.settings.diskCosts;
+    return diskCosts ? diskCosts[diskId - 1] : 1;
+}
+
+/**
+ * Gets the total cost of the moves made so far
+ * @param {Object} gameState - Game state
+ * @returns {number} Sum of the move costs, the move count in games without disk costs
+ */
+function getTotalMoveCost(gameState) {
+    return gameState.moveHistory.reduce((total, move) => total + getMoveCost(gameState, move.diskId), 0);
+}
+
+/**
+ * Gets the cost of every move a game has used, including moves later taken
+ * back by undo or a history jump
+ * @param {Object} gameState - Game state
+ * @returns {number} Total cost of the moves made and the moves undone
+ */
+function getCostUsed(gameState) {
+    const undoneCost = gameState.assistance ? gameState.assistance.undoneCost : 0;
+    return getTotalMoveCost(gameState) + undoneCost;
+}
+
+/**
+ * Validates the puzzle constraints of a game
+ * Paired-disk and magnetic modes have solvers of their own and take no constraints.
+ * @param {Array} constraints - Constraint objects (see CONSTRAINT_TYPES)
+ * @param {number} numDisks - Number of disks in the game
+ * @param {number} numRods - Number of rods in the game
+ * @param {string} gameMode - Game mode (defaults to 'classic')
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validateConstraints(constraints, numDisks, numRods, gameMode = 'classic') {
+    if (!Array.isArray(constraints)) {
+        throw new Error('Constraints must be an array');
+    }
+
+    if (constraints.length > 0 && (hasPairedDisks(gameMode) || hasMagneticDisks(gameMode))) {
+        throw new Error(`Constraints are not available in ${gameMode} mode`);
+    }
+
+    const isIndex = (value, max) => Number.isInteger(value) && value >= 0 && value < max;
+
+    constraints.forEach((constraint, i) => {
+        if (!constraint || !CONSTRAINT_TYPES.includes(constraint.type)) {
+            throw new Error(`Invalid constraint at index ${i}: type must be one of ${CONSTRAINT_TYPES.join(', ')}`);
+        }
+
+        const { type, rod, disk, maxDisks, untilMove } = constraint;
+
+        if (type !== 'lockedDisk' && !isIndex(rod, numRods)) {
+            throw new Error(`Invalid constraint at index ${i}: rod must be between 0 and ${numRods - 1}`);
+        }
+
+        if (type !== 'rodCapacity' && !isIndex(disk - 1, numDisks)) {
+            throw new Error(`Invalid constraint at index ${i}: disk must be between 1 and ${numDisks}`);
+        }
+
+        if (type === 'rodCapacity' && !(Number.isInteger(maxDisks) && maxDisks >= 0)) {
+            throw new Error(`Invalid constraint at index ${i}: maxDisks must be a non-negative integer`);
+        }
+
+        if (type === 'lockedDisk' && !(Number.isInteger(untilMove) && untilMove >= 1)) {
+            throw new Error(`Invalid constraint at index ${i}: untilMove must be a positive integer`);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Gets the puzzle constraints of a game
+ * @param {Object} gameState - Game state
+ * @returns {Array} Constraint objects, empty for games without constraints
+ */
+function getConstraints(gameState) {
+    return gameState.settings.constraints || [];
+}
+
+/**
+ * Gets how many disks a rod may hold
+ * @param {Object} gameState - Game state
+ * @param {number} rodIndex - Rod index
+ * @returns {number} Capacity, Infinity for rods without a limit
+ */
+function getRodCapacity(gameState, rodIndex) {
+    return getConstraints(gameState)
+        .filter(constraint => constraint.type === 'rodCapacity' && constraint.rod === rodIndex)
+        .reduce((capacity, constraint) => Math.min(capacity, constraint.maxDisks), Infinity);
+}
+
+/**
+ * Checks whether a disk may never be placed on a rod
+ * @param {Object} gameState - Game state
+ * @param {number} diskId - Disk id
+ * @param {number} rodIndex - Rod index
+ * @returns {boolean} True if the rod is forbidden to the disk
+ */
+function isRodForbidden(gameState, diskId, rodIndex) {
+    return getConstraints(gameState).some(constraint =>
+        constraint.type === 'forbiddenRod' && constraint.disk === diskId && constraint.rod === rodIndex);
+}
+
+/**
+ * Gets the first move that may move a disk
+ * @param {Object} gameState - Game state
+ * @param {number} diskId - Disk id
+ * @returns {number} Move number, 1 for disks that are not glued
+ */
+function getDiskUnlockMove(gameState, diskId) {
+    return getConstraints(gameState)
+        .filter(constraint => constraint.type === 'lockedDisk' && constraint.disk === diskId)
+        .reduce((unlockMove, constraint) => Math.max(unlockMove, constraint.untilMove), 1);
+}
+
+/**
+ * Checks whether a disk is still glued in place
+ * @param {Object} gameState - Game state
+ * @param {number} diskId - Disk id
+ * @returns {boolean} True if the next move may not move the disk
+ */
+function isDiskLocked(gameState, diskId) {
+    return gameState.moveCount + 1 < getDiskUnlockMove(gameState, diskId);
+}
+
+/**
+ * Finds the first rod capacity or forbidden rod a configuration breaks
+ * @param {Array} configuration - Array of disk arrays, one per rod
+ * @param {Array} constraints - Constraint objects
+ * @returns {string|null} Description of the broken constraint, or null if there is none
+ */
+function findConstraintViolation(configuration, constraints) {
+    for (const constraint of constraints) {
+        const disks = configuration[constraint.rod];
+
+        if (constraint.type === 'rodCapacity' && disks.length > constraint.maxDisks) {
+            return `rod ${constraint.rod} holds ${disks.length} disks but may hold at most ${constraint.maxDisks}`;
+        }
+
+        if (constraint.type === 'forbiddenRod' && disks.includes(constraint.disk)) {
+            return `disk ${constraint.disk} may never be on rod ${constraint.rod}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Checks whether one disk may rest directly on another
+ * Disks must get smaller going up; in paired-disk modes a disk may also rest on
+ * the other disk of its own size.
+ * @param {number} lowerDisk - Id of the disk below
+ * @param {number} upperDisk - Id of the disk on top
+ * @param {string} gameMode - Game mode
+ * @returns {boolean} True if the stacking is legal
+ */
+function isStackedInOrder(lowerDisk, upperDisk, gameMode = 'classic') {
+    if (hasPairedDisks(gameMode)) {
+        return getDiskSize(upperDisk, gameMode) <= getDiskSize(lowerDisk, gameMode);
+    }
+
+    return upperDisk < lowerDisk;
+}
+
 /**
  * Creates a Disk object with specified properties
  * @param {number} id - Unique identifier (1 = smallest)
  * @param {number} size - Relative size (1 = smallest)
  * @param {string} color - Visual color
  * @param {Object} position - Current position {x, y}
- * @param {number} rod - Current rod (0, 1, or 2)
+ * @param {number} rod - Current rod (0 to numRods - 1)
+ * @param {number} numRods - Number of rods in the game (3-6)
+ * @param {number|null} colorGroup - Tower the disk belongs to in paired-disk modes (0 or 1), null otherwise
+ * @param {string|null} orientation - Pole facing up for magnetic disks ('N' or 'S'), null otherwise
  * @returns {Object} Disk object
  */
-function createDisk(id, size, color, position = { x: 0, y: 0 }, rod = 0) {
+function createDisk(id, size, color, position = { x: 0, y: 0 }, rod = 0, numRods = 3, colorGroup = null, orientation = null) {
     if (!Number.isInteger(id) || id < 1) {
         throw new Error('Disk id must be a positive integer');
     }
@@ -32,14 +396,24 @@ function createDisk(id, size, color, position = { x: 0, y: 0 }, rod = 0) {
         throw new Error('Disk position must be an object with numeric x and y properties');
     }
 
-    if (!Number.isInteger(rod) || rod < 0 || rod > 2) {
-        throw new Error('Disk rod must be an integer between 0 and 2');
+    if (!Number.isInteger(rod) || rod < 0 || rod >= numRods) {
+        throw new Error(`Disk rod must be an integer between 0 and ${numRods - 1}`);
+    }
+
+    if (colorGroup !== null && colorGroup !== 0 && colorGroup !== 1) {
+        throw new Error('Disk color group must be 0, 1 or null');
+    }
+
+    if (orientation !== null && orientation !== 'N' && orientation !== 'S') {
+        throw new Error("Disk orientation must be 'N', 'S' or null");
     }
 
     return {
         id,
         size,
         color,
+        colorGroup,
+        orientation,
         position: { x: position.x, y: position.y },
         rod,
         isSelected: false,
@@ -49,19 +423,20 @@ function createDisk(id, size, color, position = { x: 0, y: 0 }, rod = 0) {
 
 /**
  * Creates a Move object to track game history
- * @param {number} fromRod - Source rod (0, 1, or 2)
- * @param {number} toRod - Destination rod (0, 1, or 2)
+ * @param {number} fromRod - Source rod (0 to numRods - 1)
+ * @param {number} toRod - Destination rod (0 to numRods - 1)
  * @param {number} diskId - ID of the disk that was moved
  * @param {number} moveNumber - Sequential move number
+ * @param {number} numRods - Number of rods in the game (3-6)
  * @returns {Object} Move object
  */
-function createMove(fromRod, toRod, diskId, moveNumber) {
-    if (!Number.isInteger(fromRod) || fromRod < 0 || fromRod > 2) {
-        throw new Error('fromRod must be an integer between 0 and 2');
+function createMove(fromRod, toRod, diskId, moveNumber, numRods = 3) {
+    if (!Number.isInteger(fromRod) || fromRod < 0 || fromRod >= numRods) {
+        throw new Error(`fromRod must be an integer between 0 and ${numRods - 1}`);
     }
 
-    if (!Number.isInteger(toRod) || toRod < 0 || toRod > 2) {
-        throw new Error('toRod must be an integer between 0 and 2');
+    if (!Number.isInteger(toRod) || toRod < 0 || toRod >= numRods) {
+        throw new Error(`toRod must be an integer between 0 and ${numRods - 1}`);
     }
 
     if (fromRod === toRod) {
@@ -89,9 +464,10 @@ function createMove(fromRod, toRod, diskId, moveNumber) {
 /**
  * Validates a Disk object
  * @param {Object} disk - Disk object to validate
+ * @param {number} numRods - Number of rods in the game (3-6)
  * @returns {boolean} True if valid, throws error if invalid
  */
-function validateDisk(disk) {
+function validateDisk(disk, numRods = 3) {
     if (!disk || typeof disk !== 'object') {
         throw new Error('Disk must be an object');
     }
@@ -119,8 +495,18 @@ function validateDisk(disk) {
         throw new Error('Disk position must be an object with numeric x and y properties');
     }
 
-    if (!Number.isInteger(disk.rod) || disk.rod < 0 || disk.rod > 2) {
-        throw new Error('Disk rod must be an integer between 0 and 2');
+    if (!Number.isInteger(disk.rod) || disk.rod < 0 || disk.rod >= numRods) {
+        throw new Error(`Disk rod must be an integer between 0 and ${numRods - 1}`);
+    }
+
+    // Disks created before paired-disk modes have no color group
+    if (disk.colorGroup !== undefined && disk.colorGroup !== null && disk.colorGroup !== 0 && disk.colorGroup !== 1) {
+        throw new Error('Disk color group must be 0, 1 or null');
+    }
+
+    // Only magnetic disks have an orientation
+    if (disk.orientation !== undefined && disk.orientation !== null && disk.orientation !== 'N' && disk.orientation !== 'S') {
+        throw new Error("Disk orientation must be 'N', 'S' or null");
     }
 
     return true;
@@ -129,9 +515,10 @@ function validateDisk(disk) {
 /**
  * Validates a Move object
  * @param {Object} move - Move object to validate
+ * @param {number} numRods - Number of rods in the game (3-6)
  * @returns {boolean} True if valid, throws error if invalid
  */
-function validateMove(move) {
+function validateMove(move, numRods = 3) {
     if (!move || typeof move !== 'object') {
         throw new Error('Move must be an object');
     }
@@ -143,12 +530,12 @@ function validateMove(move) {
         }
     }
 
-    if (!Number.isInteger(move.fromRod) || move.fromRod < 0 || move.fromRod > 2) {
-        throw new Error('Move fromRod must be an integer between 0 and 2');
+    if (!Number.isInteger(move.fromRod) || move.fromRod < 0 || move.fromRod >= numRods) {
+        throw new Error(`Move fromRod must be an integer between 0 and ${numRods - 1}`);
     }
 
-    if (!Number.isInteger(move.toRod) || move.toRod < 0 || move.toRod > 2) {
-        throw new Error('Move toRod must be an integer between 0 and 2');
+    if (!Number.isInteger(move.toRod) || move.toRod < 0 || move.toRod >= numRods) {
+        throw new Error(`Move toRod must be an integer between 0 and ${numRods - 1}`);
     }
 
     if (move.fromRod === move.toRod) {
@@ -188,30 +575,72 @@ function getDiskColor(diskSize, totalDisks) {
         '#2d3748'  // Dark gray (smallest)
     ];
 
+    // Towers larger than the palette get generated colors for every disk
+    if (totalDisks > colors.length) {
+        return generateDiskColor(diskSize);
+    }
+
     // Map disk size to color index (largest disk gets first color)
     const colorIndex = Math.min(diskSize - 1, colors.length - 1);
     return colors[colorIndex];
 }
 
+/**
+ * Generates a distinguishable disk color for large towers
+ * Steps the hue by the golden angle and alternates lightness so neighbouring disks contrast
+ * @param {number} diskSize - Size of the disk (1 = smallest)
+ * @returns {string} Hex color code
+ */
+function generateDiskColor(diskSize) {
+    const hue = ((diskSize - 1) * 137.508) % 360;
+    const saturation = 0.7;
+    const lightness = diskSize % 2 === 0 ? 0.42 : 0.55;
+
+    // HSL to RGB conversion
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const toChannel = (offset) => {
+        const k = (offset + hue / 30) % 12;
+        const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+
+    return `#${toChannel(0)}${toChannel(8)}${toChannel(4)}`;
+}
+
 /**
  * Creates disk objects for a given number of disks
- * @param {number} numDisks - Number of disks to create
+ * Paired-disk modes get two disks of every size, one in each tower color, and
+ * magnetic disks start north face up
+ * @param {number} numDisks - Number of disks (disk sizes in paired-disk modes) to create
+ * @param {string} gameMode - Game mode (defaults to 'classic')
  * @returns {Array} Array of disk objects
  */
-function createDisks(numDisks) {
-    if (!Number.isInteger(numDisks) || numDisks < 1 || numDisks > 8) {
-        throw new Error('Number of disks must be an integer between 1 and 8');
+function createDisks(numDisks, gameMode = 'classic') {
+    if (!Number.isInteger(numDisks) || numDisks < 1 || numDisks > 20) {
+        throw new Error('Number of disks must be an integer between 1 and 20');
     }
 
     const disks = [];
 
+    if (hasPairedDisks(gameMode)) {
+        for (let id = 1; id <= getTotalDisks(numDisks, gameMode); id++) {
+            const colorGroup = getDiskColorGroup(id, gameMode);
+            disks.push(createDisk(id, getDiskSize(id, gameMode), PAIRED_DISK_COLORS[colorGroup], { x: 0, y: 0 }, 0, 3, colorGroup));
+        }
+
+        return disks;
+    }
+
     for (let i = 1; i <= numDisks; i++) {
         const disk = createDisk(
             i,                              // id
             i,                              // size
             getDiskColor(i, numDisks),      // color
             { x: 0, y: 0 },                // position (will be calculated during rendering)
-            0                               // rod (all start on first rod)
+            0,                              // rod (all start on first rod)
+            3,                              // numRods
+            null,                           // colorGroup
+            hasMagneticDisks(gameMode) ? 'N' : null // orientation
         );
 
         disks.push(disk);
@@ -221,171 +650,1341 @@ function createDisks(numDisks) {
 }
 
 /**
- * Creates a new game state with the specified number of disks
- * @param {number} numDisks - Number of disks (3-8)
- * @returns {Object} Initial game state
+ * Calculates the optimal move count for moving a tower from the left rod to the right rod
+ * Uses 2^n - 1 for three rods and the Frame-Stewart recurrence for more. Cyclic
+ * mode moves the tower two steps clockwise, which takes R(n) moves where
+ * Q(n) = 2R(n-1) + 1 (one step) and R(n) = 2R(n-1) + Q(n-1) + 2 (two steps).
+ * Linear mode passes every disk through the middle rod, which takes 3^n - 1 moves.
+ * @param {number} numDisks - Number of disks
+ * @param {number} numRods - Number of rods
+ * @param {string} gameMode - Game mode (defaults to 'classic')
+ * @returns {number} Optimal number of moves
  */
-function createGameState(numDisks = 3) {
-    // Validate input
-    if (!Number.isInteger(numDisks) || numDisks < 3 || numDisks > 8) {
-        throw new Error('Number of disks must be an integer between 3 and 8');
+function calculateOptimalMoves(numDisks, numRods = 3, gameMode = 'classic') {
+    if (gameMode === 'cyclic') {
+        let oneStep = 0;
+        let twoSteps = 0;
+        for (let n = 1; n <= numDisks; n++) {
+            [oneStep, twoSteps] = [2 * twoSteps + 1, 2 * twoSteps + oneStep + 2];
+        }
+        return twoSteps;
     }
 
-    // Create initial disk stack on the first rod (largest to smallest, bottom to top)
-    const initialDisks = [];
-    for (let i = numDisks; i >= 1; i--) {
-        initialDisks.push(i);
+    if (gameMode === 'linear') {
+        return Math.pow(3, numDisks) - 1;
     }
 
-    const gameState = {
-        rods: [
-            { id: 0, disks: [...initialDisks] },  // Left rod with all disks
-            { id: 1, disks: [] },                 // Middle rod (empty)
-            { id: 2, disks: [] }                  // Right rod (empty)
-        ],
-        selectedDisk: null,
-        selectedRod: null,
-        moveCount: 0,
-        gameComplete: false,
-        moveHistory: [],
-        settings: {
-            numDisks: numDisks,
-            animationSpeed: 300,
-            showHints: true,
-            autoSolveSpeed: 500
-        },
-        metadata: {
-            gameStartTime: new Date(),
-            lastMoveTime: null,
-            optimalMoves: Math.pow(2, numDisks) - 1
-        }
-    };
+    if (numRods <= 3) {
+        return Math.pow(2, numDisks) - 1;
+    }
 
-    return gameState;
+    return createFrameStewartTable(numDisks, numRods).moves[numRods][numDisks];
 }
 
 /**
- * Validates the structure and integrity of a game state object
- * @param {Object} gameState - Game state to validate
- * @returns {boolean} True if valid, throws error if invalid
+ * Builds the Frame-Stewart dynamic programming table
+ * moves[k][n] is the move count for n disks on k rods and split[k][n] is the
+ * number of top disks to park on a spare rod before moving the rest.
+ * SolverEngine plans its four-or-more-rod solutions from the same table.
+ * @param {number} numDisks - Largest disk count needed
+ * @param {number} numRods - Largest rod count needed
+ * @returns {Object} Table with moves and split arrays indexed by [rods][disks]
  */
-function validateGameState(gameState) {
-    // Check required properties
-    const requiredProps = ['rods', 'selectedDisk', 'selectedRod', 'moveCount', 'gameComplete', 'moveHistory', 'settings', 'metadata'];
-    for (const prop of requiredProps) {
-        if (!(prop in gameState)) {
-            throw new Error(`Missing required property: ${prop}`);
-        }
-    }
+function createFrameStewartTable(numDisks, numRods) {
+    const moves = [];
+    const split = [];
 
-    // Validate rods array
-    if (!Array.isArray(gameState.rods) || gameState.rods.length !== 3) {
-        throw new Error('Game state must have exactly 3 rods');
+    for (let k = 0; k <= numRods; k++) {
+        moves.push(new Array(numDisks + 1).fill(0));
+        split.push(new Array(numDisks + 1).fill(0));
     }
 
-    // Validate each rod
-    for (let i = 0; i < 3; i++) {
-        const rod = gameState.rods[i];
-        if (!rod || rod.id !== i || !Array.isArray(rod.disks)) {
-            throw new Error(`Invalid rod structure at index ${i}`);
-        }
-
-        // Validate disk ordering (largest to smallest, bottom to top)
-        for (let j = 1; j < rod.disks.length; j++) {
-            if (rod.disks[j] >= rod.disks[j - 1]) {
-                throw new Error(`Invalid disk ordering on rod ${i}: disks must be in descending order`);
-            }
-        }
+    for (let n = 1; n <= numDisks; n++) {
+        moves[3][n] = Math.pow(2, n) - 1;
     }
 
-    // Validate disk count and uniqueness
-    const allDisks = gameState.rods.flatMap(rod => rod.disks);
-    const numDisks = gameState.settings.numDisks;
+    for (let k = 4; k <= numRods; k++) {
+        moves[k][1] = 1;
 
-    if (allDisks.length !== numDisks) {
-        throw new Error(`Expected ${numDisks} disks, found ${allDisks.length}`);
-    }
+        for (let n = 2; n <= numDisks; n++) {
+            let best = Infinity;
+            let bestSplit = 1;
 
-    const uniqueDisks = new Set(allDisks);
-    if (uniqueDisks.size !== numDisks) {
-        throw new Error('Duplicate disks found in game state');
-    }
+            // Park t disks using all k rods, then move the rest with one rod fewer
+            for (let t = 1; t < n; t++) {
+                const total = 2 * moves[k][t] + moves[k - 1][n - t];
+                if (total < best) {
+                    best = total;
+                    bestSplit = t;
+                }
+            }
 
-    for (let i = 1; i <= numDisks; i++) {
-        if (!uniqueDisks.has(i)) {
-            throw new Error(`Missing disk ${i}`);
+            moves[k][n] = best;
+            split[k][n] = bestSplit;
         }
     }
 
-    // Validate settings
-    const settings = gameState.settings;
-    if (!Number.isInteger(settings.numDisks) || settings.numDisks < 3 || settings.numDisks > 8) {
-        throw new Error('Invalid numDisks in settings');
-    }
-
-    if (!Number.isInteger(settings.animationSpeed) || settings.animationSpeed < 100) {
-        throw new Error('Invalid animationSpeed in settings');
-    }
-
-    // Validate move count
-    if (!Number.isInteger(gameState.moveCount) || gameState.moveCount < 0) {
-        throw new Error('Invalid move count');
-    }
+    return { moves, split };
+}
 
-    // Validate move history
-    if (!Array.isArray(gameState.moveHistory)) {
-        throw new Error('Move history must be an array');
-    }
+/**
+ * Calculates the cheapest cost of moving a tower on three rods
+ * Every solution moves disk d at least 2^(n-d) times and the shortest one does
+ * exactly that, so it is also the cheapest whatever the disks cost.
+ * @param {Array} diskCosts - Move cost by disk size - 1
+ * @returns {number} Cheapest total cost
+ */
+function calculateOptimalCost(diskCosts) {
+    return diskCosts.reduce((total, cost, i) => total + cost * Math.pow(2, diskCosts.length - 1 - i), 0);
+}
 
-    if (gameState.moveHistory.length !== gameState.moveCount) {
-        throw new Error('Move history length does not match move count');
+/**
+ * Validates a seed for random starts
+ * @param {number} seed - Seed to check
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validateSeed(seed) {
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+        throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}`);
     }
 
     return true;
 }
 
 /**
- * Creates a deep copy of the game state
- * @param {Object} gameState - Game state to copy
- * @returns {Object} Deep copy of the game state
+ * Picks a new seed for a random start
+ * @returns {number} Seed between 0 and MAX_SEED
  */
-function cloneGameState(gameState) {
-    return {
-        rods: gameState.rods.map(rod => ({
-            id: rod.id,
-            disks: [...rod.disks]
-        })),
-        selectedDisk: gameState.selectedDisk,
-        selectedRod: gameState.selectedRod,
-        moveCount: gameState.moveCount,
-        gameComplete: gameState.gameComplete,
-        moveHistory: gameState.moveHistory.map(move => ({ ...move })),
-        settings: { ...gameState.settings },
-        metadata: { ...gameState.metadata }
+function createRandomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * The same seed always gives the same sequence, in every browser.
+ * @param {number} seed - Seed between 0 and MAX_SEED
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     };
 }
 
 /**
- * Resets the game state to initial configuration
- * @param {Object} gameState - Current game state
- * @returns {Object} Reset game state
+ * Generates a random legal configuration from a seed
+ * Each disk goes to a random rod, and disks stack largest first, so every
+ * configuration is legal. Configurations that already match the goal or break
+ * a rod capacity or forbidden rod constraint are drawn again.
+ * @param {number} numDisks - Number of disks
+ * @param {number} numRods - Number of rods
+ * @param {number} seed - Seed between 0 and MAX_SEED
+ * @param {Array} goalConfiguration - Goal the start must differ from
+ * @param {Array} constraints - Constraints the start must keep (defaults to none)
+ * @returns {Array} Array of disk arrays, one per rod
  */
-function resetGameState(gameState) {
-    const numDisks = gameState.settings.numDisks;
-    const newState = createGameState(numDisks);
+function generateRandomConfiguration(numDisks, numRods, seed, goalConfiguration, constraints = []) {
+    validateSeed(seed);
+
+    const random = createSeededRandom(seed);
+    const matchesGoal = configuration => configuration.every((disks, i) =>
+        disks.length === goalConfiguration[i].length && disks.every((disk, j) => disk === goalConfiguration[i][j]));
+
+    let configuration;
+    let draws = 0;
+    do {
+        if (constraints.length > 0 && draws === MAX_CONSTRAINED_DRAWS) {
+            throw new Error(`Seed ${seed} gives no random start that keeps the constraints in ${MAX_CONSTRAINED_DRAWS} draws`);
+        }
+        draws++;
 
-    // Preserve some settings from the current state
-    newState.settings = { ...gameState.settings };
+        configuration = Array.from({ length: numRods }, () => []);
+        for (let disk = numDisks; disk >= 1; disk--) {
+            configuration[Math.floor(random() * numRods)].push(disk);
+        }
+    } while (matchesGoal(configuration) || findConstraintViolation(configuration, constraints));
 
-    return newState;
+    return configuration;
 }
 
 /**
- * Gets a summary of the current game state for debugging
- * @param {Object} gameState - Game state to summarize
- * @returns {Object} Game state summary
+ * Gets the daily challenge for a date
+ * The seed is the UTC date written as YYYYMMDD, so everyone playing on the
+ * same day gets the same position.
+ * @param {Date} date - Day of the challenge (defaults to today)
+ * @returns {Object} { numDisks, numRods, gameMode, seed, dailyChallenge }, ready for
+ *   GameEngine.updateSettings; dailyChallenge is the date as YYYY-MM-DD
  */
-function getGameStateSummary(gameState) {
+function getDailyChallenge(date = new Date()) {
+    const day = date.toISOString().slice(0, 10);
+
+    return {
+        ...DAILY_CHALLENGE,
+        seed: Number(day.replace(/-/g, '')),
+        dailyChallenge: day
+    };
+}
+
+/**
+ * Gets a constraint puzzle from the puzzle picker
+ * The tower starts on the first rod and goes to the last, whatever the seed
+ * or start of the game it replaces.
+ * @param {string} name - Puzzle name (see CONSTRAINT_PUZZLES)
+ * @returns {Object} { numDisks, numRods, gameMode, startConfiguration, goalConfiguration, constraints },
+ *   ready for GameEngine.updateSettings
+ */
+function getConstraintPuzzle(name) {
+    if (!Object.prototype.hasOwnProperty.call(CONSTRAINT_PUZZLES, name)) {
+        throw new Error(`Unknown constraint puzzle: ${name}`);
+    }
+
+    const { numDisks, numRods, constraints } = CONSTRAINT_PUZZLES[name];
+    return {
+        numDisks,
+        numRods,
+        gameMode: 'classic',
+        startConfiguration: createTowerConfiguration(numDisks, numRods, 0),
+        goalConfiguration: createTowerConfiguration(numDisks, numRods, numRods - 1),
+        constraints: constraints.map(constraint => ({ ...constraint }))
+    };
+}
+
+/**
+ * Finds the constraint puzzle a game is playing
+ * @param {Object} gameState - Game state
+ * @returns {string|null} Puzzle name, or null for games with no or other constraints
+ */
+function findConstraintPuzzle(gameState) {
+    const { numDisks, gameMode, constraints } = gameState.settings;
+    const name = Object.keys(CONSTRAINT_PUZZLES).find(key => {
+        const puzzle = CONSTRAINT_PUZZLES[key];
+        return puzzle.numDisks === numDisks && puzzle.numRods === gameState.rods.length &&
+            (gameMode || 'classic') === 'classic' &&
+            JSON.stringify(puzzle.constraints) === JSON.stringify(constraints || []);
+    });
+
+    return name || null;
+}
+
+/**
+ * Validates a time attack limit
+ * @param {number|null} timeLimit - Seconds to solve the puzzle in, or null to count up
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validateTimeLimit(timeLimit) {
+    if (timeLimit !== null && (!Number.isInteger(timeLimit) || timeLimit < 1 || timeLimit > MAX_TIME_LIMIT)) {
+        throw new Error(`Time limit must be null or an integer between 1 and ${MAX_TIME_LIMIT} seconds`);
+    }
+
+    return true;
+}
+
+/**
+ * Creates a stopped game clock
+ * The clock keeps the milliseconds played before its current run in `elapsed`
+ * and the Date.now() value the current run started at in `runningSince` (null
+ * while stopped). `paused` marks a clock stopped because the game was paused,
+ * which the next move or GameEngine.resumeGame starts again.
+ * @returns {Object} Game clock
+ */
+function createClock() {
+    return { elapsed: 0, runningSince: null, paused: false };
+}
+
+/**
+ * Validates a game clock
+ * @param {Object} clock - Clock to check
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validateClock(clock) {
+    if (!clock || typeof clock !== 'object') {
+        throw new Error('Clock must be an object');
+    }
+
+    if (typeof clock.elapsed !== 'number' || !(clock.elapsed >= 0)) {
+        throw new Error('Clock elapsed time must be a non-negative number');
+    }
+
+    if (clock.runningSince !== null && typeof clock.runningSince !== 'number') {
+        throw new Error('Clock start time must be a number or null');
+    }
+
+    if (typeof clock.paused !== 'boolean') {
+        throw new Error('Clock paused flag must be a boolean');
+    }
+
+    return true;
+}
+
+/**
+ * Gets the time played so far
+ * @param {Object} gameState - Game state
+ * @param {number} now - Current time from Date.now() (defaults to now)
+ * @returns {number} Milliseconds on the game clock
+ */
+function getElapsedTime(gameState, now = Date.now()) {
+    const clock = gameState.clock;
+    if (!clock) return 0;
+
+    return clock.elapsed + (clock.runningSince !== null ? Math.max(0, now - clock.runningSince) : 0);
+}
+
+/**
+ * Checks whether the game clock is running
+ * @param {Object} gameState - Game state
+ * @returns {boolean} True while the clock counts
+ */
+function isClockRunning(gameState) {
+    return Boolean(gameState.clock && gameState.clock.runningSince !== null);
+}
+
+/**
+ * Starts the game clock if it is stopped
+ * @param {Object} gameState - Game state (will be modified)
+ * @param {number} now - Current time from Date.now() (defaults to now)
+ */
+function startClock(gameState, now = Date.now()) {
+    if (gameState.clock && gameState.clock.runningSince === null) {
+        gameState.clock.runningSince = now;
+    }
+}
+
+/**
+ * Stops the game clock, keeping the time played
+ * @param {Object} gameState - Game state (will be modified)
+ * @param {number} now - Current time from Date.now() (defaults to now)
+ */
+function stopClock(gameState, now = Date.now()) {
+    if (isClockRunning(gameState)) {
+        gameState.clock.elapsed = getElapsedTime(gameState, now);
+        gameState.clock.runningSince = null;
+    }
+}
+
+/**
+ * Gets the time left in a time attack game
+ * @param {Object} gameState - Game state
+ * @param {number} now - Current time from Date.now() (defaults to now)
+ * @returns {number|null} Milliseconds left, never below 0, or null without a time limit
+ */
+function getRemainingTime(gameState, now = Date.now()) {
+    const timeLimit = gameState.settings.timeLimit;
+    if (!timeLimit) return null;
+
+    return Math.max(0, timeLimit * 1000 - getElapsedTime(gameState, now));
+}
+
+/**
+ * Checks whether a time attack game has run out of time
+ * @param {Object} gameState - Game state
+ * @param {number} now - Current time from Date.now() (defaults to now)
+ * @returns {boolean} True once the clock has reached the time limit
+ */
+function isTimeUp(gameState, now = Date.now()) {
+    return getRemainingTime(gameState, now) === 0;
+}
+
+/**
+ * Creates the record of help a player has had in a game
+ * `hints` counts hints asked for, `undos` moves taken back by undo or by
+ * jumping back in the history, `undoneCost` what those moves cost, and
+ * `autoSolveMoves` moves made by auto-solve.
+ * @returns {Object} Assistance counts, all zero
+ */
+function createAssistance() {
+    return { hints: 0, undos: 0, undoneCost: 0, autoSolveMoves: 0 };
+}
+
+/**
+ * Validates the assistance counts of a game
+ * @param {Object} assistance - Assistance counts to check
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validateAssistance(assistance) {
+    if (!assistance || typeof assistance !== 'object') {
+        throw new Error('Assistance must be an object');
+    }
+
+    for (const kind of Object.keys(createAssistance())) {
+        if (!Number.isInteger(assistance[kind]) || assistance[kind] < 0) {
+            throw new Error(`Assistance count ${kind} must be a non-negative integer`);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Validates a difficulty preset name
+ * @param {string} difficulty - Difficulty to check
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validateDifficulty(difficulty) {
+    if (!Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, difficulty)) {
+        throw new Error(`Unknown difficulty: ${difficulty}`);
+    }
+
+    return true;
+}
+
+/**
+ * Validates the player preferences a running game can change in place
+ * (showHints, animationSpeed and autoSolveSpeed, both speeds in milliseconds)
+ * @param {Object} preferences - Preferences to check
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validatePreferences(preferences) {
+    for (const [name, value] of Object.entries(preferences)) {
+        if (name === 'showHints') {
+            if (typeof value !== 'boolean') {
+                throw new Error('showHints must be a boolean');
+            }
+        } else if (name === 'animationSpeed') {
+            if (!Number.isInteger(value) || value < 100) {
+                throw new Error('animationSpeed must be a whole number of milliseconds, at least 100');
+            }
+        } else if (name === 'autoSolveSpeed') {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error('autoSolveSpeed must be a non-negative whole number of milliseconds');
+            }
+        } else {
+            throw new Error(`Unknown setting: ${name}`);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Gets the difficulty preset a game is played at
+ * @param {Object} gameState - Game state
+ * @returns {string} Difficulty name ('normal' for games saved before difficulties existed)
+ */
+function getDifficulty(gameState) {
+    return gameState.settings.difficulty || 'normal';
+}
+
+/**
+ * Checks whether a game's difficulty allows a kind of help
+ * @param {Object} gameState - Game state
+ * @param {string} kind - 'undo', 'hints', 'solver' or 'destinationHighlights'
+ * @returns {boolean} True if the player may use it
+ */
+function isAssistAllowed(gameState, kind) {
+    return DIFFICULTY_PRESETS[getDifficulty(gameState)][kind];
+}
+
+/**
+ * Calculates the move budget for a par
+ * @param {number} par - Fewest moves (or lowest cost) that solve the puzzle
+ * @returns {number} Most moves that still count as solving within budget
+ */
+function calculateMoveBudget(par) {
+    return Math.ceil(par * MOVE_BUDGET_FACTOR);
+}
+
+/**
+ * Gets the hard move budget of a par mode game
+ * @param {Object} gameState - Game state
+ * @returns {number|null} Move budget, or null outside par mode or while the par is unknown
+ */
+function getMoveBudget(gameState) {
+    const par = gameState.metadata.optimalMoves;
+    if (!gameState.settings.parMode || par === null || par === undefined) return null;
+
+    return calculateMoveBudget(par);
+}
+
+/**
+ * Counts every move a game has used, including moves later taken back by undo
+ * or a history jump, which the net moveCount no longer shows
+ * @param {Object} gameState - Game state
+ * @returns {number} Moves used
+ */
+function getMovesUsed(gameState) {
+    const undos = gameState.assistance ? gameState.assistance.undos : 0;
+    return gameState.moveCount + undos;
+}
+
+/**
+ * Gets the moves left in a par mode game's budget
+ * Undoing a move does not give it back.
+ * @param {Object} gameState - Game state
+ * @returns {number|null} Moves left, never below 0, or null without a budget
+ */
+function getMovesLeft(gameState) {
+    const budget = getMoveBudget(gameState);
+    if (budget === null) return null;
+
+    return Math.max(0, budget - getMovesUsed(gameState));
+}
+
+/**
+ * Checks whether a par mode game has used up its move budget
+ * @param {Object} gameState - Game state
+ * @returns {boolean} True once the moves made reach the budget
+ */
+function isMoveBudgetSpent(gameState) {
+    return getMovesLeft(gameState) === 0;
+}
+
+/**
+ * Rates a solution with stars: 3 at par, 2 within 10% of par, 1 within the
+ * move budget and none beyond it
+ * @param {number} score - Moves made (or total cost in weighted games)
+ * @param {number} par - Fewest moves (or lowest cost) that solve the puzzle
+ * @param {number} budget - Move budget (defaults to the budget for the par)
+ * @returns {number|null} Stars from 0 to 3, or null when the par is unknown
+ */
+function getStarRating(score, par, budget = calculateMoveBudget(par)) {
+    if (par === null || par === undefined) return null;
+
+    if (score <= par) return 3;
+    if (score <= par * (1 + TWO_STAR_MARGIN)) return 2;
+    if (score <= budget) return 1;
+    return 0;
+}
+
+/**
+ * Creates a configuration with every disk stacked on one rod
+ * A configuration lists the disks on each rod, largest to smallest (bottom to top)
+ * @param {number} numDisks - Number of disks
+ * @param {number} numRods - Number of rods
+ * @param {number} rodIndex - Rod holding the tower
+ * @returns {Array} Array of disk arrays, one per rod
+ */
+function createTowerConfiguration(numDisks, numRods, rodIndex) {
+    const tower = [];
+    for (let i = numDisks; i >= 1; i--) {
+        tower.push(i);
+    }
+
+    const configuration = [];
+    for (let i = 0; i < numRods; i++) {
+        configuration.push(i === rodIndex ? [...tower] : []);
+    }
+
+    return configuration;
+}
+
+/**
+ * Creates the start and goal configurations of a bicolor game on three rods
+ * 'bicolor' starts with both towers interleaved on the left rod, each size with
+ * its first-color disk below its second-color disk, and the goal is one tower of
+ * each color on the middle and right rods. 'bicolor-swap' starts with the first
+ * color on the left rod and the second on the right, and the goal swaps them.
+ * @param {number} numDisks - Number of disk sizes
+ * @param {string} gameMode - 'bicolor' or 'bicolor-swap'
+ * @returns {Object} { startConfiguration, goalConfiguration }
+ */
+function createBicolorConfigurations(numDisks, gameMode) {
+    const interleaved = [];
+    const firstColor = [];
+    const secondColor = [];
+
+    for (let size = numDisks; size >= 1; size--) {
+        interleaved.push(2 * size - 1, 2 * size);
+        firstColor.push(2 * size - 1);
+        secondColor.push(2 * size);
+    }
+
+    if (gameMode === 'bicolor-swap') {
+        return {
+            startConfiguration: [firstColor, [], secondColor],
+            goalConfiguration: [[...secondColor], [], [...firstColor]]
+        };
+    }
+
+    return {
+        startConfiguration: [interleaved, [], []],
+        goalConfiguration: [[], firstColor, secondColor]
+    };
+}
+
+/**
+ * Validates a disk configuration
+ * @param {Array} configuration - Array of disk arrays, one per rod (bottom to top)
+ * @param {number} numDisks - Number of disks in the game (disk sizes in paired-disk modes)
+ * @param {number} numRods - Number of rods in the game
+ * @param {string} gameMode - Game mode (defaults to 'classic')
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validateConfiguration(configuration, numDisks, numRods, gameMode = 'classic') {
+    if (!Array.isArray(configuration) || configuration.length !== numRods) {
+        throw new Error(`Configuration must have exactly ${numRods} rods`);
+    }
+
+    for (let i = 0; i < numRods; i++) {
+        const disks = configuration[i];
+        if (!Array.isArray(disks)) {
+            throw new Error(`Invalid rod structure at index ${i}`);
+        }
+
+        // Validate disk ordering (largest to smallest, bottom to top; equal sizes may stack)
+        for (let j = 1; j < disks.length; j++) {
+            if (!isStackedInOrder(disks[j - 1], disks[j], gameMode)) {
+                throw new Error(`Invalid disk ordering on rod ${i}: disks must be in descending order`);
+            }
+        }
+    }
+
+    const totalDisks = getTotalDisks(numDisks, gameMode);
+    const allDisks = configuration.flat();
+    const uniqueDisks = new Set(allDisks);
+
+    if (allDisks.length !== totalDisks || uniqueDisks.size !== totalDisks) {
+        throw new Error(`Configuration must place each of the ${totalDisks} disks exactly once`);
+    }
+
+    for (let i = 1; i <= totalDisks; i++) {
+        if (!uniqueDisks.has(i)) {
+            throw new Error(`Missing disk ${i}`);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Gets the configuration the player has to reach
+ * Games without a custom goal move the tower to the rightmost rod
+ * @param {Object} gameState - Game state
+ * @returns {Array} Array of disk arrays, one per rod
+ */
+function getGoalConfiguration(gameState) {
+    if (gameState.settings.goalConfiguration) {
+        return gameState.settings.goalConfiguration;
+    }
+
+    return createTowerConfiguration(gameState.settings.numDisks, gameState.rods.length, gameState.rods.length - 1);
+}
+
+/**
+ * Checks whether a configuration is a single tower
+ * @param {Array} configuration - Array of disk arrays, one per rod
+ * @returns {boolean} True if all disks are on one rod
+ */
+function isTowerConfiguration(configuration) {
+    return configuration.filter(disks => disks.length > 0).length <= 1;
+}
+
+/**
+ * Creates a move history tree holding only the starting position
+ * Nodes live in an array indexed by id. Node 0 is the starting position; every
+ * other node holds the move that led to it, so undoing and then playing a
+ * different move starts a new branch instead of losing the old line.
+ * @returns {Object} History tree { nodes, currentNodeId }
+ */
+function createHistoryTree() {
+    return {
+        nodes: [{ id: 0, parentId: null, move: null, children: [] }],
+        currentNodeId: 0
+    };
+}
+
+/**
+ * Builds a single-line history tree from a linear move history
+ * @param {Array} moveHistory - Moves in the order they were played
+ * @returns {Object} History tree positioned at the last move
+ */
+function buildHistoryTree(moveHistory) {
+    const tree = createHistoryTree();
+
+    moveHistory.forEach((move, i) => {
+        tree.nodes.push({ id: i + 1, parentId: i, move: { ...move }, children: [] });
+        tree.nodes[i].children.push(i + 1);
+    });
+    tree.currentNodeId = moveHistory.length;
+
+    return tree;
+}
+
+/**
+ * Creates a deep copy of a history tree
+ * @param {Object} tree - History tree to copy
+ * @returns {Object} Copy of the tree
+ */
+function cloneHistoryTree(tree) {
+    return {
+        nodes: tree.nodes.map(node => ({
+            id: node.id,
+            parentId: node.parentId,
+            move: node.move ? { ...node.move } : null,
+            children: [...node.children]
+        })),
+        currentNodeId: tree.currentNodeId
+    };
+}
+
+/**
+ * Copies a game state's history tree, rebuilding it from the move history when
+ * it is missing or no longer matches (the move history is authoritative)
+ * @param {Object} gameState - Game state whose tree to copy
+ * @returns {Object} History tree
+ */
+function copyHistoryTree(gameState) {
+    const tree = gameState.historyTree;
+
+    try {
+        if (tree && tree.nodes[tree.currentNodeId] &&
+            getHistoryPath(tree, tree.currentNodeId).length === gameState.moveHistory.length) {
+            return cloneHistoryTree(tree);
+        }
+    } catch (error) {
+        // Fall through and rebuild a damaged tree
+    }
+
+    return buildHistoryTree(gameState.moveHistory);
+}
+
+/**
+ * Gets the nodes on the way from the starting position to a history node
+ * @param {Object} tree - History tree
+ * @param {number} nodeId - Target node
+ * @returns {Array} Nodes in play order, excluding the starting position
+ */
+function getHistoryPath(tree, nodeId) {
+    const path = [];
+
+    for (let node = tree.nodes[nodeId]; node && node.parentId !== null; node = tree.nodes[node.parentId]) {
+        if (path.length >= tree.nodes.length) {
+            throw new Error('History tree contains a cycle');
+        }
+        path.push(node);
+    }
+
+    return path.reverse();
+}
+
+/**
+ * Creates a new game state with the specified number of disks and rods
+ * Custom exercises can start from any legal configuration and aim for any other.
+ * Puzzles with no formula for their optimal move count (custom configurations,
+ * paired-disk and magnetic modes, constraint puzzles) take it, and weighted
+ * games their cheapest cost, from the solver passed in options.solver; without
+ * one it is null.
+ * @param {number} numDisks - Number of disks (3-20)
+ * @param {number} numRods - Number of rods (3-6)
+ * @param {Object} options - Optional configurations
+ * @param {Array} options.startConfiguration - Starting disks per rod (defaults to a tower on the left rod)
+ * @param {Array} options.goalConfiguration - Target disks per rod (defaults to a tower on the rightmost rod)
+ * @param {string} options.gameMode - Rule set to play by (defaults to 'classic', see ruleSets.js)
+ * @param {Array} options.diskCosts - Move cost by disk size - 1 in weighted mode (defaults to the disk sizes)
+ * @param {Array} options.constraints - Puzzle constraints on top of the mode's rules (see CONSTRAINT_TYPES)
+ * @param {number} options.seed - Seed for a random start, used when no start configuration is given
+ * @param {string} options.dailyChallenge - Date (YYYY-MM-DD) of the daily challenge this game is
+ * @param {number} options.timeLimit - Seconds to solve the puzzle in for time attack (defaults to null, counting up)
+ * @param {boolean} options.parMode - Fail the puzzle once it uses up its move budget (defaults to false)
+ * @param {string} options.difficulty - Difficulty preset, see DIFFICULTY_PRESETS (defaults to 'normal')
+ * @param {Function} options.solver - Solver class (SolverEngine) to find optimal counts that have no formula
+ * @returns {Object} Initial game state
+ */
+function createGameState(numDisks = 3, numRods = 3, options = {}) {
+    // Validate input
+    if (!Number.isInteger(numDisks) || numDisks < 3 || numDisks > 20) {
+        throw new Error('Number of disks must be an integer between 3 and 20');
+    }
+
+    if (!Number.isInteger(numRods) || numRods < 3 || numRods > 6) {
+        throw new Error('Number of rods must be an integer between 3 and 6');
+    }
+
+    const gameMode = options.gameMode || 'classic';
+    if (typeof RuleSets !== 'undefined') {
+        if (!RuleSets.hasGameMode(gameMode)) {
+            throw new Error(`Unknown game mode: ${gameMode}`);
+        }
+
+        const modeInfo = RuleSets.getGameModeInfo(gameMode);
+        if (modeInfo.numRods && numRods !== modeInfo.numRods) {
+            throw new Error(`${modeInfo.label} mode needs exactly ${modeInfo.numRods} rods`);
+        }
+    }
+
+    // Paired-disk modes come with their own layouts (the mode info makes sure there are three rods)
+    const defaults = hasPairedDisks(gameMode)
+        ? createBicolorConfigurations(numDisks, gameMode)
+        : {
+            startConfiguration: createTowerConfiguration(numDisks, numRods, 0),
+            goalConfiguration: createTowerConfiguration(numDisks, numRods, numRods - 1)
+        };
+    const goalConfiguration = options.goalConfiguration || defaults.goalConfiguration;
+    const seed = options.seed !== undefined ? options.seed : null;
+    const dailyChallenge = options.dailyChallenge || null;
+
+    if (seed !== null) {
+        validateSeed(seed);
+    }
+
+    if (dailyChallenge !== null && !CHALLENGE_DATE_PATTERN.test(dailyChallenge)) {
+        throw new Error('Daily challenge must be a date written as YYYY-MM-DD');
+    }
+
+    const timeLimit = options.timeLimit !== undefined ? options.timeLimit : null;
+    validateTimeLimit(timeLimit);
+
+    const parMode = options.parMode !== undefined ? options.parMode : false;
+    if (typeof parMode !== 'boolean') {
+        throw new Error('Par mode must be true or false');
+    }
+
+    const difficulty = options.difficulty || 'normal';
+    validateDifficulty(difficulty);
+
+    if (seed !== null && !options.startConfiguration && (hasPairedDisks(gameMode) || hasMagneticDisks(gameMode))) {
+        throw new Error(`Random starts are not available in ${gameMode} mode`);
+    }
+
+    const constraints = options.constraints || [];
+    validateConstraints(constraints, numDisks, numRods, gameMode);
+
+    // A seed swaps the tower for a random start
+    const startConfiguration = options.startConfiguration ||
+        (seed !== null ? generateRandomConfiguration(numDisks, numRods, seed, goalConfiguration, constraints) : defaults.startConfiguration);
+
+    validateConfiguration(startConfiguration, numDisks, numRods, gameMode);
+    validateConfiguration(goalConfiguration, numDisks, numRods, gameMode);
+
+    const diskCosts = hasMoveCosts(gameMode) ? (options.diskCosts || createDiskCosts(numDisks)) : null;
+    if (diskCosts) {
+        validateDiskCosts(diskCosts, numDisks);
+    }
+
+    const startViolation = findConstraintViolation(startConfiguration, constraints);
+    if (startViolation) {
+        throw new Error(`Start configuration breaks a constraint: ${startViolation}`);
+    }
+
+    const goalViolation = findConstraintViolation(goalConfiguration, constraints);
+    if (goalViolation) {
+        throw new Error(`Goal configuration breaks a constraint: ${goalViolation}`);
+    }
+
+    const rods = startConfiguration.map((disks, i) => ({ id: i, disks: [...disks] }));
+
+    const gameState = {
+        rods,
+        diskOrientations: hasMagneticDisks(gameMode) ? createDiskOrientations(getTotalDisks(numDisks, gameMode)) : null,
+        selectedDisk: null,
+        selectedRod: null,
+        moveCount: 0,
+        gameComplete: false,
+        gameLost: false,
+        clock: createClock(),
+        assistance: createAssistance(),
+        moveHistory: [],
+        redoStack: [],
+        historyTree: createHistoryTree(),
+        settings: {
+            numDisks: numDisks,
+            numRods: numRods,
+            gameMode: gameMode,
+            animationSpeed: 300,
+            showHints: true,
+            autoSolveSpeed: 500,
+            startConfiguration: startConfiguration.map(disks => [...disks]),
+            goalConfiguration: goalConfiguration.map(disks => [...disks]),
+            diskCosts: diskCosts ? [...diskCosts] : null,
+            constraints: constraints.map(constraint => ({ ...constraint })),
+            seed: seed,
+            dailyChallenge: dailyChallenge,
+            timeLimit: timeLimit,
+            parMode: parMode,
+            difficulty: difficulty
+        },
+        metadata: {
+            gameStartTime: new Date(),
+            lastMoveTime: null,
+            optimalMoves: null,
+            optimalCost: null
+        }
+    };
+
+    // Tower to tower is the classic puzzle; anything else needs the solver.
+    // Other game modes only have a formula for the standard left-to-right tower,
+    // and paired-disk and magnetic modes and constraint puzzles have none.
+    // Constraint puzzles too large to search have no known par (null).
+    const towers = !hasPairedDisks(gameMode) && !hasMagneticDisks(gameMode) && constraints.length === 0 &&
+        isTowerConfiguration(startConfiguration) && isTowerConfiguration(goalConfiguration);
+    const sameRod = startConfiguration.every((disks, i) => disks.length === goalConfiguration[i].length);
+    const standardLayout = startConfiguration[0].length === numDisks && goalConfiguration[numRods - 1].length === numDisks;
+    const Solver = options.solver || null;
+    const solvable = Solver !== null && new Solver(gameState).canSolve();
+
+    if (towers && sameRod) {
+        gameState.metadata.optimalMoves = 0;
+    } else if (towers && (gameMode === 'classic' || standardLayout)) {
+        gameState.metadata.optimalMoves = calculateOptimalMoves(numDisks, numRods, gameMode);
+    } else if (solvable) {
+        // The solver minimises cost when the game has disk costs, so count moves without them
+        const unweighted = diskCosts ? { ...gameState, settings: { ...gameState.settings, diskCosts: null } } : gameState;
+        gameState.metadata.optimalMoves = new Solver(unweighted).getDistanceToGoal();
+    }
+
+    // Weighted games are scored by the cheapest total cost; beyond three-rod towers the solver finds it
+    if (diskCosts && towers && sameRod) {
+        gameState.metadata.optimalCost = 0;
+    } else if (diskCosts && towers && numRods === 3) {
+        gameState.metadata.optimalCost = calculateOptimalCost(diskCosts);
+    } else if (diskCosts && solvable) {
+        gameState.metadata.optimalCost = new Solver(gameState).getDistanceToGoal();
+    }
+
+    gameState.gameComplete = isGameWon(gameState);
+
+    return gameState;
+}
+
+/**
+ * Validates the structure and integrity of a game state object
+ * @param {Object} gameState - Game state to validate
+ * @returns {boolean} True if valid, throws error if invalid
+ */
+function validateGameState(gameState) {
+    // Check required properties
+    const requiredProps = ['rods', 'selectedDisk', 'selectedRod', 'moveCount', 'gameComplete', 'moveHistory', 'settings', 'metadata'];
+    for (const prop of requiredProps) {
+        if (!(prop in gameState)) {
+            throw new Error(`Missing required property: ${prop}`);
+        }
+    }
+
+    // Validate rods array (states saved before rod counts were configurable have 3)
+    const numRods = gameState.settings && gameState.settings.numRods !== undefined
+        ? gameState.settings.numRods
+        : 3;
+
+    if (!Number.isInteger(numRods) || numRods < 3 || numRods > 6) {
+        throw new Error('Invalid numRods in settings');
+    }
+
+    if (!Array.isArray(gameState.rods) || gameState.rods.length !== numRods) {
+        throw new Error(`Game state must have exactly ${numRods} rods`);
+    }
+
+    // Saves from before game modes existed play by the classic rules
+    const gameMode = gameState.settings.gameMode || 'classic';
+
+    // Validate each rod
+    for (let i = 0; i < numRods; i++) {
+        const rod = gameState.rods[i];
+        if (!rod || rod.id !== i || !Array.isArray(rod.disks)) {
+            throw new Error(`Invalid rod structure at index ${i}`);
+        }
+
+        // Validate disk ordering (largest to smallest, bottom to top; equal sizes may stack)
+        for (let j = 1; j < rod.disks.length; j++) {
+            if (!isStackedInOrder(rod.disks[j - 1], rod.disks[j], gameMode)) {
+                throw new Error(`Invalid disk ordering on rod ${i}: disks must be in descending order`);
+            }
+        }
+    }
+
+    // Validate disk count and uniqueness (paired-disk modes have two disks per size, each with its own id)
+    const allDisks = gameState.rods.flatMap(rod => rod.disks);
+    const numDisks = gameState.settings.numDisks;
+    const totalDisks = getTotalDisks(numDisks, gameMode);
+
+    if (allDisks.length !== totalDisks) {
+        throw new Error(`Expected ${totalDisks} disks, found ${allDisks.length}`);
+    }
+
+    const uniqueDisks = new Set(allDisks);
+    if (uniqueDisks.size !== totalDisks) {
+        throw new Error('Duplicate disks found in game state');
+    }
+
+    for (let i = 1; i <= totalDisks; i++) {
+        if (!uniqueDisks.has(i)) {
+            throw new Error(`Missing disk ${i}`);
+        }
+    }
+
+    // Validate magnet faces: every disk has one pole up, and touching faces must attract
+    if (hasMagneticDisks(gameMode)) {
+        const orientations = gameState.diskOrientations;
+        if (!Array.isArray(orientations) || orientations.length !== totalDisks ||
+            !orientations.every(pole => pole === 'N' || pole === 'S')) {
+            throw new Error("Disk orientations must list 'N' or 'S' for every disk");
+        }
+
+        gameState.rods.forEach((rod, i) => {
+            for (let j = 1; j < rod.disks.length; j++) {
+                if (orientations[rod.disks[j] - 1] !== orientations[rod.disks[j - 1] - 1]) {
+                    throw new Error(`Invalid disk faces on rod ${i}: touching faces must be opposite poles`);
+                }
+            }
+        });
+    }
+
+    // Validate settings
+    const settings = gameState.settings;
+    if (!Number.isInteger(settings.numDisks) || settings.numDisks < 3 || settings.numDisks > 20) {
+        throw new Error('Invalid numDisks in settings');
+    }
+
+    // Start and goal configurations are optional for states created before they existed
+    if (settings.startConfiguration !== undefined) {
+        validateConfiguration(settings.startConfiguration, numDisks, numRods, gameMode);
+    }
+
+    if (settings.goalConfiguration !== undefined) {
+        validateConfiguration(settings.goalConfiguration, numDisks, numRods, gameMode);
+    }
+
+    if (settings.gameMode !== undefined && (typeof settings.gameMode !== 'string' || settings.gameMode.length === 0)) {
+        throw new Error('Invalid gameMode in settings');
+    }
+
+    if (hasMoveCosts(gameMode) || (settings.diskCosts !== undefined && settings.diskCosts !== null)) {
+        validateDiskCosts(settings.diskCosts, numDisks);
+    }
+
+    // Constraints are optional for states created before they existed
+    if (settings.constraints !== undefined) {
+        validateConstraints(settings.constraints, numDisks, numRods, gameMode);
+
+        const violation = findConstraintViolation(gameState.rods.map(rod => rod.disks), settings.constraints);
+        if (violation) {
+            throw new Error(`Game state breaks a constraint: ${violation}`);
+        }
+    }
+
+    // Seeds are optional for states created before random starts existed
+    if (settings.seed !== undefined && settings.seed !== null) {
+        validateSeed(settings.seed);
+    }
+
+    if (settings.dailyChallenge !== undefined && settings.dailyChallenge !== null &&
+        !CHALLENGE_DATE_PATTERN.test(settings.dailyChallenge)) {
+        throw new Error('Invalid dailyChallenge in settings');
+    }
+
+    // The clock, loss flag and time limit are optional for states created before time attack existed
+    if (settings.timeLimit !== undefined) {
+        validateTimeLimit(settings.timeLimit);
+    }
+
+    if (gameState.clock !== undefined) {
+        validateClock(gameState.clock);
+    }
+
+    if (gameState.assistance !== undefined) {
+        validateAssistance(gameState.assistance);
+    }
+
+    if (settings.parMode !== undefined && typeof settings.parMode !== 'boolean') {
+        throw new Error('Invalid parMode in settings');
+    }
+
+    if (settings.difficulty !== undefined) {
+        validateDifficulty(settings.difficulty);
+    }
+
+    if (gameState.gameLost !== undefined && typeof gameState.gameLost !== 'boolean') {
+        throw new Error('gameLost must be a boolean');
+    }
+
+    if (!Number.isInteger(settings.animationSpeed) || settings.animationSpeed < 100) {
+        throw new Error('Invalid animationSpeed in settings');
+    }
+
+    // Validate move count
+    if (!Number.isInteger(gameState.moveCount) || gameState.moveCount < 0) {
+        throw new Error('Invalid move count');
+    }
+
+    // Validate move history
+    if (!Array.isArray(gameState.moveHistory)) {
+        throw new Error('Move history must be an array');
+    }
+
+    if (gameState.moveHistory.length !== gameState.moveCount) {
+        throw new Error('Move history length does not match move count');
+    }
+
+    // Validate redo stack (older states may not have one)
+    if (gameState.redoStack !== undefined && !Array.isArray(gameState.redoStack)) {
+        throw new Error('Redo stack must be an array');
+    }
+
+    // Validate history tree (older states may not have one)
+    if (gameState.historyTree !== undefined) {
+        const tree = gameState.historyTree;
+
+        if (!tree || !Array.isArray(tree.nodes) || !tree.nodes[0] || tree.nodes[0].parentId !== null) {
+            throw new Error('History tree must start from the initial position');
+        }
+
+        if (!tree.nodes[tree.currentNodeId]) {
+            throw new Error('History tree current position does not exist');
+        }
+
+        if (getHistoryPath(tree, tree.currentNodeId).length !== gameState.moveCount) {
+            throw new Error('History tree position does not match move count');
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Creates a deep copy of the game state
+ * @param {Object} gameState - Game state to copy
+ * @returns {Object} Deep copy of the game state
+ */
+function cloneGameState(gameState) {
+    return {
+        rods: gameState.rods.map(rod => ({
+            id: rod.id,
+            disks: [...rod.disks]
+        })),
+        diskOrientations: gameState.diskOrientations ? [...gameState.diskOrientations] : null,
+        selectedDisk: gameState.selectedDisk,
+        selectedRod: gameState.selectedRod,
+        moveCount: gameState.moveCount,
+        gameComplete: gameState.gameComplete,
+        gameLost: Boolean(gameState.gameLost),
+        assistance: { ...createAssistance(), ...gameState.assistance },
+        clock: gameState.clock ? { ...gameState.clock } : createClock(),
+        moveHistory: gameState.moveHistory.map(move => ({ ...move })),
+        redoStack: (gameState.redoStack || []).map(move => ({ ...move })),
+        historyTree: copyHistoryTree(gameState),
+        settings: cloneSettings(gameState.settings),
+        metadata: { ...gameState.metadata }
+    };
+}
+
+/**
+ * Copies game settings, including the start and goal configurations
+ * @param {Object} settings - Settings to copy
+ * @returns {Object} Copy of the settings
+ */
+function cloneSettings(settings) {
+    const copy = { ...settings };
+
+    ['startConfiguration', 'goalConfiguration'].forEach(key => {
+        if (Array.isArray(settings[key])) {
+            copy[key] = settings[key].map(disks => [...disks]);
+        }
+    });
+
+    if (Array.isArray(settings.diskCosts)) {
+        copy.diskCosts = [...settings.diskCosts];
+    }
+
+    if (Array.isArray(settings.constraints)) {
+        copy.constraints = settings.constraints.map(constraint => ({ ...constraint }));
+    }
+
+    return copy;
+}
+
+/**
+ * Deeply freezes a game state so it can be shared as an immutable snapshot
+ * Use cloneGameState to get a mutable copy again.
+ * @param {Object} gameState - Game state to freeze (frozen in place)
+ * @returns {Object} The frozen game state
+ */
+function freezeGameState(gameState) {
+    const freeze = (value) => {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.freeze(value);
+            Object.values(value).forEach(freeze);
+        }
+    };
+
+    freeze(gameState);
+    return gameState;
+}
+
+/**
+ * Save format
+ *
+ * serializeGameState produces a JSON envelope:
+ *
+ *   {
+ *     "format": "towers-of-hanoi-save",
+ *     "version": 2,
+ *     "savedAt": "2024-01-01T12:00:00.000Z",
+ *     "gameState": {
+ *       "rods": [{ "id": 0, "disks": [3, 2, 1] }, ...],
+ *       "diskOrientations": null,    // magnetic mode: pole facing up by disk id - 1, e.g. ["N", "S", "N"]
+ *       "selectedDisk": null, "selectedRod": null,
+ *       "moveCount": 0, "gameComplete": false,
+ *       "gameLost": false,    // time attack ran out; optional
+ *       "clock": { "elapsed": 0, "runningSince": null, "paused": false },    // optional, saved stopped
+ *       "assistance": { "hints": 0, "undos": 0, "undoneCost": 0, "autoSolveMoves": 0 },    // optional
+ *       "moveHistory": [{ "fromRod": 0, "toRod": 2, "diskId": 1, "moveNumber": 1,
+ *                         "timestamp": "<ISO date>", "duration": null }],
+ *       "redoStack": [],    // undone moves, same shape as moveHistory; optional
+ *       "historyTree": { "nodes": [{ "id": 0, "parentId": null, "move": null, "children": [1] }, ...],
+ *                        "currentNodeId": 1 },    // optional, rebuilt from moveHistory
+ *       "settings": { "numDisks": 3, "numRods": 3, ... },
+ *       "metadata": { "gameStartTime": "<ISO date>", "lastMoveTime": null, "optimalMoves": 7, ... }
+ *     }
+ *   }
+ *
+ * Dates are stored as ISO strings and revived on load. Version history:
+ *   1 - a bare game state passed through JSON.stringify (no envelope, three rods,
+ *       rod ids and numRods may be missing)
+ *   2 - the envelope above
+ */
+const SAVE_FORMAT = 'towers-of-hanoi-save';
+const SAVE_FORMAT_VERSION = 2;
+
+// Date-valued fields revived on load
+const METADATA_DATE_FIELDS = ['gameStartTime', 'lastMoveTime', 'gameEndTime'];
+
+// Upgrades saved data from version N to version N + 1
+const SAVE_MIGRATIONS = {
+    1: (gameState) => {
+        if (!gameState.settings) {
+            throw new Error('Invalid save data: missing settings');
+        }
+
+        return {
+            format: SAVE_FORMAT,
+            version: 2,
+            savedAt: null,
+            gameState: {
+                ...gameState,
+                rods: gameState.rods.map((rod, i) => ({ id: i, disks: [...rod.disks] })),
+                settings: {
+                    animationSpeed: 300,
+                    showHints: true,
+                    autoSolveSpeed: 500,
+                    ...gameState.settings,
+                    numRods: gameState.rods.length
+                },
+                metadata: {
+                    optimalMoves: calculateOptimalMoves(gameState.settings.numDisks, gameState.rods.length),
+                    ...gameState.metadata
+                }
+            }
+        };
+    }
+};
+
+/**
+ * Serializes a game state to the versioned JSON save format
+ * @param {Object} gameState - Game state to save
+ * @returns {string} JSON save data
+ */
+function serializeGameState(gameState) {
+    const copy = cloneGameState(gameState);
+
+    // A running clock is saved paused, so time away from a saved game does not count
+    if (isClockRunning(copy)) {
+        stopClock(copy);
+        copy.clock.paused = true;
+    }
+
+    return JSON.stringify({
+        format: SAVE_FORMAT,
+        version: SAVE_FORMAT_VERSION,
+        savedAt: new Date().toISOString(),
+        gameState: copy
+    });
+}
+
+/**
+ * Restores a game state from save data, migrating older versions
+ * @param {string|Object} saveData - JSON string or parsed save data
+ * @returns {Object} Validated game state with dates revived
+ */
+function deserializeGameState(saveData) {
+    let data = saveData;
+
+    if (typeof saveData === 'string') {
+        try {
+            data = JSON.parse(saveData);
+        } catch (error) {
+            throw new Error(`Invalid save data: ${error.message}`);
+        }
+    }
+
+    if (!data || typeof data !== 'object') {
+        throw new Error('Invalid save data: expected an object');
+    }
+
+    // Version 1 saves are bare game states without an envelope
+    let version = data.version;
+    if (version === undefined && Array.isArray(data.rods)) {
+        version = 1;
+    } else if (data.format !== SAVE_FORMAT) {
+        throw new Error('Invalid save data: unknown format');
+    }
+
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid save version: ${version}`);
+    }
+
+    if (version > SAVE_FORMAT_VERSION) {
+        throw new Error(`Save version ${version} is newer than supported version ${SAVE_FORMAT_VERSION}`);
+    }
+
+    while (version < SAVE_FORMAT_VERSION) {
+        data = SAVE_MIGRATIONS[version](data);
+        version = data.version;
+    }
+
+    const gameState = cloneGameState(data.gameState);
+
+    // Revive dates
+    for (const field of METADATA_DATE_FIELDS) {
+        if (gameState.metadata[field]) {
+            gameState.metadata[field] = new Date(gameState.metadata[field]);
+        }
+    }
+
+    const treeMoves = gameState.historyTree.nodes.filter(node => node.move).map(node => node.move);
+    [...gameState.moveHistory, ...gameState.redoStack, ...treeMoves].forEach(move => {
+        if (move.timestamp) {
+            move.timestamp = new Date(move.timestamp);
+        }
+    });
+
+    validateGameState(gameState);
+
+    return gameState;
+}
+
+/**
+ * Resets the game state to initial configuration
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Reset game state
+ */
+function resetGameState(gameState) {
+    const numDisks = gameState.settings.numDisks;
+    const newState = createGameState(numDisks, gameState.rods.length, {
+        startConfiguration: gameState.settings.startConfiguration,
+        goalConfiguration: gameState.settings.goalConfiguration,
+        gameMode: gameState.settings.gameMode,
+        diskCosts: gameState.settings.diskCosts || undefined,
+        constraints: gameState.settings.constraints
+    });
+
+    // Preserve some settings from the current state, and the par of the same puzzle
+    newState.settings = { ...gameState.settings };
+    newState.metadata.optimalMoves = gameState.metadata.optimalMoves;
+    newState.metadata.optimalCost = gameState.metadata.optimalCost;
+
+    return newState;
+}
+
+/**
+ * Gets a summary of the current game state for debugging
+ * @param {Object} gameState - Game state to summarize
+ * @returns {Object} Game state summary
+ */
+function getGameStateSummary(gameState) {
     return {
         rodContents: gameState.rods.map(rod => rod.disks),
         moveCount: gameState.moveCount,
@@ -393,32 +1992,27 @@ function getGameStateSummary(gameState) {
         selectedDisk: gameState.selectedDisk,
         selectedRod: gameState.selectedRod,
         numDisks: gameState.settings.numDisks,
+        numRods: gameState.rods.length,
         optimalMoves: gameState.metadata.optimalMoves
     };
 }
 
 /**
- * Checks if the game is in a winning state (all disks on the rightmost rod)
+ * Checks if the game is in a winning state (every rod matches the goal configuration)
+ * Disks are compared by id, so in paired-disk modes each disk has to reach the
+ * rod and color tower the goal gives it, and a pair sharing a rod has to be in
+ * the goal's order. Magnetic disks may finish with either face up.
  * @param {Object} gameState - Game state to check
  * @returns {boolean} True if game is won
  */
 function isGameWon(gameState) {
-    const rightRod = gameState.rods[2];
-    const numDisks = gameState.settings.numDisks;
-
-    // Check if all disks are on the right rod
-    if (rightRod.disks.length !== numDisks) {
-        return false;
-    }
+    const goalConfiguration = getGoalConfiguration(gameState);
 
-    // Check if disks are in correct order (largest to smallest, bottom to top)
-    for (let i = 0; i < numDisks; i++) {
-        if (rightRod.disks[i] !== numDisks - i) {
-            return false;
-        }
-    }
-
-    return true;
+    return gameState.rods.every((rod, i) => {
+        const goalDisks = goalConfiguration[i];
+        return rod.disks.length === goalDisks.length &&
+            rod.disks.every((disk, j) => disk === goalDisks[j]);
+    });
 }
 
 // Export functions for use by other modules
@@ -428,15 +2022,80 @@ if (typeof module !== 'undefined' && module.exports) {
         createGameState,
         validateGameState,
         cloneGameState,
+        freezeGameState,
+        serializeGameState,
+        deserializeGameState,
         resetGameState,
         getGameStateSummary,
         isGameWon,
+        calculateOptimalMoves,
+        createFrameStewartTable,
+        calculateOptimalCost,
+        createTowerConfiguration,
+        createBicolorConfigurations,
+        validateConfiguration,
+        getGoalConfiguration,
+        getHistoryPath,
         createDisk,
         createMove,
         validateDisk,
         validateMove,
         getDiskColor,
-        createDisks
+        createDisks,
+        hasPairedDisks,
+        getDiskSize,
+        getDiskColorGroup,
+        getTotalDisks,
+        isStackedInOrder,
+        hasMagneticDisks,
+        createDiskOrientations,
+        getDiskOrientation,
+        flipDisk,
+        hasMoveCosts,
+        createDiskCosts,
+        validateDiskCosts,
+        getMoveCost,
+        getTotalMoveCost,
+        getCostUsed,
+        validateConstraints,
+        getConstraints,
+        getRodCapacity,
+        isRodForbidden,
+        getDiskUnlockMove,
+        isDiskLocked,
+        findConstraintViolation,
+        validateSeed,
+        createRandomSeed,
+        createSeededRandom,
+        generateRandomConfiguration,
+        getDailyChallenge,
+        getConstraintPuzzle,
+        findConstraintPuzzle,
+        validateTimeLimit,
+        createClock,
+        validateClock,
+        getElapsedTime,
+        isClockRunning,
+        startClock,
+        stopClock,
+        getRemainingTime,
+        isTimeUp,
+        createAssistance,
+        validateAssistance,
+        validateDifficulty,
+        validatePreferences,
+        getDifficulty,
+        isAssistAllowed,
+        calculateMoveBudget,
+        getMoveBudget,
+        getMovesUsed,
+        getMovesLeft,
+        isMoveBudgetSpent,
+        getStarRating,
+        DIFFICULTY_PRESETS,
+        CONSTRAINT_PUZZLES,
+        PAIRED_DISK_COLORS,
+        POLE_COLORS
     };
 } else {
     // Browser environment
@@ -444,14 +2103,79 @@ if (typeof module !== 'undefined' && module.exports) {
         createGameState,
         validateGameState,
         cloneGameState,
+        freezeGameState,
+        serializeGameState,
+        deserializeGameState,
         resetGameState,
         getGameStateSummary,
         isGameWon,
+        calculateOptimalMoves,
+        createFrameStewartTable,
+        calculateOptimalCost,
+        createTowerConfiguration,
+        createBicolorConfigurations,
+        validateConfiguration,
+        getGoalConfiguration,
+        getHistoryPath,
         createDisk,
         createMove,
         validateDisk,
         validateMove,
         getDiskColor,
-        createDisks
+        createDisks,
+        hasPairedDisks,
+        getDiskSize,
+        getDiskColorGroup,
+        getTotalDisks,
+        isStackedInOrder,
+        hasMagneticDisks,
+        createDiskOrientations,
+        getDiskOrientation,
+        flipDisk,
+        hasMoveCosts,
+        createDiskCosts,
+        validateDiskCosts,
+        getMoveCost,
+        getTotalMoveCost,
+        getCostUsed,
+        validateConstraints,
+        getConstraints,
+        getRodCapacity,
+        isRodForbidden,
+        getDiskUnlockMove,
+        isDiskLocked,
+        findConstraintViolation,
+        validateSeed,
+        createRandomSeed,
+        createSeededRandom,
+        generateRandomConfiguration,
+        getDailyChallenge,
+        getConstraintPuzzle,
+        findConstraintPuzzle,
+        validateTimeLimit,
+        createClock,
+        validateClock,
+        getElapsedTime,
+        isClockRunning,
+        startClock,
+        stopClock,
+        getRemainingTime,
+        isTimeUp,
+        createAssistance,
+        validateAssistance,
+        validateDifficulty,
+        validatePreferences,
+        getDifficulty,
+        isAssistAllowed,
+        calculateMoveBudget,
+        getMoveBudget,
+        getMovesUsed,
+        getMovesLeft,
+        isMoveBudgetSpent,
+        getStarRating,
+        DIFFICULTY_PRESETS,
+        CONSTRAINT_PUZZLES,
+        PAIRED_DISK_COLORS,
+        POLE_COLORS
     };
 }
\ No newline at end of file
@@ -59,14 +59,14 @@ function runTests() {
     
     // Test 3: Invalid disk count validation
     test('Should reject invalid disk counts', () => {
-        const invalidCounts = [2, 9, -1, 0, 'invalid', null, undefined];
+        const invalidCounts = [2, 21, -1, 0, 'invalid', null, undefined];
         
         for (const count of invalidCounts) {
             try {
                 GameState.createGameState(count);
                 throw new Error(`Should reject disk count: ${count}`);
             } catch (error) {
-                if (!error.message.includes('between 3 and 8')) {
+                if (!error.message.includes('between 3 and 20')) {
                     throw new Error(`Wrong error message for ${count}: ${error.message}`);
                 }
             }
@@ -294,7 +294,7 @@ function runTests() {
         }
         
         // Test invalid disk counts
-        const invalidCounts = [0, 9, -1, 'invalid'];
+        const invalidCounts = [0, 21, -1, 'invalid'];
         for (const count of invalidCounts) {
             try {
                 GameState.createDisks(count);
@@ -345,6 +345,475 @@ function runTests() {
         }
     });
     
+    // Test 19: Configurable rod count
+    test('Should create game state with four or more rods', () => {
+        const state = GameState.createGameState(4, 4);
+        
+        if (state.rods.length !== 4) throw new Error('Should have 4 rods');
+        if (state.settings.numRods !== 4) throw new Error('Should have 4 rods setting');
+        if (state.rods[0].disks.length !== 4) throw new Error('First rod should have 4 disks');
+        if (state.rods[3].id !== 3) throw new Error('Fourth rod should have id 3');
+        if (!GameState.validateGameState(state)) throw new Error('Four-rod state should pass validation');
+        
+        // Win condition uses the rightmost rod
+        state.rods[0].disks = [];
+        state.rods[2].disks = [4, 3, 2, 1];
+        if (GameState.isGameWon(state)) throw new Error('Disks on rod 2 should not win a four-rod game');
+        state.rods[2].disks = [];
+        state.rods[3].disks = [4, 3, 2, 1];
+        if (!GameState.isGameWon(state)) throw new Error('Disks on rod 3 should win a four-rod game');
+    });
+    
+    // Test 20: Invalid rod count validation
+    test('Should reject invalid rod counts', () => {
+        const invalidCounts = [2, 7, 0, 'invalid', null];
+        
+        for (const count of invalidCounts) {
+            let threw = false;
+            try {
+                GameState.createGameState(3, count);
+            } catch (error) {
+                threw = true;
+                if (!error.message.includes('between 3 and 6')) {
+                    throw new Error(`Wrong error message for ${count}: ${error.message}`);
+                }
+            }
+            if (!threw) throw new Error(`Should reject rod count: ${count}`);
+        }
+        
+        // Rod array must match the configured rod count
+        const state = GameState.createGameState(3, 4);
+        state.rods.pop();
+        let threw = false;
+        try {
+            GameState.validateGameState(state);
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) throw new Error('Should reject state with missing rods');
+        
+        // Moves may target rods beyond 2 when the game has more rods
+        const move = GameState.createMove(0, 3, 1, 1, 4);
+        if (move.toRod !== 3) throw new Error('Should accept rod 3 in a four-rod game');
+    });
+    
+    // Test 21: Optimal move counts for multi-rod games
+    test('Should calculate Frame-Stewart optimal moves', () => {
+        const expected = [
+            [3, 3, 7], [8, 3, 255],
+            [3, 4, 5], [6, 4, 17], [8, 4, 33],
+            [8, 5, 23], [8, 6, 21]
+        ];
+        
+        for (const [numDisks, numRods, moves] of expected) {
+            const result = GameState.calculateOptimalMoves(numDisks, numRods);
+            if (result !== moves) {
+                throw new Error(`Expected ${moves} moves for ${numDisks} disks on ${numRods} rods, got ${result}`);
+            }
+        }
+        
+        const state = GameState.createGameState(6, 4);
+        if (state.metadata.optimalMoves !== 17) throw new Error('Four-rod game should use Frame-Stewart optimal moves');
+    });
+    
+    // Test 22: Large towers
+    test('Should support up to 20 disks with distinct colors', () => {
+        const state = GameState.createGameState(20);
+        
+        if (state.rods[0].disks.length !== 20) throw new Error('First rod should have 20 disks');
+        if (state.metadata.optimalMoves !== 1048575) throw new Error('Optimal moves should be 2^20 - 1');
+        if (!GameState.validateGameState(state)) throw new Error('20-disk state should pass validation');
+        
+        const colors = new Set();
+        for (let i = 1; i <= 20; i++) {
+            const color = GameState.getDiskColor(i, 20);
+            if (!/^#[0-9a-f]{6}$/.test(color)) throw new Error(`Disk ${i} should have a hex color, got ${color}`);
+            colors.add(color);
+        }
+        if (colors.size !== 20) throw new Error('Each of the 20 disks should have its own color');
+    });
+    
+    // Test 23: Custom start and goal configurations
+    test('Should create games with custom start and goal configurations', () => {
+        const startConfiguration = [[4, 1], [3], [2]];
+        const goalConfiguration = GameState.createTowerConfiguration(4, 3, 1);
+        const state = GameState.createGameState(4, 3, { startConfiguration, goalConfiguration });
+        
+        if (state.rods[0].disks.join() !== '4,1') throw new Error('Rod 0 should start with disks 4 and 1');
+        if (state.rods[2].disks.join() !== '2') throw new Error('Rod 2 should start with disk 2');
+        if (!GameState.validateGameState(state)) throw new Error('Custom state should pass validation');
+        if (GameState.isGameWon(state)) throw new Error('Custom start should not be won');
+        
+        // Win condition follows the goal, not the rightmost rod
+        state.rods = state.rods.map((rod, i) => ({ id: i, disks: [...goalConfiguration[i]] }));
+        if (!GameState.isGameWon(state)) throw new Error('Tower on the middle rod should win');
+        
+        const reset = GameState.resetGameState(state);
+        if (reset.rods[1].disks.join() !== '3') throw new Error('Reset should return to the custom start');
+        if (GameState.getGoalConfiguration(reset)[1].length !== 4) throw new Error('Reset should keep the custom goal');
+    });
+    
+    // Test 24: Invalid configurations
+    test('Should reject illegal start and goal configurations', () => {
+        const invalidConfigurations = [
+            [[1, 2, 3], [], []],        // smaller disk under larger
+            [[3, 2], [], []],           // missing disk
+            [[3, 2, 1], [1], []],       // duplicate disk
+            [[3, 2, 1], []]             // wrong rod count
+        ];
+        
+        for (const configuration of invalidConfigurations) {
+            let threw = false;
+            try {
+                GameState.createGameState(3, 3, { goalConfiguration: configuration });
+            } catch (error) {
+                threw = true;
+            }
+            if (!threw) throw new Error(`Should reject configuration: ${JSON.stringify(configuration)}`);
+        }
+    });
+    
+    // Test 25: Save and load round trip
+    test('Should serialize and deserialize game state', () => {
+        const state = GameState.createGameState(4, 4);
+        state.rods[0].disks.pop();
+        state.rods[2].disks.push(1);
+        state.moveHistory.push(GameState.createMove(0, 2, 1, 1, 4));
+        state.moveCount = 1;
+        state.metadata.lastMoveTime = state.moveHistory[0].timestamp;
+        
+        const json = GameState.serializeGameState(state);
+        const saved = JSON.parse(json);
+        if (saved.version !== 2) throw new Error('Save should record format version 2');
+        
+        const loaded = GameState.deserializeGameState(json);
+        if (loaded.rods.length !== 4) throw new Error('Loaded state should have 4 rods');
+        if (loaded.rods[2].disks.join() !== '1') throw new Error('Loaded state should keep disk positions');
+        if (!(loaded.metadata.gameStartTime instanceof Date)) throw new Error('gameStartTime should be revived as a Date');
+        if (!(loaded.moveHistory[0].timestamp instanceof Date)) throw new Error('Move timestamps should be revived as Dates');
+        if (loaded.moveHistory[0].timestamp.getTime() !== state.moveHistory[0].timestamp.getTime()) {
+            throw new Error('Move timestamp should round-trip exactly');
+        }
+    });
+    
+    // Test 26: Save migration and rejection
+    test('Should migrate version 1 saves and reject bad save data', () => {
+        // Version 1: bare game state from JSON.stringify, without rod ids or numRods
+        const legacy = JSON.stringify({
+            rods: [{ disks: [3, 2] }, { disks: [1] }, { disks: [] }],
+            selectedDisk: null,
+            selectedRod: null,
+            moveCount: 1,
+            gameComplete: false,
+            moveHistory: [{ fromRod: 0, toRod: 1, diskId: 1, moveNumber: 1, timestamp: '2024-01-01T00:00:00.000Z' }],
+            settings: { numDisks: 3, animationSpeed: 300, showHints: true },
+            metadata: { gameStartTime: '2024-01-01T00:00:00.000Z', lastMoveTime: null, optimalMoves: 7 }
+        });
+        
+        const migrated = GameState.deserializeGameState(legacy);
+        if (migrated.settings.numRods !== 3) throw new Error('Migration should add numRods');
+        if (migrated.rods[1].id !== 1) throw new Error('Migration should add rod ids');
+        if (!(migrated.metadata.gameStartTime instanceof Date)) throw new Error('Migration should revive dates');
+        if (migrated.historyTree.nodes.length !== 2 || migrated.historyTree.currentNodeId !== 1) {
+            throw new Error('Migration should rebuild the history tree from the move history');
+        }
+        
+        const badSaves = [
+            'not json',
+            JSON.stringify({ format: 'towers-of-hanoi-save', version: 99, gameState: {} }),
+            JSON.stringify({ format: 'something-else', version: 2 })
+        ];
+        
+        for (const save of badSaves) {
+            let threw = false;
+            try {
+                GameState.deserializeGameState(save);
+            } catch (error) {
+                threw = true;
+            }
+            if (!threw) throw new Error(`Should reject save data: ${save}`);
+        }
+    });
+    
+    // Test 27: Frozen snapshots
+    test('Should freeze game states deeply and clone them back to mutable copies', () => {
+        const state = GameState.createGameState(3);
+        const snapshot = GameState.freezeGameState(GameState.cloneGameState(state));
+        
+        if (!Object.isFrozen(snapshot.rods[0].disks)) throw new Error('Rod disks should be frozen');
+        if (!Object.isFrozen(snapshot.settings.startConfiguration[0])) throw new Error('Configurations should be frozen');
+        if (Object.isFrozen(state.settings.startConfiguration)) throw new Error('Freezing a clone should not freeze the original');
+        
+        const copy = GameState.cloneGameState(snapshot);
+        copy.rods[0].disks.pop();
+        if (snapshot.rods[0].disks.length !== 3) throw new Error('Clone of a snapshot should not share rods');
+        GameState.validateGameState(snapshot);
+    });
+    
+    // Test 28: Paired disks
+    test('Should create two towers of paired disks in bicolor mode', () => {
+        const state = GameState.createGameState(3, 3, { gameMode: 'bicolor' });
+        
+        if (JSON.stringify(state.rods[0].disks) !== JSON.stringify([5, 6, 3, 4, 1, 2])) throw new Error('Bicolor towers should start interleaved on the left rod');
+        if (GameState.getDiskSize(6, 'bicolor') !== 3 || GameState.getDiskColorGroup(6, 'bicolor') !== 1) throw new Error('Disk 6 should be the second-color disk of size 3');
+        
+        const disks = GameState.createDisks(3, 'bicolor');
+        if (disks.length !== 6 || disks[5].size !== 3 || disks[5].colorGroup !== 1) throw new Error('Bicolor mode should create two disks per size');
+        
+        // Equal sizes may stack either way round, smaller sizes may not go under larger ones
+        GameState.validateConfiguration([[6, 5], [4, 3], [2, 1]], 3, 3, 'bicolor');
+        let threw = false;
+        try {
+            GameState.validateConfiguration([[6, 5, 4, 1, 3], [2], []], 3, 3, 'bicolor');
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) throw new Error('Should reject a larger disk on a smaller one');
+        
+        state.rods[0].disks = [];
+        state.rods[1].disks = [5, 3, 1];
+        state.rods[2].disks = [6, 4, 2];
+        if (!GameState.isGameWon(state)) throw new Error('Separated towers should win');
+        state.rods[1].disks = [6, 3, 1];
+        state.rods[2].disks = [5, 4, 2];
+        if (GameState.isGameWon(state)) throw new Error('Towers with swapped colors should not win');
+    });
+    
+    // Test 29: Magnetic disks
+    test('Should track and validate disk orientations in magnetic mode', () => {
+        const state = GameState.createGameState(3, 3, { gameMode: 'magnetic' });
+        
+        if (state.diskOrientations.join('') !== 'NNN') throw new Error('Magnetic disks should start north face up');
+        if (GameState.createGameState(3).diskOrientations !== null) throw new Error('Classic disks should have no orientation');
+        if (GameState.createDisks(3, 'magnetic')[0].orientation !== 'N') throw new Error('Magnetic disk objects should carry their orientation');
+        
+        const copy = GameState.deserializeGameState(GameState.serializeGameState(state));
+        copy.diskOrientations[1] = 'S';
+        if (GameState.getDiskOrientation(state, 2) !== 'N') throw new Error('Saved copies should not share orientations');
+        
+        GameState.flipDisk(state, 1);
+        if (GameState.getDiskOrientation(state, 1) !== 'S') throw new Error('Flipping should turn the disk over');
+        
+        let threw = false;
+        try {
+            GameState.validateGameState(state);
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) throw new Error('Should reject touching faces with the same pole');
+    });
+    
+    // Test 30: Weighted disks
+    test('Should give disks move costs in weighted mode', () => {
+        const state = GameState.createGameState(3, 3, { gameMode: 'weighted' });
+        
+        if (state.settings.diskCosts.join() !== '1,2,3') throw new Error('Disks should cost their size by default');
+        if (state.metadata.optimalCost !== 11) throw new Error(`Cheapest tower of 3 should cost 11, got ${state.metadata.optimalCost}`);
+        if (GameState.createGameState(3).settings.diskCosts !== null) throw new Error('Classic disks should have no costs');
+        
+        const custom = GameState.createGameState(3, 3, { gameMode: 'weighted', diskCosts: [5, 1, 1] });
+        custom.moveHistory.push(GameState.createMove(0, 2, 1, 1), GameState.createMove(0, 1, 2, 2));
+        custom.moveCount = 2;
+        if (GameState.getTotalMoveCost(custom) !== 6) throw new Error('Total cost should add up the moved disks');
+        if (GameState.resetGameState(custom).settings.diskCosts.join() !== '5,1,1') throw new Error('Reset should keep custom costs');
+        
+        const copy = GameState.cloneGameState(state);
+        copy.settings.diskCosts[0] = 7;
+        if (state.settings.diskCosts[0] !== 1) throw new Error('Copies should not share disk costs');
+        
+        let threw = false;
+        try {
+            GameState.createGameState(3, 3, { gameMode: 'weighted', diskCosts: [1, 0, 2] });
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) throw new Error('Should reject a disk cost below 1');
+    });
+    
+    // Test 31: Puzzle constraints
+    test('Should store and look up puzzle constraints', () => {
+        const constraints = [
+            { type: 'rodCapacity', rod: 1, maxDisks: 1 },
+            { type: 'forbiddenRod', disk: 2, rod: 2 },
+            { type: 'lockedDisk', disk: 4, untilMove: 3 }
+        ];
+        const state = GameState.createGameState(4, 4, { constraints });
+        
+        if (GameState.getRodCapacity(state, 1) !== 1 || GameState.getRodCapacity(state, 0) !== Infinity) throw new Error('Only rod 1 should have a limit');
+        if (!GameState.isRodForbidden(state, 2, 2) || GameState.isRodForbidden(state, 1, 2)) throw new Error('Only disk 2 should be kept off rod 2');
+        if (!GameState.isDiskLocked(state, 4)) throw new Error('Disk 4 should be glued before move 3');
+        state.moveCount = 2;
+        if (GameState.isDiskLocked(state, 4)) throw new Error('Disk 4 should be free on move 3');
+        
+        if (!GameState.findConstraintViolation([[4, 3], [2, 1], [], []], constraints)) throw new Error('Should spot an overfull rod');
+        if (GameState.findConstraintViolation([[4, 3, 2], [1], [], []], constraints) !== null) throw new Error('Should accept a configuration within the constraints');
+        if (GameState.createGameState(3).settings.constraints.length !== 0) throw new Error('Games should have no constraints by default');
+        
+        const copy = GameState.cloneGameState(state);
+        copy.settings.constraints[0].maxDisks = 3;
+        if (state.settings.constraints[0].maxDisks !== 1) throw new Error('Copies should not share constraints');
+        
+        const invalidOptions = [
+            { constraints: [{ type: 'rodCapacity', rod: 3, maxDisks: 1 }] },
+            { constraints: [{ type: 'lockedDisk', disk: 1, untilMove: 0 }] },
+            { constraints: [{ type: 'forbiddenRod', disk: 1, rod: 0 }] },
+            { gameMode: 'magnetic', constraints: [{ type: 'rodCapacity', rod: 1, maxDisks: 2 }] }
+        ];
+        invalidOptions.forEach(options => {
+            let threw = false;
+            try {
+                GameState.createGameState(3, 3, options);
+            } catch (error) {
+                threw = true;
+            }
+            if (!threw) throw new Error(`Should reject ${JSON.stringify(options)}`);
+        });
+        
+        // Picker presets create a game that is recognised as the same preset
+        ['narrow-rods', 'smallest-avoids-middle', 'glued-base'].forEach(name => {
+            const { numDisks, numRods, ...options } = GameState.getConstraintPuzzle(name);
+            const preset = GameState.createGameState(numDisks, numRods, options);
+            if (GameState.findConstraintPuzzle(preset) !== name) throw new Error(`Should recognise the ${name} puzzle`);
+        });
+        if (GameState.findConstraintPuzzle(state) !== null) throw new Error('Other constraints should match no preset');
+    });
+    
+    // Test 32: Seeded random starts
+    test('Should generate the same random start from the same seed', () => {
+        const first = GameState.createGameState(6, 4, { seed: 2024 });
+        const second = GameState.createGameState(6, 4, { seed: 2024 });
+        const other = GameState.createGameState(6, 4, { seed: 2025 });
+        const layout = state => JSON.stringify(state.rods.map(rod => rod.disks));
+        
+        if (layout(first) !== layout(second)) throw new Error('The same seed should give the same start');
+        if (layout(first) === layout(other)) throw new Error('Different seeds should give different starts');
+        if (first.settings.seed !== 2024 || GameState.createGameState(3).settings.seed !== null) throw new Error('Only seeded games should record a seed');
+        if (first.rods.some(rod => rod.disks.some((disk, i) => i > 0 && disk > rod.disks[i - 1]))) throw new Error('Random starts should stack larger disks below smaller ones');
+        if (GameState.isGameWon(first)) throw new Error('Random starts should not already be solved');
+        if (layout(GameState.resetGameState(first)) !== layout(first)) throw new Error('Reset should return to the random start');
+        
+        const challenge = GameState.getDailyChallenge(new Date('2026-03-14T23:30:00Z'));
+        if (challenge.seed !== 20260314 || challenge.dailyChallenge !== '2026-03-14') throw new Error('Daily seed should come from the UTC date');
+        
+        let threw = false;
+        try {
+            GameState.createGameState(3, 3, { seed: -1 });
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) throw new Error('Should reject a negative seed');
+        
+        // Random starts are drawn again until they keep the constraints
+        const constraints = [{ type: 'forbiddenRod', disk: 6, rod: 1 }, { type: 'rodCapacity', rod: 1, maxDisks: 1 }];
+        for (let seed = 1; seed <= 20; seed++) {
+            const constrained = GameState.createGameState(6, 3, { seed, constraints });
+            if (GameState.findConstraintViolation(constrained.rods.map(rod => rod.disks), constraints)) throw new Error(`Seed ${seed} should keep the constraints`);
+        }
+        
+        threw = false;
+        try {
+            const everywhere = [0, 1, 2].map(rod => ({ type: 'forbiddenRod', disk: 1, rod }));
+            GameState.generateRandomConfiguration(3, 3, 7, [[], [], [3, 2, 1]], everywhere);
+        } catch (error) {
+            threw = error.message.includes('keeps the constraints');
+        }
+        if (!threw) throw new Error('Should refuse a seed when no start keeps the constraints');
+    });
+    
+    // Test 33: Game clock and time limit
+    test('Should keep time on a pausable game clock', () => {
+        const gameState = GameState.createGameState(3, 3, { timeLimit: 60 });
+        
+        if (GameState.isClockRunning(gameState) || GameState.getElapsedTime(gameState, 5000) !== 0) throw new Error('New games should have a stopped clock');
+        
+        GameState.startClock(gameState, 1000);
+        if (GameState.getElapsedTime(gameState, 4000) !== 3000) throw new Error('Running clock should count from its start');
+        
+        GameState.stopClock(gameState, 4000);
+        if (GameState.getElapsedTime(gameState, 90000) !== 3000) throw new Error('Stopped clock should keep its time');
+        
+        GameState.startClock(gameState, 10000);
+        if (GameState.getRemainingTime(gameState, 20000) !== 47000) throw new Error('Remaining time should count both runs');
+        if (GameState.isTimeUp(gameState, 66999) || !GameState.isTimeUp(gameState, 67000)) throw new Error('Time should be up at the limit');
+        
+        const saved = GameState.deserializeGameState(GameState.serializeGameState(gameState));
+        if (GameState.isClockRunning(saved) || !saved.clock.paused || saved.settings.timeLimit !== 60) throw new Error('Saves should keep a paused clock and the time limit');
+        
+        if (GameState.getRemainingTime(GameState.createGameState(3), 0) !== null) throw new Error('Games without a limit have no remaining time');
+        
+        let threw = false;
+        try {
+            GameState.createGameState(3, 3, { timeLimit: 0 });
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) throw new Error('Should reject a zero time limit');
+    });
+    
+    // Test 34: Move budget and stars
+    test('Should rate solutions against par and the move budget', () => {
+        const gameState = GameState.createGameState(3, 3, { parMode: true });
+        
+        if (GameState.getMoveBudget(gameState) !== 11 || GameState.getMovesLeft(gameState) !== 11) throw new Error('Par 7 should have a budget of 11');
+        gameState.moveCount = 11;
+        if (!GameState.isMoveBudgetSpent(gameState)) throw new Error('The budget should be spent after 11 moves');
+        if (GameState.getMoveBudget(GameState.createGameState(3)) !== null) throw new Error('Only par mode should have a hard budget');
+        
+        const ratings = [10, 11, 12, 15, 16].map(moves => GameState.getStarRating(moves, 10));
+        if (ratings.join() !== '3,2,1,1,0') throw new Error(`Unexpected star ratings: ${ratings.join()}`);
+        if (GameState.getStarRating(5, null) !== null) throw new Error('Puzzles without a par should not be rated');
+    });
+    
+    // Test 35: Difficulty presets
+    test('Should allow help by difficulty preset', () => {
+        const normal = GameState.createGameState(3);
+        const hardcore = GameState.createGameState(3, 3, { difficulty: 'hardcore' });
+        const kinds = ['undo', 'hints', 'solver', 'destinationHighlights'];
+        
+        if (GameState.getDifficulty(normal) !== 'normal') throw new Error('Games should default to normal difficulty');
+        if (!kinds.every(kind => GameState.isAssistAllowed(normal, kind))) throw new Error('Normal games should allow all help');
+        if (kinds.some(kind => GameState.isAssistAllowed(hardcore, kind))) throw new Error('Hardcore games should allow no help');
+        
+        delete normal.settings.difficulty;
+        if (!GameState.validateGameState(normal) || !GameState.isAssistAllowed(normal, 'undo')) throw new Error('Games saved without a difficulty should play as normal');
+        
+        let threw = false;
+        try {
+            GameState.createGameState(3, 3, { difficulty: 'nightmare' });
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) throw new Error('Should reject an unknown difficulty');
+    });
+    
+    // Test 36: Optimal counts from an injected solver
+    test('Should take optimal counts with no formula from the solver it is given', () => {
+        class StubSolver {
+            constructor(gameState) {
+                this.gameState = gameState;
+            }
+            canSolve() {
+                return this.gameState.settings.numDisks < 10;
+            }
+            getDistanceToGoal() {
+                return this.gameState.settings.diskCosts ? 99 : 42;
+            }
+        }
+        const custom = { startConfiguration: [[3], [2], [1]] };
+        
+        if (GameState.createGameState(3, 3, custom).metadata.optimalMoves !== null) throw new Error('Custom starts should have no par without a solver');
+        const solved = GameState.createGameState(3, 3, { ...custom, solver: StubSolver });
+        if (solved.metadata.optimalMoves !== 42) throw new Error('Custom starts should take their par from the solver');
+        if (GameState.resetGameState(solved).metadata.optimalMoves !== 42) throw new Error('Reset should keep the par of the same puzzle');
+        
+        const weighted = GameState.createGameState(4, 4, { gameMode: 'weighted', solver: StubSolver });
+        if (weighted.metadata.optimalMoves !== 9 || weighted.metadata.optimalCost !== 99) throw new Error('Weighted games should take only their cost from the solver');
+        if (GameState.createGameState(3, 3, { solver: StubSolver }).metadata.optimalMoves !== 7) throw new Error('Towers should keep the formula');
+        
+        const tooLarge = GameState.createGameState(12, 3, { startConfiguration: [[12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2], [1], []], solver: StubSolver });
+        if (tooLarge.metadata.optimalMoves !== null) throw new Error('Puzzles the solver cannot take on should have no par');
+    });
+    
     console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
     
     if (failed === 0) {
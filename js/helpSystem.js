@@ -88,6 +88,7 @@ class HelpSystem {
                         <li><strong>Enter/Space</strong> - Select disk or confirm move</li>
                         <li><strong>Escape</strong> - Cancel selection</li>
                         <li><strong>Ctrl+Z</strong> - Undo last move</li>
+                        <li><strong>Ctrl+Y</strong> or <strong>Ctrl+Shift+Z</strong> - Redo undone move</li>
                         <li><strong>Ctrl+R</strong> - Reset game</li>
                     </ul>
                 `
@@ -98,17 +99,29 @@ class HelpSystem {
                     <h3>Game Buttons</h3>
                     <ul>
                         <li><strong>Reset</strong> - Start over with a new game</li>
+                        <li><strong>Random Start</strong> - Start from a random position with the current settings; its seed is shown under the title</li>
+                        <li><strong>Daily Challenge</strong> - Play today's six-disk puzzle, the same position for everyone; your best result for each puzzle is kept</li>
                         <li><strong>Undo</strong> - Reverse your last move</li>
+                        <li><strong>Redo</strong> - Replay a move you undid</li>
                         <li><strong>Hint</strong> - Get a suggestion for the next optimal move</li>
                         <li><strong>Solve</strong> - Watch the computer solve the puzzle automatically</li>
                         <li><strong>Achievements</strong> - View your earned achievements</li>
+                        <li><strong>History</strong> - Show every line you have tried as a tree; click a move to jump back to that position</li>
                     </ul>
                     
                     <h3>Settings</h3>
                     <ul>
-                        <li><strong>Disks</strong> - Choose how many disks to play with (3-8)</li>
+                        <li><strong>Disks</strong> - Choose how many disks to play with (3-20)</li>
+                        <li><strong>Rods</strong> - Choose how many rods to play with (3-6)</li>
+                        <li><strong>Game mode</strong> - Play the classic rules or a variant: Cyclic, where disks only move clockwise, Linear, where they only move to a neighbouring rod, Bicolor, with two towers of disks in two colors, Magnetic, where disks turn over as they move, or Weighted, where each move costs the size of the disk</li>
+                        <li><strong>Time attack</strong> - Solve the puzzle before the clock runs out (1 to 10 minutes); the timer counts down and the game is lost at zero</li>
+                        <li><strong>Difficulty</strong> - Hardcore turns off undo, history jumps, hints, auto-solve and the highlights on rods a selected disk can move to, from the buttons and the keyboard alike; hardcore wins earn their own achievement and personal bests</li>
+                        <li><strong>Par mode</strong> - Solve the puzzle within its move budget, one and a half times par (the optimal move count); the puzzle fails when the budget is spent</li>
                         <li><strong>Show Hints</strong> - Toggle visual hints for valid moves</li>
                     </ul>
+                    <p>The clock starts with your first move and stops while auto-solve is paused or the page is hidden in another tab.</p>
+                    <p>Every solved puzzle earns stars: ★★★ at par, ★★☆ within 10% of par and ★☆☆ within the move budget. Weighted games compare total cost instead of moves. Achievements shows your star totals for each disk count.</p>
+                    <p>Your score is up to 1000 points for efficiency plus up to 200 for speed. Each hint costs 50 points and each move taken back 20, and moves made by auto-solve earn nothing.</p>
                 `
             },
             strategy: {
@@ -129,6 +142,60 @@ class HelpSystem {
                         <li>5 disks: 31 moves</li>
                         <li>6 disks: 63 moves</li>
                     </ul>
+                    <p>With four or more rods the <strong>Frame-Stewart</strong> method is used: park some of the smaller disks on a spare rod, move the rest using the remaining rods, then bring the parked disks back on top.</p>
+                    <ul>
+                        <li>6 disks on 4 rods: 17 moves</li>
+                        <li>8 disks on 4 rods: 33 moves</li>
+                        <li>8 disks on 5 rods: 23 moves</li>
+                    </ul>
+                    
+                    <h3>Cyclic Mode</h3>
+                    <p>Disks only move clockwise (A → B → C → A), so reaching C from A takes two steps. To step a tower once, send the smaller disks two steps out of the way, move the largest disk, then send them two steps on top of it. To step it twice, the largest disk moves two times and the smaller disks go all the way round in between.</p>
+                    <ul>
+                        <li>3 disks: 21 moves</li>
+                        <li>4 disks: 59 moves</li>
+                        <li>5 disks: 163 moves</li>
+                    </ul>
+                    
+                    <h3>Linear Mode</h3>
+                    <p>Disks can only move to a neighbouring rod, so nothing goes straight from A to C. Move the smaller disks to C, step the largest disk to B, bring the smaller disks all the way back to A, step the largest disk to C, then move the smaller disks to C again. The minimum is <strong>3^n - 1</strong> moves, and the disks pass through every legal position on the way.</p>
+                    <ul>
+                        <li>3 disks: 26 moves</li>
+                        <li>4 disks: 80 moves</li>
+                        <li>5 disks: 242 moves</li>
+                    </ul>
+                    
+                    <h3>Bicolor Modes</h3>
+                    <p>There are two disks of every size, one orange and one blue, and a disk may rest on another of the same size. In Bicolor the two towers start interleaved on A: finish with the orange tower on B and the blue tower on C. In Bicolor swap the orange tower starts on A and the blue tower on C, and they have to trade places. Moving a same-size pair as a unit turns it upside down, so the largest pairs need the most care. The disk count setting is the number of sizes.</p>
+                    <ul>
+                        <li>3 sizes: 23 moves to separate, 25 to swap</li>
+                        <li>4 sizes: 53 moves to separate, 59 to swap</li>
+                    </ul>
+                    
+                    <h3>Magnetic Mode</h3>
+                    <p>Every disk is a magnet with a red north face and a blue south face, and it turns over each time it moves. A disk can only be placed on one that shows the opposite pole to the face it will land on, so on any rod all the disks show the same color on top. Sometimes a disk has to take a detour through the spare rod just to turn the right way up. The tower may finish either way up.</p>
+                    <ul>
+                        <li>3 disks: 11 moves</li>
+                        <li>4 disks: 30 moves</li>
+                        <li>5 disks: 83 moves</li>
+                    </ul>
+                    
+                    <h3>Weighted Mode</h3>
+                    <p>Every move costs the size of the disk moved: the smallest disk costs 1, the next 2, and so on. The game is scored by the total cost, shown next to the cheapest cost possible, not by the move count. On three rods the shortest solution is also the cheapest, but with four or more rods the fewest moves do not always cost the least: give the small disks the extra work and spare the large ones.</p>
+                    <ul>
+                        <li>3 disks on 3 rods: cost 11</li>
+                        <li>4 disks on 4 rods: cost 18</li>
+                        <li>5 disks on 4 rods: cost 31</li>
+                    </ul>
+
+                    <h3>Constraint Puzzles</h3>
+                    <p>The Constraint puzzle setting starts a classic tower with constraints on top of the usual rules:</p>
+                    <ul>
+                        <li><strong>Rod limits:</strong> a rod shaded above a "max" line holds no more disks than its limit</li>
+                        <li><strong>Forbidden rods:</strong> the disks listed under a rod label may never be placed on that rod, which turns red while one of them is selected</li>
+                        <li><strong>Glued disks:</strong> a disk with a padlock cannot move before the move number shown next to it</li>
+                    </ul>
+                    <p>Hints and the solver take the constraints into account, so the optimal move count may be higher than usual.</p>
                 `
             }
         };
@@ -185,17 +252,36 @@ class HelpSystem {
             },
             'Invalid source rod': {
                 message: "Invalid rod selection.",
-                help: "Please click on one of the three rods (left, middle, or right).",
+                help: "Please click on one of the rods on the board.",
                 severity: 'error',
                 icon: '❌'
             },
             'Invalid target rod': {
                 message: "Invalid destination rod.",
-                help: "Please click on one of the three rods to move the disk there.",
+                help: "Please click on one of the rods to move the disk there.",
                 severity: 'error',
                 icon: '❌'
             }
         };
+        
+        // Move rules explain themselves, including those of puzzle variants
+        this.addRuleErrorMessages();
+    }
+    
+    /**
+     * Add guidance for every move rule, keyed by rule name
+     */
+    addRuleErrorMessages() {
+        if (typeof RuleSets === 'undefined') return;
+        
+        RuleSets.getAllRules().forEach(rule => {
+            this.errorMessages[rule.name] = {
+                message: rule.explanation,
+                help: rule.help,
+                severity: rule.severity,
+                icon: rule.icon
+            };
+        });
     }
     
     /**
@@ -392,7 +478,9 @@ class HelpSystem {
      * Show enhanced error message with guidance
      */
     showErrorWithGuidance(errorMessage, context = {}) {
-        const errorInfo = this.errorMessages[errorMessage];
+        // Prefer the explanation of the rule an engine error broke
+        const ruleName = context.error && context.error.details && context.error.details.rule;
+        const errorInfo = (ruleName && this.errorMessages[ruleName]) || this.errorMessages[errorMessage];
         
         if (errorInfo) {
             const fullMessage = `${errorInfo.icon} ${errorInfo.message}\n\n💡 Tip: ${errorInfo.help}`;
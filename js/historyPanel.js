@@ -0,0 +1,209 @@
+/**
+ * History Panel for Towers of Hanoi
+ *
+ * This module shows the branching move history as a tree and lets players
+ * jump to any position they have reached, for reviewing attempts and
+ * comparing alternative lines.
+ */
+
+/**
+ * History Panel class for displaying the move history tree
+ */
+class HistoryPanel {
+    /**
+     * @param {Object} gameState - Current game state
+     * @param {Function} onJump - Called with a history node id when the player picks a position
+     */
+    constructor(gameState, onJump) {
+        this.gameState = gameState;
+        this.onJump = onJump;
+        this.panel = null;
+        this.isVisible = false;
+        this.rodLabels = ['A', 'B', 'C', 'D', 'E', 'F'];
+    }
+
+    /**
+     * Initialize the history panel
+     */
+    initialize() {
+        this.createHistoryUI();
+    }
+
+    /**
+     * Create history panel UI elements
+     */
+    createHistoryUI() {
+        // Create history toggle button
+        const historyButton = document.createElement('button');
+        historyButton.id = 'history-btn';
+        historyButton.className = 'control-btn';
+        historyButton.textContent = 'History';
+        historyButton.title = 'Show the move history tree';
+        historyButton.setAttribute('aria-expanded', 'false');
+        historyButton.setAttribute('aria-controls', 'history-panel');
+        historyButton.addEventListener('click', () => this.toggle());
+
+        // Add button to settings group
+        const settingsGroup = document.querySelector('.settings-group');
+        if (settingsGroup) {
+            settingsGroup.appendChild(historyButton);
+        }
+
+        // Create the panel below the controls
+        this.panel = document.createElement('section');
+        this.panel.id = 'history-panel';
+        this.panel.className = 'history-panel';
+        this.panel.setAttribute('aria-label', 'Move history tree');
+        this.panel.style.display = 'none';
+
+        const container = document.querySelector('.game-container');
+        if (container) {
+            container.appendChild(this.panel);
+        }
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.panel.style.display = this.isVisible ? 'block' : 'none';
+
+        const historyButton = document.getElementById('history-btn');
+        if (historyButton) {
+            historyButton.setAttribute('aria-expanded', String(this.isVisible));
+        }
+
+        this.render();
+    }
+
+    /**
+     * Redraw the tree for the current game state
+     */
+    render() {
+        if (!this.isVisible || !this.panel) return;
+
+        this.panel.innerHTML = '';
+
+        const heading = document.createElement('h2');
+        heading.textContent = 'Move History';
+        this.panel.appendChild(heading);
+
+        const tree = this.gameState && this.gameState.historyTree;
+        if (!tree) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = 'No move history for this game.';
+            this.panel.appendChild(empty);
+            return;
+        }
+
+        // Nodes on the way to the current position are highlighted
+        const currentLine = new Set([0, ...GameState.getHistoryPath(tree, tree.currentNodeId).map(node => node.id)]);
+
+        this.panel.appendChild(this.renderLine(tree, 0, currentLine));
+    }
+
+    /**
+     * Render a line of play: consecutive moves stay on one row, and a position
+     * with several continuations starts a nested list of branches
+     * @param {Object} tree - History tree
+     * @param {number} nodeId - First node of the line
+     * @param {Set} currentLine - Ids of nodes leading to the current position
+     * @returns {HTMLElement} List element for the line
+     */
+    renderLine(tree, nodeId, currentLine) {
+        const line = document.createElement('ol');
+        line.className = 'history-line';
+
+        let node = tree.nodes[nodeId];
+        while (node) {
+            const item = document.createElement('li');
+            item.appendChild(this.createNodeButton(tree, node, currentLine));
+            line.appendChild(item);
+
+            if (node.children.length === 1) {
+                node = tree.nodes[node.children[0]];
+                continue;
+            }
+
+            if (node.children.length > 1) {
+                const branches = document.createElement('ul');
+                branches.className = 'history-branches';
+
+                node.children.forEach(childId => {
+                    const branch = document.createElement('li');
+                    branch.appendChild(this.renderLine(tree, childId, currentLine));
+                    branches.appendChild(branch);
+                });
+
+                item.appendChild(branches);
+            }
+
+            node = null;
+        }
+
+        return line;
+    }
+
+    /**
+     * Create the button for a single position in the tree
+     * @param {Object} tree - History tree
+     * @param {Object} node - History node
+     * @param {Set} currentLine - Ids of nodes leading to the current position
+     * @returns {HTMLButtonElement} Button element
+     */
+    createNodeButton(tree, node, currentLine) {
+        const button = document.createElement('button');
+        button.className = 'history-node';
+        button.textContent = this.getNodeLabel(node);
+
+        if (currentLine.has(node.id)) {
+            button.classList.add('history-node-line');
+        }
+        if (node.id === tree.currentNodeId) {
+            button.classList.add('history-node-current');
+            button.setAttribute('aria-current', 'step');
+        }
+
+        button.addEventListener('click', () => {
+            if (this.onJump) {
+                this.onJump(node.id);
+            }
+        });
+
+        return button;
+    }
+
+    /**
+     * Get the label for a history node, e.g. "3. 1 A→C"
+     * @param {Object} node - History node
+     * @returns {string} Label text
+     */
+    getNodeLabel(node) {
+        if (!node.move) {
+            return 'Start';
+        }
+
+        const { moveNumber, diskId, fromRod, toRod } = node.move;
+        return `${moveNumber}. ${diskId} ${this.rodLabels[fromRod]}→${this.rodLabels[toRod]}`;
+    }
+
+    /**
+     * Update game state reference
+     * @param {Object} gameState - New game state
+     */
+    updateGameState(gameState) {
+        this.gameState = gameState;
+        this.render();
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment (for testing)
+    module.exports = { HistoryPanel };
+} else {
+    // Browser environment
+    window.HistoryPanel = HistoryPanel;
+}
@@ -293,8 +293,21 @@ class InputHandler {
                 break;
 
             case 'z':
-                if (event.ctrlKey || event.metaKey) {
-                    this.handleUndo();
+            case 'Z':
+                // The accessibility shortcuts may already have handled this key
+                if ((event.ctrlKey || event.metaKey) && !event.defaultPrevented) {
+                    if (event.shiftKey) {
+                        this.handleRedo();
+                    } else {
+                        this.handleUndo();
+                    }
+                    event.preventDefault();
+                }
+                break;
+
+            case 'y':
+                if ((event.ctrlKey || event.metaKey) && !event.defaultPrevented) {
+                    this.handleRedo();
                     event.preventDefault();
                 }
                 break;
@@ -353,6 +366,7 @@ class InputHandler {
                 this.showMessage(`Selected disk ${result.selectedDisk} from rod ${rodIndex + 1}. Click another rod to move it.`, 'info');
             } else {
                 this.showEnhancedError(result.error.message, {
+                    error: result.error,
                     action: 'select_disk',
                     rodIndex: rodIndex,
                     gameState: this.gameState
@@ -398,6 +412,7 @@ class InputHandler {
                 }
             } else {
                 this.showEnhancedError(result.error.message, {
+                    error: result.error,
                     action: 'move_disk',
                     fromRod: fromRod,
                     toRod: rodIndex,
@@ -589,7 +604,7 @@ class InputHandler {
 
         if (this.gameState.selectedDisk === null) {
             // No disk selected, select first non-empty rod
-            for (let i = 0; i < 3; i++) {
+            for (let i = 0; i < this.gameState.rods.length; i++) {
                 if (this.gameState.rods[i].disks.length > 0) {
                     const result = window.GameEngine.selectDisk(this.gameState, i);
                     if (result.success) {
@@ -601,8 +616,9 @@ class InputHandler {
             }
         } else {
             // Disk selected, navigate between rods
+            const numRods = this.gameState.rods.length;
             const currentRod = this.gameState.selectedRod;
-            let nextRod = (currentRod + direction + 3) % 3; // Ensure positive
+            let nextRod = (currentRod + direction + numRods) % numRods; // Ensure positive
 
             // Clear current selection
             this.gameState.selectedDisk = null;
@@ -617,7 +633,7 @@ class InputHandler {
                 }
             } else {
                 // Skip empty rods
-                nextRod = (nextRod + direction + 3) % 3;
+                nextRod = (nextRod + direction + numRods) % numRods;
                 if (this.gameState.rods[nextRod].disks.length > 0) {
                     const result = window.GameEngine.selectDisk(this.gameState, nextRod);
                     if (result.success) {
@@ -657,8 +673,10 @@ class InputHandler {
             const validDestinations = window.GameEngine.getValidDestinations(this.gameState, fromRod);
 
             if (validDestinations.length > 0) {
-                // Prefer moving to the goal rod (2) if valid
-                const toRod = validDestinations.includes(2) ? 2 : validDestinations[0];
+                // Prefer moving the disk to its goal rod if valid
+                const goalRod = window.GameState.getGoalConfiguration(this.gameState)
+                    .findIndex(disks => disks.includes(diskToMove));
+                const toRod = validDestinations.includes(goalRod) ? goalRod : validDestinations[0];
                 const result = window.GameEngine.moveSelectedDisk(this.gameState, toRod);
 
                 if (result.success) {
@@ -700,43 +718,53 @@ class InputHandler {
             return;
         }
 
+        // The page, messages and announcements follow the engine's undo event
         const result = window.GameEngine.undoLastMove(this.gameState);
 
-        if (result.success) {
-            this.updateUI();
-            this.showMessage(`Undid move: disk ${result.diskMoved} from rod ${result.fromRod + 1} to rod ${result.toRod + 1}`, 'success');
-        } else {
+        if (!result.success) {
             this.showMessage(result.error.message, 'error');
         }
     }
 
     /**
-     * Handle reset action
+     * Handle redo action
      */
-    handleReset() {
-        if (!this.gameState || !window.GameState) return;
+    handleRedo() {
+        if (!this.gameState || !window.GameEngine) return;
 
-        // Don't allow reset during animation
+        // Don't allow redo during animation
         if (this.animationSystem && this.animationSystem.isCurrentlyAnimating()) {
             this.showMessage('Please wait for the current animation to complete', 'info');
             return;
         }
 
-        // Reset game state
-        this.gameState = window.GameState.resetGameState(this.gameState);
+        // The page, messages and announcements follow the engine's redo event
+        const result = window.GameEngine.redoMove(this.gameState);
 
-        // Update references
-        if (this.renderer) {
-            this.renderer.updateGameState(this.gameState);
+        if (!result.success) {
+            this.showMessage(result.error.message, 'error');
+        }
+    }
+
+    /**
+     * Handle reset action
+     */
+    handleReset() {
+        if (!this.gameState || !window.GameEngine) return;
+
+        // Don't allow reset during animation
+        if (this.animationSystem && this.animationSystem.isCurrentlyAnimating()) {
+            this.showMessage('Please wait for the current animation to complete', 'info');
+            return;
         }
 
         if (this.animationSystem) {
-            this.animationSystem.updateGameState(this.gameState);
             this.animationSystem.clearAnimations();
         }
 
-        this.updateUI();
-        this.showMessage('Game reset successfully!', 'success');
+        // Subscribers to the reset event pick up the new game state
+        const result = window.GameEngine.resetGame(this.gameState);
+        this.gameState = result.gameState;
     }
 
     /**
@@ -307,8 +307,8 @@ class IntegrationTestSuite {
         
         await this.runTest('Optimal Solution Calculation', () => {
             if (window.solverEngine) {
-                const solution3 = window.solverEngine.calculateMinimumMoves(3);
-                const solution4 = window.solverEngine.calculateMinimumMoves(4);
+                const solution3 = window.solverEngine.calculateMinimumMoves(3, 3);
+                const solution4 = window.solverEngine.calculateMinimumMoves(4, 3);
                 
                 this.assert(solution3 === 7, 'Solution for 3 disks should be 7 moves');
                 this.assert(solution4 === 15, 'Solution for 4 disks should be 15 moves');
@@ -324,6 +324,177 @@ class IntegrationTestSuite {
                 this.assert(solution.length === 7, 'Solution for 3 disks should have 7 moves');
             }
         });
+        
+        await this.runTest('Mid-Game Solution', () => {
+            const gameState = window.GameState.createGameState(3);
+            gameState.rods[0].disks = [3];
+            gameState.rods[1].disks = [2, 1];
+            
+            const solver = new SolverEngine(gameState);
+            const solution = solver.generateOptimalSolution();
+            
+            this.assert(solver.getDistanceToGoal() === 4, 'Distance from this position should be 4 moves');
+            this.assert(solution.length === 4, 'Mid-game solution should be the shortest path');
+            this.assert(solution[0].disk === 3 && solution[0].to === 2, 'Largest disk should move straight to the goal');
+        });
+        
+        await this.runTest('Custom Goal Solution', () => {
+            const gameState = window.GameState.createGameState(3, 3, {
+                startConfiguration: [[3], [2], [1]],
+                goalConfiguration: [[], [3, 2, 1], []],
+                solver: SolverEngine
+            });
+            const solver = new SolverEngine(gameState);
+            const solution = solver.generateOptimalSolution();
+            
+            this.assert(solution.length === gameState.metadata.optimalMoves, 'Optimal stat should match the custom goal');
+            solution.forEach(move => window.GameEngine.makeMove(gameState, move.from, move.to));
+            this.assert(window.GameState.isGameWon(gameState), 'Solution should reach the custom goal');
+        });
+        
+        await this.runTest('Closed-Form Move Lookup', () => {
+            // Textbook recursion, independent of the solver, as the reference
+            const reference = (n, from, to, spare, moves = []) => {
+                if (n === 0) return moves;
+                reference(n - 1, from, spare, to, moves);
+                moves.push({ disk: n, from, to });
+                reference(n - 1, spare, to, from, moves);
+                return moves;
+            };
+            
+            [3, 4, 5, 6].forEach(numDisks => {
+                const solver = new SolverEngine(window.GameState.createGameState(numDisks));
+                reference(numDisks, 0, 2, 1).forEach((move, index) => {
+                    const lookup = solver.getOptimalMove(index + 1);
+                    this.assert(lookup.from === move.from && lookup.to === move.to && lookup.disk === move.disk,
+                        `Move ${index + 1} of ${numDisks} disks should match the recursive solution`);
+                });
+            });
+            
+            const largeSolver = new SolverEngine(window.GameState.createGameState(20));
+            const middleMove = largeSolver.getOptimalMove(Math.pow(2, 19));
+            this.assert(middleMove.disk === 20 && middleMove.from === 0 && middleMove.to === 2,
+                'Middle move of a 20-disk tower should move the largest disk');
+            this.assert(largeSolver.getOptimalMove(Math.pow(2, 20)) === null, 'Moves past the end should be null');
+        });
+        
+        await this.runTest('Cyclic Solution', () => {
+            const gameState = window.GameState.createGameState(4, 3, { gameMode: 'cyclic' });
+            const solver = new SolverEngine(gameState);
+            const solution = solver.generateOptimalSolution();
+            
+            this.assert(gameState.metadata.optimalMoves === 59, 'Cyclic tower of 4 disks should take 59 moves');
+            this.assert(solution.length === 59, 'Cyclic solution should have the optimal length');
+            solution.forEach(move => {
+                const result = window.GameEngine.makeMove(gameState, move.from, move.to);
+                this.assert(result.success, `Cyclic solution move ${move.from}→${move.to} should be legal`);
+            });
+            this.assert(window.GameState.isGameWon(gameState), 'Cyclic solution should reach the goal');
+            
+            const midGame = window.GameState.createGameState(3, 3, {
+                gameMode: 'cyclic',
+                startConfiguration: [[2], [3], [1]],
+                solver: SolverEngine
+            });
+            const midSolver = new SolverEngine(midGame);
+            this.assert(midSolver.generateOptimalSolution().length === midGame.metadata.optimalMoves,
+                'Cyclic mid-game solution should match the optimal stat');
+        });
+        
+        await this.runTest('Linear Solution', () => {
+            const gameState = window.GameState.createGameState(4, 3, { gameMode: 'linear' });
+            const solver = new SolverEngine(gameState);
+            const solution = solver.generateOptimalSolution();
+            
+            this.assert(solver.calculateMinimumMoves(4) === 80, 'Linear tower of 4 disks should take 3^4 - 1 moves');
+            this.assert(solution.length === gameState.metadata.optimalMoves, 'Linear solution should match the optimal stat');
+            this.assert(solution.every(move => Math.abs(move.to - move.from) === 1), 'Linear solution should only use neighbouring rods');
+            solution.forEach(move => window.GameEngine.makeMove(gameState, move.from, move.to));
+            this.assert(window.GameState.isGameWon(gameState), 'Linear solution should reach the goal');
+        });
+        
+        await this.runTest('Bicolor Solution', () => {
+            ['bicolor', 'bicolor-swap'].forEach(gameMode => {
+                const gameState = window.GameState.createGameState(3, 3, { gameMode, solver: SolverEngine });
+                const solution = new SolverEngine(gameState).generateOptimalSolution();
+                
+                this.assert(solution.length === gameState.metadata.optimalMoves, `${gameMode} solution should match the optimal stat`);
+                solution.forEach(move => {
+                    const result = window.GameEngine.makeMove(gameState, move.from, move.to);
+                    this.assert(result.success, `${gameMode} solution move ${move.from}→${move.to} should be legal`);
+                });
+                this.assert(window.GameState.isGameWon(gameState), `${gameMode} solution should reach the goal`);
+            });
+        });
+        
+        await this.runTest('Magnetic Solution', () => {
+            const gameState = window.GameState.createGameState(4, 3, { gameMode: 'magnetic', solver: SolverEngine });
+            const solver = new SolverEngine(gameState);
+            const solution = solver.generateOptimalSolution();
+            
+            this.assert(solver.calculateMinimumMoves(4) === 30, 'Magnetic tower of 4 disks should take 30 moves');
+            this.assert(solution.length === gameState.metadata.optimalMoves, 'Magnetic solution should match the optimal stat');
+            solution.forEach(move => {
+                const result = window.GameEngine.makeMove(gameState, move.from, move.to);
+                this.assert(result.success, `Magnetic solution move ${move.from}→${move.to} should be legal`);
+            });
+            this.assert(window.GameState.isGameWon(gameState), 'Magnetic solution should reach the goal');
+        });
+        
+        await this.runTest('Weighted Solution', () => {
+            // On four rods the fewest moves are not the cheapest: the classic plan costs 20
+            const gameState = window.GameState.createGameState(4, 4, { gameMode: 'weighted', solver: SolverEngine });
+            const fewestMoves = new SolverEngine(window.GameState.createGameState(4, 4)).generateOptimalSolution();
+            const solution = new SolverEngine(gameState).generateOptimalSolution();
+            const cost = moves => moves.reduce((total, move) => total + move.disk, 0);
+            
+            this.assert(gameState.metadata.optimalMoves === 9, 'Weighted mode should still report the fewest moves');
+            this.assert(cost(fewestMoves) === 20, 'The fewest-moves solution should cost 20');
+            this.assert(cost(solution) === 18 && gameState.metadata.optimalCost === 18, 'Weighted solution should cost 18');
+            solution.forEach(move => {
+                const result = window.GameEngine.makeMove(gameState, move.from, move.to);
+                this.assert(result.success, `Weighted solution move ${move.from}→${move.to} should be legal`);
+            });
+            this.assert(window.GameEngine.getGameStats(gameState).isOptimalSolution, 'Weighted solution should score as optimal');
+        });
+        
+        await this.runTest('Constraint Solution', () => {
+            // Disk 3 normally moves on move 4, so gluing it until move 6 costs two waiting moves
+            const gameState = window.GameState.createGameState(3, 3, {
+                constraints: [{ type: 'lockedDisk', disk: 3, untilMove: 6 }],
+                solver: SolverEngine
+            });
+            const solution = new SolverEngine(gameState).generateOptimalSolution();
+            
+            this.assert(gameState.metadata.optimalMoves === 9, 'Glued disk should raise the optimal moves to 9');
+            this.assert(solution.length === 9, 'Constraint solution should take 9 moves');
+            solution.forEach(move => {
+                const result = window.GameEngine.makeMove(gameState, move.from, move.to);
+                this.assert(result.success, `Constraint solution move ${move.from}→${move.to} should be legal`);
+            });
+            this.assert(gameState.gameComplete, 'Constraint solution should solve the puzzle');
+            
+            // 4^12 positions are too many to search, so the par is left unknown
+            const large = window.GameState.createGameState(12, 4, {
+                constraints: [{ type: 'rodCapacity', rod: 1, maxDisks: 6 }],
+                solver: SolverEngine
+            });
+            this.assert(!new SolverEngine(large).canSolve(), 'Solver should not take on a 12-disk constraint puzzle');
+            this.assert(large.metadata.optimalMoves === null, 'Too-large constraint puzzles should have no par');
+        });
+        
+        await this.runTest('Daily Challenge Solution', () => {
+            // The random start's distance is known up front, and the solver reaches the goal in exactly that many moves
+            const challenge = window.GameState.getDailyChallenge(new Date('2026-03-14T12:00:00Z'));
+            const gameState = window.GameState.createGameState(challenge.numDisks, challenge.numRods, { ...challenge, solver: SolverEngine });
+            const solution = new SolverEngine(gameState).generateOptimalSolution();
+            
+            this.assert(gameState.metadata.optimalMoves > 0, 'Daily challenge should have a known optimal distance');
+            this.assert(solution.length === gameState.metadata.optimalMoves, 'Solver should match the optimal distance');
+            solution.forEach(move => window.GameEngine.makeMove(gameState, move.from, move.to));
+            this.assert(gameState.gameComplete, 'Daily challenge solution should solve the puzzle');
+            this.assert(window.GameEngine.getGameStats(gameState).seed === challenge.seed, 'Stats should record the seed');
+        });
     }
     
     /**
@@ -439,6 +610,44 @@ class IntegrationTestSuite {
             this.assert(resetState.rods[0].disks.length === 3, 'All disks should be back on left rod');
             this.assert(!resetState.gameComplete, 'Game should not be complete after reset');
         });
+        
+        await this.runTest('Resume Saved Auto-Solve', () => {
+            const gameState = window.GameState.createGameState(3);
+            window.GameEngine.makeMove(gameState, 0, 2);
+            window.GameEngine.makeMove(gameState, 0, 1);
+            
+            const restored = window.GameState.deserializeGameState(window.GameState.serializeGameState(gameState));
+            const solver = new SolverEngine(restored);
+            solver.startAutoSolve({ completedSteps: 2, startPaused: true });
+            const progress = solver.getAutoSolveProgress();
+            
+            this.assert(progress.isRunning && progress.isPaused, 'Resumed auto-solve should wait for the player');
+            this.assert(progress.currentStep === 2 && progress.totalSteps === 7, 'Resumed auto-solve should keep its progress');
+            this.assert(restored.moveCount === 2, 'Resumed auto-solve should not move on its own');
+            solver.stopAutoSolve();
+        });
+        
+        await this.runTest('Named Save Slots', () => {
+            const gameState = window.GameState.createGameState(4);
+            window.GameEngine.makeMove(gameState, 0, 1);
+            
+            const saves = new SaveSlotSystem(gameState, null, { storageKey: 'toh_save_slots_test' });
+            try {
+                const slot = saves.saveSlot('Classroom exercise', gameState);
+                this.assert(slot && slot.numDisks === 4 && slot.moveCount === 1, 'Slot should record disk and move counts');
+                
+                const copy = saves.duplicateSlot(slot.id);
+                this.assert(saves.renameSlot(copy.id, 'Second try'), 'Slot should be renamed');
+                this.assert(saves.getSlots().map(s => s.name).join() === 'Classroom exercise,Second try', 'Copy should follow the original');
+                
+                const loaded = saves.loadSlot(copy.id);
+                this.assert(loaded.moveCount === 1 && loaded.rods[1].disks[0] === 1, 'Loaded slot should match the saved game');
+                
+                this.assert(saves.deleteSlot(slot.id) && saves.getSlots().length === 1, 'Slot should be deleted');
+            } finally {
+                localStorage.removeItem('toh_save_slots_test');
+            }
+        });
     }
     
     /**
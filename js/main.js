@@ -14,10 +14,17 @@ let inputHandler = null;
 let uiController = null;
 let solverEngine = null;
 let celebrationSystem = null;
+let saveSlotSystem = null;
+let historyPanel = null;
 
-// Timer variables
-let gameStartTime = null;
+// Timer display (the clock itself is part of the game state)
 let gameTimerInterval = null;
+let pausedWhileHidden = false;
+
+// Autosave
+const AUTOSAVE_KEY = 'toh_autosave';
+let pendingResume = null;
+let resumeFailed = false;
 
 // DOM elements
 const canvas = document.getElementById('game-canvas');
@@ -25,18 +32,29 @@ const ctx = canvas.getContext('2d');
 const moveCounter = document.getElementById('move-counter');
 const optimalMoves = document.getElementById('optimal-moves');
 const efficiency = document.getElementById('efficiency');
+const costStat = document.getElementById('cost-stat');
+const moveCost = document.getElementById('move-cost');
 const gameTimer = document.getElementById('game-timer');
 const gameMessage = document.getElementById('game-message');
 
 // Control buttons
 const resetBtn = document.getElementById('reset-btn');
 const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
 const hintBtn = document.getElementById('hint-btn');
 const solveBtn = document.getElementById('solve-btn');
 const pauseBtn = document.getElementById('pause-btn');
+const randomBtn = document.getElementById('random-btn');
+const dailyBtn = document.getElementById('daily-btn');
 
 // Settings
 const diskCountSelect = document.getElementById('disk-count');
+const rodCountSelect = document.getElementById('rod-count');
+const gameModeSelect = document.getElementById('game-mode');
+const constraintPuzzleSelect = document.getElementById('constraint-puzzle');
+const timeLimitSelect = document.getElementById('time-limit');
+const parModeCheckbox = document.getElementById('par-mode');
+const difficultySelect = document.getElementById('difficulty');
 const showHintsCheckbox = document.getElementById('show-hints');
 const achievementsBtn = document.getElementById('achievements-btn');
 
@@ -82,6 +100,20 @@ function initializeGame() {
             celebrationSystem = null;
         }
         
+        try {
+            initializeSaveSlotSystem();
+        } catch (e) {
+            console.warn('Save slot system failed:', e);
+            saveSlotSystem = null;
+        }
+        
+        try {
+            initializeHistoryPanel();
+        } catch (e) {
+            console.warn('History panel failed:', e);
+            historyPanel = null;
+        }
+        
         try {
             initializeInputHandler();
         } catch (e) {
@@ -92,8 +124,9 @@ function initializeGame() {
         // Set up canvas
         setupCanvas();
         
-        // Add event listeners for UI controls
+        // Add event listeners for UI controls and game events
         setupEventListeners();
+        subscribeToGameEvents();
         
         // Set up input handling (advanced or simple)
         if (!inputHandler) {
@@ -103,8 +136,14 @@ function initializeGame() {
         // Update UI with initial state
         updateUIFromGameState();
         
-        // Show initial message
-        showMessage('🎮 Game ready! Click on disks to select them, then click another rod to move. Use keys 1,2,3 for rods!', 'success');
+        // Show initial message, or pick up where the saved game left off
+        if (pendingResume) {
+            resumeSavedGame();
+        } else if (resumeFailed) {
+            showMessage('Saved game could not be restored. Starting a new game.', 'error');
+        } else {
+            showMessage('🎮 Game ready! Click on disks to select them, then click another rod to move. Use keys 1,2,3 for rods!', 'success');
+        }
         
         console.log('Game initialization complete');
         console.log('Available systems:', {
@@ -127,31 +166,21 @@ function initializeGame() {
  */
 function initializeGameState() {
     try {
-        const initialDiskCount = parseInt(diskCountSelect.value);
+        // Games started from the settings find pars with no formula with the solver
+        GameEngine.setParSolver(SolverEngine);
         
-        // Always use simple fallback game state for reliability
-        console.log('Using reliable game state');
-        gameState = {
-            rods: [
-                { disks: [] },
-                { disks: [] },
-                { disks: [] }
-            ],
-            selectedDisk: null,
-            selectedRod: null,
-            moveCount: 0,
-            gameComplete: false,
-            settings: { numDisks: initialDiskCount, showHints: true },
-            metadata: { optimalMoves: Math.pow(2, initialDiskCount) - 1 },
-            moveHistory: []
-        };
-        
-        // Initialize disks on first rod (largest to smallest)
-        for (let i = initialDiskCount; i >= 1; i--) {
-            gameState.rods[0].disks.push(i);
+        if (restoreAutosave()) {
+            console.log('Restored autosaved game:', GameState.getGameStateSummary(gameState));
+            return;
         }
         
-        console.log('Game state initialized with', initialDiskCount, 'disks');
+        const initialDiskCount = parseInt(diskCountSelect.value);
+        const initialRodCount = parseInt(rodCountSelect.value);
+        
+        // Build a complete state so it passes validation when autosaved and restored
+        gameState = GameState.createGameState(initialDiskCount, initialRodCount, { solver: SolverEngine });
+        
+        console.log('Game state initialized with', initialDiskCount, 'disks and', initialRodCount, 'rods');
         
     } catch (error) {
         console.error('Failed to initialize game state:', error);
@@ -176,12 +205,117 @@ function initializeGameState() {
     }
 }
 
+/**
+ * Offer to resume the autosaved game, if there is one
+ * @returns {boolean} True if the saved game was restored into gameState
+ */
+function restoreAutosave() {
+    let saved = null;
+    
+    try {
+        saved = localStorage.getItem(AUTOSAVE_KEY);
+    } catch (error) {
+        console.warn('Browser storage not available:', error);
+        return false;
+    }
+    
+    if (!saved) {
+        return false;
+    }
+    
+    if (!confirm('Resume previous game? Choose Cancel to start a new game.')) {
+        clearAutosave();
+        return false;
+    }
+    
+    try {
+        const save = JSON.parse(saved);
+        gameState = GameState.deserializeGameState(save.gameState);
+        
+        // Older saves kept the time played next to the game state
+        if (save.elapsedTime && !gameState.clock.elapsed) {
+            gameState.clock.elapsed = Number(save.elapsedTime) || 0;
+            gameState.clock.paused = true;
+        }
+        
+        pendingResume = {
+            autoSolve: save.autoSolve || null
+        };
+        return true;
+    } catch (error) {
+        console.warn('Saved game is corrupt, starting a new game:', error);
+        clearAutosave();
+        resumeFailed = true;
+        return false;
+    }
+}
+
+/**
+ * Restart the clock and auto-solve progress of a resumed game
+ */
+function resumeSavedGame() {
+    const { autoSolve } = pendingResume;
+    pendingResume = null;
+    
+    if (gameState.clock && gameState.clock.paused) {
+        GameEngine.resumeGame(gameState);
+    }
+    
+    if (autoSolve && autoSolve.isRunning && solverEngine &&
+        startAutoSolveWithControls({ completedSteps: autoSolve.currentStep, startPaused: true })) {
+        const progress = solverEngine.getAutoSolveProgress();
+        showMessage(`Resumed previous game. Auto-solve paused at step ${progress.currentStep}/${progress.totalSteps}.`, 'success');
+    } else {
+        showMessage(`Resumed previous game at move ${gameState.moveCount}.`, 'success');
+    }
+    
+    autosaveGame();
+}
+
+/**
+ * Save the current game and auto-solve progress to browser storage
+ */
+function autosaveGame() {
+    // Don't overwrite the save before its clock and auto-solve are restored
+    if (!gameState || pendingResume) return;
+    
+    // Nothing worth resuming
+    if (gameState.moveCount === 0 || gameState.gameComplete || gameState.gameLost) {
+        clearAutosave();
+        return;
+    }
+    
+    try {
+        const save = {
+            gameState: GameState.serializeGameState(gameState),
+            autoSolve: solverEngine ? solverEngine.getAutoSolveProgress() : null
+        };
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(save));
+    } catch (error) {
+        console.warn('Failed to autosave game:', error);
+    }
+}
+
+/**
+ * Remove the autosaved game from browser storage
+ */
+function clearAutosave() {
+    try {
+        localStorage.removeItem(AUTOSAVE_KEY);
+    } catch (error) {
+        console.warn('Failed to clear autosave:', error);
+    }
+}
+
 /**
  * Initialize the renderer with canvas and game state
  */
 function initializeRenderer() {
     try {
         renderer = new Renderer(canvas, gameState);
+        if (typeof GameEvents !== 'undefined') {
+            renderer.subscribeToGameEvents(GameEvents);
+        }
         console.log('Renderer initialized successfully');
     } catch (error) {
         console.error('Failed to initialize renderer:', error);
@@ -226,6 +360,9 @@ function initializeInputHandler() {
 function initializeSolverEngine() {
     try {
         solverEngine = new SolverEngine(gameState, animationSystem);
+        if (typeof GameEvents !== 'undefined') {
+            solverEngine.subscribeToGameEvents(GameEvents);
+        }
         console.log('Solver engine initialized successfully');
     } catch (error) {
         console.error('Failed to initialize solver engine:', error);
@@ -246,15 +383,125 @@ function initializeCelebrationSystem() {
     }
 }
 
+/**
+ * Replace the current game state and point the other systems at it
+ * @param {Object} newState - The game state to play from now on
+ */
+function setGameState(newState) {
+    gameState = newState;
+    window.gameState = gameState;
+    
+    if (inputHandler) {
+        inputHandler.updateGameState(gameState);
+    }
+    if (animationSystem) {
+        animationSystem.updateGameState(gameState);
+    }
+    if (celebrationSystem) {
+        celebrationSystem.updateGameState(gameState);
+    }
+    if (saveSlotSystem) {
+        saveSlotSystem.updateGameState(gameState);
+    }
+    if (historyPanel) {
+        historyPanel.updateGameState(gameState);
+    }
+}
+
+/**
+ * Initialize named save slots and the load-game dialog
+ */
+function initializeSaveSlotSystem() {
+    try {
+        saveSlotSystem = new SaveSlotSystem(gameState, loadSavedGame);
+        saveSlotSystem.initialize();
+        console.log('Save slot system initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize save slot system:', error);
+        showMessage('Failed to initialize saved games. Named saves will not be available.', 'error');
+    }
+}
+
+/**
+ * Initialize the move history tree panel
+ */
+function initializeHistoryPanel() {
+    try {
+        historyPanel = new HistoryPanel(gameState, handleHistoryJump);
+        historyPanel.initialize();
+        console.log('History panel initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize history panel:', error);
+        showMessage('Failed to initialize move history panel.', 'error');
+    }
+}
+
+/**
+ * Jump to a position picked in the history panel
+ * @param {number} nodeId - History node to jump to
+ */
+function handleHistoryJump(nodeId) {
+    if (!gameState) return;
+    
+    // Don't allow jumps during animation
+    if (animationSystem && animationSystem.isCurrentlyAnimating()) {
+        showMessage('Please wait for the current animation to complete', 'info');
+        return;
+    }
+    
+    if (solverEngine && solverEngine.isAutoSolveRunning()) {
+        solverEngine.stopAutoSolve();
+        solveBtn.textContent = 'Solve';
+        solveBtn.disabled = false;
+        pauseBtn.style.display = 'none';
+    }
+    
+    const result = GameEngine.jumpToHistoryNode(gameState, nodeId);
+    
+    if (!result.success) {
+        showMessage(result.error.message, 'error');
+    }
+}
+
+/**
+ * Switch to a game loaded from a save slot
+ * @param {Object} loadedState - Validated game state from the slot
+ */
+function loadSavedGame(loadedState) {
+    if (solverEngine && solverEngine.isAutoSolveRunning()) {
+        solverEngine.stopAutoSolve();
+        solveBtn.textContent = 'Solve';
+        solveBtn.disabled = false;
+        pauseBtn.style.display = 'none';
+    }
+    
+    if (animationSystem) {
+        animationSystem.clearAnimations();
+    }
+    
+    resetGameTimer();
+    setGameState(loadedState);
+    
+    // Saved games are stored with their clock paused
+    if (gameState.clock && gameState.clock.paused) {
+        GameEngine.resumeGame(gameState);
+    }
+    updateUIFromGameState();
+    
+    showMessage(`Loaded saved game at move ${gameState.moveCount}.`, 'success');
+}
+
 /**
  * Update UI elements based on current game state
  */
 function updateUIFromGameState() {
     if (!gameState) return;
     
-    // Update statistics
+    // Update statistics (weighted games are scored by total cost)
+    const stats = GameEngine.getGameStats(gameState);
+    const scoredByCost = stats.totalCost !== undefined;
     const efficiency = gameState.moveCount > 0 ? 
-        Math.round((gameState.metadata.optimalMoves / gameState.moveCount) * 100) : 0;
+        (scoredByCost ? stats.costEfficiency : stats.efficiency) : 0;
     
     updateStats(
         gameState.moveCount,
@@ -262,12 +509,48 @@ function updateUIFromGameState() {
         efficiency
     );
     
+    costStat.style.display = scoredByCost ? '' : 'none';
+    if (scoredByCost) {
+        moveCost.textContent = `${stats.totalCost} / ${stats.optimalCost}`;
+    }
+    
     // Update settings UI to match game state
     diskCountSelect.value = gameState.settings.numDisks;
+    rodCountSelect.value = gameState.rods.length;
+    gameModeSelect.value = gameState.settings.gameMode || 'classic';
+    constraintPuzzleSelect.value = GameState.findConstraintPuzzle(gameState) || '';
+    timeLimitSelect.value = gameState.settings.timeLimit || 0;
+    parModeCheckbox.checked = Boolean(gameState.settings.parMode);
+    difficultySelect.value = GameState.getDifficulty(gameState);
     showHintsCheckbox.checked = gameState.settings.showHints;
+    showHintsCheckbox.disabled = !GameState.isAssistAllowed(gameState, 'destinationHighlights');
+    
+    // Variants fix the rod count and have their own optimal counts
+    const modeInfo = RuleSets.getGameModeInfo(gameModeSelect.value);
+    rodCountSelect.disabled = Boolean(modeInfo.numRods);
+    optimalMoves.title = `Fewest moves to solve this puzzle in ${modeInfo.label} mode`;
     
     // Update button states
-    undoBtn.disabled = gameState.moveHistory.length === 0;
+    undoBtn.disabled = gameState.moveHistory.length === 0 || Boolean(gameState.gameLost) ||
+        !GameState.isAssistAllowed(gameState, 'undo');
+    hintBtn.disabled = !GameState.isAssistAllowed(gameState, 'hints');
+    if (!solverEngine || !solverEngine.isAutoSolveRunning()) {
+        solveBtn.disabled = !GameState.isAssistAllowed(gameState, 'solver');
+    }
+    redoBtn.disabled = !gameState.redoStack || gameState.redoStack.length === 0 || Boolean(gameState.gameLost);
+    
+    // The timer display ticks while the game clock runs
+    if (gameState.clock && GameState.isClockRunning(gameState)) {
+        startGameTimer();
+    } else {
+        stopGameTimer();
+    }
+    updateGameTimer();
+    
+    // Keep the solver pointed at the current game so hints follow new games
+    if (solverEngine && solverEngine.gameState !== gameState) {
+        solverEngine.updateGameState(gameState);
+    }
     
     // Update renderer with new game state and render
     if (renderer) {
@@ -276,6 +559,12 @@ function updateUIFromGameState() {
     } else {
         drawGameState();
     }
+    
+    if (historyPanel) {
+        historyPanel.render();
+    }
+    
+    autosaveGame();
 }
 
 /**
@@ -367,16 +656,17 @@ function drawGameState() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
     // Calculate layout dimensions
-    const rodSpacing = canvas.width / 4;
+    const numRods = gameState.rods.length;
+    const rodSpacing = canvas.width / (numRods + 1);
     const rodHeight = canvas.height * 0.6;
     const rodWidth = 8;
     const baseY = canvas.height * 0.8;
-    const diskHeight = 15;
+    const diskHeight = Math.max(4, Math.min(15, (rodHeight * 0.9) / gameState.settings.numDisks));
     const maxDiskWidth = rodSpacing * 0.8;
     const minDiskWidth = 30;
     
     // Draw rods and bases
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < numRods; i++) {
         const rodX = rodSpacing * (i + 1) - rodWidth / 2;
         
         // Draw rod
@@ -401,7 +691,7 @@ function drawGameState() {
     ];
     
     // Draw disks on each rod
-    for (let rodIndex = 0; rodIndex < 3; rodIndex++) {
+    for (let rodIndex = 0; rodIndex < numRods; rodIndex++) {
         const rod = gameState.rods[rodIndex];
         const rodCenterX = rodSpacing * (rodIndex + 1);
         
@@ -416,8 +706,12 @@ function drawGameState() {
             const diskX = rodCenterX - diskWidth / 2;
             
             // Choose color based on disk size
-            const colorIndex = Math.min(diskSize - 1, diskColors.length - 1);
-            ctx.fillStyle = diskColors[colorIndex];
+            if (gameState.settings.numDisks > diskColors.length && window.GameState) {
+                ctx.fillStyle = GameState.getDiskColor(diskSize, gameState.settings.numDisks);
+            } else {
+                const colorIndex = Math.min(diskSize - 1, diskColors.length - 1);
+                ctx.fillStyle = diskColors[colorIndex];
+            }
             
             // Draw disk with rounded corners effect
             ctx.fillRect(diskX, diskY, diskWidth, diskHeight);
@@ -513,18 +807,76 @@ function setupEventListeners() {
     // Control button event listeners
     resetBtn.addEventListener('click', handleReset);
     undoBtn.addEventListener('click', handleUndo);
+    redoBtn.addEventListener('click', handleRedo);
     hintBtn.addEventListener('click', handleHint);
     solveBtn.addEventListener('click', handleSolve);
     pauseBtn.addEventListener('click', handlePause);
+    randomBtn.addEventListener('click', handleRandomStart);
+    dailyBtn.addEventListener('click', handleDailyChallenge);
     
     // Settings event listeners
     diskCountSelect.addEventListener('change', handleDiskCountChange);
+    rodCountSelect.addEventListener('change', handleRodCountChange);
+    gameModeSelect.addEventListener('change', handleGameModeChange);
+    constraintPuzzleSelect.addEventListener('change', handleConstraintPuzzleChange);
+    timeLimitSelect.addEventListener('change', handleTimeLimitChange);
+    parModeCheckbox.addEventListener('change', handleParModeChange);
+    difficultySelect.addEventListener('change', handleDifficultyChange);
     showHintsCheckbox.addEventListener('change', handleHintsToggle);
     achievementsBtn.addEventListener('click', handleAchievements);
     
+    // The game clock stops while the page is hidden
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    
     // Note: Canvas event listeners are now handled by the InputHandler class
 }
 
+/**
+ * Keep the page in step with the game by following game events
+ */
+function subscribeToGameEvents() {
+    if (typeof GameEvents === 'undefined') return;
+    
+    GameEvents.on('*', handleGameEvent);
+    GameEvents.on('win', (detail) => {
+        if (detail.gameState === gameState) {
+            handleGameCompletion();
+        }
+    });
+    GameEvents.on('timeUp', (detail, type) => {
+        if (detail.gameState === gameState) {
+            handleGameLost(type);
+        }
+    });
+    GameEvents.on('outOfMoves', (detail, type) => {
+        if (detail.gameState === gameState) {
+            handleGameLost(type);
+        }
+    });
+}
+
+/**
+ * Refresh the page after a game event
+ * @param {Object} detail - Event detail
+ * @param {string} type - Event type
+ */
+function handleGameEvent(detail, type) {
+    // Ignore events about other states, such as the engine self-tests
+    if (!GameEvents.isAbout(detail, gameState)) return;
+    
+    // Resets and restarting settings changes hand over a new state object
+    if (detail.gameState !== gameState) {
+        setGameState(detail.gameState);
+    }
+    
+    if (type === 'reset' || (type === 'settingsChanged' && detail.restarted)) {
+        resetGameTimer();
+        pausedWhileHidden = false;
+    }
+    
+    updateUIFromGameState();
+}
+
 /**
  * Event handler functions (placeholder implementations)
  */
@@ -545,16 +897,11 @@ function handleReset() {
     }
     
     try {
-        // Reset timer
-        resetGameTimer();
-        
         // Use input handler if available
         if (inputHandler) {
             inputHandler.handleReset();
         } else {
-            gameState = GameState.resetGameState(gameState);
-            updateUIFromGameState();
-            showMessage('Game reset successfully!', 'success');
+            GameEngine.resetGame(gameState);
         }
         console.log('Game reset:', GameState.getGameStateSummary(gameState));
     } catch (error) {
@@ -579,8 +926,6 @@ function handleUndo() {
             const result = GameEngine.undoLastMove(gameState);
             
             if (result.success) {
-                updateUIFromGameState();
-                showMessage(`Undid move: disk ${result.diskMoved} from rod ${result.fromRod} to rod ${result.toRod}`, 'success');
                 console.log('Move undone:', result);
             } else {
                 showMessage(result.error.message, 'error');
@@ -593,6 +938,34 @@ function handleUndo() {
     }
 }
 
+function handleRedo() {
+    console.log('Redo button clicked');
+    
+    if (!gameState) {
+        showMessage('Game state not initialized', 'error');
+        return;
+    }
+    
+    try {
+        // Use input handler if available
+        if (inputHandler) {
+            inputHandler.handleRedo();
+        } else {
+            const result = GameEngine.redoMove(gameState);
+            
+            if (result.success) {
+                console.log('Move redone:', result);
+            } else {
+                showMessage(result.error.message, 'error');
+                console.log('Redo failed:', result.error);
+            }
+        }
+    } catch (error) {
+        console.error('Failed to redo move:', error);
+        showMessage('Failed to redo move', 'error');
+    }
+}
+
 function handleHint() {
     console.log('Hint button clicked');
     
@@ -618,10 +991,35 @@ function handleHint() {
         return;
     }
     
+    if (gameState.gameLost) {
+        showMessage('The game is over. Click Reset to try again.', 'info');
+        return;
+    }
+    
+    // Hardcore games have no hints, however they are asked for
+    if (!GameState.isAssistAllowed(gameState, 'hints')) {
+        showMessage('Hints are off in hardcore mode', 'info');
+        return;
+    }
+    
+    if (!solverEngine.canSolve()) {
+        showMessage('This puzzle is too large for the solver to give hints', 'info');
+        return;
+    }
+    
     try {
         const nextMove = solverEngine.getNextOptimalMove();
         
         if (nextMove) {
+            // Hints lower the score
+            if (window.GameEngine) {
+                window.GameEngine.recordHint(gameState, nextMove);
+            }
+            
+            const movesLeft = solverEngine.getDistanceToGoal();
+            const distanceText = solverEngine.usesMoveCosts() ? `cost ${movesLeft} to finish` : `${movesLeft} moves from the goal`;
+            const hintText = `💡 Hint: Move disk ${nextMove.disk} from rod ${nextMove.from + 1} to rod ${nextMove.to + 1} (${distanceText})`;
+            
             // Clear any existing selection
             if (window.GameEngine) {
                 window.GameEngine.clearSelection(gameState);
@@ -632,12 +1030,12 @@ function handleHint() {
                 const result = window.GameEngine.selectDisk(gameState, nextMove.from);
                 if (result.success) {
                     updateUIFromGameState();
-                    showMessage(`💡 Hint: Move disk ${nextMove.disk} from rod ${nextMove.from + 1} to rod ${nextMove.to + 1}`, 'info');
+                    showMessage(hintText, 'info');
                 } else {
-                    showMessage(`💡 Hint: Move disk ${nextMove.disk} from rod ${nextMove.from + 1} to rod ${nextMove.to + 1}`, 'info');
+                    showMessage(hintText, 'info');
                 }
             } else {
-                showMessage(`💡 Hint: Move disk ${nextMove.disk} from rod ${nextMove.from + 1} to rod ${nextMove.to + 1}`, 'info');
+                showMessage(hintText, 'info');
             }
         } else {
             showMessage('No hints available - puzzle may already be solved!', 'info');
@@ -680,31 +1078,48 @@ function handleSolve() {
         return;
     }
     
+    if (!GameState.isAssistAllowed(gameState, 'solver')) {
+        showMessage('Auto-solve is off in hardcore mode', 'info');
+        return;
+    }
+    
+    if (!solverEngine.canSolve()) {
+        showMessage('This puzzle is too large for the solver', 'info');
+        return;
+    }
+    
     // Show confirmation dialog
     const confirmed = confirm('This will automatically solve the puzzle. Do you want to continue?');
     if (!confirmed) {
         return;
     }
     
+    if (startAutoSolveWithControls()) {
+        showMessage('Auto-solve started! Watch the optimal solution unfold.', 'success');
+    }
+}
+
+/**
+ * Start auto-solve and switch the solve/pause buttons over to it
+ * @param {Object} options - Extra options passed to SolverEngine.startAutoSolve
+ * @returns {boolean} True if auto-solve started
+ */
+function startAutoSolveWithControls(options = {}) {
     // Change button to show it's active
     solveBtn.textContent = 'Solving...';
     solveBtn.disabled = true;
     pauseBtn.style.display = 'inline-block';
-    pauseBtn.textContent = 'Pause';
+    pauseBtn.textContent = options.startPaused ? 'Resume' : 'Pause';
     
     // Start auto-solve
     try {
         solverEngine.startAutoSolve({
+            ...options,
             speed: 1000, // 1 second between moves
-            onStep: (move, currentStep, totalSteps) => {
-                updateUIFromGameState();
-                showMessage(`Auto-solve: Step ${currentStep}/${totalSteps} - Moving disk ${move.disk} from rod ${move.from + 1} to rod ${move.to + 1}`, 'info');
-            },
             onComplete: () => {
                 solveBtn.textContent = 'Solve';
                 solveBtn.disabled = false;
                 pauseBtn.style.display = 'none';
-                updateUIFromGameState();
                 showMessage('🎉 Auto-solve completed! Puzzle solved optimally!', 'success');
             },
             onPause: () => {
@@ -715,7 +1130,7 @@ function handleSolve() {
             }
         });
         
-        showMessage('Auto-solve started! Watch the optimal solution unfold.', 'success');
+        return true;
         
     } catch (error) {
         console.error('Failed to start auto-solve:', error);
@@ -725,6 +1140,7 @@ function handleSolve() {
         solveBtn.textContent = 'Solve';
         solveBtn.disabled = false;
         pauseBtn.style.display = 'none';
+        return false;
     }
 }
 
@@ -741,16 +1157,37 @@ function handlePause() {
         return;
     }
     
-    // Toggle pause state
+    // Toggle pause state; the game clock pauses with auto-solve
     if (pauseBtn.textContent === 'Pause') {
         solverEngine.pauseAutoSolve();
+        GameEngine.pauseGame(gameState);
         pauseBtn.textContent = 'Resume';
     } else {
         solverEngine.resumeAutoSolve();
+        GameEngine.resumeGame(gameState);
         pauseBtn.textContent = 'Pause';
     }
 }
 
+/**
+ * Pause the game while the page is hidden and carry on when it comes back
+ */
+function handleVisibilityChange() {
+    if (!gameState || !gameState.clock) return;
+    
+    if (document.hidden) {
+        if (!gameState.clock.paused) {
+            GameEngine.pauseGame(gameState);
+            pausedWhileHidden = true;
+        }
+    } else if (pausedWhileHidden) {
+        pausedWhileHidden = false;
+        if (gameState.clock.paused) {
+            GameEngine.resumeGame(gameState);
+        }
+    }
+}
+
 function handleDiskCountChange(event) {
     const diskCount = parseInt(event.target.value);
     console.log(`Disk count changed to: ${diskCount}`);
@@ -771,13 +1208,14 @@ function handleDiskCountChange(event) {
     }
     
     try {
-        // Reset timer
-        resetGameTimer();
+        // Start a new game with the selected disk count
+        const result = GameEngine.updateSettings(gameState, { numDisks: diskCount });
         
-        // Create new game state with the selected disk count
-        gameState = GameState.createGameState(diskCount);
-        updateUIFromGameState();
-        showMessage(`Game restarted with ${diskCount} disks!`, 'success');
+        if (!result.success) {
+            diskCountSelect.value = gameState.settings.numDisks;
+            showMessage(result.error.message, 'error');
+            return;
+        }
         console.log('Game restarted with new disk count:', GameState.getGameStateSummary(gameState));
     } catch (error) {
         console.error('Failed to change disk count:', error);
@@ -785,21 +1223,293 @@ function handleDiskCountChange(event) {
     }
 }
 
+function handleRodCountChange(event) {
+    const rodCount = parseInt(event.target.value);
+    console.log(`Rod count changed to: ${rodCount}`);
+    
+    if (!gameState) {
+        showMessage('Game state not initialized', 'error');
+        return;
+    }
+    
+    // Show confirmation if game is in progress
+    if (gameState.moveCount > 0 && !gameState.gameComplete) {
+        const confirmed = confirm(`Changing rod count will reset the current game. Continue?`);
+        if (!confirmed) {
+            // Revert the selection
+            rodCountSelect.value = gameState.rods.length;
+            return;
+        }
+    }
+    
+    try {
+        // Start a new game with the selected rod count
+        const result = GameEngine.updateSettings(gameState, { numRods: rodCount });
+        
+        if (!result.success) {
+            rodCountSelect.value = gameState.rods.length;
+            showMessage(result.error.message, 'error');
+            return;
+        }
+        console.log('Game restarted with new rod count:', GameState.getGameStateSummary(gameState));
+    } catch (error) {
+        console.error('Failed to change rod count:', error);
+        showMessage('Failed to change rod count', 'error');
+    }
+}
+
+function handleGameModeChange(event) {
+    const gameMode = event.target.value;
+    console.log(`Game mode changed to: ${gameMode}`);
+    
+    if (!gameState) {
+        showMessage('Game state not initialized', 'error');
+        return;
+    }
+    
+    // Show confirmation if game is in progress
+    if (gameState.moveCount > 0 && !gameState.gameComplete) {
+        const confirmed = confirm(`Changing game mode will reset the current game. Continue?`);
+        if (!confirmed) {
+            // Revert the selection
+            gameModeSelect.value = gameState.settings.gameMode || 'classic';
+            return;
+        }
+    }
+    
+    try {
+        // Modes such as cyclic only work with a fixed number of rods
+        const changes = { gameMode };
+        const modeRods = RuleSets.getGameModeInfo(gameMode).numRods;
+        if (modeRods) {
+            changes.numRods = modeRods;
+        }
+        
+        const result = GameEngine.updateSettings(gameState, changes);
+        
+        if (!result.success) {
+            gameModeSelect.value = gameState.settings.gameMode || 'classic';
+            showMessage(result.error.message, 'error');
+            return;
+        }
+        console.log('Game restarted in new game mode:', GameState.getGameStateSummary(gameState));
+    } catch (error) {
+        console.error('Failed to change game mode:', error);
+        showMessage('Failed to change game mode', 'error');
+    }
+}
+
+function handleConstraintPuzzleChange(event) {
+    const puzzleName = event.target.value;
+    console.log(`Constraint puzzle changed to: ${puzzleName || 'none'}`);
+    
+    if (!gameState) {
+        showMessage('Game state not initialized', 'error');
+        return;
+    }
+    
+    // Show confirmation if game is in progress
+    if (gameState.moveCount > 0 && !gameState.gameComplete && !gameState.gameLost) {
+        const confirmed = confirm(`Changing the puzzle will reset the current game. Continue?`);
+        if (!confirmed) {
+            // Revert the selection
+            constraintPuzzleSelect.value = GameState.findConstraintPuzzle(gameState) || '';
+            return;
+        }
+    }
+    
+    try {
+        // Picking none keeps the puzzle and takes its constraints away
+        const changes = puzzleName ? GameState.getConstraintPuzzle(puzzleName) : { constraints: [] };
+        const result = GameEngine.updateSettings(gameState, changes);
+        
+        if (!result.success) {
+            constraintPuzzleSelect.value = GameState.findConstraintPuzzle(gameState) || '';
+            showMessage(result.error.message, 'error');
+            return;
+        }
+        if (puzzleName) {
+            const label = constraintPuzzleSelect.options[constraintPuzzleSelect.selectedIndex].text;
+            showMessage(`🔒 ${label}: solve it in ${gameState.metadata.optimalMoves} moves without breaking the constraints`, 'info');
+        }
+        console.log('Game restarted with new constraints:', GameState.getGameStateSummary(gameState));
+    } catch (error) {
+        console.error('Failed to change constraint puzzle:', error);
+        showMessage('Failed to change constraint puzzle', 'error');
+    }
+}
+
+function handleTimeLimitChange(event) {
+    const timeLimit = parseInt(event.target.value) || null;
+    console.log(`Time limit changed to: ${timeLimit}`);
+    
+    if (!gameState) {
+        showMessage('Game state not initialized', 'error');
+        return;
+    }
+    
+    // Show confirmation if game is in progress
+    if (gameState.moveCount > 0 && !gameState.gameComplete && !gameState.gameLost) {
+        const confirmed = confirm(`Changing the time limit will reset the current game. Continue?`);
+        if (!confirmed) {
+            // Revert the selection
+            timeLimitSelect.value = gameState.settings.timeLimit || 0;
+            return;
+        }
+    }
+    
+    try {
+        const result = GameEngine.updateSettings(gameState, { timeLimit });
+        
+        if (!result.success) {
+            timeLimitSelect.value = gameState.settings.timeLimit || 0;
+            showMessage(result.error.message, 'error');
+            return;
+        }
+        if (timeLimit) {
+            showMessage(`⏰ Time attack: solve the puzzle within ${formatTime(timeLimit)}. The clock starts with your first move.`, 'info');
+        }
+        console.log('Game restarted with new time limit:', GameState.getGameStateSummary(gameState));
+    } catch (error) {
+        console.error('Failed to change time limit:', error);
+        showMessage('Failed to change time limit', 'error');
+    }
+}
+
+function handleParModeChange(event) {
+    const parMode = event.target.checked;
+    console.log(`Par mode toggled: ${parMode}`);
+    
+    if (!gameState) {
+        showMessage('Game state not initialized', 'error');
+        return;
+    }
+    
+    // Show confirmation if game is in progress
+    if (gameState.moveCount > 0 && !gameState.gameComplete && !gameState.gameLost) {
+        const confirmed = confirm(`Changing par mode will reset the current game. Continue?`);
+        if (!confirmed) {
+            // Revert the checkbox
+            parModeCheckbox.checked = Boolean(gameState.settings.parMode);
+            return;
+        }
+    }
+    
+    try {
+        const result = GameEngine.updateSettings(gameState, { parMode });
+        
+        if (!result.success) {
+            parModeCheckbox.checked = Boolean(gameState.settings.parMode);
+            showMessage(result.error.message, 'error');
+            return;
+        }
+        
+        const moveBudget = GameState.getMoveBudget(gameState);
+        if (moveBudget !== null) {
+            showMessage(`Par mode: par is ${gameState.metadata.optimalMoves} moves and the puzzle fails after ${moveBudget}.`, 'info');
+        }
+        console.log('Game restarted with par mode changed:', GameState.getGameStateSummary(gameState));
+    } catch (error) {
+        console.error('Failed to change par mode:', error);
+        showMessage('Failed to change par mode', 'error');
+    }
+}
+
+function handleDifficultyChange(event) {
+    const difficulty = event.target.value;
+    console.log(`Difficulty changed to: ${difficulty}`);
+    
+    if (!gameState) {
+        showMessage('Game state not initialized', 'error');
+        return;
+    }
+    
+    // Show confirmation if game is in progress
+    if (gameState.moveCount > 0 && !gameState.gameComplete && !gameState.gameLost) {
+        const confirmed = confirm(`Changing the difficulty will reset the current game. Continue?`);
+        if (!confirmed) {
+            // Revert the selection
+            difficultySelect.value = GameState.getDifficulty(gameState);
+            return;
+        }
+    }
+    
+    try {
+        const result = GameEngine.updateSettings(gameState, { difficulty });
+        
+        if (!result.success) {
+            difficultySelect.value = GameState.getDifficulty(gameState);
+            showMessage(result.error.message, 'error');
+            return;
+        }
+        
+        if (difficulty === 'hardcore') {
+            showMessage('Hardcore mode: no undo, no hints, no auto-solve and no move highlights.', 'info');
+        }
+        console.log('Game restarted with difficulty changed:', GameState.getGameStateSummary(gameState));
+    } catch (error) {
+        console.error('Failed to change difficulty:', error);
+        showMessage('Failed to change difficulty', 'error');
+    }
+}
+
+/**
+ * Start a new game from a random position with the current disks, rods and mode
+ */
+function handleRandomStart() {
+    startSeededGame({ seed: GameState.createRandomSeed() }, 'Random start');
+}
+
+/**
+ * Start today's daily challenge, the same position for everyone
+ */
+function handleDailyChallenge() {
+    const challenge = GameState.getDailyChallenge();
+    startSeededGame(challenge, `Daily Challenge for ${challenge.dailyChallenge}`);
+}
+
+/**
+ * Restart the game from a seeded random position
+ * @param {Object} changes - Settings for GameEngine.updateSettings, including the seed
+ * @param {string} label - Name of the puzzle for the message
+ */
+function startSeededGame(changes, label) {
+    if (!gameState) {
+        showMessage('Game state not initialized', 'error');
+        return;
+    }
+    
+    // Show confirmation if game is in progress
+    if (gameState.moveCount > 0 && !gameState.gameComplete) {
+        const confirmed = confirm(`Starting a new puzzle will reset the current game. Continue?`);
+        if (!confirmed) {
+            return;
+        }
+    }
+    
+    try {
+        const result = GameEngine.updateSettings(gameState, changes);
+        
+        if (!result.success) {
+            showMessage(result.error.message, 'error');
+            return;
+        }
+        showMessage(`${label} (seed ${changes.seed}): solve it in ${gameState.metadata.optimalMoves} moves`, 'info');
+        console.log('Game restarted from a seeded position:', GameState.getGameStateSummary(gameState));
+    } catch (error) {
+        console.error('Failed to start seeded game:', error);
+        showMessage('Failed to start a new puzzle', 'error');
+    }
+}
+
 function handleHintsToggle(event) {
     const hintsEnabled = event.target.checked;
     console.log(`Hints toggled: ${hintsEnabled}`);
     
     if (gameState) {
-        // Update game state settings
-        gameState.settings.showHints = hintsEnabled;
-        
-        // Update renderer to reflect hint changes
-        if (renderer) {
-            renderer.render();
-        }
+        // The renderer redraws when the settings change is published
+        GameEngine.updateSettings(gameState, { showHints: hintsEnabled });
     }
-    
-    showMessage(`Hints ${hintsEnabled ? 'enabled' : 'disabled'}`, 'info');
 }
 
 function handleAchievements() {
@@ -812,8 +1522,12 @@ function handleAchievements() {
     
     try {
         const earnedAchievements = celebrationSystem.getEarnedAchievements();
+        const starTotals = celebrationSystem.getStarTotals();
+        const starDiskCounts = Object.keys(starTotals).sort((a, b) => a - b);
+        const hardcoreBests = celebrationSystem.getHardcoreBests();
+        const hardcoreDiskCounts = Object.keys(hardcoreBests).sort((a, b) => a - b);
         
-        if (earnedAchievements.length === 0) {
+        if (earnedAchievements.length === 0 && starDiskCounts.length === 0 && hardcoreDiskCounts.length === 0) {
             showMessage('No achievements earned yet. Complete puzzles to unlock achievements!', 'info');
             return;
         }
@@ -829,6 +1543,24 @@ function handleAchievements() {
         
         message += `Total: ${earnedAchievements.length} achievement${earnedAchievements.length !== 1 ? 's' : ''} unlocked!`;
         
+        // Stars earned against par, by disk count
+        if (starDiskCounts.length > 0) {
+            message += '\n\n⭐ STARS ⭐\n';
+            starDiskCounts.forEach(diskCount => {
+                const total = starTotals[diskCount];
+                message += `${diskCount} disks: ${total.stars} stars from ${total.games} game${total.games !== 1 ? 's' : ''} (best ${celebrationSystem.formatStars(total.bestStars)})\n`;
+            });
+        }
+        
+        // Hardcore personal bests, kept apart from other results
+        if (hardcoreDiskCounts.length > 0) {
+            message += '\n💀 HARDCORE BESTS 💀\n';
+            hardcoreDiskCounts.forEach(diskCount => {
+                const best = hardcoreBests[diskCount];
+                message += `${diskCount} disks: score ${best.score}, ${best.moveCount} moves in ${formatTime(best.timeElapsed)} (${best.plays} win${best.plays !== 1 ? 's' : ''})\n`;
+            });
+        }
+        
         // Show achievements in an alert for now (could be enhanced with a modal)
         alert(message);
         
@@ -855,19 +1587,16 @@ function showMessage(text, type = 'info') {
 }
 
 /**
- * Start the game timer
+ * Start ticking the game timer display
  */
 function startGameTimer() {
-    if (gameTimerInterval) {
-        clearInterval(gameTimerInterval);
+    if (!gameTimerInterval) {
+        gameTimerInterval = setInterval(updateGameTimer, 1000);
     }
-    
-    gameStartTime = Date.now();
-    gameTimerInterval = setInterval(updateGameTimer, 1000);
 }
 
 /**
- * Stop the game timer
+ * Stop ticking the game timer display
  */
 function stopGameTimer() {
     if (gameTimerInterval) {
@@ -877,16 +1606,18 @@ function stopGameTimer() {
 }
 
 /**
- * Update the game timer display
+ * Update the game timer display from the game clock
+ * Time attack games count down and end once the time limit is reached.
  */
 function updateGameTimer() {
-    if (!gameStartTime) return;
-    
-    const elapsed = Math.floor((Date.now() - gameStartTime) / 1000);
-    const minutes = Math.floor(elapsed / 60);
-    const seconds = elapsed % 60;
+    if (!gameState || !gameState.clock) return;
     
-    gameTimer.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    if (gameState.settings.timeLimit) {
+        GameEngine.checkTimeLimit(gameState);
+        gameTimer.textContent = formatTime(Math.ceil(GameState.getRemainingTime(gameState) / 1000));
+    } else {
+        gameTimer.textContent = formatTime(Math.floor(GameState.getElapsedTime(gameState) / 1000));
+    }
 }
 
 /**
@@ -895,7 +1626,6 @@ function updateGameTimer() {
 function resetGameTimer() {
     stopGameTimer();
     gameTimer.textContent = '00:00';
-    gameStartTime = null;
 }
 
 /**
@@ -908,17 +1638,38 @@ function handleGameCompletion() {
     stopGameTimer();
     
     // Calculate game statistics
-    const timeElapsed = gameStartTime ? Math.floor((Date.now() - gameStartTime) / 1000) : 0;
+    const stats = GameEngine.getGameStats(gameState);
+    const timeElapsed = Math.floor(stats.gameTime / 1000);
+    
+    // Weighted games are graded on cost: efficiency and optimality compare total costs
+    const scoredByCost = stats.totalCost !== undefined;
     const efficiency = gameState.moveCount > 0 ? 
-        Math.round((gameState.metadata.optimalMoves / gameState.moveCount) * 100) : 0;
+        (scoredByCost ? stats.costEfficiency : stats.efficiency) : 0;
     
     const gameStats = {
         moveCount: gameState.moveCount,
         optimalMoves: gameState.metadata.optimalMoves,
         efficiency: efficiency,
         timeElapsed: timeElapsed,
-        isOptimalSolution: gameState.moveCount === gameState.metadata.optimalMoves,
-        diskCount: gameState.settings.numDisks
+        isOptimalSolution: stats.isOptimalSolution,
+        movesUsed: stats.movesUsed,
+        diskCount: gameState.settings.numDisks,
+        rodCount: gameState.rods.length,
+        gameMode: gameState.settings.gameMode || 'classic',
+        timeLimit: gameState.settings.timeLimit || null,
+        parMode: Boolean(gameState.settings.parMode),
+        totalCost: stats.totalCost,
+        costUsed: stats.costUsed,
+        optimalCost: stats.optimalCost,
+        moveBudget: stats.moveBudget,
+        score: stats.score,
+        hintsUsed: stats.hintsUsed,
+        undos: stats.undos,
+        autoSolveMoves: stats.autoSolveMoves,
+        assisted: stats.assisted,
+        seed: stats.seed,
+        dailyChallenge: stats.dailyChallenge,
+        difficulty: stats.difficulty
     };
     
     // Trigger celebration if celebration system is available
@@ -926,15 +1677,63 @@ function handleGameCompletion() {
         celebrationSystem.startWinCelebration(gameStats);
     } else {
         // Fallback celebration message
-        const message = gameStats.isOptimalSolution ? 
+        const message = gameStats.isOptimalSolution && !gameStats.assisted ? 
             `🎉 Perfect! You solved it optimally in ${gameStats.moveCount} moves and ${formatTime(timeElapsed)}!` :
-            `🎉 Congratulations! You solved it in ${gameStats.moveCount} moves (${efficiency}% efficient) and ${formatTime(timeElapsed)}!`;
-        showMessage(message, 'success');
+            `🎉 Congratulations! You solved it in ${gameStats.moveCount} moves ${scoredByCost ? `costing ${gameStats.totalCost} (${efficiency}% cost efficient)` : `(${efficiency}% efficient)`} and ${formatTime(timeElapsed)}!`;
+        showMessage(`${message} Score: ${gameStats.score}`, 'success');
     }
     
     console.log('Game completed with stats:', gameStats);
 }
 
+/**
+ * Handle a game lost on time or on moves and show the loss summary
+ * @param {string} lossReason - Event that ended the game: 'timeUp' or 'outOfMoves'
+ */
+function handleGameLost(lossReason) {
+    if (!gameState || !gameState.gameLost) return;
+    
+    stopGameTimer();
+    
+    if (solverEngine && solverEngine.isAutoSolveRunning()) {
+        solverEngine.stopAutoSolve();
+        solveBtn.textContent = 'Solve';
+        solveBtn.disabled = false;
+        pauseBtn.style.display = 'none';
+    }
+    
+    const gameStats = {
+        lossReason: lossReason,
+        moveCount: GameState.getMovesUsed(gameState),
+        timeLimit: gameState.settings.timeLimit,
+        moveBudget: GameState.getMoveBudget(gameState),
+        diskCount: gameState.settings.numDisks
+    };
+    
+    // Say how far the player was from the goal, when the solver can tell
+    if (solverEngine) {
+        try {
+            if (solverEngine.usesMoveCosts()) {
+                gameStats.costLeft = solverEngine.getDistanceToGoal();
+            } else {
+                gameStats.movesLeft = solverEngine.getDistanceToGoal();
+            }
+        } catch (error) {
+            console.warn('Could not measure the distance to the goal:', error);
+        }
+    }
+    
+    if (celebrationSystem) {
+        celebrationSystem.showLossSummary(gameStats);
+    } else {
+        const leftText = gameStats.movesLeft !== undefined ? ` with ${gameStats.movesLeft} moves still to go` : '';
+        const lossText = lossReason === 'outOfMoves' ? `🚫 Out of moves after ${gameStats.moveCount} moves` : `⏰ Time's up after ${gameStats.moveCount} moves`;
+        showMessage(`${lossText}${leftText}. Click Reset to try again.`, 'error');
+    }
+    
+    console.log('Game lost with stats:', gameStats);
+}
+
 /**
  * Format time in MM:SS format
  * @param {number} seconds - Time in seconds
@@ -953,16 +1752,6 @@ function updateStats(moves = 0, optimal = 7, efficiency = 0) {
     moveCounter.textContent = moves;
     optimalMoves.textContent = optimal;
     efficiency.textContent = `${efficiency}%`;
-    
-    // Start timer on first move
-    if (moves === 1 && !gameTimerInterval) {
-        startGameTimer();
-    }
-    
-    // Check for game completion and trigger celebration
-    if (gameState && gameState.gameComplete) {
-        handleGameCompletion();
-    }
 }
 
 // Simple fallback input handling
@@ -980,11 +1769,11 @@ function setupSimpleInputHandling() {
         console.log(`Canvas clicked at (${Math.round(x)}, ${Math.round(y)})`);
         
         // Simple rod detection
-        const rodSpacing = canvas.width / 4;
-        const rodWidth = 100;
+        const rodSpacing = canvas.width / (gameState.rods.length + 1);
+        const rodWidth = Math.min(100, rodSpacing);
         let clickedRod = -1;
         
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < gameState.rods.length; i++) {
             const rodCenterX = rodSpacing * (i + 1);
             if (x >= rodCenterX - rodWidth / 2 && x <= rodCenterX + rodWidth / 2) {
                 clickedRod = i;
@@ -995,9 +1784,7 @@ function setupSimpleInputHandling() {
         if (clickedRod === -1) {
             // Clear selection
             if (gameState.selectedDisk !== null) {
-                gameState.selectedDisk = null;
-                gameState.selectedRod = null;
-                updateUIFromGameState();
+                GameEngine.clearSelection(gameState);
                 showMessage('Selection cleared', 'info');
             }
             return;
@@ -1007,16 +1794,13 @@ function setupSimpleInputHandling() {
         
         if (gameState.selectedDisk === null) {
             // Select disk
-            const rod = gameState.rods[clickedRod];
-            if (rod.disks.length === 0) {
+            const result = GameEngine.selectDisk(gameState, clickedRod);
+            if (!result.success) {
                 showMessage('No disk to select on this rod', 'error');
                 return;
             }
             
-            gameState.selectedDisk = rod.disks[rod.disks.length - 1];
-            gameState.selectedRod = clickedRod;
-            showMessage(`Selected disk ${gameState.selectedDisk} from rod ${clickedRod + 1}. Click another rod to move it.`, 'info');
-            updateUIFromGameState();
+            showMessage(`Selected disk ${result.selectedDisk} from rod ${clickedRod + 1}. Click another rod to move it.`, 'info');
         } else {
             // Try to move disk
             const fromRod = gameState.selectedRod;
@@ -1027,32 +1811,20 @@ function setupSimpleInputHandling() {
                 return;
             }
             
-            // Simple move validation
-            const sourceRod = gameState.rods[fromRod];
-            const targetRod = gameState.rods[toRod];
-            const diskToMove = sourceRod.disks[sourceRod.disks.length - 1];
+            // Let the engine validate and record the move so history and saves stay consistent
+            const result = GameEngine.makeMove(gameState, fromRod, toRod);
             
-            if (targetRod.disks.length === 0 || diskToMove < targetRod.disks[targetRod.disks.length - 1]) {
-                // Valid move
-                const disk = sourceRod.disks.pop();
-                targetRod.disks.push(disk);
-                gameState.moveCount++;
-                
-                // Clear selection
-                gameState.selectedDisk = null;
-                gameState.selectedRod = null;
-                
-                // Check win condition
-                if (gameState.rods[2].disks.length === gameState.settings.numDisks) {
-                    gameState.gameComplete = true;
+            if (result.success) {
+                if (result.gameComplete) {
                     showMessage('🎉 Congratulations! You solved the puzzle!', 'success');
                 } else {
-                    showMessage(`Moved disk ${disk} to rod ${toRod + 1}`, 'success');
+                    showMessage(`Moved disk ${result.diskMoved} to rod ${toRod + 1}`, 'success');
                 }
-                
-                updateUIFromGameState();
+            } else if (window.helpSystem) {
+                // Explain the rule the move broke
+                window.helpSystem.showErrorWithGuidance(result.error.message, { error: result.error });
             } else {
-                showMessage('Cannot place larger disk on smaller disk', 'error');
+                showMessage(result.error.message, 'error');
             }
         }
     });
@@ -1073,11 +1845,18 @@ function setupSimpleInputHandling() {
             case '3':
                 simulateRodClick(2);
                 break;
+            case '4':
+                simulateRodClick(3);
+                break;
+            case '5':
+                simulateRodClick(4);
+                break;
+            case '6':
+                simulateRodClick(5);
+                break;
             case 'Escape':
-                gameState.selectedDisk = null;
-                gameState.selectedRod = null;
+                GameEngine.clearSelection(gameState);
                 showMessage('Selection cleared', 'info');
-                updateUIFromGameState();
                 break;
             case 'r':
                 if (event.ctrlKey) {
@@ -1086,17 +1865,32 @@ function setupSimpleInputHandling() {
                 }
                 break;
             case 'z':
-                if (event.ctrlKey) {
+            case 'Z':
+                // The accessibility shortcuts may already have handled this key
+                if (event.ctrlKey && !event.defaultPrevented) {
                     event.preventDefault();
-                    handleUndo();
+                    if (event.shiftKey) {
+                        handleRedo();
+                    } else {
+                        handleUndo();
+                    }
+                }
+                break;
+            case 'y':
+                if (event.ctrlKey && !event.defaultPrevented) {
+                    event.preventDefault();
+                    handleRedo();
                 }
                 break;
         }
     });
     
     function simulateRodClick(rodIndex) {
+        // Ignore keys for rods that are not in the current game
+        if (rodIndex >= gameState.rods.length) return;
+        
         const rect = canvas.getBoundingClientRect();
-        const rodSpacing = canvas.width / 4;
+        const rodSpacing = canvas.width / (gameState.rods.length + 1);
         const x = rodSpacing * (rodIndex + 1);
         const y = canvas.height / 2;
         
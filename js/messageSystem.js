@@ -76,6 +76,7 @@ class MessageSystem {
     initialize() {
         this.createMessageElement();
         this.setupGlobalMessageHandler();
+        this.setupGameEventMessages();
     }
     
     /**
@@ -119,6 +120,53 @@ class MessageSystem {
         }
     }
     
+    /**
+     * Show feedback for game events published by the game engine and solver
+     */
+    setupGameEventMessages() {
+        if (typeof GameEvents === 'undefined') return;
+        
+        // Only report events about the game on the page
+        const on = (type, handler) => GameEvents.on(type, (detail) => {
+            if (GameEvents.isAbout(detail, window.gameState)) {
+                handler(detail);
+            }
+        });
+        
+        on('undo', (detail) => {
+            this.showMessage(`Undid move: disk ${detail.disk} from rod ${detail.fromRod + 1} to rod ${detail.toRod + 1}`, 'success');
+        });
+        
+        on('redo', (detail) => {
+            this.showMessage(`Redid move: disk ${detail.disk} from rod ${detail.fromRod + 1} to rod ${detail.toRod + 1}`, 'success');
+        });
+        
+        on('reset', () => {
+            this.showMessage('Game reset successfully!', 'success');
+        });
+        
+        on('settingsChanged', (detail) => {
+            if (detail.restarted && 'gameMode' in detail.changes && typeof RuleSets !== 'undefined') {
+                const { label, description } = RuleSets.getGameModeInfo(detail.gameState.settings.gameMode);
+                this.showMessage(`${label} mode: ${description}`, 'success');
+            } else if (detail.restarted) {
+                const settings = detail.gameState.settings;
+                this.showMessage(`Game restarted with ${settings.numDisks} disks and ${detail.gameState.rods.length} rods!`, 'success');
+            } else if ('showHints' in detail.changes) {
+                this.showMessage(`Hints ${detail.changes.showHints ? 'enabled' : 'disabled'}`, 'info');
+            }
+        });
+        
+        on('historyJump', (detail) => {
+            this.showMessage(detail.moveCount === 0 ? 'Back at the starting position.' : `Jumped to move ${detail.moveCount}.`, 'info');
+        });
+        
+        on('autoSolveStep', (detail) => {
+            const { move, currentStep, totalSteps } = detail;
+            this.showMessage(`Auto-solve: Step ${currentStep}/${totalSteps} - Moving disk ${move.disk} from rod ${move.from + 1} to rod ${move.to + 1}`, 'info');
+        });
+    }
+    
     /**
      * Show a message to the user
      * @param {string} text - Message text
@@ -363,7 +411,8 @@ class MessageSystem {
         
         // Near completion hints
         const totalDisks = gameState.metadata.numDisks;
-        const targetRod = gameState.rods[2];
+        const goalConfiguration = window.GameState.getGoalConfiguration(gameState);
+        const targetRod = gameState.rods[goalConfiguration.findIndex(disks => disks.length > 0)];
         if (targetRod.disks.length === totalDisks - 1) {
             hints.push("You're almost there! Just one more disk to go!");
         } else if (targetRod.disks.length >= totalDisks - 2) {
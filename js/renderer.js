@@ -36,6 +36,7 @@ class Renderer {
             selection: '#3182ce',
             hint: '#38a169',
             hover: 'rgba(49, 130, 206, 0.2)',
+            forbidden: '#e53e3e',
             disks: [
                 '#e53e3e', // Red (largest)
                 '#fd9801', // Orange
@@ -65,17 +66,32 @@ class Renderer {
     }
 
     /**
-     * Calculate layout dimensions based on canvas size
+     * Get the number of rods to draw (3 when no game state is loaded)
+     * @returns {number} Rod count
+     */
+    getRodCount() {
+        return this.gameState && this.gameState.rods ? this.gameState.rods.length : 3;
+    }
+
+    /**
+     * Calculate layout dimensions based on canvas size and rod count
      */
     calculateLayout() {
         const width = this.canvas.width;
         const height = this.canvas.height;
 
-        this.layout.rodSpacing = width / 4;
+        this.layout.rodSpacing = width / (this.getRodCount() + 1);
         this.layout.rodHeight = height * 0.6;
         this.layout.baseY = height * 0.8;
         this.layout.maxDiskWidth = this.layout.rodSpacing * 0.8;
 
+        // Shrink disks so a full tower still fits on a rod
+        let numDisks = this.gameState && this.gameState.settings ? this.gameState.settings.numDisks : 3;
+        if (typeof GameState !== 'undefined' && this.gameState && this.gameState.settings) {
+            numDisks = GameState.getTotalDisks(numDisks, this.gameState.settings.gameMode);
+        }
+        this.layout.diskHeight = Math.max(4, Math.min(15, (this.layout.rodHeight * 0.9) / numDisks));
+
         // Ensure minimum spacing for readability
         if (this.layout.maxDiskWidth < 60) {
             this.layout.maxDiskWidth = 60;
@@ -113,6 +129,10 @@ class Renderer {
         this.drawDisks();
         this.drawUI();
         this.drawHints();
+
+        if (this.gameState.gameLost) {
+            this.drawLossOverlay();
+        }
     }
 
     /**
@@ -131,12 +151,12 @@ class Renderer {
     }
 
     /**
-     * Draw the three rods and base platform
+     * Draw the rods and base platform
      */
     drawRods() {
         const { rodSpacing, rodHeight, rodWidth, baseY } = this.layout;
 
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < this.getRodCount(); i++) {
             const rodX = rodSpacing * (i + 1) - rodWidth / 2;
 
             // Draw rod with gradient for 3D effect
@@ -153,8 +173,8 @@ class Renderer {
             this.ctx.lineWidth = 1;
             this.ctx.strokeRect(rodX, baseY - rodHeight, rodWidth, rodHeight);
 
-            // Draw base platform with gradient
-            const baseWidth = 80;
+            // Draw base platform with gradient (narrower when rods are packed closely)
+            const baseWidth = Math.min(80, rodSpacing * 0.9);
             const baseX = rodX - (baseWidth - rodWidth) / 2;
 
             const baseGradient = this.ctx.createLinearGradient(baseX, baseY, baseX, baseY + 10);
@@ -176,6 +196,11 @@ class Renderer {
             // Add highlight on top of base
             this.ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
             this.ctx.fillRect(baseX, baseY, baseWidth, 2);
+
+            // Constraint puzzles mark full and forbidden space on the rods
+            if (typeof GameState !== 'undefined' && GameState.getConstraints(this.gameState).length > 0) {
+                this.drawRodConstraints(i);
+            }
             
             // Draw hover effect if this rod is hovered
             if (this.inputState.hoveredRod === i) {
@@ -197,6 +222,48 @@ class Renderer {
         this.drawRoundedRect(rodCenterX - hoverWidth/2, baseY - rodHeight - 10, hoverWidth, rodHeight + 10, 5);
     }
 
+    /**
+     * Draw the constraints on a rod: the space above its disk limit is shaded
+     * and labelled, and the whole rod turns red while the selected disk may
+     * not be placed on it
+     * @param {number} rodIndex - Rod index
+     */
+    drawRodConstraints(rodIndex) {
+        const { rodSpacing, rodHeight, baseY, diskHeight } = this.layout;
+        const rodCenterX = rodSpacing * (rodIndex + 1);
+        const rodTop = baseY - rodHeight;
+        const shadeWidth = 40;
+
+        const capacity = GameState.getRodCapacity(this.gameState, rodIndex);
+        if (capacity !== Infinity) {
+            const limitY = Math.max(rodTop, baseY - capacity * diskHeight);
+
+            this.ctx.fillStyle = 'rgba(113, 128, 150, 0.3)';
+            this.ctx.fillRect(rodCenterX - shadeWidth / 2, rodTop, shadeWidth, limitY - rodTop);
+
+            this.ctx.strokeStyle = this.colors.textSecondary;
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(rodCenterX - shadeWidth / 2, limitY);
+            this.ctx.lineTo(rodCenterX + shadeWidth / 2, limitY);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            this.ctx.fillStyle = this.colors.textSecondary;
+            this.ctx.font = '12px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'top';
+            this.ctx.fillText(`max ${capacity}`, rodCenterX, rodTop + 4);
+        }
+
+        const selectedDisk = this.gameState.selectedDisk;
+        if (selectedDisk && GameState.isRodForbidden(this.gameState, selectedDisk, rodIndex)) {
+            this.ctx.fillStyle = 'rgba(229, 62, 62, 0.25)';
+            this.drawRoundedRect(rodCenterX - shadeWidth / 2, rodTop - 10, shadeWidth, rodHeight + 10, 5);
+        }
+    }
+
     /**
      * Draw all disks on their respective rods
      */
@@ -212,7 +279,7 @@ class Renderer {
         // Track which disk is being dragged to avoid drawing it twice
         let draggedDiskInfo = null;
 
-        for (let rodIndex = 0; rodIndex < 3; rodIndex++) {
+        for (let rodIndex = 0; rodIndex < this.gameState.rods.length; rodIndex++) {
             const rod = this.gameState.rods[rodIndex];
             const rodCenterX = rodSpacing * (rodIndex + 1);
 
@@ -258,7 +325,9 @@ class Renderer {
 
     /**
      * Draw a single disk
-     * @param {number} diskSize - Size of the disk (1 = smallest)
+     * In paired-disk modes both disks of a size share a width and are told
+     * apart by their tower color
+     * @param {number} diskSize - Disk id as stored on the rods (its size outside paired-disk modes)
      * @param {number} centerX - X coordinate of disk center
      * @param {number} y - Y coordinate of disk top
      * @param {number} rodIndex - Index of the rod containing the disk
@@ -267,17 +336,17 @@ class Renderer {
      */
     drawDisk(diskSize, centerX, y, rodIndex, diskIndex, animationPos = null) {
         const { diskHeight, maxDiskWidth, minDiskWidth } = this.layout;
+        const gameMode = this.gameState.settings.gameMode;
+        const size = typeof GameState !== 'undefined' ? GameState.getDiskSize(diskSize, gameMode) : diskSize;
 
         // Calculate disk width based on size with proper scaling
         const sizeRatio = this.gameState.settings.numDisks > 1
-            ? (diskSize - 1) / (this.gameState.settings.numDisks - 1)
+            ? (size - 1) / (this.gameState.settings.numDisks - 1)
             : 0;
         const diskWidth = minDiskWidth + (maxDiskWidth - minDiskWidth) * sizeRatio;
         const diskX = centerX - diskWidth / 2;
 
-        // Get disk color with proper bounds checking
-        const colorIndex = Math.min(diskSize - 1, this.colors.disks.length - 1);
-        const baseColor = this.colors.disks[colorIndex];
+        const baseColor = this.getDiskColor(diskSize);
 
         // Create radial gradient for more realistic 3D effect
         const gradient = this.ctx.createRadialGradient(
@@ -305,8 +374,13 @@ class Renderer {
         this.ctx.fillStyle = highlightGradient;
         this.drawRoundedRect(diskX, y, diskWidth, diskHeight * 0.4, 4);
 
+        // Magnetic disks show which pole faces up and which faces down
+        if (this.gameState.diskOrientations && typeof GameState !== 'undefined') {
+            this.drawDiskFaces(diskX, y, diskWidth, diskHeight, diskSize);
+        }
+
         // Draw disk border with varying thickness based on size
-        const borderWidth = Math.max(1, Math.floor(diskSize / 2));
+        const borderWidth = Math.max(1, Math.floor(size / 2));
         this.ctx.strokeStyle = this.darkenColor(baseColor, 35);
         this.ctx.lineWidth = borderWidth;
 
@@ -324,14 +398,19 @@ class Renderer {
         this.ctx.closePath();
         this.ctx.stroke();
 
+        // Glued disks carry a padlock with the move that frees them
+        if (typeof GameState !== 'undefined' && GameState.isDiskLocked(this.gameState, diskSize)) {
+            this.drawPadlock(diskX + diskWidth + 4, y, diskHeight, GameState.getDiskUnlockMove(this.gameState, diskSize));
+        }
+
         // Highlight selected disk with animated effect
         if (this.gameState.selectedDisk === diskSize && this.gameState.selectedRod === rodIndex) {
             this.drawSelectionHighlight(diskX, y, diskWidth, diskHeight);
         }
 
         // Draw disk size indicator for better gameplay
-        if (diskWidth > 40) {
-            this.drawDiskLabel(diskSize, centerX, y + diskHeight / 2);
+        if (diskWidth > 40 && diskHeight >= 12) {
+            this.drawDiskLabel(size, centerX, y + diskHeight / 2);
         }
 
         // Add texture lines for visual interest on larger disks
@@ -340,6 +419,27 @@ class Renderer {
         }
     }
 
+    /**
+     * Get the base color for a disk
+     * Towers larger than the palette use the generated colors from GameState,
+     * and paired-disk modes color each disk by the tower it belongs to
+     * @param {number} diskSize - Disk id as stored on the rods (its size outside paired-disk modes)
+     * @returns {string} Hex color code
+     */
+    getDiskColor(diskSize) {
+        const numDisks = this.gameState.settings.numDisks;
+        if (typeof GameState !== 'undefined' && GameState.hasPairedDisks(this.gameState.settings.gameMode)) {
+            return GameState.PAIRED_DISK_COLORS[GameState.getDiskColorGroup(diskSize, this.gameState.settings.gameMode)];
+        }
+        if (numDisks > this.colors.disks.length && typeof GameState !== 'undefined') {
+            return GameState.getDiskColor(diskSize, numDisks);
+        }
+
+        // Get disk color with proper bounds checking
+        const colorIndex = Math.min(diskSize - 1, this.colors.disks.length - 1);
+        return this.colors.disks[colorIndex];
+    }
+
     /**
      * Draw texture lines on larger disks for visual appeal
      */
@@ -383,6 +483,57 @@ class Renderer {
         this.ctx.shadowBlur = 0;
     }
 
+    /**
+     * Draw the faces of a magnetic disk: a band in the color of the pole facing up
+     * along the top edge, and one in the other pole's color along the bottom
+     * @param {number} diskX - X coordinate of the disk's left edge
+     * @param {number} y - Y coordinate of the disk top
+     * @param {number} diskWidth - Disk width
+     * @param {number} diskHeight - Disk height
+     * @param {number} diskId - Disk id
+     */
+    drawDiskFaces(diskX, y, diskWidth, diskHeight, diskId) {
+        const topPole = GameState.getDiskOrientation(this.gameState, diskId);
+        const bottomPole = topPole === 'N' ? 'S' : 'N';
+        const bandHeight = Math.max(2, diskHeight * 0.3);
+        const radius = Math.min(4, bandHeight / 2);
+
+        this.ctx.fillStyle = GameState.POLE_COLORS[topPole];
+        this.drawRoundedRect(diskX, y, diskWidth, bandHeight, radius);
+
+        this.ctx.fillStyle = GameState.POLE_COLORS[bottomPole];
+        this.drawRoundedRect(diskX, y + diskHeight - bandHeight, diskWidth, bandHeight, radius);
+    }
+
+    /**
+     * Draw a padlock beside a glued disk, followed by the move that unlocks it
+     * @param {number} x - X coordinate of the padlock's left edge
+     * @param {number} y - Y coordinate of the disk top
+     * @param {number} diskHeight - Disk height
+     * @param {number} untilMove - First move that may move the disk
+     */
+    drawPadlock(x, y, diskHeight, untilMove) {
+        const bodySize = Math.max(4, Math.min(10, diskHeight * 0.6));
+        const bodyY = y + diskHeight - bodySize;
+
+        // Shackle
+        this.ctx.strokeStyle = this.colors.textSecondary;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        this.ctx.arc(x + bodySize / 2, bodyY, bodySize * 0.3, Math.PI, 0);
+        this.ctx.stroke();
+
+        // Body
+        this.ctx.fillStyle = '#d69e2e';
+        this.ctx.fillRect(x, bodyY, bodySize, bodySize);
+
+        this.ctx.fillStyle = this.colors.textSecondary;
+        this.ctx.font = `${Math.max(8, Math.min(12, diskHeight))}px Arial`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(untilMove.toString(), x + bodySize + 2, y + diskHeight / 2);
+    }
+
     /**
      * Draw disk label (number)
      */
@@ -405,6 +556,25 @@ class Renderer {
         this.ctx.textBaseline = 'top';
         this.ctx.fillText('Towers of Hanoi', this.canvas.width / 2, 20);
 
+        // Variants say what is different under the title
+        let subtitleY = 50;
+        const gameMode = this.gameState.settings.gameMode || 'classic';
+        if (gameMode !== 'classic' && typeof RuleSets !== 'undefined' && RuleSets.hasGameMode(gameMode)) {
+            this.ctx.font = '14px Arial';
+            this.ctx.fillStyle = this.colors.textSecondary;
+            this.ctx.fillText(RuleSets.getGameModeInfo(gameMode).description, this.canvas.width / 2, subtitleY);
+            subtitleY += 18;
+        }
+
+        // Random starts show their seed so the position can be shared
+        const { seed, dailyChallenge } = this.gameState.settings;
+        if (seed !== undefined && seed !== null) {
+            this.ctx.font = '14px Arial';
+            this.ctx.fillStyle = this.colors.textSecondary;
+            const puzzleText = dailyChallenge ? `Daily Challenge ${dailyChallenge}` : 'Random start';
+            this.ctx.fillText(`${puzzleText} · seed ${seed}`, this.canvas.width / 2, subtitleY);
+        }
+
         // Draw game status
         this.ctx.font = '16px Arial';
         this.ctx.fillStyle = this.colors.textSecondary;
@@ -413,8 +583,24 @@ class Renderer {
         if (this.gameState.gameComplete) {
             this.ctx.fillStyle = this.colors.hint;
             this.ctx.fillText('🎉 Congratulations! You solved the puzzle!', this.canvas.width / 2, this.canvas.height - 20);
+        } else if (this.gameState.gameLost) {
+            this.ctx.fillStyle = this.colors.forbidden;
+            const lossText = GameState.isMoveBudgetSpent(this.gameState)
+                ? `🚫 Out of moves: the budget was ${GameState.getMoveBudget(this.gameState)} moves`
+                : `⏰ Time's up after ${this.gameState.moveCount} moves`;
+            this.ctx.fillText(lossText, this.canvas.width / 2, this.canvas.height - 20);
         } else {
-            const statusText = `Move ${this.gameState.moveCount} of ${this.gameState.metadata.optimalMoves} optimal moves`;
+            // Puzzles too large for the solver have no known optimal count
+            const optimalMoves = this.gameState.metadata.optimalMoves;
+            let statusText = optimalMoves !== null
+                ? `Move ${this.gameState.moveCount} of ${optimalMoves} optimal moves`
+                : `Move ${this.gameState.moveCount}`;
+
+            // Par mode counts down the moves left in the budget
+            const movesLeft = typeof GameState !== 'undefined' ? GameState.getMovesLeft(this.gameState) : null;
+            if (movesLeft !== null) {
+                statusText += ` · ${movesLeft} left in budget`;
+            }
             this.ctx.fillText(statusText, this.canvas.width / 2, this.canvas.height - 20);
         }
 
@@ -423,28 +609,48 @@ class Renderer {
     }
 
     /**
-     * Draw rod labels (A, B, C or 1, 2, 3)
+     * Draw rod labels (A, B, C, ...)
      */
     drawRodLabels() {
         const { rodSpacing, baseY } = this.layout;
-        const labels = ['A', 'B', 'C'];
+        const labels = ['A', 'B', 'C', 'D', 'E', 'F'];
 
         this.ctx.fillStyle = this.colors.textSecondary;
         this.ctx.font = '14px Arial';
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'top';
 
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < this.getRodCount(); i++) {
             const rodCenterX = rodSpacing * (i + 1);
             this.ctx.fillText(labels[i], rodCenterX, baseY + 20);
         }
+
+        // Constraint puzzles list the disks each rod refuses under its label
+        if (typeof GameState === 'undefined' || GameState.getConstraints(this.gameState).length === 0) return;
+
+        this.ctx.fillStyle = this.colors.forbidden;
+        this.ctx.font = '12px Arial';
+
+        for (let i = 0; i < this.getRodCount(); i++) {
+            const refused = [];
+            for (let disk = 1; disk <= this.gameState.settings.numDisks; disk++) {
+                if (GameState.isRodForbidden(this.gameState, disk, i)) {
+                    refused.push(disk);
+                }
+            }
+
+            if (refused.length > 0) {
+                this.ctx.fillText(`no ${refused.join(', ')}`, rodSpacing * (i + 1), baseY + 38);
+            }
+        }
     }
 
     /**
-     * Draw hints (valid move destinations)
+     * Draw hints (valid move destinations), unless the difficulty turns them off
      */
     drawHints() {
         if (!this.gameState.settings.showHints || !this.gameState.selectedDisk) return;
+        if (typeof GameState !== 'undefined' && !GameState.isAssistAllowed(this.gameState, 'destinationHighlights')) return;
 
         const validDestinations = this.getValidDestinations();
         const { rodSpacing, baseY, rodHeight } = this.layout;
@@ -489,7 +695,7 @@ class Renderer {
      * Get valid destinations for the currently selected disk
      */
     getValidDestinations() {
-        if (!this.gameState.selectedRod !== null && window.GameEngine) {
+        if (this.gameState.selectedRod !== null && window.GameEngine) {
             return window.GameEngine.getValidDestinations(this.gameState, this.gameState.selectedRod);
         }
         return [];
@@ -538,6 +744,27 @@ class Renderer {
         this.ctx.fillText('Loading game...', this.canvas.width / 2, this.canvas.height - 20);
     }
 
+    /**
+     * Draw the loss screen over a game that ran out of time or of moves
+     */
+    drawLossOverlay() {
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+
+        this.ctx.fillStyle = 'rgba(45, 55, 72, 0.6)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 32px Arial';
+        const title = GameState.isMoveBudgetSpent(this.gameState) ? '🚫 Out of moves!' : "⏰ Time's up!";
+        this.ctx.fillText(title, centerX, centerY - 20);
+
+        this.ctx.font = '16px Arial';
+        this.ctx.fillText('Click Reset to try again', centerX, centerY + 20);
+    }
+
     /**
      * Draw rounded rectangle
      */
@@ -603,6 +830,25 @@ class Renderer {
      */
     updateGameState(gameState) {
         this.gameState = gameState;
+
+        // Rod spacing depends on the rod count, which may differ in the new state
+        this.calculateLayout();
+    }
+
+    /**
+     * Redraw whenever the game changes
+     * @param {GameEventBus} events - Game event bus
+     * @returns {Function} Function that removes the subscription
+     */
+    subscribeToGameEvents(events) {
+        return events.on('*', (detail) => {
+            if (!events.isAbout(detail, this.gameState)) return;
+
+            if (detail.gameState !== this.gameState) {
+                this.updateGameState(detail.gameState);
+            }
+            this.render();
+        });
     }
 
     /**
@@ -621,9 +867,9 @@ class Renderer {
      */
     detectRodClick(x, y) {
         const { rodSpacing } = this.layout;
-        const rodWidth = 60; // Click area width
+        const rodWidth = Math.min(60, rodSpacing); // Click area width
 
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < this.getRodCount(); i++) {
             const rodCenterX = rodSpacing * (i + 1);
             const rodLeft = rodCenterX - rodWidth / 2;
             const rodRight = rodCenterX + rodWidth / 2;
@@ -318,6 +318,118 @@ function runRendererTests() {
         renderer.render();
     });
     
+    // Test 21: Layout and click detection for more rods
+    test('Should lay out and detect clicks on four rods', () => {
+        const canvas = createTestCanvas();
+        const gameState = GameState.createGameState(3, 4);
+        const renderer = new Renderer(canvas, gameState);
+        
+        if (renderer.layout.rodSpacing !== 160) throw new Error('Rod spacing should be 160 for 4 rods at 800px');
+        if (renderer.detectRodClick(640, 300) !== 3) throw new Error('Should detect rod 3 click');
+        
+        // Switching back to three rods should recalculate spacing
+        renderer.updateGameState(GameState.createGameState(3));
+        if (renderer.layout.rodSpacing !== 200) throw new Error('Rod spacing should return to 200 for 3 rods');
+        
+        renderer.updateGameState(gameState);
+        renderer.render();
+    });
+    
+    // Test 22: Disk height scaling for large towers
+    test('Should scale disk height to fit large towers', () => {
+        const canvas = createTestCanvas();
+        const renderer = new Renderer(canvas, GameState.createGameState(8));
+        
+        if (renderer.layout.diskHeight !== 15) throw new Error('Disk height should stay 15 for 8 disks');
+        
+        renderer.updateGameState(GameState.createGameState(20));
+        const stackHeight = renderer.layout.diskHeight * 20;
+        if (stackHeight > renderer.layout.rodHeight) throw new Error('20-disk tower should fit on the rod');
+        
+        canvas.height = 300;
+        renderer.calculateLayout();
+        if (renderer.layout.diskHeight * 20 > renderer.layout.rodHeight) {
+            throw new Error('20-disk tower should fit on a short canvas');
+        }
+        
+        renderer.render();
+    });
+    
+    // Test 23: Constraint drawing
+    test('Should draw padlocks and constrained rods', () => {
+        const canvas = createTestCanvas();
+        const gameState = GameState.createGameState(3, 4, { constraints: [
+            { type: 'rodCapacity', rod: 1, maxDisks: 2 },
+            { type: 'forbiddenRod', disk: 1, rod: 2 },
+            { type: 'lockedDisk', disk: 3, untilMove: 5 }
+        ] });
+        gameState.selectedDisk = 1;
+        gameState.selectedRod = 0;
+        
+        const renderer = new Renderer(canvas, gameState);
+        const padlocks = [];
+        const constrainedRods = [];
+        const drawPadlock = renderer.drawPadlock.bind(renderer);
+        const drawRodConstraints = renderer.drawRodConstraints.bind(renderer);
+        renderer.drawPadlock = (x, y, diskHeight, untilMove) => {
+            padlocks.push(untilMove);
+            drawPadlock(x, y, diskHeight, untilMove);
+        };
+        renderer.drawRodConstraints = rodIndex => {
+            constrainedRods.push(rodIndex);
+            drawRodConstraints(rodIndex);
+        };
+        
+        renderer.render();
+        
+        if (padlocks.join() !== '5') throw new Error('Only disk 3 should carry a padlock');
+        if (constrainedRods.length !== 4) throw new Error('Every rod should be checked for constraints');
+        
+        constrainedRods.length = 0;
+        renderer.updateGameState(GameState.createGameState(3, 4));
+        renderer.render();
+        if (constrainedRods.length !== 0) throw new Error('Games without constraints should draw none');
+    });
+    
+    // Test 24: Loss screen
+    test('Should draw the loss screen when time is up', () => {
+        const canvas = createTestCanvas();
+        const gameState = GameState.createGameState(3, 3, { timeLimit: 60 });
+        const renderer = new Renderer(canvas, gameState);
+        let overlays = 0;
+        const drawLossOverlay = renderer.drawLossOverlay.bind(renderer);
+        renderer.drawLossOverlay = () => {
+            overlays++;
+            drawLossOverlay();
+        };
+        
+        renderer.render();
+        if (overlays !== 0) throw new Error('Games in progress should not show the loss screen');
+        
+        gameState.gameLost = true;
+        renderer.render();
+        if (overlays !== 1) throw new Error('Lost games should show the loss screen');
+    });
+    
+    // Test 25: No destination highlights in hardcore mode
+    test('Should not highlight valid destinations in hardcore mode', () => {
+        const canvas = createTestCanvas();
+        const gameState = GameState.createGameState(3, 3, { difficulty: 'hardcore' });
+        gameState.selectedDisk = 1;
+        gameState.selectedRod = 0;
+        const renderer = new Renderer(canvas, gameState);
+        let arrows = 0;
+        renderer.getValidDestinations = () => [1, 2];
+        renderer.drawHintArrow = () => arrows++;
+        
+        renderer.drawHints();
+        if (arrows !== 0) throw new Error('Hardcore games should draw no destination highlights');
+        
+        gameState.settings.difficulty = 'normal';
+        renderer.drawHints();
+        if (arrows !== 2) throw new Error('Normal games should highlight both destinations');
+    });
+    
     console.log(`\n📊 Renderer Test Results: ${passed} passed, ${failed} failed`);
     
     if (failed === 0) {
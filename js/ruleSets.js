@@ -0,0 +1,542 @@
+/**
+ * Rule Sets for Towers of Hanoi
+ *
+ * Move validation is built from named rules. Each rule checks one condition of
+ * a move and carries its own error type and explanation, and a rule set lists
+ * the rules that apply in a game mode. Puzzle variants register their own
+ * rules and rule sets instead of changing the core validator.
+ */
+
+// Registered rules by name, and rule names and display info by game mode
+const rules = new Map();
+const ruleSets = new Map();
+
+/**
+ * Rules every game mode needs: the game must be running, with moves left in
+ * par mode and time left in time attack, and the move must take a disk from
+ * one real rod to another
+ */
+const CORE_RULES = ['gameInProgress', 'withinMoveBudget', 'timeRemaining', 'validSourceRod', 'validTargetRod', 'differentRods', 'sourceHasDisk'];
+
+/**
+ * Rules for puzzle constraints (settings.constraints), checked after the mode's
+ * own rules in every game that has constraints
+ */
+const CONSTRAINT_RULES = ['diskUnglued', 'rodHasRoom', 'rodAllowedForDisk'];
+
+/**
+ * Creates a move rule
+ * @param {Object} definition - Rule definition
+ * @param {string} definition.name - Unique rule name
+ * @param {string} definition.errorType - Error type reported when the rule is broken
+ * @param {string} definition.explanation - The rule in one sentence, for players
+ * @param {string} definition.help - Tip on what to do instead
+ * @param {Function} definition.check - Called with (gameState, move); returns null
+ *     when the move is allowed, otherwise { message, details }
+ * @param {string} definition.severity - Message severity (defaults to 'error')
+ * @param {string} definition.icon - Icon shown with the message (defaults to '🚫')
+ * @returns {Object} Frozen rule object
+ */
+function createRule(definition) {
+    const { name, errorType, explanation, help, check } = definition;
+
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('Rule name must be a non-empty string');
+    }
+
+    if (typeof errorType !== 'string' || typeof explanation !== 'string' || typeof help !== 'string') {
+        throw new Error(`Rule ${name} must have an error type, explanation and help text`);
+    }
+
+    if (typeof check !== 'function') {
+        throw new Error(`Rule ${name} must have a check function`);
+    }
+
+    return Object.freeze({
+        severity: 'error',
+        icon: '🚫',
+        ...definition
+    });
+}
+
+/**
+ * Adds a rule so rule sets can refer to it by name
+ * @param {Object} definition - Rule definition (see createRule)
+ * @returns {Object} The registered rule
+ */
+function registerRule(definition) {
+    const rule = createRule(definition);
+
+    if (rules.has(rule.name)) {
+        throw new Error(`Rule ${rule.name} is already registered`);
+    }
+
+    rules.set(rule.name, rule);
+    return rule;
+}
+
+/**
+ * Defines the rules for a game mode, checked in the given order
+ * @param {string} gameMode - Game mode name
+ * @param {Array} ruleNames - Names of registered rules
+ * @param {Object} options - Display info for the mode
+ * @param {string} options.label - Name shown to players (defaults to the mode name)
+ * @param {string} options.description - One-line summary of what is different
+ * @param {number} options.numRods - Rod count the mode needs, if it only works with one
+ */
+function registerRuleSet(gameMode, ruleNames, options = {}) {
+    if (typeof gameMode !== 'string' || gameMode.length === 0) {
+        throw new Error('Game mode must be a non-empty string');
+    }
+
+    if (ruleSets.has(gameMode)) {
+        throw new Error(`Rule set for ${gameMode} is already registered`);
+    }
+
+    for (const ruleName of ruleNames) {
+        if (!rules.has(ruleName)) {
+            throw new Error(`Unknown rule: ${ruleName}`);
+        }
+    }
+
+    ruleSets.set(gameMode, {
+        ruleNames: [...ruleNames],
+        label: options.label || gameMode,
+        description: options.description || '',
+        numRods: options.numRods || null
+    });
+}
+
+/**
+ * Gets a registered rule
+ * @param {string} ruleName - Rule name
+ * @returns {Object|null} Rule, or null if there is none with that name
+ */
+function getRule(ruleName) {
+    return rules.get(ruleName) || null;
+}
+
+/**
+ * Gets every registered rule
+ * @returns {Array} Rules in registration order
+ */
+function getAllRules() {
+    return [...rules.values()];
+}
+
+/**
+ * Gets the rules for a game mode
+ * @param {string} gameMode - Game mode name
+ * @returns {Array} Rules in the order they are checked
+ */
+function getRuleSet(gameMode = 'classic') {
+    const ruleSet = ruleSets.get(gameMode);
+
+    if (!ruleSet) {
+        throw new Error(`Unknown game mode: ${gameMode}`);
+    }
+
+    return ruleSet.ruleNames.map(ruleName => rules.get(ruleName));
+}
+
+/**
+ * Gets the display info for a game mode
+ * @param {string} gameMode - Game mode name
+ * @returns {Object} { gameMode, label, description, numRods } (numRods is null
+ *     when any rod count works)
+ */
+function getGameModeInfo(gameMode = 'classic') {
+    const ruleSet = ruleSets.get(gameMode);
+
+    if (!ruleSet) {
+        throw new Error(`Unknown game mode: ${gameMode}`);
+    }
+
+    return {
+        gameMode,
+        label: ruleSet.label,
+        description: ruleSet.description,
+        numRods: ruleSet.numRods
+    };
+}
+
+/**
+ * Checks whether a game mode has a rule set
+ * @param {string} gameMode - Game mode name
+ * @returns {boolean} True if the mode is known
+ */
+function hasGameMode(gameMode) {
+    return ruleSets.has(gameMode);
+}
+
+/**
+ * Gets the names of all game modes
+ * @returns {Array} Game mode names
+ */
+function getGameModes() {
+    return [...ruleSets.keys()];
+}
+
+/**
+ * Checks a move against the rules of the game's mode, then its puzzle constraints
+ * @param {Object} gameState - Current game state
+ * @param {number} fromRod - Source rod
+ * @param {number} toRod - Destination rod
+ * @returns {Object|null} null if the move is allowed, otherwise
+ *     { rule, message, details } for the first rule it breaks
+ */
+function checkMove(gameState, fromRod, toRod) {
+    const sourceRod = gameState.rods[fromRod];
+    const targetRod = gameState.rods[toRod];
+
+    // Rules see the move with its top disks; rod rules run before anything uses them
+    const move = {
+        fromRod,
+        toRod,
+        diskToMove: sourceRod && sourceRod.disks.length > 0 ? sourceRod.disks[sourceRod.disks.length - 1] : null,
+        topDiskOnTarget: targetRod && targetRod.disks.length > 0 ? targetRod.disks[targetRod.disks.length - 1] : null
+    };
+
+    const ruleSet = getRuleSet(gameState.settings.gameMode);
+    if (GameState.getConstraints(gameState).length > 0) {
+        ruleSet.push(...CONSTRAINT_RULES.map(ruleName => rules.get(ruleName)));
+    }
+
+    for (const rule of ruleSet) {
+        const violation = rule.check(gameState, move);
+
+        if (violation) {
+            return {
+                rule,
+                message: violation.message,
+                details: violation.details || {}
+            };
+        }
+    }
+
+    return null;
+}
+
+// Rules of the classic puzzle
+registerRule({
+    name: 'gameInProgress',
+    errorType: 'GAME_COMPLETE',
+    explanation: 'No more moves can be made once the puzzle is solved.',
+    help: 'Click the Reset button to start a new game.',
+    severity: 'info',
+    icon: '🎉',
+    check: (gameState) => gameState.gameComplete
+        ? { message: 'Game is already complete' }
+        : null
+});
+
+registerRule({
+    name: 'withinMoveBudget',
+    errorType: 'OVER_BUDGET',
+    explanation: 'In par mode the puzzle has to be solved within its move budget.',
+    help: 'Click the Reset button to try again, or turn off par mode.',
+    icon: '🚫',
+    check: (gameState) => GameState.isMoveBudgetSpent(gameState)
+        ? { message: 'The move budget is spent: the puzzle has failed', details: { moveBudget: GameState.getMoveBudget(gameState) } }
+        : null
+});
+
+registerRule({
+    name: 'timeRemaining',
+    errorType: 'TIME_UP',
+    explanation: 'In time attack the puzzle has to be solved before the clock runs out.',
+    help: 'Click the Reset button to try again, or choose a longer time limit.',
+    icon: '⏰',
+    check: (gameState) => gameState.gameLost || GameState.isTimeUp(gameState)
+        ? { message: 'Time is up: the game is over', details: { timeLimit: gameState.settings.timeLimit } }
+        : null
+});
+
+registerRule({
+    name: 'validSourceRod',
+    errorType: 'INVALID_SOURCE_ROD',
+    explanation: 'Disks can only be taken from one of the rods on the board.',
+    help: 'Please click on one of the rods on the board.',
+    icon: '❌',
+    check: (gameState, { fromRod }) => {
+        const numRods = gameState.rods.length;
+        return Number.isInteger(fromRod) && fromRod >= 0 && fromRod < numRods
+            ? null
+            : { message: `Invalid source rod: ${fromRod}. Must be between 0 and ${numRods - 1}` };
+    }
+});
+
+registerRule({
+    name: 'validTargetRod',
+    errorType: 'INVALID_TARGET_ROD',
+    explanation: 'Disks can only be placed on one of the rods on the board.',
+    help: 'Please click on one of the rods to move the disk there.',
+    icon: '❌',
+    check: (gameState, { toRod }) => {
+        const numRods = gameState.rods.length;
+        return Number.isInteger(toRod) && toRod >= 0 && toRod < numRods
+            ? null
+            : { message: `Invalid target rod: ${toRod}. Must be between 0 and ${numRods - 1}` };
+    }
+});
+
+registerRule({
+    name: 'differentRods',
+    errorType: 'SAME_ROD',
+    explanation: 'A move has to take the disk to a different rod.',
+    help: 'Try moving the disk to a different rod.',
+    severity: 'info',
+    icon: '🔄',
+    check: (gameState, { fromRod, toRod }) => fromRod === toRod
+        ? { message: 'Cannot move disk to the same rod' }
+        : null
+});
+
+registerRule({
+    name: 'sourceHasDisk',
+    errorType: 'EMPTY_SOURCE_ROD',
+    explanation: 'There must be a disk on the rod you move from.',
+    help: 'Try clicking on a rod that has disks on it.',
+    severity: 'info',
+    icon: '🤔',
+    check: (gameState, { fromRod, diskToMove }) => diskToMove === null
+        ? {
+            message: `Cannot move from empty rod ${fromRod}`,
+            details: { sourceRodDisks: [] }
+        }
+        : null
+});
+
+registerRule({
+    name: 'smallerOnLarger',
+    errorType: 'LARGER_ON_SMALLER',
+    explanation: 'A larger disk can never be placed on top of a smaller one.',
+    help: 'This is one of the main rules of Towers of Hanoi. Try moving the disk to an empty rod or on top of a larger disk.',
+    check: (gameState, { fromRod, toRod, diskToMove, topDiskOnTarget }) => {
+        if (topDiskOnTarget === null || diskToMove < topDiskOnTarget) {
+            return null;
+        }
+
+        return {
+            message: `Cannot place disk ${diskToMove} on smaller disk ${topDiskOnTarget}`,
+            details: {
+                diskToMove,
+                topDiskOnTarget,
+                sourceRodDisks: [...gameState.rods[fromRod].disks],
+                targetRodDisks: [...gameState.rods[toRod].disks]
+            }
+        };
+    }
+});
+
+// Cyclic variant: disks travel clockwise only
+registerRule({
+    name: 'clockwiseOnly',
+    errorType: 'NOT_CLOCKWISE',
+    explanation: 'In cyclic mode a disk can only move one rod clockwise: A → B → C → A.',
+    help: 'To reach the rod behind you, go the long way round through the next rod.',
+    icon: '🔁',
+    check: (gameState, { fromRod, toRod }) => {
+        const numRods = gameState.rods.length;
+        const nextRod = (fromRod + 1) % numRods;
+
+        return toRod === nextRod
+            ? null
+            : {
+                message: `Cannot move from rod ${fromRod} to rod ${toRod}: disks only move clockwise, to rod ${nextRod}`,
+                details: { allowedRod: nextRod }
+            };
+    }
+});
+
+// Linear variant: disks only move between neighbouring rods
+registerRule({
+    name: 'adjacentRodsOnly',
+    errorType: 'NOT_ADJACENT',
+    explanation: 'In linear mode a disk can only move to a neighbouring rod, so every disk passes through the middle rod.',
+    help: 'Move the disk to the middle rod first, then on to the far rod.',
+    icon: '↔️',
+    check: (gameState, { fromRod, toRod }) => Math.abs(toRod - fromRod) === 1
+        ? null
+        : { message: `Cannot move from rod ${fromRod} to rod ${toRod}: disks only move to a neighbouring rod` }
+});
+
+// Bicolor variant: two disks of every size, and equal sizes may stack
+registerRule({
+    name: 'notOnSmaller',
+    errorType: 'LARGER_ON_SMALLER',
+    explanation: 'A disk can never be placed on top of a smaller one, but it may go on the other disk of its own size.',
+    help: 'Try moving the disk to an empty rod, a larger disk or its same-sized partner.',
+    check: (gameState, { fromRod, toRod, diskToMove, topDiskOnTarget }) => {
+        const gameMode = gameState.settings.gameMode;
+        if (topDiskOnTarget === null || GameState.isStackedInOrder(topDiskOnTarget, diskToMove, gameMode)) {
+            return null;
+        }
+
+        const size = GameState.getDiskSize(diskToMove, gameMode);
+        const targetSize = GameState.getDiskSize(topDiskOnTarget, gameMode);
+
+        return {
+            message: `Cannot place a size ${size} disk on a smaller size ${targetSize} disk`,
+            details: {
+                diskToMove,
+                topDiskOnTarget,
+                sourceRodDisks: [...gameState.rods[fromRod].disks],
+                targetRodDisks: [...gameState.rods[toRod].disks]
+            }
+        };
+    }
+});
+
+// Magnetic variant: disks turn over as they move, and like poles repel
+registerRule({
+    name: 'facesAttract',
+    errorType: 'REPELLING_FACES',
+    explanation: 'In magnetic mode every disk turns over when it moves, and its bottom face must not touch a face of the same pole.',
+    help: 'The face on top of the disk you move ends up underneath. Pick a rod whose top disk shows the other pole, or take a detour so the disk turns over once more.',
+    icon: '🧲',
+    check: (gameState, { diskToMove, topDiskOnTarget }) => {
+        if (topDiskOnTarget === null) {
+            return null;
+        }
+
+        // The face that points up now ends up underneath
+        const pole = GameState.getDiskOrientation(gameState, diskToMove);
+        if (pole !== GameState.getDiskOrientation(gameState, topDiskOnTarget)) {
+            return null;
+        }
+
+        return {
+            message: `Cannot place disk ${diskToMove} on disk ${topDiskOnTarget}: disk ${diskToMove} turns over, and its ${pole} face would touch the ${pole} face of disk ${topDiskOnTarget}. Like poles repel`,
+            details: { diskToMove, topDiskOnTarget, pole }
+        };
+    }
+});
+
+// Puzzle constraints: glued disks, rods with a capacity and rods a disk may not touch
+registerRule({
+    name: 'diskUnglued',
+    errorType: 'DISK_LOCKED',
+    explanation: 'A disk with a padlock is glued in place until the move number shown next to it.',
+    help: 'Work with the other disks until the glue lets go.',
+    icon: '🔒',
+    check: (gameState, { diskToMove }) => {
+        if (!GameState.isDiskLocked(gameState, diskToMove)) {
+            return null;
+        }
+
+        const untilMove = GameState.getDiskUnlockMove(gameState, diskToMove);
+        return {
+            message: `Disk ${diskToMove} is glued in place until move ${untilMove}`,
+            details: { diskToMove, untilMove }
+        };
+    }
+});
+
+registerRule({
+    name: 'rodHasRoom',
+    errorType: 'ROD_FULL',
+    explanation: 'A rod with a limit, shaded above it, cannot hold more disks than that.',
+    help: 'Clear a disk off that rod first, or use another rod.',
+    icon: '📦',
+    check: (gameState, { toRod }) => {
+        const maxDisks = GameState.getRodCapacity(gameState, toRod);
+        if (gameState.rods[toRod].disks.length < maxDisks) {
+            return null;
+        }
+
+        return {
+            message: `Rod ${toRod} is full: it may hold at most ${maxDisks} disks`,
+            details: { maxDisks }
+        };
+    }
+});
+
+registerRule({
+    name: 'rodAllowedForDisk',
+    errorType: 'FORBIDDEN_ROD',
+    explanation: 'Some disks may never touch certain rods; those rods are shaded red while the disk is selected.',
+    help: 'Take the disk the long way round, through rods it may use.',
+    icon: '⛔',
+    check: (gameState, { toRod, diskToMove }) => GameState.isRodForbidden(gameState, diskToMove, toRod)
+        ? {
+            message: `Disk ${diskToMove} may never be placed on rod ${toRod}`,
+            details: { diskToMove }
+        }
+        : null
+});
+
+registerRuleSet('classic', [...CORE_RULES, 'smallerOnLarger'], {
+    label: 'Classic',
+    description: 'Move disks between any two rods'
+});
+
+registerRuleSet('cyclic', [...CORE_RULES, 'clockwiseOnly', 'smallerOnLarger'], {
+    label: 'Cyclic',
+    description: 'Disks move clockwise only: A → B → C → A',
+    numRods: 3
+});
+
+registerRuleSet('linear', [...CORE_RULES, 'adjacentRodsOnly', 'smallerOnLarger'], {
+    label: 'Linear',
+    description: 'Disks move to a neighbouring rod only: A ↔ B ↔ C',
+    numRods: 3
+});
+
+registerRuleSet('bicolor', [...CORE_RULES, 'notOnSmaller'], {
+    label: 'Bicolor',
+    description: 'Separate the interleaved towers: orange to B, blue to C',
+    numRods: 3
+});
+
+registerRuleSet('bicolor-swap', [...CORE_RULES, 'notOnSmaller'], {
+    label: 'Bicolor swap',
+    description: 'Swap the orange and blue towers',
+    numRods: 3
+});
+
+registerRuleSet('magnetic', [...CORE_RULES, 'smallerOnLarger', 'facesAttract'], {
+    label: 'Magnetic',
+    description: 'Disks turn over as they move, and like poles repel',
+    numRods: 3
+});
+
+registerRuleSet('weighted', [...CORE_RULES, 'smallerOnLarger'], {
+    label: 'Weighted',
+    description: 'Each move costs the size of the disk: solve it as cheaply as you can'
+});
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment (for testing)
+    module.exports = {
+        CORE_RULES,
+        CONSTRAINT_RULES,
+        createRule,
+        registerRule,
+        registerRuleSet,
+        getRule,
+        getAllRules,
+        getRuleSet,
+        getGameModeInfo,
+        hasGameMode,
+        getGameModes,
+        checkMove
+    };
+} else {
+    // Browser environment
+    window.RuleSets = {
+        CORE_RULES,
+        CONSTRAINT_RULES,
+        createRule,
+        registerRule,
+        registerRuleSet,
+        getRule,
+        getAllRules,
+        getRuleSet,
+        getGameModeInfo,
+        hasGameMode,
+        getGameModes,
+        checkMove
+    };
+}
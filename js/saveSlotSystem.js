@@ -0,0 +1,454 @@
+/**
+ * Save Slot System for Towers of Hanoi
+ *
+ * This module keeps named saved games in browser storage and provides the
+ * load-game dialog for listing, renaming, duplicating, deleting and loading them.
+ */
+
+/**
+ * Save Slot System class for managing named saved games
+ */
+class SaveSlotSystem {
+    /**
+     * @param {Object} gameState - Current game state (saved by "Save current game")
+     * @param {Function} onLoad - Called with the restored game state when a slot is loaded
+     * @param {Object} options - Optional settings
+     * @param {string} options.storageKey - Browser storage key for the slot list
+     */
+    constructor(gameState, onLoad, options = {}) {
+        this.gameState = gameState;
+        this.onLoad = onLoad;
+        this.storageKey = options.storageKey || 'toh_save_slots';
+
+        // Thumbnail properties
+        this.thumbnail = {
+            renderWidth: 320,
+            renderHeight: 240,
+            width: 160,
+            height: 120
+        };
+    }
+
+    /**
+     * Initialize the save slot system
+     */
+    initialize() {
+        this.createSaveUI();
+    }
+
+    /**
+     * Create save slot UI elements
+     */
+    createSaveUI() {
+        // Create saved games button
+        const savesButton = document.createElement('button');
+        savesButton.id = 'saves-btn';
+        savesButton.className = 'control-btn';
+        savesButton.textContent = 'Saved Games';
+        savesButton.title = 'Save, load and manage named games';
+        savesButton.setAttribute('aria-label', 'Open saved games');
+        savesButton.addEventListener('click', () => this.showDialog());
+
+        // Add button to settings group
+        const settingsGroup = document.querySelector('.settings-group');
+        if (settingsGroup) {
+            settingsGroup.appendChild(savesButton);
+        }
+
+        // Create dialog overlay
+        this.createSaveOverlay();
+    }
+
+    /**
+     * Create the load-game dialog
+     */
+    createSaveOverlay() {
+        const overlay = document.createElement('div');
+        overlay.id = 'save-overlay';
+        overlay.className = 'help-overlay';
+        overlay.innerHTML = `
+            <div class="help-modal" role="dialog" aria-modal="true" aria-labelledby="save-title">
+                <div class="help-header">
+                    <h2 id="save-title">Saved Games</h2>
+                    <button id="save-close" class="help-close" aria-label="Close saved games">&times;</button>
+                </div>
+                <div class="help-content">
+                    <ul class="save-slot-list" id="save-slot-list">
+                        <!-- Save slots will be inserted here -->
+                    </ul>
+                </div>
+                <div class="help-footer">
+                    <button id="save-current" class="help-btn">Save current game</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+
+        // Add event listeners
+        document.getElementById('save-close').addEventListener('click', () => this.hideDialog());
+        document.getElementById('save-current').addEventListener('click', () => this.handleSaveCurrent());
+
+        // Close on overlay click
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.hideDialog();
+            }
+        });
+    }
+
+    /**
+     * Show the load-game dialog
+     */
+    showDialog() {
+        this.renderSlotList();
+        document.getElementById('save-overlay').style.display = 'flex';
+    }
+
+    /**
+     * Hide the load-game dialog
+     */
+    hideDialog() {
+        document.getElementById('save-overlay').style.display = 'none';
+    }
+
+    /**
+     * Rebuild the slot list in the dialog
+     */
+    renderSlotList() {
+        const list = document.getElementById('save-slot-list');
+        const slots = this.getSlots();
+
+        list.innerHTML = '';
+
+        if (slots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'save-slot-empty';
+            empty.textContent = 'No saved games yet. Save the current game to keep it here.';
+            list.appendChild(empty);
+            return;
+        }
+
+        slots.forEach(slot => {
+            const item = document.createElement('li');
+            item.className = 'save-slot';
+
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'save-slot-thumbnail';
+            thumbnail.alt = `Board for ${slot.name}`;
+            if (slot.thumbnail) {
+                thumbnail.src = slot.thumbnail;
+            }
+
+            const details = document.createElement('div');
+            details.className = 'save-slot-details';
+
+            const name = document.createElement('strong');
+            name.textContent = slot.name;
+
+            const info = document.createElement('span');
+            info.textContent = `${slot.numDisks} disks · ${slot.moveCount} moves · ${new Date(slot.savedAt).toLocaleString()}`;
+
+            details.appendChild(name);
+            details.appendChild(info);
+
+            const actions = document.createElement('div');
+            actions.className = 'save-slot-actions';
+            actions.appendChild(this.createSlotButton('Load', () => this.handleLoad(slot.id)));
+            actions.appendChild(this.createSlotButton('Rename', () => this.handleRename(slot.id)));
+            actions.appendChild(this.createSlotButton('Duplicate', () => this.handleDuplicate(slot.id)));
+            actions.appendChild(this.createSlotButton('Delete', () => this.handleDelete(slot.id)));
+
+            item.appendChild(thumbnail);
+            item.appendChild(details);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Create an action button for a slot
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button element
+     */
+    createSlotButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'save-slot-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Ask for a name and save the current game
+     */
+    handleSaveCurrent() {
+        if (!this.gameState) return;
+
+        const defaultName = `${this.gameState.settings.numDisks} disks, move ${this.gameState.moveCount}`;
+        const name = prompt('Name this saved game:', defaultName);
+        if (name === null) return;
+
+        if (this.saveSlot(name, this.gameState)) {
+            this.renderSlotList();
+        } else {
+            alert('The game could not be saved. Browser storage may be full or unavailable.');
+        }
+    }
+
+    /**
+     * Load a slot into the game and close the dialog
+     * @param {string} id - Slot id
+     */
+    handleLoad(id) {
+        const gameState = this.loadSlot(id);
+
+        if (!gameState) {
+            alert('This saved game could not be loaded. It may be corrupt.');
+            return;
+        }
+
+        this.hideDialog();
+        if (this.onLoad) {
+            this.onLoad(gameState);
+        }
+    }
+
+    /**
+     * Ask for a new name for a slot
+     * @param {string} id - Slot id
+     */
+    handleRename(id) {
+        const slot = this.getSlot(id);
+        if (!slot) return;
+
+        const name = prompt('Rename saved game:', slot.name);
+        if (name === null) return;
+
+        this.renameSlot(id, name);
+        this.renderSlotList();
+    }
+
+    /**
+     * Duplicate a slot
+     * @param {string} id - Slot id
+     */
+    handleDuplicate(id) {
+        this.duplicateSlot(id);
+        this.renderSlotList();
+    }
+
+    /**
+     * Delete a slot after confirmation
+     * @param {string} id - Slot id
+     */
+    handleDelete(id) {
+        const slot = this.getSlot(id);
+        if (!slot) return;
+
+        if (!confirm(`Delete "${slot.name}"? This cannot be undone.`)) return;
+
+        this.deleteSlot(id);
+        this.renderSlotList();
+    }
+
+    /**
+     * Get all saved slots, newest first
+     * @returns {Array} Saved slots
+     */
+    getSlots() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const slots = stored ? JSON.parse(stored) : [];
+            return Array.isArray(slots) ? slots : [];
+        } catch (error) {
+            console.warn('Failed to read saved games:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a single slot
+     * @param {string} id - Slot id
+     * @returns {Object|null} Slot, or null if it does not exist
+     */
+    getSlot(id) {
+        return this.getSlots().find(slot => slot.id === id) || null;
+    }
+
+    /**
+     * Write the slot list to browser storage
+     * @param {Array} slots - Slots to store
+     * @returns {boolean} True if the slots were stored
+     */
+    storeSlots(slots) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(slots));
+            return true;
+        } catch (error) {
+            console.warn('Failed to store saved games:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Save a game state to a new named slot
+     * @param {string} name - Slot name
+     * @param {Object} gameState - Game state to save
+     * @returns {Object|null} The new slot, or null if it could not be saved
+     */
+    saveSlot(name, gameState) {
+        try {
+            const slot = {
+                id: this.createSlotId(),
+                name: this.cleanName(name, 'Saved game'),
+                savedAt: new Date().toISOString(),
+                numDisks: gameState.settings.numDisks,
+                moveCount: gameState.moveCount,
+                thumbnail: this.createThumbnail(gameState),
+                save: GameState.serializeGameState(gameState)
+            };
+
+            const slots = this.getSlots();
+            slots.unshift(slot);
+            return this.storeSlots(slots) ? slot : null;
+        } catch (error) {
+            console.warn('Failed to save game:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Restore the game state stored in a slot
+     * @param {string} id - Slot id
+     * @returns {Object|null} Validated game state, or null if it cannot be restored
+     */
+    loadSlot(id) {
+        const slot = this.getSlot(id);
+        if (!slot) return null;
+
+        try {
+            return GameState.deserializeGameState(slot.save);
+        } catch (error) {
+            console.warn(`Saved game "${slot.name}" could not be restored:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Rename a slot
+     * @param {string} id - Slot id
+     * @param {string} name - New name
+     * @returns {boolean} True if the slot was renamed
+     */
+    renameSlot(id, name) {
+        const slots = this.getSlots();
+        const slot = slots.find(s => s.id === id);
+        if (!slot) return false;
+
+        slot.name = this.cleanName(name, slot.name);
+        return this.storeSlots(slots);
+    }
+
+    /**
+     * Copy a slot under a new name, placed right after the original
+     * @param {string} id - Slot id
+     * @returns {Object|null} The copy, or null if it could not be made
+     */
+    duplicateSlot(id) {
+        const slots = this.getSlots();
+        const index = slots.findIndex(s => s.id === id);
+        if (index === -1) return null;
+
+        const copy = {
+            ...slots[index],
+            id: this.createSlotId(),
+            name: `${slots[index].name} (copy)`,
+            savedAt: new Date().toISOString()
+        };
+
+        slots.splice(index + 1, 0, copy);
+        return this.storeSlots(slots) ? copy : null;
+    }
+
+    /**
+     * Delete a slot
+     * @param {string} id - Slot id
+     * @returns {boolean} True if the slot was deleted
+     */
+    deleteSlot(id) {
+        const slots = this.getSlots();
+        const remaining = slots.filter(s => s.id !== id);
+        if (remaining.length === slots.length) return false;
+
+        return this.storeSlots(remaining);
+    }
+
+    /**
+     * Render a small picture of the board with the game renderer
+     * @param {Object} gameState - Game state to draw
+     * @returns {string|null} PNG data URL, or null if rendering is unavailable
+     */
+    createThumbnail(gameState) {
+        if (typeof Renderer === 'undefined' || typeof document === 'undefined') {
+            return null;
+        }
+
+        try {
+            // Draw at a readable size, then scale down
+            const boardCanvas = document.createElement('canvas');
+            boardCanvas.width = this.thumbnail.renderWidth;
+            boardCanvas.height = this.thumbnail.renderHeight;
+
+            const board = { ...gameState, selectedDisk: null, selectedRod: null };
+            new Renderer(boardCanvas, board).render();
+
+            const thumbnailCanvas = document.createElement('canvas');
+            thumbnailCanvas.width = this.thumbnail.width;
+            thumbnailCanvas.height = this.thumbnail.height;
+            thumbnailCanvas.getContext('2d').drawImage(boardCanvas, 0, 0, this.thumbnail.width, this.thumbnail.height);
+
+            return thumbnailCanvas.toDataURL('image/png');
+        } catch (error) {
+            console.warn('Failed to render save thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a unique slot id
+     * @returns {string} Slot id
+     */
+    createSlotId() {
+        return `slot_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Trim a slot name, falling back when it is empty
+     * @param {string} name - Requested name
+     * @param {string} fallback - Name to use when the request is blank
+     * @returns {string} Clean name
+     */
+    cleanName(name, fallback) {
+        const trimmed = String(name || '').trim().slice(0, 60);
+        return trimmed || fallback;
+    }
+
+    /**
+     * Update game state reference
+     * @param {Object} gameState - New game state
+     */
+    updateGameState(gameState) {
+        this.gameState = gameState;
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment (for testing)
+    module.exports = { SaveSlotSystem };
+} else {
+    // Browser environment
+    window.SaveSlotSystem = SaveSlotSystem;
+}
@@ -5,6 +5,12 @@
  * and provides auto-solve functionality with configurable speed and pause/resume controls.
  */
 
+// Largest position count for which the exhaustive distance table is built
+const MAX_SEARCH_STATES = 2000000;
+
+// Game modes where disks may only travel between some rods (three rods only)
+const ROUTED_GAME_MODES = ['cyclic', 'linear'];
+
 /**
  * Solver Engine class for generating optimal solutions
  */
@@ -13,140 +19,2161 @@ class SolverEngine {
         this.gameState = gameState;
         this.animationSystem = animationSystem;
         
-        // Auto-solve state
-        this.autoSolveState = {
-            isRunning: false,
-            isPaused: false,
-            currentStep: 0,
-            solution: [],
-            speed: 1000, // ms between moves
-            intervalId: null,
-            onComplete: null,
-            onStep: null,
-            onPause: null,
-            onResume: null
-        };
+        // Auto-solve state
+        this.autoSolveState = {
+            isRunning: false,
+            isPaused: false,
+            currentStep: 0,
+            totalSteps: 0,
+            moves: null, // lazy move iterator
+            speed: 1000, // ms between moves
+            intervalId: null,
+            onComplete: null,
+            onStep: null,
+            onPause: null,
+            onResume: null
+        };
+        
+        // Frame-Stewart tables keyed by rod count
+        this.frameStewartCache = {};
+        
+        // Tower move counts for modes with disk routes, keyed by mode, source and target rod
+        this.routeCache = {};
+        
+        // Distance-to-goal tables keyed by disk and rod count
+        this.distanceCache = {};
+        
+        // Frame-Stewart tables for games with disk costs, keyed by rod count and costs
+        this.costCache = {};
+        
+        // Magnetic disk searches keyed by disk, faces under it and start node
+        this.magneticCache = {};
+        
+        // Last constraint puzzle solution, keyed by game, position and move count
+        this.constraintCache = { gameState: null, key: null, solution: null };
+    }
+    
+    /**
+     * Get the game mode of the current game
+     * @returns {string} Game mode name
+     */
+    getGameMode() {
+        return (this.gameState && this.gameState.settings.gameMode) || 'classic';
+    }
+    
+    /**
+     * Calculate the minimum number of moves required for n disks
+     * The counts for the classic tower and the routed modes (cyclic, linear) come
+     * from GameState.calculateOptimalMoves; magnetic mode searches the tower
+     * (see getMagneticSearch).
+     * @param {number} numDisks - Number of disks
+     * @param {number} numRods - Number of rods (defaults to the current game's rod count)
+     * @returns {number} Minimum moves required
+     */
+    calculateMinimumMoves(numDisks, numRods = this.gameState ? this.gameState.rods.length : 3) {
+        if (this.usesMagneticDisks()) {
+            // North up on the left rod to either face up on the right rod
+            const { distances } = this.getMagneticSearch(numDisks, [null, null, null], 0);
+            return Math.min(distances[28], distances[35]);
+        }
+        
+        return GameState.calculateOptimalMoves(numDisks, numRods, this.getGameMode());
+    }
+    
+    /**
+     * Get the Frame-Stewart table (see GameState.createFrameStewartTable), cached by rod count
+     * @param {number} numDisks - Largest disk count needed
+     * @param {number} numRods - Largest rod count needed
+     * @returns {Object} Table with moves and split arrays indexed by [rods][disks]
+     */
+    getFrameStewartTable(numDisks, numRods) {
+        const cached = this.frameStewartCache[numRods];
+        if (cached && cached.moves[numRods].length > numDisks) {
+            return cached;
+        }
+        
+        const table = GameState.createFrameStewartTable(numDisks, numRods);
+        this.frameStewartCache[numRods] = table;
+        return table;
+    }
+    
+    /**
+     * Check whether moves in the current game have a cost per disk
+     * The solver then minimises total cost, and distances are costs rather than move counts
+     * @returns {boolean} True in weighted mode
+     */
+    usesMoveCosts() {
+        return Boolean(this.gameState && this.gameState.settings.diskCosts);
+    }
+    
+    /**
+     * Get what moving a disk costs
+     * @param {number} diskSize - Disk size
+     * @returns {number} Move cost, 1 in games without disk costs
+     */
+    getDiskCost(diskSize) {
+        return this.usesMoveCosts() ? this.gameState.settings.diskCosts[diskSize - 1] : 1;
+    }
+    
+    /**
+     * Get the cost of moving the tower of disks offset+1..offset+n to another rod
+     * Without disk costs this is the minimum move count
+     * @param {number} n - Number of disks in the tower
+     * @param {number} numRods - Number of rods the tower may use
+     * @param {number} offset - Number of smaller disks excluded from the tower
+     * @returns {number} Tower cost
+     */
+    getTowerCost(n, numRods, offset = 0) {
+        if (!this.usesMoveCosts()) {
+            return this.calculateMinimumMoves(n, numRods);
+        }
+        
+        return this.getWeightedFrameStewartTable().cost[numRods][offset][n];
+    }
+    
+    /**
+     * Build the Frame-Stewart table for a game with disk costs
+     * The best split depends on which disks take part, so cost[k][offset][n] and
+     * split[k][offset][n] cover the tower of disks offset+1..offset+n on k rods.
+     * Three rods give the classic recursion, which is the cheapest. With four or
+     * more the weighted split is a plan, not a proven optimum, so positions small
+     * enough to search use the exact cost table instead (see getCostTable).
+     * @returns {Object} Table with cost and split arrays indexed by [rods][offset][disks]
+     */
+    getWeightedFrameStewartTable() {
+        const numRods = this.gameState.rods.length;
+        const diskCosts = this.gameState.settings.diskCosts;
+        const cacheKey = `${numRods}:${diskCosts.join(',')}`;
+        if (this.costCache[cacheKey]) {
+            return this.costCache[cacheKey];
+        }
+        
+        const numDisks = diskCosts.length;
+        const cost = [];
+        const split = [];
+        
+        for (let k = 0; k <= numRods; k++) {
+            cost.push(Array.from({ length: numDisks + 1 }, (_, offset) => new Array(numDisks - offset + 1).fill(0)));
+            split.push(Array.from({ length: numDisks + 1 }, (_, offset) => new Array(numDisks - offset + 1).fill(0)));
+        }
+        
+        for (let offset = 0; offset < numDisks; offset++) {
+            for (let n = 1; n <= numDisks - offset; n++) {
+                cost[3][offset][n] = 2 * cost[3][offset][n - 1] + diskCosts[offset + n - 1];
+            }
+        }
+        
+        for (let k = 4; k <= numRods; k++) {
+            for (let offset = 0; offset < numDisks; offset++) {
+                for (let n = 1; n <= numDisks - offset; n++) {
+                    let best = Infinity;
+                    let bestSplit = 0;
+                    
+                    // Park t disks using all k rods (none at all may be cheapest when small disks are dear)
+                    for (let t = 0; t < n; t++) {
+                        const total = 2 * cost[k][offset][t] + cost[k - 1][offset + t][n - t];
+                        if (total < best) {
+                            best = total;
+                            bestSplit = t;
+                        }
+                    }
+                    
+                    cost[k][offset][n] = best;
+                    split[k][offset][n] = bestSplit;
+                }
+            }
+        }
+        
+        const table = { cost, split };
+        this.costCache[cacheKey] = table;
+        return table;
+    }
+    
+    /**
+     * Check whether the current game mode only lets disks travel between some rods
+     * @returns {boolean} True for cyclic and linear mode
+     */
+    usesDiskRoutes() {
+        return ROUTED_GAME_MODES.includes(this.getGameMode());
+    }
+    
+    /**
+     * Get the rods a disk passes through on its shortest way from one rod to another
+     * Cyclic mode goes clockwise round the rods; linear mode goes through the middle rod.
+     * @param {number} source - Source rod index
+     * @param {number} target - Target rod index
+     * @returns {Array} Rods the disk stops on, ending with the target
+     */
+    getDiskRoute(source, target) {
+        if (this.getGameMode() === 'cyclic') {
+            const next = (source + 1) % 3;
+            return target === next ? [target] : [next, target];
+        }
+        
+        return Math.abs(target - source) === 1 ? [target] : [1, target];
+    }
+    
+    /**
+     * Count the moves for a tower of n disks between two rods in a routed mode
+     * Follows solveRoutedTower: a one-step route costs T(n-1, source, other) + 1 +
+     * T(n-1, other, target), a two-step route 2T(n-1, source, target) + T(n-1, target, source) + 2.
+     * Cyclic mode gives the mutually recursive Q(n) and R(n) counts, linear mode 3^n - 1
+     * from end to end.
+     * @param {number} n - Number of disks
+     * @param {number} source - Source rod index
+     * @param {number} target - Target rod index
+     * @returns {number} Move count
+     */
+    getRoutedTowerDistance(n, source, target) {
+        if (n === 0 || source === target) {
+            return 0;
+        }
+        
+        const cacheKey = `${this.getGameMode()}:${source}:${target}`;
+        const distances = this.routeCache[cacheKey] || (this.routeCache[cacheKey] = []);
+        
+        if (distances[n] === undefined) {
+            if (this.getDiskRoute(source, target).length === 1) {
+                const other = 3 - source - target;
+                distances[n] = this.getRoutedTowerDistance(n - 1, source, other) + 1 +
+                    this.getRoutedTowerDistance(n - 1, other, target);
+            } else {
+                distances[n] = 2 * this.getRoutedTowerDistance(n - 1, source, target) +
+                    this.getRoutedTowerDistance(n - 1, target, source) + 2;
+            }
+        }
+        
+        return distances[n];
+    }
+    
+    /**
+     * Generate the optimal solution for the current game state
+     * Builds the whole plan in memory; use iterateOptimalSolution for large towers
+     * @returns {Array} Array of moves in the format {from: rodIndex, to: rodIndex, disk: diskSize}
+     */
+    generateOptimalSolution() {
+        return Array.from(this.iterateOptimalSolution());
+    }
+    
+    /**
+     * Stream the optimal solution for the current game state one move at a time
+     * Works from any legal position and only keeps the disk positions in memory
+     * @returns {Iterator} Iterator over moves in the format {from: rodIndex, to: rodIndex, disk: diskSize}
+     */
+    iterateOptimalSolution() {
+        if (!this.gameState) {
+            throw new Error('Game state not initialized');
+        }
+        
+        if (this.usesConstraints()) {
+            return this.findConstrainedSolution().moves.values();
+        }
+        
+        if (this.usesPairedDisks()) {
+            return this.canSearchPaired(this.gameState.settings.numDisks)
+                ? this.solvePairedBySearch(this.getCurrentRods())
+                : this.solvePaired(this.getCurrentRods(), this.getPairedGoal());
+        }
+        
+        if (this.usesMagneticDisks()) {
+            return this.solveMagnetic();
+        }
+        
+        // Snapshot the current state of disks; the iterator advances its own copy
+        const diskPositions = this.getCurrentDiskPositions();
+        
+        return this.solveFromPositions(diskPositions);
+    }
+    
+    /**
+     * Pick the solving strategy for a position and yield its moves
+     * @param {Array} diskPositions - Current positions of disks (updated as moves are yielded)
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solveFromPositions(diskPositions) {
+        const goalPositions = this.getGoalDiskPositions();
+        const numRods = this.gameState.rods.length;
+        
+        // Disks larger than the largest misplaced one never need to move
+        const n = this.getLargestMisplacedDisk(diskPositions, goalPositions);
+        if (n === 0) {
+            return;
+        }
+        
+        if (this.usesDiskRoutes()) {
+            yield* this.solveRouted(n, diskPositions, goalPositions);
+            return;
+        }
+        
+        const towers = this.isTower(diskPositions, n) && this.isTower(goalPositions, n);
+        
+        if (this.shouldSearch(n, numRods, towers)) {
+            yield* this.solveBySearch(n, diskPositions, goalPositions);
+        } else if (towers && this.usesMoveCosts()) {
+            yield* this.solveFrameStewart(n, diskPositions[0], goalPositions[0],
+                this.getSpareRods(numRods, diskPositions[0], goalPositions[0]), diskPositions);
+        } else if (towers) {
+            yield* this.iterateTowerMoves(n, diskPositions[0], goalPositions[0]);
+        } else {
+            yield* this.solveToGoal(n, diskPositions, goalPositions);
+        }
+    }
+    
+    /**
+     * Decide whether to follow the exhaustive table rather than a plan
+     * Three rods never need it. With four or more, mid-game positions are searched
+     * when small enough, and so are towers in games with disk costs, where the
+     * weighted Frame-Stewart split may not be the cheapest.
+     * @param {number} n - Largest misplaced disk
+     * @param {number} numRods - Number of rods
+     * @param {boolean} towers - Whether the position and goal are both towers of the smallest n disks
+     * @returns {boolean} True to solve by search
+     */
+    shouldSearch(n, numRods, towers) {
+        return numRods > 3 && this.canSearch(n, numRods) && (!towers || this.usesMoveCosts());
+    }
+    
+    /**
+     * Get the number of moves the solver makes from the current position
+     * Equal to getDistanceToGoal, except in games with disk costs, where that is a
+     * cost and the moves of the cheapest solution are counted instead
+     * @returns {number} Moves in the solution
+     */
+    getSolutionLength() {
+        if (!this.usesMoveCosts()) {
+            return this.getDistanceToGoal();
+        }
+        
+        const solution = this.iterateOptimalSolution();
+        let moves = 0;
+        while (!solution.next().done) {
+            moves++;
+        }
+        return moves;
+    }
+    
+    /**
+     * Get the number of moves left to the goal, or the total cost of the cheapest
+     * solution in games with disk costs
+     * Exact for three rods, routed and magnetic modes and positions small enough to
+     * search; larger multi-rod mid-game positions (and towers, with disk costs) and
+     * paired-disk games report the length or cost of the plan the solver follows
+     * @param {Array} diskPositions - Disk positions to measure (defaults to the current game;
+     *     paired-disk and magnetic modes and constraint puzzles always measure the current game)
+     * @returns {number} Moves remaining
+     */
+    getDistanceToGoal(diskPositions = this.getCurrentDiskPositions()) {
+        if (!this.gameState) {
+            throw new Error('Game state not initialized');
+        }
+        
+        if (this.usesConstraints()) {
+            return this.findConstrainedSolution().cost;
+        }
+        
+        if (this.usesPairedDisks()) {
+            if (this.canSearchPaired(this.gameState.settings.numDisks)) {
+                return this.getPairedDistanceTable()[this.encodePairedRods(this.getCurrentRods())];
+            }
+            return this.getPairedDistance(this.getCurrentRods(), this.getPairedGoal());
+        }
+        
+        if (this.usesMagneticDisks()) {
+            return this.findMagneticSolution().steps[this.gameState.settings.numDisks].cost;
+        }
+        
+        const goalPositions = this.getGoalDiskPositions();
+        const numRods = this.gameState.rods.length;
+        const n = this.getLargestMisplacedDisk(diskPositions, goalPositions);
+        
+        if (n === 0) {
+            return 0;
+        }
+        
+        if (this.usesDiskRoutes()) {
+            return this.getRoutedDistance(n, diskPositions, goalPositions);
+        }
+        
+        const towers = this.isTower(diskPositions, n) && this.isTower(goalPositions, n);
+        
+        if (this.shouldSearch(n, numRods, towers)) {
+            const distances = this.getSearchTable(n, numRods, goalPositions);
+            return distances[this.encodePositions(diskPositions.slice(0, n), numRods)];
+        }
+        
+        if (towers) {
+            return this.getTowerCost(n, numRods);
+        }
+        
+        const plan = this.planLargestDiskMove(n, diskPositions, goalPositions);
+        return Math.min(plan.direct, plan.detour);
+    }
+    
+    /**
+     * Get current positions of all disks
+     * @returns {Array} Array where index is disk size-1 and value is rod index
+     */
+    getCurrentDiskPositions() {
+        return this.getDiskPositions(this.gameState.rods.map(rod => rod.disks));
+    }
+    
+    /**
+     * Get the positions every disk must reach
+     * Games without a custom goal move the tower to the rightmost rod
+     * @returns {Array} Array where index is disk size-1 and value is rod index
+     */
+    getGoalDiskPositions() {
+        const goalConfiguration = this.gameState.settings.goalConfiguration;
+        
+        if (goalConfiguration) {
+            return this.getDiskPositions(goalConfiguration);
+        }
+        
+        return new Array(this.gameState.settings.numDisks).fill(this.gameState.rods.length - 1);
+    }
+    
+    /**
+     * Convert a configuration (disks per rod) into disk positions
+     * @param {Array} configuration - Array of disk arrays, one per rod
+     * @returns {Array} Array where index is disk size-1 and value is rod index
+     */
+    getDiskPositions(configuration) {
+        const positions = new Array(this.gameState.settings.numDisks);
+        
+        for (let rodIndex = 0; rodIndex < configuration.length; rodIndex++) {
+            for (const diskSize of configuration[rodIndex]) {
+                positions[diskSize - 1] = rodIndex;
+            }
+        }
+        
+        return positions;
+    }
+    
+    /**
+     * Check if the game is complete (every disk on its goal rod)
+     * @param {Array} diskPositions - Current disk positions
+     * @returns {boolean} True if game is complete
+     */
+    isGameComplete(diskPositions) {
+        return this.getLargestMisplacedDisk(diskPositions, this.getGoalDiskPositions()) === 0;
+    }
+    
+    /**
+     * Find the largest disk that is not on its goal rod
+     * @param {Array} diskPositions - Current disk positions
+     * @param {Array} goalPositions - Goal disk positions
+     * @returns {number} Disk size, or 0 if every disk is in place
+     */
+    getLargestMisplacedDisk(diskPositions, goalPositions) {
+        for (let diskSize = diskPositions.length; diskSize >= 1; diskSize--) {
+            if (diskPositions[diskSize - 1] !== goalPositions[diskSize - 1]) {
+                return diskSize;
+            }
+        }
+        return 0;
+    }
+    
+    /**
+     * Check whether the smallest n disks are stacked on a single rod
+     * @param {Array} diskPositions - Disk positions
+     * @param {number} n - Number of disks to check
+     * @returns {boolean} True if disks 1..n share a rod
+     */
+    isTower(diskPositions, n) {
+        for (let i = 1; i < n; i++) {
+            if (diskPositions[i] !== diskPositions[0]) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Get the rods other than the source and target, in index order
+     * @param {number} numRods - Number of rods
+     * @param {number} source - Source rod index
+     * @param {number} target - Target rod index
+     * @returns {Array} Spare rod indices
+     */
+    getSpareRods(numRods, source, target) {
+        const spareRods = [];
+        for (let rodIndex = 0; rodIndex < numRods; rodIndex++) {
+            if (rodIndex !== source && rodIndex !== target) {
+                spareRods.push(rodIndex);
+            }
+        }
+        return spareRods;
+    }
+    
+    /**
+     * Check whether the exhaustive distance table is small enough to build
+     * @param {number} numDisks - Number of disks
+     * @param {number} numRods - Number of rods
+     * @returns {boolean} True if every position can be searched
+     */
+    canSearch(numDisks, numRods) {
+        return Math.pow(numRods, numDisks) <= MAX_SEARCH_STATES;
+    }
+    
+    /**
+     * Cost the two ways of getting the largest misplaced disk n home.
+     * Direct: stack the smaller disks on a spare rod, move disk n once, spread them to the goal.
+     * Detour (three rods only): stack the smaller disks on disk n's goal rod, move disk n to the
+     * spare rod, move the stack back to disk n's start, move disk n home, then spread the stack.
+     * One of the two is always optimal for three rods, with or without disk costs.
+     * @param {number} n - Largest misplaced disk
+     * @param {Array} diskPositions - Current disk positions
+     * @param {Array} goalPositions - Goal disk positions
+     * @returns {Object} Move counts (costs, with disk costs) {direct, detour} and the spare rod used
+     */
+    planLargestDiskMove(n, diskPositions, goalPositions) {
+        const numRods = this.gameState.rods.length;
+        const source = diskPositions[n - 1];
+        const target = goalPositions[n - 1];
+        const spare = this.getSpareRods(numRods, source, target)[0];
+        
+        const diskCost = this.getDiskCost(n);
+        
+        const direct = this.getGatherDistance(n - 1, spare, diskPositions) + diskCost +
+            this.getSpreadDistance(n - 1, spare, goalPositions);
+        
+        const detour = numRods === 3
+            ? this.getGatherDistance(n - 1, target, diskPositions) + 2 * diskCost +
+                this.getTowerCost(n - 1, numRods) +
+                this.getSpreadDistance(n - 1, source, goalPositions)
+            : Infinity;
+        
+        return { direct, detour, spare };
+    }
+    
+    /**
+     * Solve from any position to any goal, given the largest misplaced disk
+     * @param {number} n - Largest misplaced disk
+     * @param {Array} diskPositions - Current positions of disks
+     * @param {Array} goalPositions - Goal disk positions
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solveToGoal(n, diskPositions, goalPositions) {
+        const numRods = this.gameState.rods.length;
+        const source = diskPositions[n - 1];
+        const target = goalPositions[n - 1];
+        const { direct, detour, spare } = this.planLargestDiskMove(n, diskPositions, goalPositions);
+        
+        if (direct <= detour) {
+            yield* this.solveFromPosition(n - 1, spare, diskPositions);
+            
+            diskPositions[n - 1] = target;
+            yield { from: source, to: target, disk: n };
+            
+            yield* this.spreadTower(n - 1, spare, goalPositions, diskPositions);
+            return;
+        }
+        
+        yield* this.solveFromPosition(n - 1, target, diskPositions);
+        
+        diskPositions[n - 1] = spare;
+        yield { from: source, to: spare, disk: n };
+        
+        yield* this.solveFrameStewart(n - 1, target, source, this.getSpareRods(numRods, target, source), diskPositions);
+        
+        diskPositions[n - 1] = target;
+        yield { from: spare, to: target, disk: n };
+        
+        yield* this.spreadTower(n - 1, source, goalPositions, diskPositions);
+    }
+    
+    /**
+     * Solver from any legal position
+     * Gathers the smallest n disks onto the target rod. If disk n is elsewhere,
+     * the smaller disks first go to a spare rod so disk n can move directly, then
+     * follow it as a tower. Optimal for three rods.
+     * @param {number} n - Number of disks to gather
+     * @param {number} target - Target rod index
+     * @param {Array} diskPositions - Current positions of disks
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solveFromPosition(n, target, diskPositions) {
+        if (n === 0) {
+            return;
+        }
+        
+        const numRods = this.gameState.rods.length;
+        const current = diskPositions[n - 1];
+        
+        if (current === target) {
+            yield* this.solveFromPosition(n - 1, target, diskPositions);
+            return;
+        }
+        
+        // A stacked tower moves fastest with the tower solver
+        if (this.isTower(diskPositions, n)) {
+            yield* this.solveFrameStewart(n, current, target, this.getSpareRods(numRods, current, target), diskPositions);
+            return;
+        }
+        
+        const auxiliary = this.getSpareRods(numRods, current, target)[0];
+        
+        // Clear the smaller disks out of the way
+        yield* this.solveFromPosition(n - 1, auxiliary, diskPositions);
+        
+        // Move disk n to its target
+        diskPositions[n - 1] = target;
+        yield {
+            from: current,
+            to: target,
+            disk: n
+        };
+        
+        // Bring the smaller disks back on top
+        yield* this.solveFrameStewart(n - 1, auxiliary, target, this.getSpareRods(numRods, auxiliary, target), diskPositions);
+    }
+    
+    /**
+     * Spread a tower of the smallest n disks from one rod into the goal configuration
+     * Mirror image of solveFromPosition: optimal for three rods
+     * @param {number} n - Number of disks in the tower
+     * @param {number} source - Rod holding the tower
+     * @param {Array} goalPositions - Goal disk positions
+     * @param {Array} diskPositions - Current positions of disks
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *spreadTower(n, source, goalPositions, diskPositions) {
+        const numRods = this.gameState.rods.length;
+        
+        for (let diskSize = n; diskSize >= 1; diskSize--) {
+            const target = goalPositions[diskSize - 1];
+            if (target === source) {
+                continue;
+            }
+            
+            // A goal tower is reached fastest with the tower solver
+            if (this.isTower(goalPositions, diskSize)) {
+                yield* this.solveFrameStewart(diskSize, source, target, this.getSpareRods(numRods, source, target), diskPositions);
+                return;
+            }
+            
+            // Move the smaller disks aside, then drop this disk into place
+            const auxiliary = this.getSpareRods(numRods, source, target)[0];
+            yield* this.solveFrameStewart(diskSize - 1, source, auxiliary, this.getSpareRods(numRods, source, auxiliary), diskPositions);
+            
+            diskPositions[diskSize - 1] = target;
+            yield { from: source, to: target, disk: diskSize };
+            
+            source = auxiliary;
+        }
+    }
+    
+    /**
+     * Count the moves solveFromPosition makes to gather the smallest n disks on a rod
+     * @param {number} n - Number of disks to gather
+     * @param {number} target - Target rod index
+     * @param {Array} diskPositions - Current positions of disks
+     * @returns {number} Move count (total cost, with disk costs)
+     */
+    getGatherDistance(n, target, diskPositions) {
+        const numRods = this.gameState.rods.length;
+        let distance = 0;
+        
+        // Walk from the largest disk down, tracking where each smaller stack must go
+        for (let diskSize = n; diskSize >= 1; diskSize--) {
+            const current = diskPositions[diskSize - 1];
+            if (current !== target && this.isTower(diskPositions, diskSize)) {
+                distance += this.getTowerCost(diskSize, numRods);
+                break;
+            }
+            if (current !== target) {
+                distance += this.getDiskCost(diskSize) + this.getTowerCost(diskSize - 1, numRods);
+                target = this.getSpareRods(numRods, current, target)[0];
+            }
+        }
+        
+        return distance;
+    }
+    
+    /**
+     * Count the moves spreadTower makes
+     * @param {number} n - Number of disks in the tower
+     * @param {number} source - Rod holding the tower
+     * @param {Array} goalPositions - Goal disk positions
+     * @returns {number} Move count (total cost, with disk costs)
+     */
+    getSpreadDistance(n, source, goalPositions) {
+        const numRods = this.gameState.rods.length;
+        let distance = 0;
+        
+        for (let diskSize = n; diskSize >= 1; diskSize--) {
+            const target = goalPositions[diskSize - 1];
+            if (target !== source && this.isTower(goalPositions, diskSize)) {
+                distance += this.getTowerCost(diskSize, numRods);
+                break;
+            }
+            if (target !== source) {
+                distance += this.getDiskCost(diskSize) + this.getTowerCost(diskSize - 1, numRods);
+                source = this.getSpareRods(numRods, source, target)[0];
+            }
+        }
+        
+        return distance;
+    }
+    
+    /**
+     * Tower solver: classic recursion for three rods, Frame-Stewart for four or more
+     * Moves disks offset+1..offset+n, stacked as a tower, from source to target
+     * @param {number} n - Number of disks to move
+     * @param {number} source - Source rod index
+     * @param {number} target - Target rod index
+     * @param {Array} spareRods - Rod indices available as intermediates
+     * @param {Array} diskPositions - Current positions of disks
+     * @param {number} offset - Number of smaller disks excluded from this subproblem
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solveFrameStewart(n, source, target, spareRods, diskPositions, offset = 0) {
+        if (n === 0) {
+            return;
+        }
+        
+        const largestDisk = offset + n;
+        
+        if (n === 1 || spareRods.length === 1) {
+            // Classic three-rod recursion once only one spare rod is left
+            const spare = spareRods[0];
+            yield* this.solveFrameStewart(n - 1, source, spare, [target], diskPositions, offset);
+            
+            diskPositions[largestDisk - 1] = target;
+            yield {
+                from: source,
+                to: target,
+                disk: largestDisk
+            };
+            
+            yield* this.solveFrameStewart(n - 1, spare, target, [source], diskPositions, offset);
+            return;
+        }
+        
+        const numRods = spareRods.length + 2;
+        const parked = this.usesMoveCosts()
+            ? this.getWeightedFrameStewartTable().split[numRods][offset][n]
+            : this.getFrameStewartTable(n, numRods).split[numRods][n];
+        const parkingRod = spareRods[0];
+        const otherSpares = spareRods.slice(1);
+        
+        // Park the smallest disks on a spare rod using every rod
+        yield* this.solveFrameStewart(parked, source, parkingRod, [target, ...otherSpares], diskPositions, offset);
+        
+        // Move the remaining disks without touching the parking rod
+        yield* this.solveFrameStewart(n - parked, source, target, otherSpares, diskPositions, offset + parked);
+        
+        // Bring the parked disks back on top
+        yield* this.solveFrameStewart(parked, parkingRod, target, [source, ...otherSpares], diskPositions, offset);
+    }
+    
+    /**
+     * Tower solver for modes that route disks (see getDiskRoute)
+     * Cyclic mode gives the mutually recursive clockwise algorithm and linear mode
+     * the adjacent-moves algorithm. When disk n can reach the target in one step,
+     * the smaller disks wait on the third rod. When it has to stop on the way, the
+     * smaller disks go to the target, back to the source while disk n passes the
+     * middle of its route, and finally onto disk n.
+     * @param {number} n - Number of disks to move
+     * @param {number} source - Source rod index
+     * @param {number} target - Target rod index
+     * @param {Array} diskPositions - Current positions of disks
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solveRoutedTower(n, source, target, diskPositions) {
+        if (n === 0 || source === target) {
+            return;
+        }
+        
+        const route = this.getDiskRoute(source, target);
+        
+        if (route.length === 1) {
+            const other = 3 - source - target;
+            yield* this.solveRoutedTower(n - 1, source, other, diskPositions);
+            
+            diskPositions[n - 1] = target;
+            yield { from: source, to: target, disk: n };
+            
+            yield* this.solveRoutedTower(n - 1, other, target, diskPositions);
+            return;
+        }
+        
+        const via = route[0];
+        yield* this.solveRoutedTower(n - 1, source, target, diskPositions);
+        
+        diskPositions[n - 1] = via;
+        yield { from: source, to: via, disk: n };
+        
+        yield* this.solveRoutedTower(n - 1, target, source, diskPositions);
+        
+        diskPositions[n - 1] = target;
+        yield { from: via, to: target, disk: n };
+        
+        yield* this.solveRoutedTower(n - 1, source, target, diskPositions);
+    }
+    
+    /**
+     * Routed solver from any position to any goal, given the largest misplaced disk
+     * Disk n takes its route to the goal, as in solveRoutedTower, and every move
+     * of the smaller disks is forced by that: they gather on the one rod disk n
+     * does not need, then head for their own goals.
+     * @param {number} n - Largest disk that may need to move
+     * @param {Array} diskPositions - Current positions of disks
+     * @param {Array} goalPositions - Goal disk positions
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solveRouted(n, diskPositions, goalPositions) {
+        n = this.getLargestMisplacedDisk(diskPositions.slice(0, n), goalPositions);
+        if (n === 0) {
+            return;
+        }
+        
+        const source = diskPositions[n - 1];
+        const target = goalPositions[n - 1];
+        
+        if (this.isTower(diskPositions, n) && this.isTower(goalPositions, n)) {
+            yield* this.solveRoutedTower(n, source, target, diskPositions);
+            return;
+        }
+        
+        const route = this.getDiskRoute(source, target);
+        
+        if (route.length === 1) {
+            yield* this.solveRouted(n - 1, diskPositions, new Array(n - 1).fill(3 - source - target));
+            
+            diskPositions[n - 1] = target;
+            yield { from: source, to: target, disk: n };
+        } else {
+            const via = route[0];
+            yield* this.solveRouted(n - 1, diskPositions, new Array(n - 1).fill(target));
+            
+            diskPositions[n - 1] = via;
+            yield { from: source, to: via, disk: n };
+            
+            yield* this.solveRoutedTower(n - 1, target, source, diskPositions);
+            
+            diskPositions[n - 1] = target;
+            yield { from: via, to: target, disk: n };
+        }
+        
+        yield* this.solveRouted(n - 1, diskPositions, goalPositions);
+    }
+    
+    /**
+     * Count the moves solveRouted makes
+     * @param {number} n - Largest disk that may need to move
+     * @param {Array} diskPositions - Current positions of disks
+     * @param {Array} goalPositions - Goal disk positions
+     * @returns {number} Move count
+     */
+    getRoutedDistance(n, diskPositions, goalPositions) {
+        n = this.getLargestMisplacedDisk(diskPositions.slice(0, n), goalPositions);
+        if (n === 0) {
+            return 0;
+        }
+        
+        const source = diskPositions[n - 1];
+        const target = goalPositions[n - 1];
+        
+        if (this.isTower(diskPositions, n) && this.isTower(goalPositions, n)) {
+            return this.getRoutedTowerDistance(n, source, target);
+        }
+        
+        const oneStep = this.getDiskRoute(source, target).length === 1;
+        
+        // Where the smaller disks wait while disk n moves, and where they are afterwards
+        const parking = new Array(n - 1).fill(oneStep ? 3 - source - target : target);
+        const afterwards = oneStep ? parking : new Array(n - 1).fill(source);
+        const largestDiskMoves = oneStep ? 1 : 2 + this.getRoutedTowerDistance(n - 1, target, source);
+        
+        return this.getRoutedDistance(n - 1, diskPositions, parking) + largestDiskMoves +
+            this.getRoutedDistance(n - 1, afterwards, goalPositions);
+    }
+    
+    /**
+     * Check whether the current game mode has two disks of every size
+     * @returns {boolean} True for the bicolor modes
+     */
+    usesPairedDisks() {
+        return typeof GameState !== 'undefined' && GameState.hasPairedDisks(this.getGameMode());
+    }
+    
+    /**
+     * Get a copy of the disks on each rod
+     * Paired-disk modes need the stacking order of equal disks, which disk positions lose
+     * @returns {Array} Array of disk id arrays, one per rod (bottom to top)
+     */
+    getCurrentRods() {
+        return this.gameState.rods.map(rod => [...rod.disks]);
+    }
+    
+    /**
+     * Get the size of a disk in a paired-disk game
+     * @param {number} disk - Disk id
+     * @returns {number} Disk size
+     */
+    getPairedDiskSize(disk) {
+        return GameState.getDiskSize(disk, this.getGameMode());
+    }
+    
+    /**
+     * Describe where every disk of a paired-disk game has to end up
+     * @param {Array} configuration - Goal disks per rod (defaults to the game's goal)
+     * @returns {Object} { rodOf, below }: the goal rod by disk id, and for pairs that
+     *     share a goal rod, the disk that goes underneath, by size
+     */
+    getPairedGoal(configuration = GameState.getGoalConfiguration(this.gameState)) {
+        const rodOf = [];
+        const below = [];
+        
+        configuration.forEach((disks, rodIndex) => {
+            disks.forEach((disk, i) => {
+                rodOf[disk] = rodIndex;
+                if (i > 0 && this.getPairedDiskSize(disks[i - 1]) === this.getPairedDiskSize(disk)) {
+                    below[this.getPairedDiskSize(disk)] = disks[i - 1];
+                }
+            });
+        });
+        
+        return { rodOf, below };
+    }
+    
+    /**
+     * Goal of stacking every disk up to a size on one rod, in any order
+     * @param {number} k - Largest size to gather
+     * @param {number} rod - Rod to gather on
+     * @returns {Object} Goal in the getPairedGoal format
+     */
+    createGatherGoal(k, rod) {
+        return { rodOf: new Array(2 * k + 1).fill(rod), below: [] };
+    }
+    
+    /**
+     * Check whether both disks of a size are on their goal rods, in the goal order
+     * @param {number} k - Disk size
+     * @param {Array} rods - Disks per rod
+     * @param {Object} goal - Goal in the getPairedGoal format
+     * @returns {boolean} True if the pair is in place
+     */
+    isPairInPlace(k, rods, goal) {
+        const pair = [2 * k - 1, 2 * k];
+        
+        if (!pair.every(disk => rods[goal.rodOf[disk]].includes(disk))) {
+            return false;
+        }
+        
+        const bottom = goal.below[k];
+        if (bottom === undefined) {
+            return true;
+        }
+        
+        const top = pair.find(disk => disk !== bottom);
+        const rod = rods[goal.rodOf[bottom]];
+        return rod.indexOf(bottom) < rod.indexOf(top);
+    }
+    
+    /**
+     * Find the cheapest way to bring the pair of size k to its goal while every
+     * smaller disk stays stacked as one double tower
+     * Searches positions of the pair and the tower; moving a disk costs one move and
+     * moving the tower costs the 2(2^(k-1) - 1) moves of a double tower.
+     * @param {number} k - Disk size
+     * @param {Array} rods - Disks per rod
+     * @param {Object} goal - Goal in the getPairedGoal format
+     * @param {number} towerRod - Rod holding the smaller disks (-1 when k is 1)
+     * @returns {Object} { cost, steps } where steps are { from, to, disk } or { from, to, tower: true }
+     */
+    findPairRoute(k, rods, goal, towerRod) {
+        const towerMoveCost = 2 * (Math.pow(2, k - 1) - 1);
+        const start = {
+            stacks: rods.map(disks => disks.filter(disk => this.getPairedDiskSize(disk) === k)),
+            towerRod,
+            cost: 0,
+            steps: []
+        };
+        const keyOf = state => `${state.stacks.map(stack => stack.join('.')).join('|')}#${state.towerRod}`;
+        const isGoal = state => this.isPairInPlace(k, state.stacks, goal);
+        
+        // Dijkstra over at most a few dozen positions
+        const open = [start];
+        const settled = new Set();
+        
+        while (open.length > 0) {
+            let bestIndex = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].cost < open[bestIndex].cost) bestIndex = i;
+            }
+            const state = open.splice(bestIndex, 1)[0];
+            const key = keyOf(state);
+            
+            if (settled.has(key)) continue;
+            settled.add(key);
+            
+            if (isGoal(state)) {
+                return { cost: state.cost, steps: state.steps };
+            }
+            
+            for (let from = 0; from < 3; from++) {
+                const stack = state.stacks[from];
+                if (stack.length === 0 || from === state.towerRod) continue;
+                
+                for (let to = 0; to < 3; to++) {
+                    if (to === from || to === state.towerRod) continue;
+                    
+                    const stacks = state.stacks.map(disks => [...disks]);
+                    const disk = stacks[from].pop();
+                    stacks[to].push(disk);
+                    open.push({ stacks, towerRod: state.towerRod, cost: state.cost + 1, steps: [...state.steps, { from, to, disk }] });
+                }
+            }
+            
+            if (state.towerRod !== -1) {
+                for (let to = 0; to < 3; to++) {
+                    if (to === state.towerRod) continue;
+                    
+                    open.push({
+                        stacks: state.stacks,
+                        towerRod: to,
+                        cost: state.cost + towerMoveCost,
+                        steps: [...state.steps, { from: state.towerRod, to, tower: true }]
+                    });
+                }
+            }
+        }
+        
+        throw new Error(`No route for the size ${k} disks`);
+    }
+    
+    /**
+     * Plan a paired-disk game as disk moves and double tower moves
+     * Works from the largest pair that is out of place: stack every smaller disk on
+     * one rod, walk the pair to its goal along the route findPairRoute picks, then
+     * place the smaller disks the same way. Rods are updated as steps are yielded.
+     * @param {number} k - Largest size that may need to move
+     * @param {Array} rods - Disks per rod (updated as steps are yielded)
+     * @param {Object} goal - Goal in the getPairedGoal format
+     * @returns {Iterator} Steps { type: 'disk', from, to, disk } or
+     *     { type: 'tower', size, from, to, pairs } (see applyPairedTowerMove)
+     */
+    *planPaired(k, rods, goal) {
+        while (k > 0 && this.isPairInPlace(k, rods, goal)) {
+            k--;
+        }
+        if (k === 0) {
+            return;
+        }
+        
+        // Park the smaller disks on a rod free of this pair, whichever gives the cheapest route
+        let best = null;
+        for (let rod = 0; rod < 3; rod++) {
+            if (k > 1 && rods[rod].some(disk => this.getPairedDiskSize(disk) === k)) continue;
+            
+            const route = this.findPairRoute(k, rods, goal, k > 1 ? rod : -1);
+            if (!best || route.cost < best.route.cost) {
+                best = { rod, route };
+            }
+            if (k === 1) break;
+        }
+        
+        yield* this.planPaired(k - 1, rods, this.createGatherGoal(k - 1, best.rod));
+        
+        for (const step of best.route.steps) {
+            if (step.tower) {
+                yield this.applyPairedTowerMove(k - 1, step.from, step.to, rods);
+            } else {
+                rods[step.to].push(rods[step.from].pop());
+                yield { type: 'disk', from: step.from, to: step.to, disk: step.disk };
+            }
+        }
+        
+        yield* this.planPaired(k - 1, rods, goal);
+    }
+    
+    /**
+     * Move a double tower of every disk up to size j between rods, as one step
+     * Moving a double tower turns its bottom pair upside down and keeps the others.
+     * @param {number} j - Largest size in the tower
+     * @param {number} from - Rod holding the tower
+     * @param {number} to - Destination rod
+     * @param {Array} rods - Disks per rod (updated)
+     * @returns {Object} Tower step; pairs[i - 1] is [bottom, top] of size i before the move
+     */
+    applyPairedTowerMove(j, from, to, rods) {
+        const tower = rods[from].splice(rods[from].length - 2 * j);
+        const pairs = [];
+        
+        for (let size = 1; size <= j; size++) {
+            const index = 2 * (j - size);
+            pairs.push([tower[index], tower[index + 1]]);
+        }
+        
+        [tower[0], tower[1]] = [tower[1], tower[0]];
+        rods[to].push(...tower);
+        
+        return { type: 'tower', size: j, from, to, pairs };
+    }
+    
+    /**
+     * Stream the disk moves of a double tower move
+     * @param {number} j - Largest size in the tower
+     * @param {number} from - Rod holding the tower
+     * @param {number} to - Destination rod
+     * @param {Array} pairs - [bottom, top] of each size, updated as pairs turn over
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *expandPairedTower(j, from, to, pairs) {
+        if (j === 0) {
+            return;
+        }
+        
+        const spare = 3 - from - to;
+        const [bottom, top] = pairs[j - 1];
+        
+        yield* this.expandPairedTower(j - 1, from, spare, pairs);
+        yield { from, to, disk: top };
+        yield { from, to, disk: bottom };
+        pairs[j - 1] = [top, bottom];
+        yield* this.expandPairedTower(j - 1, spare, to, pairs);
+    }
+    
+    /**
+     * Solve a paired-disk game by expanding the planPaired steps into moves
+     * @param {Array} rods - Disks per rod (a copy; the iterator advances it)
+     * @param {Object} goal - Goal in the getPairedGoal format
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solvePaired(rods, goal) {
+        for (const step of this.planPaired(this.gameState.settings.numDisks, rods, goal)) {
+            if (step.type === 'tower') {
+                yield* this.expandPairedTower(step.size, step.from, step.to, step.pairs.map(pair => [...pair]));
+            } else {
+                yield { from: step.from, to: step.to, disk: step.disk };
+            }
+        }
+    }
+    
+    /**
+     * Check whether every position of a paired-disk game is few enough to search
+     * Each size has twelve states (see encodePairedRods)
+     * @param {number} numDisks - Number of disk sizes
+     * @returns {boolean} True if the distance table is small enough to build
+     */
+    canSearchPaired(numDisks) {
+        return Math.pow(12, numDisks) <= MAX_SEARCH_STATES;
+    }
+    
+    /**
+     * Encode a paired-disk position as a single state index (base 12, size 1 lowest)
+     * A size is on two rods (code from * 3 + to, six ways) or on one rod with its
+     * first-color disk underneath (code rod * 4) or on top (code 9 + rod)
+     * @param {Array} rods - Disks per rod
+     * @returns {number} State index
+     */
+    encodePairedRods(rods) {
+        const rodOf = [];
+        const heightOf = [];
+        rods.forEach((disks, rodIndex) => {
+            disks.forEach((disk, height) => {
+                rodOf[disk] = rodIndex;
+                heightOf[disk] = height;
+            });
+        });
+        
+        let index = 0;
+        for (let size = this.gameState.settings.numDisks; size >= 1; size--) {
+            const first = 2 * size - 1;
+            const second = 2 * size;
+            
+            let code;
+            if (rodOf[first] !== rodOf[second]) {
+                code = rodOf[first] * 3 + rodOf[second];
+            } else {
+                code = heightOf[first] < heightOf[second] ? rodOf[first] * 4 : 9 + rodOf[first];
+            }
+            
+            index = index * 12 + code;
+        }
+        
+        return index;
+    }
+    
+    /**
+     * Decode a state index from encodePairedRods back into disks per rod
+     * @param {number} index - State index
+     * @returns {Array} Disks per rod
+     */
+    decodePairedRods(index) {
+        const numDisks = this.gameState.settings.numDisks;
+        const codes = [];
+        for (let size = 1; size <= numDisks; size++) {
+            const code = index % 12;
+            codes.push(code);
+            index = (index - code) / 12;
+        }
+        
+        const rods = [[], [], []];
+        for (let size = numDisks; size >= 1; size--) {
+            const code = codes[size - 1];
+            if (code >= 9) {
+                rods[code - 9].push(2 * size, 2 * size - 1);
+            } else {
+                rods[Math.floor(code / 3)].push(2 * size - 1);
+                rods[code % 3].push(2 * size);
+            }
+        }
+        
+        return rods;
+    }
+    
+    /**
+     * Get every legal move in a paired-disk position
+     * @param {Array} rods - Disks per rod
+     * @returns {Array} Array of moves in the format {from: rodIndex, to: rodIndex, disk: diskId}
+     */
+    getPairedLegalMoves(rods) {
+        const moves = [];
+        
+        for (let from = 0; from < 3; from++) {
+            const disk = rods[from][rods[from].length - 1];
+            if (disk === undefined) continue;
+            
+            for (let to = 0; to < 3; to++) {
+                const topDisk = rods[to][rods[to].length - 1];
+                if (to !== from && (topDisk === undefined || this.getPairedDiskSize(topDisk) >= this.getPairedDiskSize(disk))) {
+                    moves.push({ from, to, disk });
+                }
+            }
+        }
+        
+        return moves;
+    }
+    
+    /**
+     * Build the distance-to-goal table for every paired-disk position by
+     * breadth-first search from the goal (moves are reversible)
+     * @returns {Uint16Array} Minimum moves to the goal, indexed by encodePairedRods
+     */
+    getPairedDistanceTable() {
+        const goal = this.encodePairedRods(GameState.getGoalConfiguration(this.gameState));
+        const cacheKey = `paired:${this.gameState.settings.numDisks}:${goal}`;
+        if (this.distanceCache[cacheKey]) {
+            return this.distanceCache[cacheKey];
+        }
+        
+        const UNVISITED = 0xffff;
+        const stateCount = Math.pow(12, this.gameState.settings.numDisks);
+        const distances = new Uint16Array(stateCount).fill(UNVISITED);
+        const queue = new Int32Array(stateCount);
+        
+        distances[goal] = 0;
+        queue[0] = goal;
+        let head = 0;
+        let tail = 1;
+        
+        while (head < tail) {
+            const state = queue[head++];
+            const rods = this.decodePairedRods(state);
+            
+            for (const move of this.getPairedLegalMoves(rods)) {
+                rods[move.to].push(rods[move.from].pop());
+                const next = this.encodePairedRods(rods);
+                rods[move.from].push(rods[move.to].pop());
+                
+                if (distances[next] === UNVISITED) {
+                    distances[next] = distances[state] + 1;
+                    queue[tail++] = next;
+                }
+            }
+        }
+        
+        this.distanceCache[cacheKey] = distances;
+        return distances;
+    }
+    
+    /**
+     * Shortest-path solver for paired-disk games small enough to search
+     * @param {Array} rods - Disks per rod (a copy; the iterator advances it)
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solvePairedBySearch(rods) {
+        const distances = this.getPairedDistanceTable();
+        let distance = distances[this.encodePairedRods(rods)];
+        
+        while (distance > 0) {
+            const move = this.getPairedLegalMoves(rods).find(candidate => {
+                rods[candidate.to].push(rods[candidate.from].pop());
+                const next = distances[this.encodePairedRods(rods)];
+                rods[candidate.from].push(rods[candidate.to].pop());
+                return next === distance - 1;
+            });
+            
+            rods[move.to].push(rods[move.from].pop());
+            distance--;
+            yield move;
+        }
+    }
+    
+    /**
+     * Count the moves solvePaired makes without expanding the tower moves
+     * @param {Array} rods - Disks per rod (a copy)
+     * @param {Object} goal - Goal in the getPairedGoal format
+     * @returns {number} Move count
+     */
+    getPairedDistance(rods, goal) {
+        let distance = 0;
+        
+        for (const step of this.planPaired(this.gameState.settings.numDisks, rods, goal)) {
+            distance += step.type === 'tower' ? 2 * (Math.pow(2, step.size) - 1) : 1;
+        }
+        
+        return distance;
+    }
+    
+    /**
+     * Check whether the current game mode has magnetic disks
+     * @returns {boolean} True for magnetic mode
+     */
+    usesMagneticDisks() {
+        return typeof GameState !== 'undefined' && GameState.hasMagneticDisks(this.getGameMode());
+    }
+    
+    /**
+     * Get the rod and face of every disk in the current magnetic game
+     * @returns {Object} { rodOf, faceOf } by disk id; a face is 0 for north up and 1 for south up
+     */
+    getMagneticPosition() {
+        const rodOf = [];
+        const faceOf = [];
+        
+        this.gameState.rods.forEach((rod, rodIndex) => {
+            rod.disks.forEach(disk => {
+                rodOf[disk] = rodIndex;
+                faceOf[disk] = GameState.getDiskOrientation(this.gameState, disk) === 'S' ? 1 : 0;
+            });
+        });
+        
+        return { rodOf, faceOf };
+    }
+    
+    /**
+     * List the goal positions of a magnetic game with every choice of faces
+     * Disks sharing a rod share a face, so each goal rod is north up or south up.
+     * @returns {Array} Positions in the getMagneticPosition format
+     */
+    getMagneticGoals() {
+        const goalPositions = this.getGoalDiskPositions();
+        const goals = new Map();
+        
+        for (let faces = 0; faces < 8; faces++) {
+            const rodOf = [];
+            const faceOf = [];
+            goalPositions.forEach((rod, i) => {
+                rodOf[i + 1] = rod;
+                faceOf[i + 1] = (faces >> rod) & 1;
+            });
+            goals.set(faceOf.join(), { rodOf, faceOf });
+        }
+        
+        return [...goals.values()];
+    }
+    
+    /**
+     * Get the face up on each rod under the disks up to j, which stay above
+     * every larger disk
+     * @param {Object} position - Position in the getMagneticPosition format
+     * @param {number} j - Largest disk of the sub-puzzle
+     * @returns {Array} Face of the topmost larger disk by rod, or null for none
+     */
+    getMagneticTops(position, j) {
+        const tops = [null, null, null];
+        
+        for (let disk = this.gameState.settings.numDisks; disk > j; disk--) {
+            tops[position.rodOf[disk]] = position.faceOf[disk];
+        }
+        
+        return tops;
+    }
+    
+    /**
+     * Get the places a tower of the disks smaller than k can stand next to disk k
+     * A place is rod * 2 + face. The tower may sit on disk k or on another rod,
+     * but only with the same face up as the disk it rests on. An empty tower
+     * always stands on disk k.
+     * @param {number} size - Number of disks in the tower (k - 1)
+     * @param {Array} tops - Face up on each rod under disk k (see getMagneticTops)
+     * @param {number} diskState - Rod * 2 + face of disk k
+     * @returns {Array} Tower places
+     */
+    getMagneticTowerStates(size, tops, diskState) {
+        if (size === 0) {
+            return [diskState];
+        }
+        
+        const states = [];
+        for (let state = 0; state < 6; state++) {
+            const rod = state >> 1;
+            const floor = rod === diskState >> 1 ? diskState & 1 : tops[rod];
+            if (floor === null || floor === (state & 1)) {
+                states.push(state);
+            }
+        }
+        
+        return states;
+    }
+    
+    /**
+     * Get the steps out of a node of the magnetic search for disk k
+     * Disk k turns over as it moves, so it can only go to a rod topped by the face
+     * it will show, and only when the smaller tower is on the third rod. The smaller
+     * tower moves as a whole, at the cost of the search one level down.
+     * @param {number} k - Disk being moved
+     * @param {Array} tops - Face up on each rod under disk k
+     * @param {number} node - Disk place * 6 + tower place
+     * @returns {Array} Steps { next, cost }
+     */
+    getMagneticEdges(k, tops, node) {
+        const diskState = Math.floor(node / 6);
+        const towerState = node % 6;
+        const diskRod = diskState >> 1;
+        const newFace = 1 - (diskState & 1);
+        const edges = [];
+        
+        if (k === 1 || towerState >> 1 !== diskRod) {
+            for (let to = 0; to < 3; to++) {
+                if (to === diskRod || (k > 1 && to === towerState >> 1)) continue;
+                if (tops[to] !== null && tops[to] !== newFace) continue;
+                
+                const nextDisk = to * 2 + newFace;
+                edges.push({ next: nextDisk * 6 + (k > 1 ? towerState : nextDisk), cost: 1 });
+            }
+        }
+        
+        if (k > 1) {
+            const floor = [...tops];
+            floor[diskRod] = diskState & 1;
+            const { distances } = this.getMagneticSearch(k - 1, floor, towerState * 7);
+            
+            for (const next of this.getMagneticTowerStates(k - 1, tops, diskState)) {
+                if (next !== towerState && distances[next * 7] < Infinity) {
+                    edges.push({ next: diskState * 6 + next, cost: distances[next * 7] });
+                }
+            }
+        }
+        
+        return edges;
     }
     
     /**
-     * Calculate the minimum number of moves required for n disks
-     * Uses the formula: 2^n - 1
-     * @param {number} numDisks - Number of disks
-     * @returns {number} Minimum moves required
+     * Find the shortest ways to move disk k and the tower of smaller disks
+     * Whenever disk k moves, every smaller disk is stacked on the third rod, so a
+     * node is disk k's place and the smaller tower's place (36 nodes; a tower place
+     * times 7 is the node with the tower on disk k). Moves can be undone, so the
+     * distances hold in both directions.
+     * @param {number} k - Disk being moved
+     * @param {Array} tops - Face up on each rod under disk k
+     * @param {number} start - Start node
+     * @returns {Object} { distances, previous } by node
      */
-    calculateMinimumMoves(numDisks) {
-        return Math.pow(2, numDisks) - 1;
+    getMagneticSearch(k, tops, start) {
+        const cacheKey = `${k}:${tops.map(face => face === null ? '-' : face).join('')}:${start}`;
+        if (this.magneticCache[cacheKey]) {
+            return this.magneticCache[cacheKey];
+        }
+        
+        const distances = new Array(36).fill(Infinity);
+        const previous = new Array(36).fill(-1);
+        const settled = new Array(36).fill(false);
+        distances[start] = 0;
+        
+        for (;;) {
+            let node = -1;
+            for (let i = 0; i < 36; i++) {
+                if (!settled[i] && distances[i] < Infinity && (node === -1 || distances[i] < distances[node])) {
+                    node = i;
+                }
+            }
+            if (node === -1) break;
+            settled[node] = true;
+            
+            for (const { next, cost } of this.getMagneticEdges(k, tops, node)) {
+                if (distances[node] + cost < distances[next]) {
+                    distances[next] = distances[node] + cost;
+                    previous[next] = node;
+                }
+            }
+        }
+        
+        const search = { distances, previous };
+        this.magneticCache[cacheKey] = search;
+        return search;
     }
     
     /**
-     * Generate the optimal solution for the current game state
-     * @returns {Array} Array of moves in the format {from: rodIndex, to: rodIndex, disk: diskSize}
+     * Count the moves to stack the disks up to each size into a tower, for every
+     * place the tower could end up
+     * @param {Object} position - Position in the getMagneticPosition format
+     * @returns {Array} By size j (from 0), { costs, choices } per tower place; a choice is
+     *     where the disks below size j stand when disk j starts moving
      */
-    generateOptimalSolution() {
-        if (!this.gameState) {
-            throw new Error('Game state not initialized');
+    getMagneticGatherLevels(position) {
+        const levels = [{ costs: new Array(6).fill(0), choices: new Array(6).fill(null) }];
+        
+        for (let j = 1; j <= this.gameState.settings.numDisks; j++) {
+            const tops = this.getMagneticTops(position, j);
+            const diskState = position.rodOf[j] * 2 + position.faceOf[j];
+            const costs = new Array(6).fill(Infinity);
+            const choices = new Array(6).fill(null);
+            
+            for (const towerState of this.getMagneticTowerStates(j - 1, tops, diskState)) {
+                const { distances } = this.getMagneticSearch(j, tops, diskState * 6 + towerState);
+                
+                for (let target = 0; target < 6; target++) {
+                    const cost = levels[j - 1].costs[towerState] + distances[target * 7];
+                    if (cost < costs[target]) {
+                        costs[target] = cost;
+                        choices[target] = towerState;
+                    }
+                }
+            }
+            
+            levels.push({ costs, choices });
         }
         
+        return levels;
+    }
+    
+    /**
+     * Find the shortest solution of the current magnetic game
+     * Disks larger than k that are already in place stay put. Disk k then needs the
+     * smaller disks stacked out of its way, its own search, and the smaller disks
+     * spread from a tower to their goal, which is a gather played backwards.
+     * @returns {Object} { position, goal, sourceLevels, goalLevels, steps } where steps[k]
+     *     is { cost, fixed: true } or { cost, from, to } (tower places around disk k's moves)
+     */
+    findMagneticSolution() {
         const numDisks = this.gameState.settings.numDisks;
-        const solution = [];
+        const position = this.getMagneticPosition();
+        const sourceLevels = this.getMagneticGatherLevels(position);
+        let best = null;
         
-        // Find the current state of disks
-        const diskPositions = this.getCurrentDiskPositions();
+        for (const goal of this.getMagneticGoals()) {
+            const goalLevels = this.getMagneticGatherLevels(goal);
+            const steps = [{ cost: 0 }];
+            
+            for (let k = 1; k <= numDisks; k++) {
+                const tops = this.getMagneticTops(position, k);
+                const startDisk = position.rodOf[k] * 2 + position.faceOf[k];
+                const endDisk = goal.rodOf[k] * 2 + goal.faceOf[k];
+                let step = startDisk === endDisk ? { cost: steps[k - 1].cost, fixed: true } : { cost: Infinity };
+                
+                for (const from of this.getMagneticTowerStates(k - 1, tops, startDisk)) {
+                    const { distances } = this.getMagneticSearch(k, tops, startDisk * 6 + from);
+                    
+                    for (const to of this.getMagneticTowerStates(k - 1, tops, endDisk)) {
+                        const cost = sourceLevels[k - 1].costs[from] + distances[endDisk * 6 + to] + goalLevels[k - 1].costs[to];
+                        if (cost < step.cost) {
+                            step = { cost, from, to };
+                        }
+                    }
+                }
+                
+                steps.push(step);
+            }
+            
+            if (!best || steps[numDisks].cost < best.steps[numDisks].cost) {
+                best = { position, goal, sourceLevels, goalLevels, steps };
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Stream the moves along a path of the magnetic search for disk k
+     * @param {number} k - Disk being moved
+     * @param {Array} tops - Face up on each rod under disk k
+     * @param {number} start - Start node
+     * @param {number} end - End node
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *expandMagneticSearch(k, tops, start, end) {
+        const { previous } = this.getMagneticSearch(k, tops, start);
+        const path = [end];
+        while (path[0] !== start) {
+            path.unshift(previous[path[0]]);
+        }
+        
+        for (let i = 1; i < path.length; i++) {
+            const diskState = Math.floor(path[i - 1] / 6);
+            const nextDisk = Math.floor(path[i] / 6);
+            
+            if (diskState !== nextDisk) {
+                yield { from: diskState >> 1, to: nextDisk >> 1, disk: k };
+            } else {
+                const floor = [...tops];
+                floor[diskState >> 1] = diskState & 1;
+                yield* this.expandMagneticSearch(k - 1, floor, (path[i - 1] % 6) * 7, (path[i] % 6) * 7);
+            }
+        }
+    }
+    
+    /**
+     * Stream the moves that stack the disks up to size j into a tower
+     * @param {number} j - Largest disk to gather
+     * @param {Object} position - Starting position
+     * @param {Array} levels - Gather levels of the position
+     * @param {number} target - Tower place to gather on
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *gatherMagnetic(j, position, levels, target) {
+        if (j === 0) {
+            return;
+        }
+        
+        const from = levels[j].choices[target];
+        const diskState = position.rodOf[j] * 2 + position.faceOf[j];
+        
+        yield* this.gatherMagnetic(j - 1, position, levels, from);
+        yield* this.expandMagneticSearch(j, this.getMagneticTops(position, j), diskState * 6 + from, target * 7);
+    }
+    
+    /**
+     * Stream the moves that spread a tower of the disks up to size j to their goal
+     * @param {number} j - Largest disk to spread
+     * @param {Object} goal - Goal position
+     * @param {Array} levels - Gather levels of the goal
+     * @param {number} source - Tower place to start from
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *spreadMagnetic(j, goal, levels, source) {
+        if (j === 0) {
+            return;
+        }
+        
+        const to = levels[j].choices[source];
+        const diskState = goal.rodOf[j] * 2 + goal.faceOf[j];
+        
+        yield* this.expandMagneticSearch(j, this.getMagneticTops(goal, j), source * 7, diskState * 6 + to);
+        yield* this.spreadMagnetic(j - 1, goal, levels, to);
+    }
+    
+    /**
+     * Shortest-path solver for magnetic games (see findMagneticSolution)
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solveMagnetic() {
+        const { position, goal, sourceLevels, goalLevels, steps } = this.findMagneticSolution();
+        
+        let k = this.gameState.settings.numDisks;
+        while (k > 0 && steps[k].fixed) {
+            k--;
+        }
+        if (k === 0) {
+            return;
+        }
+        
+        const startDisk = position.rodOf[k] * 2 + position.faceOf[k];
+        const endDisk = goal.rodOf[k] * 2 + goal.faceOf[k];
+        
+        yield* this.gatherMagnetic(k - 1, position, sourceLevels, steps[k].from);
+        yield* this.expandMagneticSearch(k, this.getMagneticTops(position, k), startDisk * 6 + steps[k].from, endDisk * 6 + steps[k].to);
+        yield* this.spreadMagnetic(k - 1, goal, goalLevels, steps[k].to);
+    }
+    
+    /**
+     * Check whether the current game has puzzle constraints (see GameState.validateConstraints)
+     * @returns {boolean} True if rods have capacities, disks forbidden rods or glued disks
+     */
+    usesConstraints() {
+        return Boolean(this.gameState && GameState.getConstraints(this.gameState).length > 0);
+    }
+    
+    /**
+     * Check whether the solver can answer for the current game
+     * Constraint puzzles are searched exhaustively, so only those too large to
+     * search (see findConstrainedSolution) are out of reach.
+     * @returns {boolean} True if distances, hints and auto-solve are available
+     */
+    canSolve() {
+        return !this.usesConstraints() || this.getConstrainedStateCount() <= MAX_SEARCH_STATES;
+    }
+    
+    /**
+     * Count the states of the constraint search from the current position: every
+     * position once for each move number while a disk is still glued
+     * @returns {number} Number of search states
+     */
+    getConstrainedStateCount() {
+        const numDisks = this.gameState.settings.numDisks;
+        let lastUnlock = 0;
+        for (let diskSize = 1; diskSize <= numDisks; diskSize++) {
+            lastUnlock = Math.max(lastUnlock, GameState.getDiskUnlockMove(this.gameState, diskSize));
+        }
+        
+        return Math.pow(this.gameState.rods.length, numDisks) * Math.max(1, lastUnlock - this.gameState.moveCount);
+    }
+    
+    /**
+     * Search for the best solution of a constraint puzzle from the current position
+     * No formula survives arbitrary constraints, so this is a general search: Dijkstra's
+     * algorithm over every position, forward from the current one, with each move
+     * costing one (or its disk's cost in weighted mode). Glued disks make the move
+     * count part of the state, but only until the last of them comes free, so the
+     * search runs over one layer of positions per move until then.
+     * @returns {Object} { moves, cost }: the moves to the goal and their total
+     * @throws {Error} If the puzzle has more states than the search allows, or no solution
+     */
+    findConstrainedSolution() {
+        const numRods = this.gameState.rods.length;
+        const numDisks = this.gameState.settings.numDisks;
+        const moveCount = this.gameState.moveCount;
+        const start = this.encodePositions(this.getCurrentDiskPositions(), numRods);
+        const goal = this.encodePositions(this.getGoalDiskPositions(), numRods);
+        
+        const cacheKey = `${start}:${moveCount}`;
+        if (this.constraintCache.gameState === this.gameState && this.constraintCache.key === cacheKey) {
+            return this.constraintCache.solution;
+        }
+        
+        const powers = [1];
+        for (let i = 1; i <= numDisks; i++) {
+            powers.push(powers[i - 1] * numRods);
+        }
+        
+        const capacity = [];
+        for (let rodIndex = 0; rodIndex < numRods; rodIndex++) {
+            capacity.push(GameState.getRodCapacity(this.gameState, rodIndex));
+        }
+        
+        const diskCosts = [];
+        const unlockMove = [];
+        const forbidden = [];
+        for (let diskSize = 1; diskSize <= numDisks; diskSize++) {
+            diskCosts.push(this.getDiskCost(diskSize));
+            unlockMove.push(GameState.getDiskUnlockMove(this.gameState, diskSize));
+            forbidden.push(capacity.map((_, rodIndex) => GameState.isRodForbidden(this.gameState, diskSize, rodIndex)));
+        }
+        
+        // Layer l holds positions reached after moveCount + l moves; the last layer
+        // also holds every later move count, when no disk is glued any more
+        const positionCount = powers[numDisks];
+        const layers = Math.max(1, Math.max(...unlockMove) - moveCount);
+        const stateCount = positionCount * layers;
+        
+        if (!this.canSolve()) {
+            throw new Error('This constraint puzzle is too large for the solver');
+        }
+        
+        const UNVISITED = 0xffffffff;
+        const costs = new Uint32Array(stateCount).fill(UNVISITED);
+        const parents = new Int32Array(stateCount).fill(-1);
+        const buckets = Array.from({ length: Math.max(...diskCosts) + 1 }, () => []);
+        const positions = new Array(numDisks);
+        const topDisks = new Array(numRods);
+        const diskCounts = new Array(numRods);
+        const routed = this.usesDiskRoutes();
+        
+        costs[start] = 0;
+        buckets[0].push(start);
+        let pending = 1;
+        let end = -1;
+        
+        for (let cost = 0; pending > 0 && end === -1; cost++) {
+            const bucket = buckets[cost % buckets.length];
+            
+            while (bucket.length > 0) {
+                const state = bucket.pop();
+                pending--;
+                
+                // Skip states reached more cheaply since they were queued
+                if (costs[state] !== cost) continue;
+                
+                const position = state % positionCount;
+                if (position === goal) {
+                    end = state;
+                    break;
+                }
+                
+                const layer = (state - position) / positionCount;
+                const nextMove = moveCount + layer + 1;
+                const nextLayer = Math.min(layer + 1, layers - 1) * positionCount;
+                
+                let remainder = position;
+                for (let i = 0; i < numDisks; i++) {
+                    positions[i] = remainder % numRods;
+                    remainder = (remainder - positions[i]) / numRods;
+                }
+                
+                topDisks.fill(0);
+                diskCounts.fill(0);
+                for (let diskSize = numDisks; diskSize >= 1; diskSize--) {
+                    topDisks[positions[diskSize - 1]] = diskSize;
+                    diskCounts[positions[diskSize - 1]]++;
+                }
+                
+                for (let from = 0; from < numRods; from++) {
+                    const disk = topDisks[from];
+                    if (disk === 0 || nextMove < unlockMove[disk - 1]) continue;
+                    
+                    for (let to = 0; to < numRods; to++) {
+                        if (to === from || (topDisks[to] !== 0 && topDisks[to] < disk)) continue;
+                        if (diskCounts[to] >= capacity[to] || forbidden[disk - 1][to]) continue;
+                        if (routed && this.getDiskRoute(from, to).length > 1) continue;
+                        
+                        const next = nextLayer + position + (to - from) * powers[disk - 1];
+                        const nextCost = cost + diskCosts[disk - 1];
+                        if (nextCost < costs[next]) {
+                            costs[next] = nextCost;
+                            parents[next] = state;
+                            buckets[nextCost % buckets.length].push(next);
+                            pending++;
+                        }
+                    }
+                }
+            }
+        }
         
-        // If all disks are already on the target rod, no moves needed
-        if (this.isGameComplete(diskPositions)) {
-            return [];
+        if (end === -1) {
+            throw new Error('This constraint puzzle has no solution from here');
         }
         
-        // Generate solution from current state to target state
-        this.solveTowersOfHanoi(numDisks, 0, 2, 1, solution, diskPositions);
+        // Walk back from the goal; each step changes the rod of exactly one disk
+        const moves = [];
+        for (let state = end; parents[state] !== -1; state = parents[state]) {
+            const position = state % positionCount;
+            const previous = parents[state] % positionCount;
+            let disk = numDisks;
+            while (Math.floor(position / powers[disk - 1]) % numRods === Math.floor(previous / powers[disk - 1]) % numRods) {
+                disk--;
+            }
+            
+            moves.push({
+                from: Math.floor(previous / powers[disk - 1]) % numRods,
+                to: Math.floor(position / powers[disk - 1]) % numRods,
+                disk
+            });
+        }
+        moves.reverse();
         
+        const solution = { moves, cost: costs[end] };
+        this.constraintCache = { gameState: this.gameState, key: cacheKey, solution };
         return solution;
     }
     
     /**
-     * Get current positions of all disks
-     * @returns {Array} Array where index is disk size-1 and value is rod index
+     * Get the k-th move of the optimal tower solution without generating the earlier moves
+     * Three rods use the binary formula: disk = trailing zeros of k + 1, and the rods
+     * follow (k & (k - 1)) % 3 -> ((k | (k - 1)) + 1) % 3. Frame-Stewart plans descend
+     * through the split table, so each lookup costs O(numDisks) time and constant memory.
+     * @param {number} k - Move number, starting at 1
+     * @param {number} numDisks - Number of disks in the tower (defaults to the current game)
+     * @param {number} source - Rod holding the tower (defaults to the left rod)
+     * @param {number} target - Destination rod (defaults to the rightmost rod)
+     * @returns {Object|null} Move object or null if k is out of range
      */
-    getCurrentDiskPositions() {
-        const positions = new Array(this.gameState.settings.numDisks);
+    getOptimalMove(k, numDisks = this.gameState.settings.numDisks, source = 0, target = this.gameState.rods.length - 1) {
+        const numRods = this.gameState.rods.length;
         
-        for (let rodIndex = 0; rodIndex < 3; rodIndex++) {
-            const rod = this.gameState.rods[rodIndex];
-            for (const diskSize of rod.disks) {
-                positions[diskSize - 1] = rodIndex;
+        if (!Number.isInteger(k) || k < 1 || k > this.calculateMinimumMoves(numDisks, numRods)) {
+            return null;
+        }
+        
+        let n = numDisks;
+        let offset = 0;
+        let spareRods = this.getSpareRods(numRods, source, target);
+        
+        // Narrow down to the three-rod subproblem that contains move k
+        while (spareRods.length > 1) {
+            const rodsInUse = spareRods.length + 2;
+            const table = this.getFrameStewartTable(n, rodsInUse);
+            const parked = table.split[rodsInUse][n];
+            const parkMoves = table.moves[rodsInUse][parked];
+            const middleMoves = table.moves[rodsInUse - 1][n - parked];
+            const parkingRod = spareRods[0];
+            const otherSpares = spareRods.slice(1);
+            
+            if (k <= parkMoves) {
+                spareRods = [target, ...otherSpares];
+                target = parkingRod;
+                n = parked;
+            } else if (k <= parkMoves + middleMoves) {
+                k -= parkMoves;
+                spareRods = otherSpares;
+                offset += parked;
+                n -= parked;
+            } else {
+                k -= parkMoves + middleMoves;
+                spareRods = [source, ...otherSpares];
+                source = parkingRod;
+                n = parked;
             }
         }
         
-        return positions;
+        // Binary solution moves the tower from label 0 to label 2 for odd n, label 1 for even n
+        const rodForLabel = n % 2 === 1 ? [source, spareRods[0], target] : [source, target, spareRods[0]];
+        
+        return {
+            from: rodForLabel[(k & (k - 1)) % 3],
+            to: rodForLabel[((k | (k - 1)) + 1) % 3],
+            disk: offset + 31 - Math.clz32(k & -k) + 1
+        };
     }
     
     /**
-     * Check if the game is complete (all disks on target rod)
-     * @param {Array} diskPositions - Current disk positions
-     * @returns {boolean} True if game is complete
+     * Stream the optimal tower solution using the closed-form move lookup
+     * @param {number} numDisks - Number of disks in the tower
+     * @param {number} source - Rod holding the tower
+     * @param {number} target - Destination rod
+     * @param {number} startStep - First move number to yield
+     * @returns {Iterator} Iterator over solution moves
      */
-    isGameComplete(diskPositions) {
-        return diskPositions.every(pos => pos === 2);
+    *iterateTowerMoves(numDisks, source, target, startStep = 1) {
+        const totalMoves = this.calculateMinimumMoves(numDisks, this.gameState.rods.length);
+        
+        for (let k = startStep; k <= totalMoves; k++) {
+            yield this.getOptimalMove(k, numDisks, source, target);
+        }
     }
     
     /**
-     * Recursive Towers of Hanoi solver
-     * @param {number} n - Number of disks to move
-     * @param {number} source - Source rod index
-     * @param {number} target - Target rod index  
-     * @param {number} auxiliary - Auxiliary rod index
-     * @param {Array} solution - Array to store the solution moves
+     * Shortest-path solver for four or more rods from a mid-game position
+     * Follows the distance table downhill one move at a time. Only the smallest n
+     * disks take part; larger disks are already home and never block them.
+     * @param {number} n - Largest misplaced disk
+     * @param {Array} diskPositions - Current positions of disks
+     * @param {Array} goalPositions - Goal disk positions
+     * @returns {Iterator} Iterator over solution moves
+     */
+    *solveBySearch(n, diskPositions, goalPositions) {
+        const numRods = this.gameState.rods.length;
+        const distances = this.getSearchTable(n, numRods, goalPositions);
+        const positions = diskPositions.slice(0, n);
+        let distance = distances[this.encodePositions(positions, numRods)];
+        
+        while (distance > 0) {
+            const move = this.getLegalMoves(positions, numRods).find(candidate => {
+                positions[candidate.disk - 1] = candidate.to;
+                const next = distances[this.encodePositions(positions, numRods)];
+                positions[candidate.disk - 1] = candidate.from;
+                return next === distance - this.getDiskCost(candidate.disk);
+            });
+            
+            positions[move.disk - 1] = move.to;
+            diskPositions[move.disk - 1] = move.to;
+            distance -= this.getDiskCost(move.disk);
+            yield move;
+        }
+    }
+    
+    /**
+     * Get every legal move from a position
      * @param {Array} diskPositions - Current positions of disks
+     * @param {number} numRods - Number of rods
+     * @returns {Array} Array of moves in the format {from: rodIndex, to: rodIndex, disk: diskSize}
      */
-    solveTowersOfHanoi(n, source, target, auxiliary, solution, diskPositions) {
-        if (n === 1) {
-            // Base case: move the smallest disk
-            const diskSize = this.findDiskAtPosition(n, source, diskPositions);
-            if (diskSize && diskPositions[diskSize - 1] === source) {
-                solution.push({
-                    from: source,
-                    to: target,
-                    disk: diskSize
-                });
-                diskPositions[diskSize - 1] = target;
+    getLegalMoves(diskPositions, numRods) {
+        const topDisks = this.getTopDisks(diskPositions, numRods);
+        const moves = [];
+        
+        for (let from = 0; from < numRods; from++) {
+            const disk = topDisks[from];
+            if (disk === 0) continue;
+            
+            for (let to = 0; to < numRods; to++) {
+                if (to !== from && (topDisks[to] === 0 || topDisks[to] > disk)) {
+                    moves.push({ from, to, disk });
+                }
             }
-            return;
         }
         
-        // Move n-1 disks from source to auxiliary
-        this.solveTowersOfHanoi(n - 1, source, auxiliary, target, solution, diskPositions);
+        return moves;
+    }
+    
+    /**
+     * Get the smallest disk on each rod
+     * @param {Array} diskPositions - Current positions of disks
+     * @param {number} numRods - Number of rods
+     * @returns {Array} Disk size on top of each rod, 0 for empty rods
+     */
+    getTopDisks(diskPositions, numRods) {
+        const topDisks = new Array(numRods).fill(0);
         
-        // Move the largest disk from source to target
-        const diskSize = this.findDiskAtPosition(n, source, diskPositions);
-        if (diskSize && diskPositions[diskSize - 1] === source) {
-            solution.push({
-                from: source,
-                to: target,
-                disk: diskSize
-            });
-            diskPositions[diskSize - 1] = target;
+        for (let diskSize = diskPositions.length; diskSize >= 1; diskSize--) {
+            topDisks[diskPositions[diskSize - 1]] = diskSize;
         }
         
-        // Move n-1 disks from auxiliary to target
-        this.solveTowersOfHanoi(n - 1, auxiliary, target, source, solution, diskPositions);
+        return topDisks;
     }
     
     /**
-     * Find the disk of given size at the specified position
-     * @param {number} size - Size of disk to find
-     * @param {number} rodIndex - Rod to search
-     * @param {Array} diskPositions - Current disk positions
-     * @returns {number|null} Disk size if found, null otherwise
+     * Encode disk positions as a single state index (base numRods, disk 1 lowest)
+     * @param {Array} diskPositions - Current positions of disks
+     * @param {number} numRods - Number of rods
+     * @returns {number} State index
      */
-    findDiskAtPosition(size, rodIndex, diskPositions) {
-        // Find the largest disk currently on the specified rod
-        for (let diskSize = this.gameState.settings.numDisks; diskSize >= 1; diskSize--) {
-            if (diskPositions[diskSize - 1] === rodIndex) {
-                return diskSize;
+    encodePositions(diskPositions, numRods) {
+        let index = 0;
+        for (let i = diskPositions.length - 1; i >= 0; i--) {
+            index = index * numRods + diskPositions[i];
+        }
+        return index;
+    }
+    
+    /**
+     * Get the exhaustive table the search solver follows
+     * @param {number} numDisks - Number of disks
+     * @param {number} numRods - Number of rods
+     * @param {Array} goalPositions - Goal disk positions (only the first numDisks are used)
+     * @returns {Uint16Array|Uint32Array} Moves to the goal, or cheapest cost with disk costs
+     */
+    getSearchTable(numDisks, numRods, goalPositions) {
+        return this.usesMoveCosts()
+            ? this.getCostTable(numDisks, numRods, goalPositions)
+            : this.getDistanceTable(numDisks, numRods, goalPositions);
+    }
+    
+    /**
+     * Build the distance-to-goal table for every position by breadth-first search from the goal
+     * Moves are reversible, so the distance from the goal equals the distance to it
+     * @param {number} numDisks - Number of disks
+     * @param {number} numRods - Number of rods
+     * @param {Array} goalPositions - Goal disk positions (only the first numDisks are used)
+     * @returns {Uint16Array} Minimum moves to the goal, indexed by encoded position
+     */
+    getDistanceTable(numDisks, numRods, goalPositions) {
+        const goal = this.encodePositions(goalPositions.slice(0, numDisks), numRods);
+        const cacheKey = `${numDisks}:${numRods}:${goal}`;
+        if (this.distanceCache[cacheKey]) {
+            return this.distanceCache[cacheKey];
+        }
+        
+        const powers = [1];
+        for (let i = 1; i <= numDisks; i++) {
+            powers.push(powers[i - 1] * numRods);
+        }
+        
+        const UNVISITED = 0xffff;
+        const stateCount = powers[numDisks];
+        const distances = new Uint16Array(stateCount).fill(UNVISITED);
+        const queue = new Int32Array(stateCount);
+        const positions = new Array(numDisks);
+        const topDisks = new Array(numRods);
+        
+        distances[goal] = 0;
+        queue[0] = goal;
+        let head = 0;
+        let tail = 1;
+        
+        while (head < tail) {
+            const state = queue[head++];
+            
+            // Decode the state back into disk positions
+            let remainder = state;
+            for (let i = 0; i < numDisks; i++) {
+                positions[i] = remainder % numRods;
+                remainder = (remainder - positions[i]) / numRods;
+            }
+            
+            topDisks.fill(0);
+            for (let diskSize = numDisks; diskSize >= 1; diskSize--) {
+                topDisks[positions[diskSize - 1]] = diskSize;
+            }
+            
+            for (let from = 0; from < numRods; from++) {
+                const disk = topDisks[from];
+                if (disk === 0) continue;
+                
+                for (let to = 0; to < numRods; to++) {
+                    if (to === from || (topDisks[to] !== 0 && topDisks[to] < disk)) continue;
+                    
+                    const next = state + (to - from) * powers[disk - 1];
+                    if (distances[next] === UNVISITED) {
+                        distances[next] = distances[state] + 1;
+                        queue[tail++] = next;
+                    }
+                }
+            }
+        }
+        
+        this.distanceCache[cacheKey] = distances;
+        return distances;
+    }
+    
+    /**
+     * Build the cost-to-goal table for every position in a game with disk costs
+     * Dijkstra's algorithm from the goal. Costs are small integers, so pending
+     * states wait in one bucket per cost, reused round-robin: no move costs more
+     * than the dearest disk. Moves are reversible at the same cost.
+     * @param {number} numDisks - Number of disks
+     * @param {number} numRods - Number of rods
+     * @param {Array} goalPositions - Goal disk positions (only the first numDisks are used)
+     * @returns {Uint32Array} Cheapest cost to the goal, indexed by encoded position
+     */
+    getCostTable(numDisks, numRods, goalPositions) {
+        const diskCosts = this.gameState.settings.diskCosts.slice(0, numDisks);
+        const goal = this.encodePositions(goalPositions.slice(0, numDisks), numRods);
+        const cacheKey = `${numDisks}:${numRods}:${goal}:${diskCosts.join(',')}`;
+        if (this.distanceCache[cacheKey]) {
+            return this.distanceCache[cacheKey];
+        }
+        
+        const powers = [1];
+        for (let i = 1; i <= numDisks; i++) {
+            powers.push(powers[i - 1] * numRods);
+        }
+        
+        const UNVISITED = 0xffffffff;
+        const costs = new Uint32Array(powers[numDisks]).fill(UNVISITED);
+        const buckets = Array.from({ length: Math.max(...diskCosts) + 1 }, () => []);
+        const positions = new Array(numDisks);
+        const topDisks = new Array(numRods);
+        
+        costs[goal] = 0;
+        buckets[0].push(goal);
+        let pending = 1;
+        
+        for (let cost = 0; pending > 0; cost++) {
+            const bucket = buckets[cost % buckets.length];
+            
+            while (bucket.length > 0) {
+                const state = bucket.pop();
+                pending--;
+                
+                // Skip states reached more cheaply since they were queued
+                if (costs[state] !== cost) continue;
+                
+                let remainder = state;
+                for (let i = 0; i < numDisks; i++) {
+                    positions[i] = remainder % numRods;
+                    remainder = (remainder - positions[i]) / numRods;
+                }
+                
+                topDisks.fill(0);
+                for (let diskSize = numDisks; diskSize >= 1; diskSize--) {
+                    topDisks[positions[diskSize - 1]] = diskSize;
+                }
+                
+                for (let from = 0; from < numRods; from++) {
+                    const disk = topDisks[from];
+                    if (disk === 0) continue;
+                    
+                    for (let to = 0; to < numRods; to++) {
+                        if (to === from || (topDisks[to] !== 0 && topDisks[to] < disk)) continue;
+                        
+                        const next = state + (to - from) * powers[disk - 1];
+                        const nextCost = cost + diskCosts[disk - 1];
+                        if (nextCost < costs[next]) {
+                            costs[next] = nextCost;
+                            buckets[nextCost % buckets.length].push(next);
+                            pending++;
+                        }
+                    }
+                }
             }
         }
-        return null;
+        
+        this.distanceCache[cacheKey] = costs;
+        return costs;
     }
     
     /**
@@ -154,15 +2181,21 @@ class SolverEngine {
      * @returns {Object|null} Next move object or null if no moves needed
      */
     getNextOptimalMove() {
-        const solution = this.generateOptimalSolution();
-        return solution.length > 0 ? solution[0] : null;
+        const next = this.iterateOptimalSolution().next();
+        return next.done ? null : next.value;
     }
     
     /**
      * Start auto-solve with configurable options
      * @param {Object} options - Auto-solve configuration
+     * @param {number} options.completedSteps - Steps already played in an earlier session
+     * @param {boolean} options.startPaused - Set up the run without making the first move
      */
     startAutoSolve(options = {}) {
+        if (this.gameState && !GameState.isAssistAllowed(this.gameState, 'solver')) {
+            throw new Error('Auto-solve is off at this difficulty');
+        }
+
         if (this.autoSolveState.isRunning) {
             console.warn('Auto-solve is already running');
             return;
@@ -175,14 +2208,18 @@ class SolverEngine {
         this.autoSolveState.onPause = options.onPause || null;
         this.autoSolveState.onResume = options.onResume || null;
         
-        // Generate solution
+        // Stream the solution instead of building the whole plan up front
         try {
-            this.autoSolveState.solution = this.generateOptimalSolution();
-            this.autoSolveState.currentStep = 0;
+            const completedSteps = options.completedSteps || 0;
+            const remainingSteps = this.getSolutionLength();
+            
+            this.autoSolveState.moves = this.iterateOptimalSolution();
+            this.autoSolveState.totalSteps = completedSteps + remainingSteps;
+            this.autoSolveState.currentStep = completedSteps;
             this.autoSolveState.isRunning = true;
-            this.autoSolveState.isPaused = false;
+            this.autoSolveState.isPaused = !!options.startPaused;
             
-            if (this.autoSolveState.solution.length === 0) {
+            if (remainingSteps === 0) {
                 // Already solved
                 if (this.autoSolveState.onComplete) {
                     this.autoSolveState.onComplete();
@@ -192,7 +2229,9 @@ class SolverEngine {
             }
             
             // Start the auto-solve process
-            this.executeNextMove();
+            if (!this.autoSolveState.isPaused) {
+                this.executeNextMove();
+            }
             
         } catch (error) {
             console.error('Failed to start auto-solve:', error);
@@ -208,7 +2247,9 @@ class SolverEngine {
             return;
         }
         
-        if (this.autoSolveState.currentStep >= this.autoSolveState.solution.length) {
+        const next = this.autoSolveState.moves.next();
+        
+        if (next.done) {
             // Solution complete
             if (this.autoSolveState.onComplete) {
                 this.autoSolveState.onComplete();
@@ -217,18 +2258,26 @@ class SolverEngine {
             return;
         }
         
-        const move = this.autoSolveState.solution[this.autoSolveState.currentStep];
+        const move = next.value;
         
         // Execute the move using the game engine
         if (window.GameEngine) {
-            const result = window.GameEngine.makeMove(this.gameState, move.from, move.to);
+            const result = window.GameEngine.makeMove(this.gameState, move.from, move.to, { autoSolve: true });
             
             if (result.success) {
                 this.autoSolveState.currentStep++;
                 
-                // Notify step callback
+                // Notify step callback and subscribers
                 if (this.autoSolveState.onStep) {
-                    this.autoSolveState.onStep(move, this.autoSolveState.currentStep, this.autoSolveState.solution.length);
+                    this.autoSolveState.onStep(move, this.autoSolveState.currentStep, this.autoSolveState.totalSteps);
+                }
+                if (typeof GameEvents !== 'undefined') {
+                    GameEvents.emit('autoSolveStep', {
+                        gameState: this.gameState,
+                        move,
+                        currentStep: this.autoSolveState.currentStep,
+                        totalSteps: this.autoSolveState.totalSteps
+                    });
                 }
                 
                 // Animate the move if animation system is available
@@ -287,6 +2336,10 @@ class SolverEngine {
         
         this.autoSolveState.isPaused = false;
         
+        // The player may have moved while paused, so re-plan from the current position
+        this.autoSolveState.moves = this.iterateOptimalSolution();
+        this.autoSolveState.totalSteps = this.autoSolveState.currentStep + this.getSolutionLength();
+        
         if (this.autoSolveState.onResume) {
             this.autoSolveState.onResume();
         }
@@ -309,7 +2362,8 @@ class SolverEngine {
         
         // Reset state
         this.autoSolveState.currentStep = 0;
-        this.autoSolveState.solution = [];
+        this.autoSolveState.totalSteps = 0;
+        this.autoSolveState.moves = null;
     }
     
     /**
@@ -337,9 +2391,9 @@ class SolverEngine {
             isRunning: this.autoSolveState.isRunning,
             isPaused: this.autoSolveState.isPaused,
             currentStep: this.autoSolveState.currentStep,
-            totalSteps: this.autoSolveState.solution.length,
-            progress: this.autoSolveState.solution.length > 0 ? 
-                (this.autoSolveState.currentStep / this.autoSolveState.solution.length) * 100 : 0
+            totalSteps: this.autoSolveState.totalSteps,
+            progress: this.autoSolveState.totalSteps > 0 ? 
+                (this.autoSolveState.currentStep / this.autoSolveState.totalSteps) * 100 : 0
         };
     }
     
@@ -364,6 +2418,26 @@ class SolverEngine {
         }
     }
     
+    /**
+     * Follow new games started by reset or settings changes
+     * @param {GameEventBus} events - Game event bus
+     * @returns {Function} Function that removes the subscriptions
+     */
+    subscribeToGameEvents(events) {
+        const followNewGame = (detail) => {
+            if (events.isAbout(detail, this.gameState) && detail.gameState !== this.gameState) {
+                this.updateGameState(detail.gameState);
+            }
+        };
+        
+        const unsubscribers = [
+            events.on('reset', followNewGame),
+            events.on('settingsChanged', followNewGame)
+        ];
+        
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+    
     /**
      * Update animation system reference
      * @param {Object} animationSystem - New animation system